@@ -644,7 +644,7 @@ async function generateMaintenanceFiles() {
     }
     
     // Run validation to check if the files are properly formatted
-    const validation = validator.validate();
+    const validation = await validator.validate();
     if (!validation.passed) {
         console.log(chalk.yellow('    ⚠️  Maintenance file validation warnings:'));
         validation.issues.forEach(issue => {
@@ -0,0 +1,61 @@
+const fs = require('fs-extra');
+const chalk = require('chalk');
+const { sparkline } = require('../lib/reporters/sparkline');
+const { htmlReporter } = require('../lib/reporters');
+
+// Show the score history recorded by `bp audit` as sparklines, optionally writing an HTML chart
+module.exports = async function showTrend(options, sdk) {
+  const trend = await sdk.trend({ path: options.path, limit: Number(options.limit) || 20 });
+
+  if (trend.entries.length === 0) {
+    console.log(chalk.yellow('No audits recorded yet - run "bp audit" to start the score history.'));
+    return trend;
+  }
+
+  console.log(formatTrend(trend).join('\n'));
+
+  if (options.html) {
+    await fs.outputFile(options.html, htmlReporter.renderTrend(trend));
+    console.log(chalk.gray(`\n📄 Trend chart saved to: ${options.html}`));
+  }
+  return trend;
+};
+
+// Terminal lines for a trend: one sparkline per score series, then issue counts
+function formatTrend(trend) {
+  const { entries, series } = trend;
+  const first = entries[0];
+  const last = entries[entries.length - 1];
+  const width = Math.max(...Object.keys(series).map(name => name.length), 'issues'.length);
+  const lines = [
+    chalk.bold(`📈 Score trend over ${entries.length} audit(s)`),
+    chalk.gray(`   ${first.timestamp.slice(0, 10)} → ${last.timestamp.slice(0, 10)}${last.commit ? ` (${last.commit})` : ''}`),
+    ''
+  ];
+
+  for (const [name, values] of Object.entries(series)) {
+    lines.push(`  ${name.padEnd(width)}  ${sparkline(values)}  ${describeChange(values, false)}`);
+  }
+  lines.push(`  ${'issues'.padEnd(width)}  ${sparkline(trend.issues, { min: 0, max: null })}  ${describeChange(trend.issues, true)}`);
+
+  return lines;
+}
+
+// "72 → 85 (+13)" for the first and last known values, green when things improved
+function describeChange(values, lowerIsBetter) {
+  const known = values.filter(value => typeof value === 'number');
+  if (known.length === 0) {
+    return chalk.gray('no data');
+  }
+
+  const start = known[0];
+  const end = known[known.length - 1];
+  const delta = end - start;
+  const text = `${start} → ${end} (${delta >= 0 ? '+' : ''}${delta})`;
+  if (delta === 0) {
+    return text;
+  }
+  return (delta < 0) === lowerIsBetter ? chalk.green(text) : chalk.red(text);
+}
+
+module.exports.formatTrend = formatTrend;
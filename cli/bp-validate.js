@@ -3,11 +3,13 @@
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
-const sdk = require('../lib/index');
+const BestPracticesSDK = require('../lib/index');
+const { EXIT_CODES } = BestPracticesSDK.QualityGates;
 
 // Validate project against best practices standards
 module.exports = async function validateProject(options) {
   console.log(chalk.blue('\n🔍 Running Best Practices validation...\n'));
+  const sdk = new BestPracticesSDK();
 
   try {
     // Load configuration from project
@@ -37,12 +39,12 @@ module.exports = async function validateProject(options) {
       await generateValidationReport(result, options);
     }
 
-    // Exit with appropriate code
-    process.exit(result.passed ? 0 : 1);
+    // Failed gates and tool errors exit with different codes
+    process.exit(result.error ? EXIT_CODES.error : result.passed ? EXIT_CODES.passed : EXIT_CODES.gateFailed);
 
   } catch (error) {
     console.error(chalk.red('💥 Validation failed:'), error.message);
-    process.exit(1);
+    process.exit(EXIT_CODES.error);
   }
 };
 
@@ -113,29 +115,17 @@ async function displayValidationResults(result, options) {
     }
   }
 
-  // Display issues by severity
-  if (result.issues && result.issues.length > 0) {
-    const issuesBySeverity = groupIssuesBySeverity(result.issues);
-    
-    for (const [severity, issues] of Object.entries(issuesBySeverity)) {
-      if (issues.length === 0) continue;
-      
-      const severityColor = getSeverityColor(severity);
-      const icon = getSeverityIcon(severity);
-      
-      console.log(chalk[severityColor](`\n${icon} ${severity.toUpperCase()} (${issues.length})`));
-      
-      for (const issue of issues.slice(0, 10)) { // Show first 10 issues
-        const location = issue.file && issue.line ? `${issue.file}:${issue.line}` : issue.file || '';
-        console.log(`  ${chalk.gray(location)} - ${issue.message}`);
-      }
-      
-      if (issues.length > 10) {
-        console.log(chalk.gray(`  ... and ${issues.length - 10} more ${severity} issues`));
-      }
+  // Display suppressed findings with the reasons given in their bp-disable comments
+  if (result.suppressed && result.suppressed.length > 0) {
+    console.log(chalk.gray(`\n🔕 Suppressed ${result.suppressed.length} finding(s):`));
+    for (const issue of result.suppressed) {
+      console.log(chalk.gray(`  ${issue.file}:${issue.line} ${issue.rule} - ${issue.suppression.reason || 'no reason given'}`));
     }
   }
 
+  // Display issues by severity
+  displayIssuesBySeverity(result.issues || [], 10);
+
   // Display metrics if available
   if (result.metrics) {
     console.log(chalk.blue('\n📈 Metrics:'));
@@ -147,6 +137,7 @@ async function displayValidationResults(result, options) {
   console.log(`  Files scanned: ${result.metrics?.totalFiles || result.metrics?.filesScanned || 'N/A'}`);
   console.log(`  Issues found: ${result.issues?.length || 0}`);
   console.log(`  Issues fixed: ${result.fixed?.length || 0}`);
+  console.log(`  Issues suppressed: ${result.suppressed?.length || 0}`);
   
   if (!result.passed) {
     console.log(chalk.yellow('\n💡 Tips:'));
@@ -156,6 +147,66 @@ async function displayValidationResults(result, options) {
   }
 }
 
+// Re-validate whenever project files change, redrawing a compact summary after each run
+async function watchProject(options, sdk = new BestPracticesSDK()) {
+  console.log(chalk.blue('\n👀 Starting watch mode...\n'));
+  const watcher = await sdk.watch(options, result => displayWatchSummary(result, options));
+
+  // Ctrl+C stops watching
+  process.on('SIGINT', () => {
+    watcher.close();
+    process.exit(0);
+  });
+
+  return watcher;
+}
+
+// Redraw the terminal with the current issues and how they changed since the previous run
+function displayWatchSummary(result, options) {
+  console.clear();
+
+  if (result.error) {
+    console.log(chalk.red('💥 Validation failed:'), result.error);
+  } else {
+    const status = result.passed ? chalk.green('✅ Gates passed') : chalk.red('❌ Gates failed');
+    console.log(`${status}  ${result.issues.length} issue(s)  ${chalk.gray(`score ${result.score}/100 · ${new Date().toLocaleTimeString()}`)}`);
+
+    if (result.delta) {
+      console.log(`${chalk.red(`+${result.delta.new} new`)}, ${chalk.green(`-${result.delta.fixed} fixed`)}`);
+    }
+    if (result.changedFiles.length > 0) {
+      const shown = result.changedFiles.slice(0, 3).join(', ');
+      const more = result.changedFiles.length > 3 ? ` and ${result.changedFiles.length - 3} more` : '';
+      console.log(chalk.gray(`Changed: ${shown}${more}`));
+    }
+
+    displayIssuesBySeverity(result.issues, 5);
+  }
+
+  console.log(chalk.gray(`\nWatching ${path.resolve(options.path || './')} - press Ctrl+C to stop`));
+}
+
+// Print issues grouped by severity, showing at most `limit` per severity
+function displayIssuesBySeverity(issues, limit) {
+  const issuesBySeverity = groupIssuesBySeverity(issues);
+
+  for (const [severity, group] of Object.entries(issuesBySeverity)) {
+    const severityColor = getSeverityColor(severity);
+    const icon = getSeverityIcon(severity);
+
+    console.log(chalk[severityColor](`\n${icon} ${severity.toUpperCase()} (${group.length})`));
+
+    for (const issue of group.slice(0, limit)) {
+      const location = issue.file && issue.line ? `${issue.file}:${issue.line}` : issue.file || '';
+      console.log(`  ${chalk.gray(location)} - ${issue.message}`);
+    }
+
+    if (group.length > limit) {
+      console.log(chalk.gray(`  ... and ${group.length - limit} more ${severity} issues`));
+    }
+  }
+}
+
 // Group issues by severity level
 function groupIssuesBySeverity(issues) {
   return issues.reduce((groups, issue) => {
@@ -209,14 +260,47 @@ function displayMetrics(metrics) {
   if (metrics.secretsFound !== undefined) {
     console.log(`  Secrets detected: ${metrics.secretsFound}`);
   }
+
+  if (metrics.injectionsFound !== undefined) {
+    console.log(`  Injection risks: ${metrics.injectionsFound}`);
+  }
   
   if (metrics.vulnerabilities !== undefined) {
     console.log(`  Vulnerabilities: ${metrics.vulnerabilities}`);
   }
+
+  if (metrics.vulnerabilityScanSkipped) {
+    console.log(`  Vulnerability scan skipped: ${metrics.vulnerabilityScanSkipped}`);
+  }
   
   if (metrics.largeFiles && metrics.largeFiles.length > 0) {
     console.log(`  Large files: ${metrics.largeFiles.length}`);
   }
+
+  displayLicenseMetrics(metrics);
+  displayEnvMetrics(metrics);
+}
+
+// Display the dependency license check, or why it was skipped
+function displayLicenseMetrics(metrics) {
+  if (metrics.packagesScanned !== undefined) {
+    console.log(`  License violations: ${metrics.licenseViolations} (${metrics.unknownLicenses} unknown) in ${metrics.packagesScanned} packages`);
+  }
+
+  if (metrics.licenseScanSkipped) {
+    console.log(`  License scan skipped: ${metrics.licenseScanSkipped}`);
+  }
+}
+
+// Display the environment variable contract check, or why it was skipped
+function displayEnvMetrics(metrics) {
+  if (metrics.envVarsDeclared !== undefined && !metrics.envCheckSkipped) {
+    console.log(`  Env variables: ${metrics.envVarsRead} read, ${metrics.envVarsDeclared} declared (${metrics.undeclaredEnvVars} undeclared, ${metrics.unusedEnvVars} unused)`);
+  }
+
+  if (metrics.envCheckSkipped) {
+    console.log(`  Env check skipped: ${metrics.envCheckSkipped}`);
+  }
 }
 
 // Generate detailed validation report
@@ -233,9 +317,11 @@ async function generateValidationReport(result, options) {
     metrics: result.metrics,
     issues: result.issues,
     fixed: result.fixed,
+    suppressed: result.suppressed || [],
     summary: {
       totalIssues: result.issues?.length || 0,
       totalFixed: result.fixed?.length || 0,
+      totalSuppressed: result.suppressed?.length || 0,
       issuesBySeverity: groupIssuesBySeverity(result.issues || [])
     }
   };
@@ -246,4 +332,7 @@ async function generateValidationReport(result, options) {
   } catch (error) {
     console.error(chalk.red('Failed to save validation report:'), error.message);
   }
-}
\ No newline at end of file
+}
+
+module.exports.watchProject = watchProject;
+module.exports.displayWatchSummary = displayWatchSummary;
@@ -6,10 +6,168 @@ const chalk = require('chalk');
 const path = require('path');
 
 // Import the SDK
-const sdk = require('../lib/index');
+const BestPracticesSDK = require('../lib/index');
+const { ScoringModel, QualityGates } = BestPracticesSDK;
+const { EXIT_CODES } = QualityGates;
+const { parseReporterSpec } = require('../lib/reporters');
+const { watchProject } = require('./bp-validate');
+const showTrend = require('./bp-trend');
+
+const sdk = new BestPracticesSDK();
 
 const program = new Command();
 
+// Report file for a command: --output, or `<name>-report` with the reporter's extension
+function reportPath(name, options) {
+  const reporter = sdk.reporters.get(options.format);
+  return options.output || `./${name}-report${reporter ? reporter.extension : '.json'}`;
+}
+
+// Collect repeated --reporter flags into a list
+function collectReporter(spec, specs) {
+  return [...specs, spec];
+}
+
+// A --reporter without a path owns stdout, so the usual console summary is left out
+function reportsToStdout(options) {
+  return options.reporter.some(spec => !parseReporterSpec(spec).output);
+}
+
+// Write every --reporter output, colored when the terminal supports it; returns the files written
+async function writeReporters(result, options) {
+  const written = await sdk.writeReports(result, options.reporter, { projectPath: options.path, color: Boolean(chalk.supportsColor) });
+  return written.filter(report => report.output).map(report => report.output);
+}
+
+// Map `bp validate` flags onto sdk.validate options; --format implies --report
+function validateOptions(options) {
+  return {
+    path: options.path,
+    standards: options.standards.split(',').map(standard => standard.trim()),
+    autoFix: options.fix || options.dryRun,
+    dryRun: options.dryRun,
+    report: options.report || Boolean(options.format),
+    outputPath: options.report || options.format ? reportPath('validation', options) : null,
+    format: options.format || 'json',
+    baseline: options.baseline,
+    since: options.history ? null : options.since,
+    scanHistory: historyOptions(options),
+    staged: options.staged,
+    diffLines: options.diffLines,
+    gates: options.gates,
+    // --no-cache turns caching off; otherwise `cache` in .bp-config.yml decides
+    cache: options.cache ? undefined : false
+  };
+}
+
+// --history takes no value (all commits) or a positive commit count
+function invalidHistory(history) {
+  return history !== undefined && typeof history !== 'boolean' && !(/^\d+$/.test(history) && Number(history) > 0);
+}
+
+// With --history, --since limits the commits scanned for secrets instead of the files validated
+function historyOptions(options) {
+  if (!options.history) {
+    return false;
+  }
+  return { since: options.since, maxCount: options.history === true ? null : Number(options.history) };
+}
+
+// With --explain-score, show how each standard's score was computed
+function printScoreExplanation(result, options) {
+  if (options.explainScore && result.scoring) {
+    console.log(chalk.blue('\n🧮 Score breakdown:'));
+    ScoringModel.explain(result.scoring).forEach(line => console.log(`  ${line}`));
+  }
+}
+
+// List each quality gate with its result; failed gates are why a run fails
+function printGateResults(gates) {
+  if (!gates) {
+    return;
+  }
+
+  console.log(chalk.blue(`\n🚦 Quality gates (${gates.set}):`));
+  gates.gates.forEach(gate => {
+    const mark = gate.passed ? chalk.green('✔') : chalk.red('✖');
+    console.log(`  ${mark} ${gate.name} - ${gate.message}`);
+  });
+}
+
+// Exit with the gate verdict: 0 when every gate passed, EXIT_CODES.gateFailed otherwise
+function exitWithGates(result) {
+  process.exit(result.passed ? EXIT_CODES.passed : EXIT_CODES.gateFailed);
+}
+
+// Console summary of a validation run: score, status, the first few issues and the reports written
+function printValidationResult(result, options, reportFiles) {
+  console.log(chalk.yellow(`\n📊 Validation Results:`));
+  console.log(`Overall Score: ${result.score}/100`);
+  console.log(`Status: ${result.passed ? chalk.green('✅ PASSED') : chalk.red('❌ FAILED')}`);
+  console.log(`Issues Found: ${result.issues.length}`);
+  console.log(`Issues ${options.dryRun ? 'Fixable' : 'Fixed'}: ${result.fixed.length}`);
+
+  printScoreExplanation(result, options);
+  printGateResults(result.gates);
+  printBaselineSummary(result.baseline);
+  printFixPreview(result, options);
+  printSkippedFixes(result);
+
+  if (result.issues.length > 0) {
+    console.log(chalk.red('\n🔴 Issues:'));
+    result.issues.slice(0, 5).forEach(issue => {
+      console.log(`  ${issue.file}:${issue.line} - ${issue.message}`);
+    });
+    if (result.issues.length > 5) {
+      console.log(`  ... and ${result.issues.length - 5} more`);
+    }
+  }
+
+  if (options.report || options.format) {
+    console.log(chalk.gray(`\n📄 Report saved to: ${reportPath('validation', options)}`));
+  }
+  reportFiles.forEach(file => console.log(chalk.gray(`📄 Report saved to: ${file}`)));
+}
+
+// With --dry-run, show each change --fix would make; secrets in the diffs are masked
+function printFixPreview(result, options) {
+  if (!options.dryRun) {
+    return;
+  }
+
+  const changes = (result.changes || []).filter(change => change.diff);
+  console.log(chalk.blue(`\n🔧 --fix would change ${changes.length} file(s) (dry run, nothing written):`));
+  changes.forEach(change => {
+    change.diff.split('\n').forEach(line => {
+      const color = /^(?:---|\+\+\+) /.test(line) ? chalk.bold : { '+': chalk.green, '-': chalk.red, '@': chalk.cyan }[line[0]];
+      console.log(color ? color(line) : line);
+    });
+  });
+}
+
+// Say why --fix left secrets where they are
+function printSkippedFixes(result) {
+  const security = (result.metrics || {}).security;
+  if (security && security.metrics.secretFixSkipped) {
+    console.log(chalk.yellow(`\n⚠️  Secrets not moved: ${security.metrics.secretFixSkipped}`));
+  }
+}
+
+// Show how many issues the baseline hides and which baseline issues are gone
+function printBaselineSummary(baseline) {
+  if (!baseline) {
+    return;
+  }
+
+  console.log(chalk.gray(`Baseline Issues: ${baseline.known} known (not counted)`));
+  if (baseline.fixed.length > 0) {
+    console.log(chalk.green(`\n🎉 ${baseline.fixed.length} baseline issue(s) fixed - run "bp baseline update" to record them:`));
+    baseline.fixed.slice(0, 5).forEach(entry => {
+      console.log(`  ${entry.file}:${entry.line} - ${entry.message}`);
+    });
+  }
+}
+
 // CLI version and description
 program
   .name('bp')
@@ -44,11 +202,11 @@ program
         }
       } else {
         console.error(chalk.red(`❌ ${result.message}`));
-        process.exit(1);
+        process.exit(EXIT_CODES.error);
       }
     } catch (error) {
       console.error(chalk.red(`❌ Failed to initialize project: ${error.message}`));
-      process.exit(1);
+      process.exit(EXIT_CODES.error);
     }
   });
 
@@ -58,47 +216,168 @@ program
   .description('Validate project against code directives standards')
   .option('-p, --path <path>', 'Project path to validate', './')
   .option('--fix', 'Automatically fix issues where possible', false)
-  .option('-s, --standards <standards>', 'Comma-separated standards to check', 'code,security,performance')
+  .option('--dry-run', 'Show the changes --fix would make as a diff, without writing them', false)
+  .option('-s, --standards <standards>', 'Comma-separated standards to check (code, security, performance, maintenance, license, env)', 'code,security,performance')
   .option('--report', 'Generate validation report', false)
-  .option('-o, --output <file>', 'Report output file', './validation-report.json')
+  .option('-o, --output <file>', 'Report output file (default: ./validation-report.<ext>)')
+  .option('-f, --format <format>', 'Report format (json, sarif, junit, checkstyle, html, markdown)')
+  .option('-r, --reporter <name[:file]>', 'Add a reporter (built-in name, plugin path or npm package); repeatable', collectReporter, [])
+  .option('-b, --baseline <file>', 'Only fail on issues not recorded in this baseline file')
+  .option('--since <ref>', 'Only validate files changed since a git ref (e.g. origin/main)')
+  .option('--staged', 'Only validate files staged for commit', false)
+  .option('--diff-lines', 'Only report findings on changed lines', false)
+  .option('--history [commits]', 'Also scan git history for secrets (all commits, the last N, or since --since <ref>)')
+  .option('--no-cache', 'Re-check every file instead of reusing results from earlier runs')
+  .option('--explain-score', 'Show the deductions behind each standard\'s score', false)
+  .option('-g, --gates <set>', 'Quality gate set to enforce (default, merge, deployment, hotfix or one from config)', 'default')
+  .option('-w, --watch', 'Re-validate changed files continuously and show a live summary', false)
   .action(async (options) => {
-    console.log(chalk.blue('🔍 Running validation checks...'));
+    if (invalidHistory(options.history)) {
+      console.error(chalk.red(`❌ Invalid --history value: ${options.history} (expected a positive number of commits)`));
+      process.exit(EXIT_CODES.error);
+    }
+
+    if (options.watch) {
+      await watchProject(validateOptions(options), sdk).catch(error => {
+        console.error(chalk.red(`❌ Validation failed: ${error.message}`));
+        process.exit(EXIT_CODES.error);
+      });
+      return;
+    }
+
+    const quiet = reportsToStdout(options);
+    if (!quiet) {
+      console.log(chalk.blue('🔍 Running validation checks...'));
+    }
     
     try {
-      const standards = options.standards.split(',').map(s => s.trim());
-      const result = await sdk.validate({
-        path: options.path,
-        standards,
-        autoFix: options.fix,
-        report: options.report,
-        outputPath: options.report ? options.output : null
-      });
-      
-      console.log(chalk.yellow(`\n📊 Validation Results:`));
-      console.log(`Overall Score: ${result.score}/100`);
-      console.log(`Status: ${result.passed ? chalk.green('✅ PASSED') : chalk.red('❌ FAILED')}`);
-      console.log(`Issues Found: ${result.issues.length}`);
-      console.log(`Issues Fixed: ${result.fixed.length}`);
-      
-      if (result.issues.length > 0) {
-        console.log(chalk.red('\n🔴 Issues:'));
-        result.issues.slice(0, 5).forEach(issue => {
-          console.log(`  ${issue.file}:${issue.line} - ${issue.message}`);
-        });
-        if (result.issues.length > 5) {
-          console.log(`  ... and ${result.issues.length - 5} more`);
-        }
+      const result = await sdk.validate(validateOptions(options));
+
+      if (result.error) {
+        console.error(chalk.red(`❌ Validation failed: ${result.error}`));
+        process.exit(EXIT_CODES.error);
       }
-      
-      if (options.report) {
-        console.log(chalk.gray(`\n📄 Report saved to: ${options.output}`));
+
+      const reportFiles = await writeReporters(result, options);
+      if (quiet) {
+        exitWithGates(result);
       }
       
-      process.exit(result.passed ? 0 : 1);
+      printValidationResult(result, options, reportFiles);
+      
+      exitWithGates(result);
     } catch (error) {
       console.error(chalk.red(`❌ Validation failed: ${error.message}`));
-      process.exit(1);
+      process.exit(EXIT_CODES.error);
+    }
+  });
+
+// Baseline commands
+program
+  .command('baseline <action>')
+  .description('Manage the baseline of known issues (actions: update)')
+  .option('-p, --path <path>', 'Project path to validate', './')
+  .option('-s, --standards <standards>', 'Comma-separated standards to check (code, security, performance, maintenance, license, env)', 'code,security,performance')
+  .option('-o, --output <file>', 'Baseline file', '.bp-baseline.json')
+  .action(async (action, options) => {
+    if (action !== 'update') {
+      console.error(chalk.red(`❌ Unknown baseline action: ${action} (expected: update)`));
+      process.exit(EXIT_CODES.error);
+    }
+
+    console.log(chalk.blue('📌 Recording baseline of current issues...'));
+
+    const result = await sdk.updateBaseline({
+      path: options.path,
+      standards: options.standards.split(',').map(standard => standard.trim()),
+      output: options.output
+    });
+
+    if (result.success) {
+      console.log(chalk.green(`✅ ${result.message}`));
+    } else {
+      console.error(chalk.red(`❌ ${result.message}`));
+      process.exit(EXIT_CODES.error);
+    }
+  });
+
+// Advisory database commands
+program
+  .command('advisories <action> [sources...]')
+  .description('Manage the offline advisory database for dependency scanning (actions: import)')
+  .option('-p, --path <path>', 'Project path', './')
+  .option('-d, --database <file>', 'Advisory database file (default: .bp/advisories.json or advisoryDatabase in config)')
+  .action(async (action, sources, options) => {
+    if (action !== 'import') {
+      console.error(chalk.red(`❌ Unknown advisories action: ${action} (expected: import)`));
+      process.exit(EXIT_CODES.error);
+    }
+
+    console.log(chalk.blue('🛡️  Importing OSV advisories...'));
+
+    const result = await sdk.importAdvisories({ path: options.path, sources, database: options.database });
+
+    if (result.success) {
+      console.log(chalk.green(`✅ ${result.message}`));
+    } else {
+      console.error(chalk.red(`❌ ${result.message}`));
+      process.exit(EXIT_CODES.error);
+    }
+  });
+
+// Software bill of materials command
+program
+  .command('sbom')
+  .description('Write a software bill of materials from the lockfile and node_modules')
+  .option('-p, --path <path>', 'Project path', './')
+  .option('-f, --format <format>', 'SBOM format (cyclonedx, spdx)', 'cyclonedx')
+  .option('-o, --output <file>', 'Output file (default: ./sbom.cdx.json or ./sbom.spdx.json)')
+  .option('--no-dev', 'Leave devDependencies out')
+  .action(async (options) => {
+    const extension = options.format === 'spdx' ? '.spdx.json' : '.cdx.json';
+    console.log(chalk.blue('📦 Building software bill of materials...'));
+
+    const result = await sdk.sbom({
+      path: options.path,
+      format: options.format,
+      output: options.output || `./sbom${extension}`,
+      includeDev: options.dev ? undefined : false
+    });
+
+    if (result.success) {
+      console.log(chalk.green(`✅ ${result.message}`));
+    } else {
+      console.error(chalk.red(`❌ ${result.message}`));
+      process.exit(EXIT_CODES.error);
+    }
+  });
+
+// Environment variable contract command
+program
+  .command('env <action>')
+  .description('Check a .env file against .env.example or the env section of .bp-config.yml (actions: check)')
+  .option('-p, --path <path>', 'Project path', './')
+  .option('--file <file>', 'Env file to check, relative to the project', '.env')
+  .action(async (action, options) => {
+    if (action !== 'check') {
+      console.error(chalk.red(`❌ Unknown env action: ${action} (expected: check)`));
+      process.exit(EXIT_CODES.error);
+    }
+
+    console.log(chalk.blue(`🔑 Checking ${options.file}...`));
+
+    const result = await sdk.checkEnv({ path: options.path, file: options.file });
+    if (!result.success) {
+      console.error(chalk.red(`❌ ${result.message}`));
+      process.exit(EXIT_CODES.error);
     }
+
+    result.problems.forEach(problem => {
+      const color = problem.severity === 'low' ? chalk.yellow : chalk.red;
+      console.log(color(`  ${problem.severity === 'low' ? '⚠️ ' : '❌'} ${problem.message}`));
+    });
+    console.log(result.passed ? chalk.green(`✅ ${result.message}`) : chalk.red(`❌ ${result.message}`));
+    process.exit(result.passed ? EXIT_CODES.passed : EXIT_CODES.gateFailed);
   });
 
 // Audit project command
@@ -106,32 +385,75 @@ program
   .command('audit')
   .description('Generate comprehensive compliance audit report')
   .option('-p, --path <path>', 'Project path to audit', './')
-  .option('-o, --output <file>', 'Output file for audit report', './audit-report.json')
-  .option('-f, --format <format>', 'Report format (json, html, markdown)', 'json')
+  .option('-o, --output <file>', 'Output file for audit report (default: ./audit-report.<ext>)')
+  .option('-f, --format <format>', 'Report format (json, sarif, junit, checkstyle, html, markdown)', 'json')
+  .option('-r, --reporter <name[:file]>', 'Add a reporter (built-in name, plugin path or npm package); repeatable', collectReporter, [])
+  .option('--no-history', 'Don\'t record this audit in .bp/history.jsonl')
+  .option('--no-sbom', 'Don\'t attach a software bill of materials to the audit result')
+  .option('--explain-score', 'Show the deductions behind each standard\'s score', false)
+  .option('-g, --gates <set>', 'Quality gate set to enforce (default, merge, deployment, hotfix or one from config)', 'default')
   .action(async (options) => {
-    console.log(chalk.blue('📊 Generating audit report...'));
+    const quiet = reportsToStdout(options);
+    if (!quiet) {
+      console.log(chalk.blue('📊 Generating audit report...'));
+    }
     
     try {
+      // --no-history skips recording; otherwise `history` in .bp-config.yml decides
       const result = await sdk.audit({
         path: options.path,
-        output: options.output,
-        format: options.format
+        output: reportPath('audit', options),
+        format: options.format,
+        gates: options.gates,
+        history: options.history ? undefined : false,
+        sbom: options.sbom ? undefined : false
       });
+
+      if (result.error) {
+        console.error(chalk.red(`❌ Audit failed: ${result.error}`));
+        process.exit(EXIT_CODES.error);
+      }
+
+      const reportFiles = await writeReporters(result, options);
+      if (quiet) {
+        exitWithGates(result);
+      }
       
       console.log(chalk.yellow(`\n📈 Audit Results:`));
       console.log(`Overall Score: ${result.score}/100`);
       console.log(`Status: ${result.passed ? chalk.green('✅ PASSED') : chalk.red('❌ FAILED')}`);
       console.log(`Total Issues: ${result.issues.length}`);
+      printScoreExplanation(result, options);
+      printGateResults(result.gates);
       
       if (result.recommendations.length > 0) {
         console.log(chalk.blue('\n💡 Recommendations:'));
         result.recommendations.forEach(rec => console.log(`  • ${rec}`));
       }
       
-      console.log(chalk.gray(`\n📄 Audit report saved to: ${options.output}`));
+      console.log(chalk.gray(`\n📄 Audit report saved to: ${reportPath('audit', options)}`));
+      reportFiles.forEach(file => console.log(chalk.gray(`📄 Report saved to: ${file}`)));
+
+      exitWithGates(result);
     } catch (error) {
       console.error(chalk.red(`❌ Audit failed: ${error.message}`));
-      process.exit(1);
+      process.exit(EXIT_CODES.error);
+    }
+  });
+
+// Score trend command
+program
+  .command('trend')
+  .description('Show score trends from the audit history as sparklines')
+  .option('-p, --path <path>', 'Project path', './')
+  .option('-n, --limit <count>', 'Number of recent audits to show', '20')
+  .option('--html <file>', 'Also write the trend chart as an HTML page')
+  .action(async (options) => {
+    try {
+      await showTrend(options, sdk);
+    } catch (error) {
+      console.error(chalk.red(`❌ Trend failed: ${error.message}`));
+      process.exit(EXIT_CODES.error);
     }
   });
 
@@ -161,11 +483,11 @@ program
         }
       } else {
         console.error(chalk.red(`❌ ${result.message}`));
-        process.exit(1);
+        process.exit(EXIT_CODES.error);
       }
     } catch (error) {
       console.error(chalk.red(`❌ Documentation generation failed: ${error.message}`));
-      process.exit(1);
+      process.exit(EXIT_CODES.error);
     }
   });
 
@@ -186,7 +508,7 @@ program
 // Error handling for unknown commands
 program.on('command:*', () => {
   console.error(chalk.red('Invalid command: %s\nSee --help for a list of available commands.'), program.args.join(' '));
-  process.exit(1);
+  process.exit(EXIT_CODES.error);
 });
 
 // Parse command line arguments
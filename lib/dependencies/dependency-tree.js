@@ -0,0 +1,81 @@
+// The resolved dependency graph of a project as a lockfile records it. Packages are keyed by an
+// id that is unique per installed copy (an npm install location, or name@version for yarn and
+// pnpm); the project itself is the root with id ''.
+class DependencyTree {
+  constructor({ name = null, version = null, lockfile = null, type = null } = {}) {
+    this.lockfile = lockfile;
+    this.type = type;
+    this.root = { id: '', name, version, dependencies: new Map(), devDependencies: new Map() };
+    this.packages = new Map();
+    this._parents = new Map();
+  }
+
+  // Add a package once; later additions with the same id return the first one
+  addPackage({ id, name, version, ...details }) {
+    if (!this.packages.has(id)) {
+      this.packages.set(id, { id, name, version, dependencies: new Map(), dev: false, optional: false, line: 1, ...details });
+    }
+    return this.packages.get(id);
+  }
+
+  // Record that `from` depends on package `to` under `name`; `dev` only applies to the root
+  addDependency(from, name, to, { dev = false } = {}) {
+    const source = from === '' ? this.root : this.packages.get(from);
+    if (!source || !this.packages.has(to)) {
+      return;
+    }
+
+    const dependencies = from === '' && dev ? source.devDependencies : source.dependencies;
+    if (!dependencies.has(name)) {
+      dependencies.set(name, to);
+    }
+  }
+
+  // Derive the dev flag from what the root's production dependencies reach, and remember each
+  // package's shortest route from the root. Call once every package and edge is added.
+  resolve() {
+    const production = this._walk([...this.root.dependencies.values()]);
+    this._parents = this._walk([...this.root.dependencies.values(), ...this.root.devDependencies.values()]);
+
+    for (const pkg of this.packages.values()) {
+      // Packages nothing reaches keep the flag their lockfile gave them
+      if (this._parents.has(pkg.id)) {
+        pkg.dev = !production.has(pkg.id);
+      }
+    }
+    return this;
+  }
+
+  // Every installed package
+  list() {
+    return [...this.packages.values()];
+  }
+
+  // The chain from the project to a package, e.g. ['my-app', 'express@4.17.1', 'qs@6.7.0']
+  pathTo(id) {
+    const chain = [];
+    for (let current = id; current && this.packages.has(current); current = this._parents.get(current)) {
+      const pkg = this.packages.get(current);
+      chain.unshift(`${pkg.name}@${pkg.version}`);
+    }
+    return [this.root.name || '(root)', ...chain];
+  }
+
+  // Breadth-first walk from the given packages; maps each reached id to the id it was reached from
+  _walk(start) {
+    const parents = new Map(start.map(id => [id, '']));
+    const queue = [...parents.keys()];
+
+    for (let index = 0; index < queue.length; index++) {
+      for (const next of this.packages.get(queue[index]).dependencies.values()) {
+        if (!parents.has(next)) {
+          parents.set(next, queue[index]);
+          queue.push(next);
+        }
+      }
+    }
+    return parents;
+  }
+}
+
+module.exports = DependencyTree;
@@ -0,0 +1,153 @@
+const fs = require('fs-extra');
+const path = require('path');
+const LockfileParser = require('./lockfile-parser');
+
+// LICENSE, LICENCE.md, COPYING, LICENSE-MIT and the like
+const LICENSE_FILE_PATTERN = /^(?:licen[cs]e|copying)(?:[.-].*)?$/i;
+
+// Phrases that identify a license text, most specific first (LGPL before GPL, BSD-3 before BSD-2)
+const LICENSE_TEXTS = [
+  { license: 'AGPL-3.0-only', pattern: /GNU AFFERO GENERAL PUBLIC LICENSE Version 3/i },
+  { license: 'LGPL-3.0-only', pattern: /GNU LESSER GENERAL PUBLIC LICENSE Version 3/i },
+  { license: 'LGPL-2.1-only', pattern: /GNU LESSER GENERAL PUBLIC LICENSE Version 2\.1/i },
+  { license: 'GPL-3.0-only', pattern: /GNU GENERAL PUBLIC LICENSE Version 3/i },
+  { license: 'GPL-2.0-only', pattern: /GNU GENERAL PUBLIC LICENSE Version 2/i },
+  { license: 'MPL-2.0', pattern: /Mozilla Public License,? (?:Version|v\.) ?2\.0/i },
+  { license: 'Apache-2.0', pattern: /Apache License,? Version 2\.0/i },
+  { license: 'ISC', pattern: /Permission to use, copy, modify, and\/or distribute this software for any purpose with or without fee/i },
+  { license: 'MIT', pattern: /Permission is hereby granted, free of charge, to any person obtaining a copy/i },
+  { license: 'BSD-3-Clause', pattern: /Redistribution and use in source and binary forms.*Neither the name/i },
+  { license: 'BSD-2-Clause', pattern: /Redistribution and use in source and binary forms/i },
+  { license: 'Unlicense', pattern: /This is free and unencumbered software released into the public domain/i },
+  { license: 'CC0-1.0', pattern: /CC0 1\.0 Universal/i }
+];
+
+// Reads the packages installed in a project's node_modules into a DependencyTree, without network
+// access. Directories are read the way npm and yarn classic lay them out: hoisted, with nested
+// node_modules for conflicting versions. Each package carries the license its package.json
+// declares, or the one its LICENSE file contains when it declares none.
+class InstalledPackages {
+  // The tree of installed packages, or null when the project has no node_modules
+  static async load(projectPath) {
+    const modulesPath = path.join(projectPath, 'node_modules');
+    if (!(await fs.pathExists(modulesPath))) {
+      return null;
+    }
+
+    const manifest = (await readManifest(projectPath)) || {};
+    const packages = {};
+    await readModules(projectPath, 'node_modules', packages);
+
+    return LockfileParser.fromPackages(packages, manifest, { file: modulesPath, type: 'node_modules' });
+  }
+
+  // The license of a package directory: { license, source } where source is 'package.json', the
+  // license file it was recognized from, or null when there is no license to be found
+  static async detectLicense(manifest, directory) {
+    const declared = declaredLicense(manifest);
+    const reference = declared && /^SEE LICEN[CS]E IN (.+)$/i.exec(declared);
+    if (declared && !reference) {
+      return { license: declared, source: 'package.json' };
+    }
+
+    // "SEE LICENSE IN <file>" names a custom license, unless the file holds a known one
+    const file = reference ? reference[1].trim() : await findLicenseFile(directory);
+    const recognized = file ? await recognizeLicense(path.join(directory, file)) : null;
+    if (recognized) {
+      return { license: recognized, source: file };
+    }
+    if (reference) {
+      return { license: `LicenseRef-${file.replace(/[^A-Za-z0-9.-]/g, '-')}`, source: 'package.json' };
+    }
+    return { license: null, source: null };
+  }
+}
+
+// Read every package under a node_modules location, recursing into nested node_modules
+async function readModules(projectPath, location, packages) {
+  for (const name of await packageNames(path.join(projectPath, location))) {
+    const packageLocation = `${location}/${name}`;
+    const directory = path.join(projectPath, packageLocation);
+    const manifest = await readManifest(directory);
+    if (!manifest) {
+      continue;
+    }
+
+    const { license, source } = await InstalledPackages.detectLicense(manifest, directory);
+    packages[packageLocation] = {
+      name: manifest.name || name,
+      version: manifest.version,
+      license,
+      licenseSource: source,
+      dependencies: manifest.dependencies,
+      optionalDependencies: manifest.optionalDependencies,
+      peerDependencies: manifest.peerDependencies
+    };
+
+    // Linked packages (workspaces, npm link) are not descended into, so links back to the project can't loop
+    const nested = path.join(directory, 'node_modules');
+    if (!(await fs.lstat(directory)).isSymbolicLink() && (await fs.pathExists(nested))) {
+      await readModules(projectPath, `${packageLocation}/node_modules`, packages);
+    }
+  }
+}
+
+// Package directory names in a node_modules directory, with scoped packages as "@scope/name"
+async function packageNames(directory) {
+  const names = [];
+
+  for (const entry of await fs.readdir(directory)) {
+    if (entry.startsWith('.')) {
+      continue;
+    }
+    if (entry.startsWith('@')) {
+      const scoped = await fs.readdir(path.join(directory, entry));
+      names.push(...scoped.filter(name => !name.startsWith('.')).map(name => `${entry}/${name}`));
+    } else {
+      names.push(entry);
+    }
+  }
+  return names.sort();
+}
+
+// A directory's package.json, or null when it has none that parses
+async function readManifest(directory) {
+  try {
+    return await fs.readJson(path.join(directory, 'package.json'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// The license a package.json declares: `license` as a string or legacy { type } object, or the
+// legacy `licenses` array as an OR of its entries
+function declaredLicense(manifest) {
+  const typeOf = entry => (entry && typeof entry === 'object' ? entry.type : entry);
+  if (manifest.license) {
+    return typeOf(manifest.license) || null;
+  }
+
+  const licenses = (Array.isArray(manifest.licenses) ? manifest.licenses : []).map(typeOf).filter(Boolean);
+  return licenses.length > 1 ? `(${licenses.join(' OR ')})` : licenses[0] || null;
+}
+
+// The first license file in a package directory
+async function findLicenseFile(directory) {
+  const entries = await fs.readdir(directory);
+  return entries.sort().find(entry => LICENSE_FILE_PATTERN.test(entry)) || null;
+}
+
+// The SPDX id of a license text, or null when it isn't one of the common ones
+async function recognizeLicense(file) {
+  let text;
+  try {
+    text = (await fs.readFile(file, 'utf8')).replace(/\s+/g, ' ');
+  } catch (error) {
+    return null;
+  }
+
+  const match = LICENSE_TEXTS.find(({ pattern }) => pattern.test(text));
+  return match ? match.license : null;
+}
+
+module.exports = InstalledPackages;
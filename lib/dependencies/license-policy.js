@@ -0,0 +1,118 @@
+const { parseExpression, licenseIds, satisfies, formatExpression } = require('./spdx');
+
+// License categories from least to most restrictive; an expression falls in the most
+// restrictive category it can't avoid
+const CATEGORY_ORDER = ['public-domain', 'permissive', 'weak-copyleft', 'strong-copyleft', 'network-copyleft', 'proprietary', 'unknown'];
+
+const CATEGORY_LICENSES = {
+  'public-domain': ['0BSD', 'CC0-1.0', 'Unlicense', 'WTFPL'],
+  permissive: [
+    'AFL-2.1', 'AFL-3.0', 'Apache-1.1', 'Apache-2.0', 'Artistic-2.0', 'BlueOak-1.0.0', 'BSD-2-Clause', 'BSD-3-Clause',
+    'BSD-4-Clause', 'BSL-1.0', 'CC-BY-3.0', 'CC-BY-4.0', 'ISC', 'MIT', 'MIT-0', 'PSF-2.0', 'Python-2.0', 'UPL-1.0',
+    'X11', 'Zlib'
+  ],
+  'weak-copyleft': [
+    'CC-BY-SA-4.0', 'CDDL-1.0', 'CDDL-1.1', 'EPL-1.0', 'EPL-2.0', 'LGPL-2.0-only', 'LGPL-2.0-or-later', 'LGPL-2.1-only',
+    'LGPL-2.1-or-later', 'LGPL-3.0-only', 'LGPL-3.0-or-later', 'MPL-1.1', 'MPL-2.0', 'ODbL-1.0', 'OFL-1.1'
+  ],
+  'strong-copyleft': ['EUPL-1.2', 'GPL-2.0-only', 'GPL-2.0-or-later', 'GPL-3.0-only', 'GPL-3.0-or-later'],
+  'network-copyleft': ['AGPL-3.0-only', 'AGPL-3.0-or-later', 'SSPL-1.0'],
+  proprietary: ['UNLICENSED']
+};
+
+const CATEGORY_OF = new Map(Object.entries(CATEGORY_LICENSES).flatMap(([category, ids]) => ids.map(id => [id, category])));
+
+// How a category reads in messages
+const CATEGORY_NAMES = {
+  'public-domain': 'public domain',
+  permissive: 'permissive',
+  'weak-copyleft': 'weak copyleft',
+  'strong-copyleft': 'strong copyleft',
+  'network-copyleft': 'network copyleft',
+  proprietary: 'proprietary',
+  unknown: 'unrecognized'
+};
+
+// Category of a license id; custom LicenseRef-* licenses count as proprietary
+function licenseCategory(id) {
+  if (CATEGORY_OF.has(id)) {
+    return CATEGORY_OF.get(id);
+  }
+  return id.startsWith('LicenseRef-') ? 'proprietary' : 'unknown';
+}
+
+// The category an expression falls in: the least restrictive alternative of an OR and the most
+// restrictive part of an AND
+function expressionCategory(tree) {
+  if (!tree.terms) {
+    return licenseCategory(tree.license);
+  }
+
+  const ranks = tree.terms.map(term => CATEGORY_ORDER.indexOf(expressionCategory(term)));
+  return CATEGORY_ORDER[tree.conjunction === 'or' ? Math.min(...ranks) : Math.max(...ranks)];
+}
+
+// Turn a policy entry into a test on license ids: an id, a category or a glob such as "GPL-*"
+function entryMatcher(entry) {
+  const text = String(entry);
+  if (CATEGORY_ORDER.includes(text)) {
+    return id => licenseCategory(id) === text;
+  }
+
+  const pattern = new RegExp(`^${text.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i');
+  return id => pattern.test(id);
+}
+
+// Which dependency licenses a project accepts, from `standards.license` in .bp-config.yml:
+// - allow: when not empty, only these licenses are accepted
+// - deny: licenses never accepted, even when `allow` matches them
+// - ignore: packages exempt from the policy, by name or name@version
+// Entries name SPDX ids, globs ("GPL-*") or categories ("strong-copyleft"). An expression is
+// accepted when the licenses it leaves a choice between include accepted ones.
+class LicensePolicy {
+  constructor({ allow = [], deny = [], ignore = [] } = {}) {
+    this.allow = allow.map(entryMatcher);
+    this.deny = deny.map(entryMatcher);
+    this.ignore = new Set(ignore);
+  }
+
+  // Whether a package is exempt from the policy
+  ignores(pkg) {
+    return this.ignore.has(pkg.name) || this.ignore.has(`${pkg.name}@${pkg.version}`);
+  }
+
+  // Whether a single license id is accepted
+  accepts(id) {
+    if (this.deny.some(matches => matches(id))) {
+      return false;
+    }
+    return this.allow.length === 0 || this.allow.some(matches => matches(id));
+  }
+
+  // The verdict on a declared license: { status, expression, licenses, category }, where status is
+  // 'allowed', 'denied' (a denied license can't be avoided), 'not-allowed' (the allow list leaves
+  // no way to comply) or 'unknown' (missing, or not an SPDX expression)
+  evaluate(license) {
+    let tree;
+    try {
+      tree = parseExpression(license || '');
+    } catch (error) {
+      return { status: 'unknown', expression: license || null, licenses: [], category: 'unknown', error: error.message };
+    }
+
+    const verdict = { expression: formatExpression(tree), licenses: licenseIds(tree), category: expressionCategory(tree) };
+    if (satisfies(tree, id => this.accepts(id))) {
+      return { status: 'allowed', ...verdict };
+    }
+
+    // Denied when the deny list alone rules the expression out; otherwise the allow list did
+    const notDenied = id => !this.deny.some(matches => matches(id));
+    return { status: satisfies(tree, notDenied) ? 'not-allowed' : 'denied', ...verdict };
+  }
+}
+
+LicensePolicy.CATEGORIES = CATEGORY_ORDER;
+LicensePolicy.CATEGORY_NAMES = CATEGORY_NAMES;
+LicensePolicy.licenseCategory = licenseCategory;
+
+module.exports = LicensePolicy;
@@ -0,0 +1,378 @@
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('yaml');
+const DependencyTree = require('./dependency-tree');
+
+// Lockfiles in the order they are looked for; npm-shrinkwrap.json wins over package-lock.json like it does for npm
+const LOCKFILES = [
+  { file: 'npm-shrinkwrap.json', type: 'npm' },
+  { file: 'package-lock.json', type: 'npm' },
+  { file: 'pnpm-lock.yaml', type: 'pnpm' },
+  { file: 'yarn.lock', type: 'yarn' }
+];
+
+const DEPENDENCY_GROUPS = ['dependencies', 'optionalDependencies'];
+
+// Reads the dependency tree a project's lockfile pins, without node_modules or network access.
+// Supports package-lock.json / npm-shrinkwrap.json v1-v3, yarn.lock (classic and berry) and
+// pnpm-lock.yaml v5-v9.
+class LockfileParser {
+  // The project's lockfile as { file, type }, or null when it has none
+  static async find(projectPath) {
+    for (const lockfile of LOCKFILES) {
+      const file = path.join(projectPath, lockfile.file);
+      if (await fs.pathExists(file)) {
+        return { file, type: lockfile.type };
+      }
+    }
+    return null;
+  }
+
+  // The project's dependency tree, or null when it has no lockfile
+  static async load(projectPath) {
+    const lockfile = await LockfileParser.find(projectPath);
+    if (!lockfile) {
+      return null;
+    }
+
+    const manifestPath = path.join(projectPath, 'package.json');
+    const manifest = (await fs.pathExists(manifestPath)) ? await fs.readJson(manifestPath) : {};
+    const content = await fs.readFile(lockfile.file, 'utf8');
+
+    try {
+      return LockfileParser.parse(lockfile.type, content, manifest, lockfile.file);
+    } catch (error) {
+      throw new Error(`Cannot parse ${path.basename(lockfile.file)}: ${error.message}`);
+    }
+  }
+
+  // Parse lockfile content of a type (npm, yarn or pnpm); `manifest` is the project's package.json
+  static parse(type, content, manifest = {}, file = null) {
+    const parsers = { npm: parseNpmLock, yarn: parseYarnLock, pnpm: parsePnpmLock };
+    if (!parsers[type]) {
+      throw new Error(`Unknown lockfile type "${type}"`);
+    }
+
+    const tree = new DependencyTree({ name: manifest.name, version: manifest.version, lockfile: file, type });
+    parsers[type](content, manifest, tree);
+    return tree.resolve();
+  }
+
+  // A tree from npm install locations ({ 'node_modules/qs': { name, version, dependencies } }), the
+  // shape package-lock.json v2+ records and InstalledPackages reads from node_modules
+  static fromPackages(packages, manifest = {}, { file = null, type = 'npm' } = {}) {
+    const tree = new DependencyTree({ name: manifest.name, version: manifest.version, lockfile: file, type });
+    parseNpmPackages({ ...packages, '': manifest }, tree, new Map());
+    return tree.resolve();
+  }
+}
+
+// package-lock.json: v2/v3 list every install location under `packages`; v1 only has the nested `dependencies`
+function parseNpmLock(content, manifest, tree) {
+  const lock = JSON.parse(content);
+  const lines = lineIndex(content, /^\s*"([^"]+)": \{$/);
+
+  if (lock.packages) {
+    parseNpmPackages(lock.packages, tree, lines);
+  } else {
+    parseNpmPackages(npmPackagesFromV1(lock, manifest), tree, lines);
+  }
+  tree.root.name = tree.root.name || lock.name;
+  tree.root.version = tree.root.version || lock.version;
+}
+
+// Add every install location, then link each dependency to the copy Node would resolve
+function parseNpmPackages(packages, tree, lines) {
+  for (const [location, entry] of Object.entries(packages)) {
+    if (location !== '' && !entry.link) {
+      tree.addPackage(npmPackage(location, entry, lines));
+    }
+  }
+
+  for (const [location, entry] of Object.entries(packages)) {
+    if (!entry.link) {
+      linkNpmDependencies(packages, location, entry, tree);
+    }
+  }
+}
+
+// The tree package for an install location
+function npmPackage(location, entry, lines) {
+  return {
+    id: location,
+    name: entry.name || location.slice(location.lastIndexOf('node_modules/') + 'node_modules/'.length),
+    version: entry.version,
+    resolved: entry.resolved || null,
+    integrity: entry.integrity || null,
+    license: entry.license || null,
+    ...(entry.licenseSource !== undefined ? { licenseSource: entry.licenseSource } : {}),
+    dev: Boolean(entry.dev || entry.devOptional),
+    optional: Boolean(entry.optional),
+    line: lines.get(entry.lineKey || location) || 1
+  };
+}
+
+// Link an install location's dependencies; workspace links point at the location of the linked package
+function linkNpmDependencies(packages, location, entry, tree) {
+  // Only the root's (and workspaces') devDependencies are installed
+  const groups = [...DEPENDENCY_GROUPS, 'peerDependencies', ...(location.includes('node_modules/') ? [] : ['devDependencies'])];
+
+  for (const group of groups) {
+    for (const name of Object.keys(entry[group] || {})) {
+      const found = resolveLocation(packages, location, name);
+      if (found) {
+        tree.addDependency(location, name, packages[found].link ? packages[found].resolved : found, { dev: group === 'devDependencies' });
+      }
+    }
+  }
+}
+
+// The location Node's module resolution finds `name` at from `location`: its own node_modules, then each parent's
+function resolveLocation(packages, location, name) {
+  for (let base = location; ; base = base.includes('/node_modules/') ? base.slice(0, base.lastIndexOf('/node_modules/')) : '') {
+    const candidate = base ? `${base}/node_modules/${name}` : `node_modules/${name}`;
+    if (packages[candidate]) {
+      return candidate;
+    }
+    if (!base) {
+      return null;
+    }
+  }
+}
+
+// Turn a v1 lockfile's nested `dependencies` into v2-style install locations
+function npmPackagesFromV1(lock, manifest) {
+  const packages = {
+    '': {
+      dependencies: manifest.dependencies || {},
+      optionalDependencies: manifest.optionalDependencies || {},
+      devDependencies: manifest.devDependencies || {}
+    }
+  };
+
+  const visit = (dependencies, parent) => {
+    for (const [name, entry] of Object.entries(dependencies || {})) {
+      const location = `${parent ? `${parent}/` : ''}node_modules/${name}`;
+      packages[location] = { ...entry, name, dependencies: entry.requires || {}, lineKey: name };
+      visit(entry.dependencies, location);
+    }
+  };
+  visit(lock.dependencies, '');
+
+  // Without package.json, the top-level entries are the root's dependencies
+  if (!manifest.dependencies && !manifest.devDependencies) {
+    for (const [name, entry] of Object.entries(lock.dependencies || {})) {
+      packages[''][entry.dev ? 'devDependencies' : 'dependencies'][name] = entry.version;
+    }
+  }
+  return packages;
+}
+
+// yarn.lock: classic (v1) has its own format, berry (v2+) is YAML with a __metadata entry
+function parseYarnLock(content, manifest, tree) {
+  const berry = /^__metadata:/m.test(content);
+  const entries = berry ? yarnBerryEntries(content) : yarnClassicEntries(content);
+  const root = entries.find(entry => entry.descriptors.some(descriptor => descriptor.endsWith('@workspace:.')));
+  const packages = entries.filter(entry => entry !== root);
+  const byDescriptor = new Map();
+
+  for (const entry of packages) {
+    const pkg = tree.addPackage(yarnPackage(entry));
+    entry.descriptors.forEach(descriptor => byDescriptor.set(descriptor, pkg.id));
+  }
+
+  const lookup = (name, range) => byDescriptor.get(`${name}@${range}`) || byDescriptor.get(`${name}@npm:${range}`);
+
+  for (const entry of packages) {
+    for (const [name, range] of Object.entries(entry.dependencies)) {
+      tree.addDependency(byDescriptor.get(entry.descriptors[0]), name, lookup(name, range));
+    }
+  }
+
+  linkYarnRoot(tree, root, manifest, lookup);
+}
+
+// Link the root's dependencies. They come from package.json; berry also lists them on the root
+// workspace, without telling dev dependencies apart.
+function linkYarnRoot(tree, root, manifest, lookup) {
+  const rootDependencies = root ? root.dependencies : { ...manifest.optionalDependencies, ...manifest.dependencies };
+  const devDependencies = manifest.devDependencies || {};
+  const production = manifest.dependencies || {};
+
+  for (const [name, range] of Object.entries({ ...devDependencies, ...rootDependencies })) {
+    const dev = name in devDependencies && !(name in production);
+    tree.addDependency('', name, lookup(name, range) || lookup(name, devDependencies[name]), { dev });
+  }
+}
+
+// The tree package for a yarn.lock entry; workspaces keep their descriptor as id
+function yarnPackage(entry) {
+  const name = descriptorName(entry.descriptors[0]);
+  const workspace = entry.descriptors.some(descriptor => descriptor.includes('@workspace:'));
+
+  return {
+    id: workspace ? entry.descriptors[0] : `${name}@${entry.version}`,
+    name,
+    version: entry.version,
+    resolved: entry.resolved || entry.resolution || null,
+    integrity: entry.integrity || entry.checksum || null,
+    workspace,
+    line: entry.line
+  };
+}
+
+// Entries of a classic yarn.lock: `"a@^1.0.0", a@^1.1.0:` headers with indented fields
+function yarnClassicEntries(content) {
+  const entries = [];
+  let entry = null;
+  let section = null;
+
+  content.split('\n').forEach((line, index) => {
+    const text = line.trim();
+    const indent = line.length - line.trimStart().length;
+    if (!text || text.startsWith('#')) {
+      return;
+    }
+
+    if (indent === 0) {
+      entry = { descriptors: text.replace(/:$/, '').split(/,\s*/).map(unquote), dependencies: {}, line: index + 1 };
+      entries.push(entry);
+    } else if (entry && indent <= 2) {
+      section = text.endsWith(':') ? text.slice(0, -1) : null;
+      if (!section) {
+        const [key, value] = splitYarnPair(text);
+        entry[key] = value;
+      }
+    } else if (entry && DEPENDENCY_GROUPS.includes(section)) {
+      const [name, range] = splitYarnPair(text);
+      entry.dependencies[name] = range;
+    }
+  });
+  return entries;
+}
+
+// Entries of a berry yarn.lock, which is YAML keyed by comma-separated descriptors
+function yarnBerryEntries(content) {
+  const lines = lineIndex(content, /^"?([^\s"][^"]*?)"?:$/);
+
+  return Object.entries(yaml.parse(content))
+    .filter(([key]) => key !== '__metadata')
+    .map(([key, entry]) => ({
+      ...entry,
+      descriptors: key.split(/,\s*/),
+      dependencies: { ...entry.optionalDependencies, ...entry.dependencies },
+      line: lines.get(key) || 1
+    }));
+}
+
+// pnpm-lock.yaml: `importers` (or the top level before workspaces) hold the root's dependencies; package
+// keys are `/name/1.0.0` (v5), `/name@1.0.0` (v6) or `name@1.0.0` with dependencies under `snapshots` (v9)
+function parsePnpmLock(content, manifest, tree) {
+  const lock = yaml.parse(content);
+  const legacy = parseFloat(lock.lockfileVersion) < 6;
+  const snapshots = lock.snapshots || lock.packages || {};
+  const lines = lineIndex(content, /^ {2}'?([^\s'][^']*?)'?:$/);
+  const ids = new Map();
+
+  for (const [key, snapshot] of Object.entries(snapshots)) {
+    ids.set(key, tree.addPackage(pnpmPackage(key, snapshot, lock.packages || {}, legacy, lines)).id);
+  }
+
+  for (const [key, snapshot] of Object.entries(snapshots)) {
+    const dependencies = DEPENDENCY_GROUPS.flatMap(group => Object.entries(snapshot[group] || {}));
+    for (const [name, reference] of dependencies) {
+      tree.addDependency(ids.get(key), name, pnpmReference(name, reference, legacy));
+    }
+  }
+
+  linkPnpmImporters(lock, tree, legacy);
+}
+
+// Link the root's dependencies; every workspace project's dependencies count as the root's
+function linkPnpmImporters(lock, tree, legacy) {
+  const importers = lock.importers ? Object.values(lock.importers) : [lock];
+
+  for (const importer of importers) {
+    for (const group of [...DEPENDENCY_GROUPS, 'devDependencies']) {
+      for (const [name, reference] of Object.entries(importer[group] || {})) {
+        tree.addDependency('', name, pnpmReference(name, reference, legacy), { dev: group === 'devDependencies' });
+      }
+    }
+  }
+}
+
+// The tree package for a pnpm snapshot; v9 keeps the resolution under `packages` without the peer suffix
+function pnpmPackage(key, snapshot, metadata, legacy, lines) {
+  const { name, version } = pnpmPackageKey(key, legacy);
+  const meta = { ...snapshot, ...(metadata[key] || metadata[`${name}@${version}`]) };
+  const resolution = meta.resolution || {};
+
+  return {
+    id: `${name}@${version}`,
+    name,
+    version,
+    resolved: resolution.tarball || null,
+    integrity: resolution.integrity || null,
+    dev: Boolean(meta.dev),
+    optional: Boolean(meta.optional),
+    line: lines.get(key) || 1
+  };
+}
+
+// Name and version from a pnpm package key, without the peer dependency suffix
+function pnpmPackageKey(key, legacy) {
+  const bare = key.replace(/^\//, '').replace(/\(.*$/, '');
+  if (legacy) {
+    const slash = bare.lastIndexOf('/');
+    return { name: bare.slice(0, slash), version: bare.slice(slash + 1).replace(/_.*$/, '') };
+  }
+
+  const at = bare.lastIndexOf('@');
+  return { name: bare.slice(0, at), version: bare.slice(at + 1) };
+}
+
+// The package id a pnpm dependency reference points at: a version, or a key for aliased packages.
+// Workspace links (link:) have no package entry.
+function pnpmReference(name, reference, legacy) {
+  const value = typeof reference === 'object' && reference !== null ? reference.version : String(reference);
+  if (/^(?:link|file|workspace):/.test(value)) {
+    return null;
+  }
+
+  const bare = value.replace(/\(.*$/, '');
+  const aliased = bare.startsWith('/') || (!legacy && bare.lastIndexOf('@') > 0);
+  const { name: target, version } = aliased ? pnpmPackageKey(bare, legacy) : { name, version: bare.replace(/_.*$/, '') };
+  return `${target}@${version}`;
+}
+
+// The package name in a descriptor such as `@scope/name@^1.0.0` or `name@npm:1.0.0`
+function descriptorName(descriptor) {
+  return descriptor.slice(0, descriptor.indexOf('@', 1));
+}
+
+// Split a classic yarn.lock `key value` pair, either side optionally quoted
+function splitYarnPair(text) {
+  const match = /^("[^"]*"|\S+)\s+(.*)$/.exec(text);
+  return match ? [unquote(match[1]), unquote(match[2])] : [unquote(text), ''];
+}
+
+// Strip surrounding double quotes
+function unquote(value) {
+  return value.replace(/^"(.*)"$/, '$1');
+}
+
+// Map each key a line pattern captures to the line it first appears on, so findings can point into the lockfile
+function lineIndex(content, pattern) {
+  const lines = new Map();
+  content.split('\n').forEach((line, index) => {
+    const match = pattern.exec(line);
+    if (match && !lines.has(match[1])) {
+      lines.set(match[1], index + 1);
+    }
+  });
+  return lines;
+}
+
+LockfileParser.LOCKFILES = LOCKFILES;
+
+module.exports = LockfileParser;
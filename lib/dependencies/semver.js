@@ -0,0 +1,70 @@
+// Just enough semver to order the exact versions lockfiles pin and the versions OSV advisories
+// name. Ranges are not needed: lockfiles have already resolved them.
+
+const VERSION_PATTERN = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+// { major, minor, patch, prerelease } for a version string, or null when it isn't one
+function parseVersion(version) {
+  const match = VERSION_PATTERN.exec(String(version).trim());
+  if (!match) {
+    return null;
+  }
+
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2] || 0),
+    patch: Number(match[3] || 0),
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+}
+
+// Compare prerelease identifiers: a release sorts after its prereleases, numbers before words
+function comparePrerelease(first, second) {
+  if (first.length === 0 || second.length === 0) {
+    return second.length - first.length;
+  }
+
+  for (let index = 0; index < Math.max(first.length, second.length); index++) {
+    // A shorter list of otherwise equal identifiers sorts first
+    if (first[index] === undefined || second[index] === undefined) {
+      return first[index] === undefined ? -1 : 1;
+    }
+    const order = compareIdentifiers(first[index], second[index]);
+    if (order !== 0) {
+      return order;
+    }
+  }
+  return 0;
+}
+
+// Compare two prerelease identifiers: numerically when both are numbers, which sort before words
+function compareIdentifiers(first, second) {
+  const [firstNumeric, secondNumeric] = [first, second].map(part => /^\d+$/.test(part));
+  if (firstNumeric && secondNumeric) {
+    return Number(first) - Number(second);
+  }
+  if (firstNumeric !== secondNumeric) {
+    return firstNumeric ? -1 : 1;
+  }
+  if (first === second) {
+    return 0;
+  }
+  return first < second ? -1 : 1;
+}
+
+// Negative, zero or positive as `first` sorts before, with or after `second`. Versions that
+// don't parse sort before every version that does, so they never look fixed.
+function compareVersions(first, second) {
+  const [left, right] = [parseVersion(first), parseVersion(second)];
+  if (!left || !right) {
+    return Number(Boolean(left)) - Number(Boolean(right));
+  }
+
+  return Math.sign(left.major - right.major || left.minor - right.minor || left.patch - right.patch ||
+    comparePrerelease(left.prerelease, right.prerelease));
+}
+
+module.exports = {
+  parseVersion,
+  compareVersions
+};
@@ -0,0 +1,158 @@
+// Just enough SPDX to read the license expressions packages declare ("MIT", "(MIT OR Apache-2.0)",
+// "GPL-2.0-or-later WITH Classpath-exception-2.0") and the loose names older packages use instead.
+
+// Ids in the canonical case SPDX lists them in, for the licenses npm packages commonly use
+const KNOWN_LICENSES = [
+  '0BSD', 'AFL-2.1', 'AFL-3.0', 'AGPL-3.0-only', 'AGPL-3.0-or-later', 'Apache-1.1', 'Apache-2.0', 'Artistic-2.0',
+  'BlueOak-1.0.0', 'BSD-2-Clause', 'BSD-3-Clause', 'BSD-4-Clause', 'BSL-1.0', 'CC-BY-3.0', 'CC-BY-4.0',
+  'CC-BY-SA-4.0', 'CC0-1.0', 'CDDL-1.0', 'CDDL-1.1', 'EPL-1.0', 'EPL-2.0', 'EUPL-1.2', 'GPL-2.0-only',
+  'GPL-2.0-or-later', 'GPL-3.0-only', 'GPL-3.0-or-later', 'ISC', 'LGPL-2.0-only', 'LGPL-2.0-or-later',
+  'LGPL-2.1-only', 'LGPL-2.1-or-later', 'LGPL-3.0-only', 'LGPL-3.0-or-later', 'MIT', 'MIT-0', 'MPL-1.1',
+  'MPL-2.0', 'ODbL-1.0', 'OFL-1.1', 'PSF-2.0', 'Python-2.0', 'SSPL-1.0', 'Unlicense', 'UPL-1.0', 'WTFPL',
+  'X11', 'Zlib'
+];
+
+// Deprecated ids and loose names mapped to their SPDX ids, keyed in lower case
+const ALIASES = {
+  'apache 2.0': 'Apache-2.0',
+  'apache 2': 'Apache-2.0',
+  'apache-2': 'Apache-2.0',
+  apache2: 'Apache-2.0',
+  'apache license 2.0': 'Apache-2.0',
+  'apache license, version 2.0': 'Apache-2.0',
+  'mit/x11': 'MIT',
+  'mit license': 'MIT',
+  'new bsd': 'BSD-3-Clause',
+  'simplified bsd': 'BSD-2-Clause',
+  'gpl-2.0': 'GPL-2.0-only',
+  'gpl-3.0': 'GPL-3.0-only',
+  gplv2: 'GPL-2.0-only',
+  gplv3: 'GPL-3.0-only',
+  'lgpl-2.0': 'LGPL-2.0-only',
+  'lgpl-2.1': 'LGPL-2.1-only',
+  'lgpl-3.0': 'LGPL-3.0-only',
+  'agpl-3.0': 'AGPL-3.0-only',
+  'public domain': 'Unlicense'
+};
+
+const CANONICAL = new Map([...KNOWN_LICENSES, 'UNLICENSED'].map(id => [id.toLowerCase(), id]));
+
+// The SPDX id for a license name, in canonical case; "GPL-2.0+" is "GPL-2.0-or-later". Names
+// SPDX doesn't know are returned unchanged.
+function normalizeLicense(name) {
+  const trimmed = String(name).trim();
+  const lower = trimmed.toLowerCase();
+  if (lower.endsWith('+') && /^(?:a|l)?gpl-/.test(lower)) {
+    return normalizeLicense(`${trimmed.slice(0, -1).replace(/-only$/i, '')}-or-later`);
+  }
+  return ALIASES[lower] || CANONICAL.get(lower) || trimmed;
+}
+
+// Whether an id is on the SPDX license list (in canonical case); UNLICENSED is npm's, not SPDX's
+function isKnownLicense(id) {
+  return id !== 'UNLICENSED' && CANONICAL.get(String(id).toLowerCase()) === id;
+}
+
+// Split an expression into parentheses and words
+function tokenize(expression) {
+  return String(expression).match(/\(|\)|[^\s()]+/g) || [];
+}
+
+// Parse an SPDX expression into a tree of { license, exception } leaves and { conjunction, terms }
+// nodes, where conjunction is 'and' or 'or'. A single loose name ("Apache 2.0") is accepted too.
+// Throws on anything else.
+function parseExpression(expression) {
+  const alias = ALIASES[String(expression).trim().toLowerCase()];
+  if (alias) {
+    return { license: alias, exception: null };
+  }
+
+  const tokens = tokenize(expression);
+  const state = { tokens, index: 0 };
+  if (tokens.length === 0) {
+    throw new Error('empty license expression');
+  }
+
+  const tree = parseConjunction(state, 'or');
+  if (state.index < tokens.length) {
+    throw new Error(`unexpected "${tokens[state.index]}" in license expression`);
+  }
+  return tree;
+}
+
+// Terms joined by OR, or by AND (which binds tighter)
+function parseConjunction(state, conjunction) {
+  const parseTerm = conjunction === 'or' ? () => parseConjunction(state, 'and') : () => parseLicense(state);
+  const terms = [parseTerm()];
+
+  while (isKeyword(state.tokens[state.index], conjunction)) {
+    state.index++;
+    terms.push(parseTerm());
+  }
+  return terms.length === 1 ? terms[0] : { conjunction, terms };
+}
+
+// A parenthesized expression, or a license with an optional WITH exception
+function parseLicense(state) {
+  const token = state.tokens[state.index++];
+  if (token === '(') {
+    const inner = parseConjunction(state, 'or');
+    if (state.tokens[state.index++] !== ')') {
+      throw new Error('missing ")" in license expression');
+    }
+    return inner;
+  }
+  if (!token || token === ')' || ['and', 'or', 'with'].some(keyword => isKeyword(token, keyword))) {
+    throw new Error(`expected a license${token ? ` instead of "${token}"` : ''}`);
+  }
+
+  if (!isKeyword(state.tokens[state.index], 'with')) {
+    return { license: normalizeLicense(token), exception: null };
+  }
+  const exception = state.tokens[state.index + 1];
+  state.index += 2;
+  if (!exception) {
+    throw new Error('missing exception after WITH');
+  }
+  return { license: normalizeLicense(token), exception };
+}
+
+// Whether a token is an expression keyword; SPDX allows them in any case
+function isKeyword(token, keyword) {
+  return typeof token === 'string' && token.toLowerCase() === keyword;
+}
+
+// Every license id an expression names
+function licenseIds(tree) {
+  return tree.terms ? [...new Set(tree.terms.flatMap(licenseIds))] : [tree.license];
+}
+
+// Whether an expression can be complied with using only licenses `isAllowed` accepts: one
+// alternative of an OR, and every part of an AND
+function satisfies(tree, isAllowed) {
+  if (tree.conjunction === 'or') {
+    return tree.terms.some(term => satisfies(term, isAllowed));
+  }
+  if (tree.conjunction === 'and') {
+    return tree.terms.every(term => satisfies(term, isAllowed));
+  }
+  return isAllowed(tree.license);
+}
+
+// An expression in canonical form, e.g. "MIT OR (Apache-2.0 AND BSD-3-Clause)"
+function formatExpression(tree, nested = false) {
+  if (!tree.terms) {
+    return tree.exception ? `${tree.license} WITH ${tree.exception}` : tree.license;
+  }
+  const joined = tree.terms.map(term => formatExpression(term, true)).join(` ${tree.conjunction.toUpperCase()} `);
+  return nested ? `(${joined})` : joined;
+}
+
+module.exports = {
+  normalizeLicense,
+  isKnownLicense,
+  parseExpression,
+  licenseIds,
+  satisfies,
+  formatExpression
+};
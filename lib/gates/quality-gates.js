@@ -0,0 +1,209 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { isSeverity, severityRank } = require('../rules/severity');
+const WorkflowStandards = require('../standards/workflow-standards');
+
+// Process exit codes shared by the CLI commands: a failed gate is a verdict on the project,
+// an error means the tool itself couldn't produce one
+const EXIT_CODES = {
+  passed: 0,
+  gateFailed: 1,
+  error: 2
+};
+
+// Without `gates:` in config a run passes only when it has no issues
+const DEFAULT_GATES = [
+  { name: 'No issues', maxIssues: 0 }
+];
+
+// The check keys a gate can use, each with the method that evaluates it; a gate has exactly one
+const GATE_CHECKS = {
+  maxIssues: '_maxIssues',
+  maxNewIssues: '_maxNewIssues',
+  minScore: '_minScore',
+  passScores: '_passScores',
+  minCoverage: '_minCoverage'
+};
+
+const DEFAULT_COVERAGE_FILE = path.join('coverage', 'coverage-summary.json');
+
+// Declarative pass/fail policy for validation and audit results, kept apart from the score.
+// Gates come from `gates:` in .bp-config.yml, either one list or named sets such as `merge`
+// and `deployment`; sets not in config are derived from WorkflowStandards.qualityGates.
+class QualityGates {
+  constructor(gates = DEFAULT_GATES, set = 'default') {
+    this.set = set;
+    this.gates = gates.map(gate => ({ ...gate, name: gate.name || describeGate(gate) }));
+  }
+
+  // The gates of a set from the `gates:` config section
+  static fromConfig(gatesConfig, set = 'default') {
+    const sets = QualityGates.sets(gatesConfig);
+    if (!sets[set]) {
+      throw new Error(`Unknown gate set "${set}" (available: ${Object.keys(sets).join(', ')})`);
+    }
+    return new QualityGates(sets[set], set);
+  }
+
+  // Every gate set: the default, the workflow merge/deployment/hotfix sets and those in config
+  static sets(gatesConfig) {
+    const configured = Array.isArray(gatesConfig) ? { default: gatesConfig } : gatesConfig || {};
+    return {
+      default: DEFAULT_GATES,
+      ...QualityGates.fromWorkflow(WorkflowStandards.qualityGates),
+      ...configured
+    };
+  }
+
+  // Gate sets enforcing the parts of WorkflowStandards.qualityGates the SDK can check. Tests, lint
+  // and review approval are left to CI; security scans, coverage and "all checks" become gates.
+  static fromWorkflow(qualityGates = {}) {
+    const { merge = {}, deployment = {}, hotfix = {} } = qualityGates;
+    const security = { name: 'Security scan passing', standard: 'security', severity: 'error', maxIssues: 0 };
+    const allChecks = [...DEFAULT_GATES, { name: 'Pass scores', passScores: true }];
+    const sets = { merge: [], deployment: [], hotfix: [] };
+
+    if (merge.securityScanPassing) {
+      sets.merge.push(security);
+    }
+    if (merge.coverageThreshold) {
+      sets.merge.push({ name: `Coverage >= ${merge.coverageThreshold}%`, minCoverage: merge.coverageThreshold });
+    }
+    if (deployment.allChecks) {
+      sets.deployment.push(...allChecks);
+    }
+
+    // A fast-tracked hotfix with reduced checks still has to pass the security scan
+    sets.hotfix = hotfix.reducedChecks ? [security] : allChecks;
+
+    return sets;
+  }
+
+  // Check the gates for values that can't be evaluated
+  validate() {
+    const problems = [];
+
+    for (const gate of this.gates) {
+      const checks = Object.keys(GATE_CHECKS).filter(check => gate[check] !== undefined);
+      if (checks.length !== 1) {
+        problems.push(`Gate "${gate.name}" needs exactly one of ${Object.keys(GATE_CHECKS).join(', ')}`);
+      } else if (checks[0] !== 'passScores' && !(typeof gate[checks[0]] === 'number' && gate[checks[0]] >= 0)) {
+        problems.push(`Gate "${gate.name}" needs a non-negative number for ${checks[0]}`);
+      }
+      if (gate.severity && !isSeverity(gate.severity)) {
+        problems.push(`Gate "${gate.name}" has unknown severity "${gate.severity}"`);
+      }
+    }
+    return problems;
+  }
+
+  // Evaluate every gate against a result; the run passes when all gates pass
+  async evaluate(result, { projectPath = result.path || './' } = {}) {
+    const gates = [];
+    for (const gate of this.gates) {
+      gates.push({ name: gate.name, ...(await this._check(gate, result, projectPath)) });
+    }
+
+    return {
+      set: this.set,
+      passed: gates.every(gate => gate.passed),
+      gates
+    };
+  }
+
+  // Evaluate one gate with the method for its check: { passed, actual, expected, message }
+  async _check(gate, result, projectPath) {
+    const check = Object.keys(GATE_CHECKS).find(key => gate[key] !== undefined);
+    if (!check) {
+      return { passed: false, actual: null, expected: null, message: 'gate has no check' };
+    }
+    return this[GATE_CHECKS[check]](gate, result, projectPath);
+  }
+
+  // At most `maxIssues` matching findings
+  _maxIssues(gate, result) {
+    return limit(this._matching(gate, result.issues || []).length, gate.maxIssues, issueLabel(gate));
+  }
+
+  // At most `maxNewIssues` matching findings that aren't in the baseline
+  _maxNewIssues(gate, result) {
+    // With a baseline, result.issues only holds the issues that aren't in it
+    if (!result.baseline) {
+      return { passed: false, actual: null, expected: gate.maxNewIssues, message: 'needs a baseline (--baseline <file>)' };
+    }
+    return limit(this._matching(gate, result.issues || []).length, gate.maxNewIssues, `new ${issueLabel(gate)}`);
+  }
+
+  // The overall score, or a standard's score, is at least `minScore`
+  _minScore(gate, result) {
+    const score = gate.standard ? ((result.metrics || {})[gate.standard] || {}).score : result.score;
+    return minimum(score, gate.minScore, `${gate.standard || 'overall'} score`);
+  }
+
+  // Every pass score of the scoring model is met
+  _passScores(gate, result) {
+    const scoring = result.scoring || {};
+    const failing = Object.keys(scoring.standards || {}).filter(standard => !scoring.standards[standard].passed);
+    const passed = Boolean(scoring.passed);
+    return { passed, actual: scoring.score, expected: scoring.passScore, message: passed ? 'all pass scores met' : `below pass score: ${failing.join(', ') || 'overall'}` };
+  }
+
+  // Findings a gate counts: those of its standard, at or above its severity, and of its rule or type
+  _matching(gate, issues) {
+    return issues.filter(issue => typeof issue === 'object' || !(gate.standard || gate.severity || gate.rule || gate.type))
+      .filter(issue => !gate.standard || issue.category === gate.standard)
+      .filter(issue => !gate.severity || severityRank(issue.severity) >= severityRank(gate.severity))
+      .filter(issue => !gate.rule || issue.rule === gate.rule)
+      .filter(issue => !gate.type || issue.type === gate.type);
+  }
+
+  // Line coverage (or `metric`) from an Istanbul json-summary report, e.g. from `jest --coverage`
+  async _minCoverage(gate, result, projectPath) {
+    const file = path.resolve(projectPath, gate.file || DEFAULT_COVERAGE_FILE);
+    const metric = gate.metric || 'lines';
+
+    try {
+      const summary = await fs.readJson(file);
+      return minimum(summary.total[metric].pct, gate.minCoverage, `${metric} coverage`);
+    } catch (error) {
+      return { passed: false, actual: null, expected: gate.minCoverage, message: `no coverage summary at ${path.relative(projectPath, file) || file}` };
+    }
+  }
+}
+
+// A gate passes when a count stays at or under its limit
+function limit(actual, expected, label) {
+  return { passed: actual <= expected, actual, expected, message: `${actual} ${label} (max ${expected})` };
+}
+
+// A gate passes when a value reaches its minimum; a missing value fails
+function minimum(actual, expected, label) {
+  const known = typeof actual === 'number';
+  return { passed: known && actual >= expected, actual: known ? actual : null, expected, message: `${label} ${known ? actual : 'unknown'} (min ${expected})` };
+}
+
+// "high+ security issues" for a gate's issue filters
+function issueLabel(gate) {
+  const filters = [gate.severity && `${gate.severity}+`, gate.standard, gate.rule || gate.type].filter(Boolean);
+  return [...filters, 'issues'].join(' ');
+}
+
+// A name for a gate without one, e.g. "code score >= 85"
+function describeGate(gate) {
+  if (gate.minScore !== undefined) {
+    return `${gate.standard || 'overall'} score >= ${gate.minScore}`;
+  }
+  if (gate.passScores) {
+    return 'Pass scores';
+  }
+  if (gate.minCoverage !== undefined) {
+    return `Coverage >= ${gate.minCoverage}%`;
+  }
+  const max = gate.maxIssues !== undefined ? gate.maxIssues : gate.maxNewIssues;
+  return `At most ${max} ${gate.maxNewIssues !== undefined ? 'new ' : ''}${issueLabel(gate)}`;
+}
+
+QualityGates.EXIT_CODES = EXIT_CODES;
+QualityGates.DEFAULT_GATES = DEFAULT_GATES;
+
+module.exports = QualityGates;
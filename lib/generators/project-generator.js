@@ -86,8 +86,8 @@ This project follows automated code quality standards:
   async _copyTemplateFiles(template, projectPath, projectName, filesCreated) {
     const templatePath = path.join(this.templatesDir, template);
     
-    // Copy all files from template directory
-    const templateFiles = glob.sync('**/*', { cwd: templatePath, nodir: true });
+    // Copy all files from template directory, dotfiles such as .env.example included
+    const templateFiles = glob.sync('**/*', { cwd: templatePath, nodir: true, dot: true });
     
     for (const file of templateFiles) {
       const srcPath = path.join(templatePath, file);
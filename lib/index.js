@@ -10,6 +10,41 @@ const CodeValidator = require('./validators/code-validator');
 const SecurityValidator = require('./validators/security-validator');
 const PerformanceValidator = require('./validators/performance-validator');
 const MaintenanceValidator = require('./validators/maintenance-validator');
+const LicenseValidator = require('./validators/license-validator');
+const EnvValidator = require('./validators/env-validator');
+
+// Import rule engine
+const { RuleRegistry, RuleRunner, RuleConfig, createDefaultRegistry, suppressions } = require('./rules');
+
+// Import reporters
+const { ReporterRegistry, createDefaultReporters, parseReporterSpec } = require('./reporters');
+
+// Import scoring and quality gates
+const ScoringModel = require('./scoring/scoring-model');
+const QualityGates = require('./gates/quality-gates');
+
+// Import security helpers
+const AdvisoryDatabase = require('./security/advisory-database');
+const SecretDetector = require('./security/secret-detector');
+
+// Import dependency helpers
+const LockfileParser = require('./dependencies/lockfile-parser');
+const InstalledPackages = require('./dependencies/installed-packages');
+const LicensePolicy = require('./dependencies/license-policy');
+
+// Import SBOM helpers
+const { SbomBuilder, SBOM_FORMATS } = require('./sbom');
+
+// Import project helpers
+const Baseline = require('./project/baseline');
+const ChangedFiles = require('./project/changed-files');
+const ProjectModel = require('./project/project-model');
+const ProjectWatcher = require('./project/project-watcher');
+const ResultCache = require('./project/result-cache');
+const ScoreHistory = require('./project/score-history');
+const EnvSchema = require('./project/env-schema');
+const { dotenvValues } = require('./project/dotenv');
+const { version: SDK_VERSION } = require('../package.json');
 
 // Import integrations
 const ClaudeIntegration = require('./integrations/claude-integration');
@@ -23,6 +58,11 @@ const WorkflowStandards = require('./standards/workflow-standards');
 class CodeDirectivesSDK {
   constructor(config = {}) {
     this.config = this._loadConfig(config);
+    this.rules = this._initializeRules();
+    this.ruleConfig = this._initializeRuleConfig();
+    this.scoring = this._initializeScoring();
+    this._validateGates();
+    this.reporters = this._initializeReporters();
     this.validators = this._initializeValidators();
     this.integrations = this._initializeIntegrations();
   }
@@ -69,13 +109,80 @@ class CodeDirectivesSDK {
     return result;
   }
 
+  // Build the rule registry from the built-in packs plus any plugins listed in config
+  _initializeRules() {
+    const registry = createDefaultRegistry();
+
+    for (const plugin of this.config.plugins || []) {
+      try {
+        registry.loadPlugin(plugin, process.cwd());
+      } catch (error) {
+        console.warn(`Warning: Could not load rule plugin ${plugin}:`, error.message);
+      }
+    }
+
+    return registry;
+  }
+
+  // Build the reporter registry from the built-in formats plus any reporter plugins listed in config
+  _initializeReporters() {
+    const registry = createDefaultReporters();
+
+    for (const plugin of this.config.reporters || []) {
+      try {
+        registry.loadPlugin(plugin, process.cwd());
+      } catch (error) {
+        console.warn(`Warning: Could not load reporter plugin ${plugin}:`, error.message);
+      }
+    }
+
+    return registry;
+  }
+
+  // Resolve the `rules:` and `overrides:` config sections against the registry
+  _initializeRuleConfig() {
+    const ruleConfig = new RuleConfig(this.config, this.rules);
+
+    for (const problem of ruleConfig.validate()) {
+      console.warn(`Warning: ${problem} in rule configuration`);
+    }
+
+    return ruleConfig;
+  }
+
+  // Build the scoring model from the `scoring:` config section
+  _initializeScoring() {
+    const scoring = new ScoringModel(this.config.scoring);
+
+    for (const problem of scoring.validate()) {
+      console.warn(`Warning: ${problem} in scoring configuration`);
+    }
+
+    return scoring;
+  }
+
+  // Warn about gates in the `gates:` config section that can't be evaluated
+  _validateGates() {
+    try {
+      for (const [set, gates] of Object.entries(QualityGates.sets(this.config.gates))) {
+        for (const problem of new QualityGates(gates, set).validate()) {
+          console.warn(`Warning: ${problem} in gate set "${set}"`);
+        }
+      }
+    } catch (error) {
+      console.warn('Warning: Could not read gates configuration:', error.message);
+    }
+  }
+
   // Initialize validator instances
   _initializeValidators() {
     return {
-      code: new CodeValidator(this.config.standards?.code),
-      security: new SecurityValidator(this.config.standards?.security),
-      performance: new PerformanceValidator(this.config.standards?.performance),
-      maintenance: new MaintenanceValidator(this.config.standards?.maintenance)
+      code: new CodeValidator(this.config.standards?.code, this.rules),
+      security: new SecurityValidator(this.config.standards?.security, this.rules),
+      performance: new PerformanceValidator(this.config.standards?.performance, this.rules),
+      maintenance: new MaintenanceValidator(process.cwd(), this.rules),
+      license: new LicenseValidator(this.config.standards?.license, this.rules),
+      env: new EnvValidator({ ...this.config.standards?.env, schema: this.config.env }, this.rules)
     };
   }
 
@@ -147,56 +254,121 @@ class CodeDirectivesSDK {
       path: targetPath = './', 
       standards = ['code', 'security', 'performance', 'maintenance'], 
       autoFix = false,
+      dryRun = false,
       report = false,
-      outputPath = null
+      outputPath = null,
+      format = 'json',
+      reporters = [],
+      baseline = null,
+      since = null,
+      staged = false,
+      diffLines = false,
+      gates = 'default',
+      scanHistory = false,
+      cache = this.config.cache !== false
     } = options;
     
     const results = {
       timestamp: new Date().toISOString(),
       path: path.resolve(targetPath),
       standards,
-      passed: true,
+      passed: false,
       score: 0,
       issues: [],
       fixed: [],
+      changes: [],
+      suppressed: [],
       metrics: {}
     };
 
     try {
-      const scores = [];
+      await this._assertValidationTarget(targetPath, standards);
+      const standardScores = {};
+      const directiveLists = [];
+      const toolErrors = [];
+
+      // --since, --staged and --diff-lines limit validation to files changed in git
+      const changedFiles = since || staged || diffLines ? ChangedFiles.fromGit(targetPath, { since, staged }) : null;
+
+      // Validators share one walk of the project, and each file is read and parsed once
+      const model = new ProjectModel(targetPath, {
+        include: this.config.include,
+        exclude: this.config.exclude
+      });
+
+      // Results for unchanged files are reused from earlier runs; auto-fix always runs every rule
+      const resultCache = await this._resultCache(cache, autoFix, targetPath);
 
       // Run validations for each requested standard
-      for (const standard of standards) {
-        if (this.validators[standard]) {
-          const validator = this.validators[standard];
-          const validationResult = await validator.validate(targetPath, { autoFix });
-          
-          results.metrics[standard] = {
-            score: validationResult.score || 0,
-            issues: validationResult.issues || [],
-            metrics: validationResult.metrics || {}
-          };
-          
-          scores.push(validationResult.score || 0);
-          
-          if (validationResult.issues && validationResult.issues.length > 0) {
-            results.passed = false;
-            results.issues.push(...validationResult.issues);
-          }
-          
-          if (validationResult.fixed && validationResult.fixed.length > 0) {
-            results.fixed.push(...validationResult.fixed);
-          }
+      const validated = await this._runValidators(
+        standards,
+        targetPath,
+        { autoFix, dryRun, ruleConfig: this.ruleConfig, changedFiles, model, cache: resultCache, scoring: this.scoring, scanHistory }
+      );
+
+      if (resultCache) {
+        await this._saveCache(resultCache, targetPath);
+      }
+
+      for (const [standard, validationResult] of validated) {
+        results.metrics[standard] = {
+          score: validationResult.score || 0,
+          issues: validationResult.issues || [],
+          metrics: validationResult.metrics || {}
+        };
+        
+        standardScores[standard] = { score: validationResult.score || 0, deductions: validationResult.deductions || [] };
+        
+        results.issues.push(...(validationResult.issues || []));
+        
+        if (validationResult.fixed && validationResult.fixed.length > 0) {
+          results.fixed.push(...validationResult.fixed);
+          results.changes.push(...(validationResult.changes || []));
         }
+
+        results.suppressed.push(...(validationResult.suppressed || []));
+        directiveLists.push(validationResult.suppressions || []);
+
+        // A validator that failed is a tool error, not a finding, so it can't be mistaken for a failed gate
+        if (validationResult.error) {
+          toolErrors.push(validationResult.error);
+        }
+      }
+
+      // Suppression comments are only unused if no validator needed them
+      const unusedSuppressions = suppressions.findUnusedSuppressions(directiveLists);
+      results.issues.push(...unusedSuppressions);
+
+      // With --diff-lines only findings on added or modified lines count
+      if (diffLines) {
+        results.issues = changedFiles.filterIssues(results.issues, targetPath);
       }
 
-      // Calculate overall score
-      results.score = scores.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : 0;
+      // Issues recorded in the baseline file don't fail validation; only new ones do
+      if (baseline) {
+        await this._applyBaseline(results, targetPath, baseline, { standards, changedFiles, diffLines });
+      }
+
+      // Weighted overall score, pass scores and the deductions behind each standard's score
+      results.scoring = this.scoring.evaluate(standardScores);
+      results.score = results.scoring.score;
       results.overallScore = results.score; // Alias for backward compatibility
+
+      // Whether the run passed is decided by the quality gates, not the score
+      results.gates = await this.checkGates(results, { gates, projectPath: targetPath });
+      results.passed = results.gates.passed && toolErrors.length === 0;
+      if (toolErrors.length > 0) {
+        results.error = toolErrors.join('; ');
+      }
       
       // Generate report if requested
       if (report && outputPath) {
-        await this._generateValidationReport(results, outputPath);
+        await this._generateValidationReport(results, outputPath, format);
+      }
+
+      // Every --reporter writes its own output (a file, or stdout when no path is given)
+      if (reporters.length > 0) {
+        await this.writeReports(results, reporters);
       }
 
       return results;
@@ -210,6 +382,109 @@ class CodeDirectivesSDK {
     }
   }
 
+  // A typo in a standard or a path that doesn't exist would check nothing and pass, so both are errors
+  async _assertValidationTarget(targetPath, standards) {
+    const unknown = standards.filter(standard => !this.validators[standard]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown standard ${unknown.map(standard => `"${standard}"`).join(', ')} (expected: ${Object.keys(this.validators).join(', ')})`);
+    }
+
+    const stats = await fs.stat(targetPath).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+      throw new Error(`Project path ${path.resolve(targetPath)} is not a directory`);
+    }
+  }
+
+  // Run validators concurrently since they don't depend on each other. With auto-fix they run
+  // one at a time, so two validators never rewrite the same file at once.
+  async _runValidators(standards, targetPath, options) {
+    const run = async standard => [standard, await this.validators[standard].validate(targetPath, options)];
+
+    if (!options.autoFix) {
+      return Promise.all(standards.map(run));
+    }
+
+    const results = [];
+    for (const standard of standards) {
+      results.push(await run(standard));
+    }
+    return results;
+  }
+
+  // Validate, then validate again whenever project files change, until the returned watcher is closed.
+  // One result cache is kept across runs, so only changed files are re-checked. Each result passed to
+  // onResult has `changedFiles` and, after the first run, `delta` ({ new, fixed } issue counts).
+  // Auto-fix is not applied while watching, since fixes would trigger further runs.
+  async watch(options = {}, onResult = () => {}) {
+    const { path: targetPath = './', delay, standards = ['code', 'security', 'performance', 'maintenance'] } = options;
+    await this._assertValidationTarget(targetPath, standards);
+    const cache = await ResultCache.load(targetPath, { version: SDK_VERSION });
+    const watcher = new ProjectWatcher(targetPath, { delay, ignore: this._reportFiles(options, targetPath) });
+    let previous = null;
+    let queue = Promise.resolve();
+
+    const run = async changedFiles => {
+      const result = await this.validate({ ...options, autoFix: false, cache });
+      result.changedFiles = changedFiles;
+      if (!result.error) {
+        result.delta = previous ? await this._issueDelta(previous, result.issues, targetPath) : null;
+        previous = await Baseline.fromIssues(result.issues, targetPath);
+      }
+      await onResult(result);
+    };
+
+    await run([]);
+
+    // Runs are queued so a change during a run is validated after it instead of alongside it
+    return watcher.start(changedFiles => {
+      queue = queue.then(() => run(changedFiles)).catch(error => console.warn('Warning: Watch run failed:', error.message));
+    });
+  }
+
+  // Project-relative paths of the files a validate run writes its report and reporter outputs to,
+  // so that watch mode doesn't take its own writes for changes
+  _reportFiles(options, targetPath) {
+    const { report = false, outputPath = null, reporters = [] } = options;
+    const outputs = reporters
+      .map(spec => (typeof spec === 'string' ? parseReporterSpec(spec) : spec).output)
+      .concat(report && outputPath ? [outputPath] : [])
+      .filter(Boolean);
+
+    return outputs.map(output => path.relative(path.resolve(targetPath), path.resolve(output)).split(path.sep).join('/'));
+  }
+
+  // Record every current issue in a baseline file so that only new issues fail validation
+  async updateBaseline(options = {}) {
+    const {
+      path: targetPath = './',
+      standards = ['code', 'security', 'performance', 'maintenance'],
+      output = '.bp-baseline.json'
+    } = options;
+
+    try {
+      const validationResult = await this.validate({ path: targetPath, standards });
+      if (validationResult.error) {
+        throw new Error(validationResult.error);
+      }
+
+      const baseline = await Baseline.fromIssues(validationResult.issues, targetPath);
+      await baseline.save(output);
+
+      return {
+        success: true,
+        message: `Baseline with ${baseline.entries.length} issue(s) saved to ${output}`,
+        path: output,
+        issues: baseline.entries.length
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Failed to update baseline: ${error.message}`,
+        error
+      };
+    }
+  }
+
   // Generate documentation with diagrams
   async generateDocs(options = {}) {
     const { 
@@ -250,18 +525,22 @@ class CodeDirectivesSDK {
   async audit(options = {}) {
     const {
       path: targetPath = './',
+      standards = Object.keys(this.validators),
       output = './audit-report.json',
-      format = 'json'
+      format = 'json',
+      reporters = [],
+      gates = 'default',
+      title,
+      history = this.config.history !== false,
+      sbom = (this.config.sbom || {}).format || 'cyclonedx'
     } = options;
 
     try {
-      // Run comprehensive validation
-      const validationResult = await this.validate({
-        path: targetPath,
-        standards: ['code', 'security', 'performance', 'maintenance'],
-        autoFix: false,
-        report: true
-      });
+      // Run comprehensive validation of every standard (or the ones asked for); an audit that couldn't run is just the error
+      const validationResult = await this.validate({ path: targetPath, standards, autoFix: false, report: true, gates });
+      if (validationResult.error) {
+        return validationResult;
+      }
 
       const auditResult = {
         ...validationResult,
@@ -269,9 +548,18 @@ class CodeDirectivesSDK {
         recommendations: this._generateRecommendations(validationResult)
       };
 
+      // Record the scores in the project's history; reports show the trend up to this audit
+      if (history) {
+        auditResult.trend = await this._recordHistory(auditResult, targetPath);
+      }
+
+      // Attach the bill of materials the audit covered
+      await this._attachSbom(auditResult, targetPath, sbom);
+
       // Save audit report
       const reportGenerator = require('./generators/audit-generator');
-      await reportGenerator.generate(auditResult, output, format);
+      await reportGenerator.generate(auditResult, output, format, { projectPath: targetPath, rules: this.getRules(), reporters: this.reporters, title });
+      await this.writeReports(auditResult, reporters);
 
       return auditResult;
     } catch (error) {
@@ -283,11 +571,197 @@ class CodeDirectivesSDK {
     }
   }
 
+  // Evaluate a gate set from the `gates:` config against a validation or audit result
+  async checkGates(result, options = {}) {
+    const { gates = 'default', projectPath = result.path || './' } = options;
+    return QualityGates.fromConfig(this.config.gates, gates).evaluate(result, { projectPath });
+  }
+
+  // Score trend over the last `limit` audits recorded in the project's history
+  async trend(options = {}) {
+    const { path: targetPath = './', limit = 20 } = options;
+    const history = await ScoreHistory.load(targetPath, { file: this._historyFile() });
+    return history.trend(limit);
+  }
+
+  // Import OSV advisories (files or directories) into the project's offline advisory database,
+  // which the no-vulnerable-dependencies rule then uses instead of `npm audit`
+  async importAdvisories(options = {}) {
+    const {
+      path: targetPath = './',
+      sources = [],
+      database = (this.config.standards?.security || {}).advisoryDatabase || undefined
+    } = options;
+
+    try {
+      if (sources.length === 0) {
+        throw new Error('no advisory files or directories given');
+      }
+
+      const advisories = (await AdvisoryDatabase.load(targetPath, { file: database })) ||
+        new AdvisoryDatabase([], AdvisoryDatabase.filePath(targetPath, database));
+      const counts = await advisories.import(sources);
+
+      return {
+        success: true,
+        message: `Imported ${counts.added} new and ${counts.updated} updated advisories; ${counts.total} in ${advisories.filePath}`,
+        path: advisories.filePath,
+        ...counts
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Failed to import advisories: ${error.message}`,
+        error
+      };
+    }
+  }
+
+  // Build a software bill of materials from the lockfile and node_modules, as CycloneDX or SPDX
+  // JSON, and write it to `output` when given
+  async sbom(options = {}) {
+    const {
+      path: targetPath = './',
+      format = (this.config.sbom || {}).format || 'cyclonedx',
+      output = null,
+      includeDev = (this.config.sbom || {}).includeDev !== false
+    } = options;
+
+    try {
+      const document = await this._sbomDocument(targetPath, format, includeDev);
+      if (output) {
+        await fs.outputFile(output, `${JSON.stringify(document.content, null, 2)}\n`);
+      }
+
+      return {
+        success: true,
+        message: `Listed ${document.components} components as ${SBOM_FORMATS[format].description}${output ? ` in ${output}` : ''}`,
+        format,
+        path: output,
+        components: document.components,
+        document: document.content
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Failed to build SBOM: ${error.message}`,
+        error
+      };
+    }
+  }
+
+  // { content, components } of an SBOM document in a registered format
+  async _sbomDocument(targetPath, format, includeDev) {
+    const sbomFormat = SBOM_FORMATS[format];
+    if (!sbomFormat) {
+      throw new Error(`unknown SBOM format "${format}"; expected ${Object.keys(SBOM_FORMATS).join(' or ')}`);
+    }
+
+    const bom = await SbomBuilder.build(targetPath, { includeDev });
+    return { content: sbomFormat.document(bom), components: bom.components.length };
+  }
+
+  // Set an audit's `sbom` in the given format, or null (with the reason in `sbomSkipped`) when there
+  // is none to build; `format: false` leaves it out
+  async _attachSbom(auditResult, targetPath, format) {
+    if (!format) {
+      return;
+    }
+
+    try {
+      auditResult.sbom = (await this._sbomDocument(targetPath, format, true)).content;
+    } catch (error) {
+      auditResult.sbom = null;
+      auditResult.sbomSkipped = error.message;
+    }
+  }
+
+  // Check a real .env file against the project's env schema (the `env:` config section or
+  // .env.example) before deploying. Problems name variables but never show their values.
+  async checkEnv(options = {}) {
+    const { path: targetPath = './', file = '.env' } = options;
+
+    try {
+      const schema = await EnvSchema.load(targetPath, this.config.env);
+      if (!schema) {
+        throw new Error('no .env.example or env section in .bp-config.yml to check against');
+      }
+      const envPath = path.resolve(targetPath, file);
+      if (!(await fs.pathExists(envPath))) {
+        throw new Error(`${file} not found`);
+      }
+
+      // Variables without a default must be set where the code reads them without a fallback
+      const model = new ProjectModel(targetPath, { include: this.config.include, exclude: this.config.exclude });
+      const unguarded = await this.validators.env.unguardedReads(model);
+      const { passed, problems } = schema.check(dotenvValues(await fs.readFile(envPath, 'utf8')), { unguarded });
+      const failures = problems.filter(problem => problem.severity !== 'low').length;
+      const source = schema.source === 'config' ? '.bp-config.yml' : schema.source;
+      return {
+        success: true,
+        passed,
+        message: passed ? `${file} matches the ${schema.names().length} variables declared in ${source}` : `${file} has ${failures} problem(s) against ${source}`,
+        path: envPath,
+        schema: source,
+        problems
+      };
+    } catch (error) {
+      return {
+        success: false,
+        passed: false,
+        message: `Failed to check env: ${error.message}`,
+        error
+      };
+    }
+  }
+
+  // Render a result with each reporter spec ("name" or "name:path") in one pass. Reports without a
+  // path are written to stdout. Names that aren't registered are loaded as reporter plugins.
+  async writeReports(result, specs, options = {}) {
+    const { projectPath = result.path || './', color = false } = options;
+    const context = { projectPath, rules: this.getRules(), color };
+    const written = [];
+
+    for (const spec of specs) {
+      const { name, output } = typeof spec === 'string' ? parseReporterSpec(spec) : spec;
+      const reporter = this.reporters.resolve(name, process.cwd());
+      const report = await reporter.render(result, context);
+
+      if (output) {
+        await fs.outputFile(output, report);
+      } else {
+        process.stdout.write(report.endsWith('\n') ? report : `${report}\n`);
+      }
+      written.push({ name: reporter.name, output });
+    }
+
+    return written;
+  }
+
+  // Get registered reporters with their metadata
+  getReporters() {
+    return this.reporters.list().map(({ name, extension, description }) => ({ name, extension, description }));
+  }
+
   // Get SDK configuration
   getConfig() {
     return { ...this.config };
   }
 
+  // Get registered rules with their metadata
+  getRules() {
+    return this.rules.list().map(rule => ({
+      id: rule.id,
+      category: rule.category,
+      severity: rule.severity,
+      scope: rule.scope,
+      types: rule.types,
+      description: rule.description,
+      docs: rule.docs,
+      fixable: Boolean(rule.fix)
+    }));
+  }
+
   // Get available standards
   getStandards() {
     return {
@@ -298,24 +772,101 @@ class CodeDirectivesSDK {
   }
 
   // Private helper methods
-  async _generateValidationReport(results, outputPath) {
-    await fs.writeFile(outputPath, JSON.stringify(results, null, 2));
+
+  // Move issues already recorded in the baseline out of `issues` and list fixed baseline entries.
+  // Only entries this run checked can be fixed; the rest weren't looked at (`scope` holds the
+  // standards run and the changed files and lines a narrowed run was limited to).
+  async _applyBaseline(results, targetPath, baselinePath, scope) {
+    const baseline = await Baseline.load(baselinePath);
+    const comparison = await baseline.compare(results.issues, targetPath);
+
+    results.issues = comparison.newIssues;
+    results.baselined = comparison.baselined;
+    results.baseline = {
+      path: baselinePath,
+      known: comparison.baselined.length,
+      fixed: comparison.fixed.filter(entry => this._baselineEntryChecked(entry, targetPath, scope))
+    };
+  }
+
+  // Whether a run covered a baseline entry: its rule belongs to a standard that ran (entries of
+  // unknown rules always count) and, for a narrowed run, its file or line was among the changes
+  _baselineEntryChecked(entry, targetPath, { standards, changedFiles, diffLines }) {
+    const rule = this.rules.get(entry.rule) || this.rules.findByType(entry.rule);
+    if (rule && !standards.includes(rule.category)) {
+      return false;
+    }
+    if (!changedFiles || !entry.file) {
+      return !diffLines;
+    }
+
+    const file = path.join(targetPath, entry.file);
+    return diffLines ? changedFiles.hasLine(file, entry.line || 1) : changedFiles.has(file);
+  }
+
+  // The cache for a run: a ResultCache passed in (e.g. by watch), the on-disk cache, or none
+  async _resultCache(cache, autoFix, targetPath) {
+    if (!cache || autoFix) {
+      return null;
+    }
+    return cache instanceof ResultCache ? cache : ResultCache.load(targetPath, { version: SDK_VERSION });
+  }
+
+  // Count issues that appeared or went away since the previous run, matching them like baseline entries
+  async _issueDelta(previous, issues, targetPath) {
+    const comparison = await previous.compare(issues.filter(issue => typeof issue === 'object'), targetPath);
+    return { new: comparison.newIssues.length, fixed: comparison.fixed.length };
+  }
+
+  // The history file from `history.file` in config, relative to the project
+  _historyFile() {
+    return typeof this.config.history === 'object' && this.config.history.file ? this.config.history.file : undefined;
+  }
+
+  // Append an audit to the history store and return the trend including it; an unwritable
+  // history only costs the trend, not the audit
+  async _recordHistory(auditResult, targetPath) {
+    try {
+      const history = await ScoreHistory.load(targetPath, { file: this._historyFile() });
+      await history.append(ScoreHistory.entryFrom(auditResult, ScoreHistory.gitState(targetPath)));
+      return history.trend();
+    } catch (error) {
+      console.warn('Warning: Could not record score history:', error.message);
+      return null;
+    }
+  }
+
+  // Write the result cache; a project that can't be written to still validates, just without caching
+  async _saveCache(resultCache, targetPath) {
+    try {
+      await resultCache.save(targetPath);
+    } catch (error) {
+      console.warn('Warning: Could not write validation cache:', error.message);
+    }
+  }
+
+  // Write a validation report with any registered reporter (json, sarif, junit, checkstyle, html, markdown or a plugin)
+  async _generateValidationReport(results, outputPath, format = 'json') {
+    const reportGenerator = require('./generators/audit-generator');
+    await reportGenerator.generate(results, outputPath, format, { projectPath: results.path, rules: this.getRules(), reporters: this.reporters });
   }
 
+  // Recommendations for standards scoring below the pass scores of the scoring model
   _generateRecommendations(results) {
     const recommendations = [];
+    const failing = standard => results.scoring.standards[standard] && !results.scoring.standards[standard].passed;
     
-    if (results.score < 80) {
+    if (results.score < results.scoring.passScore) {
       recommendations.push('Focus on addressing critical issues first');
       recommendations.push('Consider implementing automated fixing where possible');
     }
     
-    if (results.metrics.security && results.metrics.security.score < 90) {
+    if (failing('security')) {
       recommendations.push('Run security audit and update dependencies');
       recommendations.push('Review environment variable usage for secrets');
     }
     
-    if (results.metrics.performance && results.metrics.performance.score < 75) {
+    if (failing('performance')) {
       recommendations.push('Optimize bundle size and consider code splitting');
       recommendations.push('Profile API performance and optimize slow endpoints');
     }
@@ -339,6 +890,24 @@ module.exports.CodeValidator = CodeValidator;
 module.exports.SecurityValidator = SecurityValidator;  
 module.exports.PerformanceValidator = PerformanceValidator;
 module.exports.MaintenanceValidator = MaintenanceValidator;
+module.exports.LicenseValidator = LicenseValidator;
+module.exports.EnvValidator = EnvValidator;
+module.exports.RuleRegistry = RuleRegistry;
+module.exports.RuleRunner = RuleRunner;
+module.exports.RuleConfig = RuleConfig;
+module.exports.Baseline = Baseline;
+module.exports.ResultCache = ResultCache;
+module.exports.ScoreHistory = ScoreHistory;
+module.exports.EnvSchema = EnvSchema;
+module.exports.ScoringModel = ScoringModel;
+module.exports.QualityGates = QualityGates;
+module.exports.SecretDetector = SecretDetector;
+module.exports.AdvisoryDatabase = AdvisoryDatabase;
+module.exports.LockfileParser = LockfileParser;
+module.exports.InstalledPackages = InstalledPackages;
+module.exports.LicensePolicy = LicensePolicy;
+module.exports.SbomBuilder = SbomBuilder;
+module.exports.ReporterRegistry = ReporterRegistry;
 module.exports.ClaudeIntegration = ClaudeIntegration;
 module.exports.CiIntegration = CiIntegration;
 module.exports.Standards = {
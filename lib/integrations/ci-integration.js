@@ -187,7 +187,7 @@ jobs:
       run: npm test
     
     - name: Run Best Practices validation
-      run: npx bp validate
+      run: npx bp validate --gates deployment
     
     - name: Build project
       run: npm run build
@@ -240,6 +240,9 @@ on:
 jobs:
   security:
     runs-on: ubuntu-latest
+    permissions:
+      contents: read
+      security-events: write
     
     steps:
     - uses: actions/checkout@v4
@@ -254,22 +257,23 @@ jobs:
       run: npm ci
     
     - name: Run Best Practices security validation
-      run: npx bp validate --standards security --report
+      run: npx bp validate --standards security --format sarif --output bp-security.sarif
+    
+    - name: Upload security findings to code scanning
+      uses: github/codeql-action/upload-sarif@v3
+      with:
+        sarif_file: bp-security.sarif
+        category: code-directives
+      if: always()
     
     - name: Run npm audit
       run: npm audit --audit-level=moderate
+      if: always()
     
     - name: Run CodeQL Analysis
       uses: github/codeql-action/analyze@v2
       with:
         languages: javascript
-    
-    - name: Upload security report
-      uses: actions/upload-artifact@v3
-      with:
-        name: security-report
-        path: security-report.json
-      if: always()
 `;
   }
 
@@ -313,13 +317,12 @@ validate:
   <<: *node_template
   stage: validate
   script:
-    - npx bp validate --fix
+    - npx bp validate --fix --format junit --output validation-report.xml
     - npm run lint
   artifacts:
+    when: always
     reports:
       junit: validation-report.xml
-    paths:
-      - validation-report.json
 
 test:
   <<: *node_template
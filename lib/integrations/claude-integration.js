@@ -131,7 +131,7 @@ Please provide feedback and approve if all standards are met.`;
         case 'hardcoded-secret':
           suggestions.push({
             line: issue.line,
-            suggestion: 'Move this sensitive data to environment variables or secure configuration',
+            suggestion: 'Run "bp validate --standards security --fix --dry-run" to preview moving this secret to .env and reading it from process.env, then rotate it: it is still in git history',
             type: 'security-fix',
             priority: 'critical'
           });
@@ -0,0 +1,284 @@
+const path = require('path');
+const babelParser = require('@babel/parser');
+
+// Node keys that never contain child nodes worth visiting
+const SKIP_KEYS = new Set([
+  'loc',
+  'start',
+  'end',
+  'extra',
+  'comments',
+  'tokens',
+  'leadingComments',
+  'trailingComments',
+  'innerComments'
+]);
+
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ArrowFunctionExpression',
+  'ObjectMethod',
+  'ClassMethod',
+  'ClassPrivateMethod'
+]);
+
+const PROPERTY_TYPES = new Set([
+  'ObjectProperty',
+  'ClassProperty',
+  'ClassPrivateProperty'
+]);
+
+const METHOD_KINDS = {
+  get: 'getter',
+  set: 'setter',
+  constructor: 'constructor'
+};
+
+class JsParser {
+  // Parse JS/TS/JSX source into a Babel AST, picking plugins from the file extension
+  parse(content, filePath = '') {
+    return babelParser.parse(content, {
+      sourceType: 'unambiguous',
+      errorRecovery: true,
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true,
+      allowImportExportEverywhere: true,
+      allowSuperOutsideMethod: true,
+      allowUndeclaredExports: true,
+      plugins: this._pluginsFor(filePath)
+    });
+  }
+
+  // Extract every named function definition with its span, kind and leading comment.
+  // startLine/endLine are zero-based indexes into content.split('\n'); loc is 1-based.
+  extractFunctions(content, filePath = '', ast = null) {
+    const tree = ast || this.parse(content, filePath);
+    const comments = tree.comments || [];
+    const functions = [];
+
+    this.walk(tree.program, (node, parent, grandparent) => {
+      if (!FUNCTION_TYPES.has(node.type) || !node.body) {
+        return;
+      }
+
+      const binding = this._resolveBinding(node, parent, grandparent);
+      if (!binding) {
+        return;
+      }
+
+      const comment = this._findLeadingComment(comments, content, binding.anchor);
+      const startLine = node.loc.start.line - 1;
+      const endLine = node.loc.end.line - 1;
+
+      functions.push({
+        name: binding.name,
+        kind: binding.kind,
+        start: node.start,
+        end: node.end,
+        loc: {
+          start: { ...node.loc.start },
+          end: { ...node.loc.end }
+        },
+        startLine,
+        endLine,
+        lineCount: endLine - startLine + 1,
+        anchorLine: binding.anchor.loc.start.line - 1,
+        async: Boolean(node.async),
+        comment: comment ? this._formatComment(comment) : null,
+        jsdoc: comment && this._isJsDoc(comment) ? this._formatComment(comment) : null
+      });
+    });
+
+    return functions;
+  }
+
+  // Depth-first walk calling visit(node, parent, grandparent) for every AST node
+  walk(root, visit) {
+    const stack = [[root, null, null]];
+
+    while (stack.length > 0) {
+      const [node, parent, grandparent] = stack.pop();
+      visit(node, parent, grandparent);
+
+      // Push in reverse so children are visited in source order
+      const children = this.childNodes(node);
+      for (let i = children.length - 1; i >= 0; i--) {
+        stack.push([children[i], node, parent]);
+      }
+    }
+  }
+
+  // Direct child nodes of an AST node in source order
+  childNodes(node) {
+    const children = [];
+
+    for (const key of Object.keys(node)) {
+      if (SKIP_KEYS.has(key)) {
+        continue;
+      }
+      const values = Array.isArray(node[key]) ? node[key] : [node[key]];
+      children.push(...values.filter(value => value && typeof value.type === 'string'));
+    }
+
+    return children;
+  }
+
+  // Choose Babel syntax plugins for a file
+  _pluginsFor(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+
+    if (ext === '.ts' || ext === '.mts' || ext === '.cts') {
+      return ['typescript', 'decorators-legacy'];
+    }
+    if (ext === '.tsx') {
+      return ['typescript', 'jsx', 'decorators-legacy'];
+    }
+    return ['jsx', 'decorators-legacy'];
+  }
+
+  // Work out how a function is bound (name, kind) and which node its comment sits above.
+  // Anonymous callbacks return null because they are not definitions.
+  _resolveBinding(node, parent, grandparent) {
+    if (node.type === 'FunctionDeclaration') {
+      return {
+        name: node.id ? node.id.name : 'default',
+        kind: 'declaration',
+        anchor: this._exportWrapper(node, parent)
+      };
+    }
+
+    if (node.type === 'ObjectMethod' || node.type === 'ClassMethod' || node.type === 'ClassPrivateMethod') {
+      return { name: this._keyName(node.key), kind: this._methodKind(node.kind), anchor: node };
+    }
+
+    const binding = parent ? this._resolveExpressionBinding(node, parent, grandparent) : null;
+    if (!binding) {
+      return null;
+    }
+
+    return {
+      ...binding,
+      kind: node.type === 'ArrowFunctionExpression' ? 'arrow' : 'expression'
+    };
+  }
+
+  // Name and anchor for function/arrow expressions bound by a variable, property,
+  // assignment or default export
+  _resolveExpressionBinding(node, parent, grandparent) {
+    if (parent.type === 'VariableDeclarator') {
+      return this._variableBinding(node, parent, grandparent);
+    }
+    if (PROPERTY_TYPES.has(parent.type)) {
+      return parent.value === node ? { name: this._keyName(parent.key), anchor: parent } : null;
+    }
+    if (parent.type === 'AssignmentExpression') {
+      return this._assignmentBinding(node, parent, grandparent);
+    }
+    if (parent.type === 'ExportDefaultDeclaration') {
+      return { name: node.id ? node.id.name : 'default', anchor: parent };
+    }
+    return null;
+  }
+
+  // `const name = () => {}` - the comment sits above the whole declaration
+  _variableBinding(node, declarator, declaration) {
+    if (declarator.init !== node || declarator.id.type !== 'Identifier') {
+      return null;
+    }
+    const isFirst = declaration && declaration.type === 'VariableDeclaration' &&
+      declaration.declarations[0] === declarator;
+    return { name: declarator.id.name, anchor: isFirst ? declaration : declarator };
+  }
+
+  // `module.exports.name = function () {}` - the comment sits above the statement
+  _assignmentBinding(node, assignment, statement) {
+    const name = assignment.right === node ? this._assignmentName(assignment.left) : null;
+    if (!name) {
+      return null;
+    }
+    const isStatement = statement && statement.type === 'ExpressionStatement';
+    return { name, anchor: isStatement ? statement : assignment };
+  }
+
+  // Declarations wrapped in export statements carry their comment on the export
+  _exportWrapper(node, parent) {
+    if (parent && (parent.type === 'ExportNamedDeclaration' || parent.type === 'ExportDefaultDeclaration')) {
+      return parent;
+    }
+    return node;
+  }
+
+  // Map Babel method kinds onto the kinds reported by extractFunctions
+  _methodKind(kind) {
+    return METHOD_KINDS[kind] || 'method';
+  }
+
+  // Readable name for a property or method key
+  _keyName(key) {
+    if (key.type === 'Identifier') {
+      return key.name;
+    }
+    if (key.type === 'PrivateName') {
+      return `#${key.id.name}`;
+    }
+    if (key.type === 'StringLiteral' || key.type === 'NumericLiteral') {
+      return String(key.value);
+    }
+    return 'computed';
+  }
+
+  // Name for `module.exports.foo = ...`, `Foo.prototype.bar = ...` or `handler = ...`
+  _assignmentName(left) {
+    if (left.type === 'Identifier') {
+      return left.name;
+    }
+    if (left.type === 'MemberExpression' && !left.computed && left.property.type === 'Identifier') {
+      return left.property.name;
+    }
+    return null;
+  }
+
+  // Find the comment that ends directly above (or on the same line as) the anchor node
+  _findLeadingComment(comments, content, anchor) {
+    let candidate = null;
+
+    for (const comment of comments) {
+      if (comment.end > anchor.start) {
+        break;
+      }
+      candidate = comment;
+    }
+
+    if (!candidate) {
+      return null;
+    }
+
+    // Only whitespace may separate the comment from the definition, and at most one line break
+    const between = content.slice(candidate.end, anchor.start);
+    if (between.trim() !== '' || anchor.loc.start.line - candidate.loc.end.line > 1) {
+      return null;
+    }
+
+    return candidate;
+  }
+
+  // JSDoc blocks start with `/**`
+  _isJsDoc(comment) {
+    return comment.type === 'CommentBlock' && comment.value.startsWith('*');
+  }
+
+  // Plain description of a comment for callers
+  _formatComment(comment) {
+    return {
+      type: comment.type === 'CommentBlock' ? 'block' : 'line',
+      value: comment.value,
+      start: comment.start,
+      end: comment.end,
+      startLine: comment.loc.start.line - 1,
+      endLine: comment.loc.end.line - 1
+    };
+  }
+}
+
+module.exports = new JsParser();
@@ -0,0 +1,130 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const RuleConfig = require('../rules/rule-config');
+
+const BASELINE_VERSION = 1;
+
+// Known issues recorded in .bp-baseline.json. Each issue is fingerprinted by rule, file and
+// the normalized source line it points at, so entries still match after code above them moves.
+class Baseline {
+  constructor(entries = [], filePath = null) {
+    this.entries = entries;
+    this.filePath = filePath;
+  }
+
+  // Load a baseline file. A missing file is an error, since every known issue would then count as
+  // new; with `optional` (a default path nobody asked for) it is an empty baseline.
+  static async load(filePath, { optional = false } = {}) {
+    if (!(await fs.pathExists(filePath))) {
+      if (!optional) {
+        throw new Error(`Baseline file not found: ${filePath} (record one with "bp baseline update")`);
+      }
+      return new Baseline([], filePath);
+    }
+
+    const data = await fs.readJson(filePath);
+    if (!Array.isArray(data.issues)) {
+      throw new Error(`Invalid baseline file ${filePath}: missing "issues" list`);
+    }
+    return new Baseline(data.issues, filePath);
+  }
+
+  // Record the current issues of a project as its baseline
+  static async fromIssues(issues, projectPath) {
+    const fingerprinter = new Fingerprinter(projectPath);
+    const entries = [];
+
+    for (const issue of issues.filter(item => typeof item === 'object')) {
+      entries.push({
+        fingerprint: await fingerprinter.fingerprint(issue),
+        rule: issue.rule || issue.type,
+        file: fingerprinter.relativeFile(issue),
+        line: issue.line,
+        message: issue.message
+      });
+    }
+
+    return new Baseline(entries);
+  }
+
+  // Write the baseline as sorted JSON so updates produce small diffs
+  async save(filePath = this.filePath) {
+    const issues = [...this.entries].sort((first, second) =>
+      first.file.localeCompare(second.file) || (first.line || 0) - (second.line || 0) || first.rule.localeCompare(second.rule));
+
+    await fs.writeJson(filePath, { version: BASELINE_VERSION, issues }, { spaces: 2 });
+    this.filePath = filePath;
+  }
+
+  // Split issues into new ones and ones already in the baseline; baseline entries
+  // no longer matched by any issue have been fixed since the baseline was recorded
+  async compare(issues, projectPath) {
+    const fingerprinter = new Fingerprinter(projectPath);
+    const remaining = new Map();
+    const result = { newIssues: [], baselined: [], fixed: [] };
+
+    // Identical fingerprints are counted, so a second copy of a known issue is still new
+    for (const entry of this.entries) {
+      remaining.set(entry.fingerprint, [...(remaining.get(entry.fingerprint) || []), entry]);
+    }
+
+    for (const issue of issues) {
+      const matches = typeof issue === 'object' ? remaining.get(await fingerprinter.fingerprint(issue)) : null;
+      if (matches && matches.length > 0) {
+        matches.shift();
+        result.baselined.push(issue);
+      } else {
+        result.newIssues.push(issue);
+      }
+    }
+
+    result.fixed = [...remaining.values()].flat();
+    return result;
+  }
+}
+
+// Computes issue fingerprints, reading each referenced file at most once
+class Fingerprinter {
+  constructor(projectPath) {
+    this.projectPath = projectPath;
+    this.lines = new Map();
+  }
+
+  // Project-relative path of the file an issue points at
+  relativeFile(issue) {
+    return issue.file ? RuleConfig.relativePath(this.projectPath, issue.file) : '';
+  }
+
+  // Hash of rule, file, normalized source line and the message with numbers masked
+  async fingerprint(issue) {
+    const file = this.relativeFile(issue);
+    const snippet = await this._snippet(file, issue.line);
+    const message = String(issue.message || '').replace(/\d+/g, '#');
+
+    return crypto
+      .createHash('sha1')
+      .update([issue.rule || issue.type, file, snippet, message].join('\0'))
+      .digest('hex');
+  }
+
+  // The issue's source line with whitespace collapsed; empty when unavailable
+  async _snippet(file, line) {
+    if (!file || !line) {
+      return '';
+    }
+
+    if (!this.lines.has(file)) {
+      try {
+        const content = await fs.readFile(path.join(this.projectPath, file), 'utf8');
+        this.lines.set(file, content.split('\n'));
+      } catch (error) {
+        this.lines.set(file, []);
+      }
+    }
+
+    return (this.lines.get(file)[line - 1] || '').trim().replace(/\s+/g, ' ');
+  }
+}
+
+module.exports = Baseline;
@@ -0,0 +1,117 @@
+const path = require('path');
+const { execFileSync } = require('child_process');
+const RuleConfig = require('../rules/rule-config');
+
+// Hunk header of a zero-context diff: "@@ -12,3 +14,5 @@" (counts default to 1)
+const HUNK_PATTERN = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/;
+
+// Files and lines changed in git, used to limit validation to what a branch or commit touches.
+// Maps absolute file paths to their changed line numbers, or null when the whole file is new.
+class ChangedFiles {
+  constructor(files = new Map()) {
+    this.files = files;
+  }
+
+  // Read changes from git: staged changes, or the working tree compared with the point where HEAD
+  // branched off `since` (default HEAD), so changes made upstream since then don't count.
+  // Untracked files count as changed unless only staged changes are requested.
+  static fromGit(projectPath, { since = null, staged = false } = {}) {
+    if (since && since.startsWith('-')) {
+      throw new Error(`Invalid git ref "${since}"`);
+    }
+
+    const root = git(projectPath, ['rev-parse', '--show-toplevel']).trim();
+    const base = since ? git(projectPath, ['merge-base', since, 'HEAD']).trim() : 'HEAD';
+    const diffArgs = staged ? ['--cached'] : [base];
+    const diff = git(projectPath, ['diff', '--unified=0', '--no-color', '--no-ext-diff', '--diff-filter=ACMR', ...diffArgs, '--', '.']);
+    const files = ChangedFiles.parseDiff(diff, root);
+
+    if (!staged) {
+      const untracked = git(projectPath, ['ls-files', '--others', '--exclude-standard', '--full-name', '--', '.']);
+      untracked.split('\n').filter(Boolean).forEach(file => files.set(path.resolve(root, file), null));
+    }
+
+    return new ChangedFiles(files);
+  }
+
+  // Collect the new-side line numbers of every hunk in a zero-context unified diff
+  static parseDiff(diff, root) {
+    const files = new Map();
+    let current = null;
+
+    for (const line of diff.split('\n')) {
+      if (line.startsWith('+++ ')) {
+        const target = line.slice(4);
+        current = target === '/dev/null' ? null : path.resolve(root, target.replace(/^b\//, ''));
+        if (current && !files.has(current)) {
+          files.set(current, new Set());
+        }
+        continue;
+      }
+
+      const hunk = current ? line.match(HUNK_PATTERN) : null;
+      if (hunk) {
+        const start = Number(hunk[1]);
+        const count = hunk[2] === undefined ? 1 : Number(hunk[2]);
+        for (let lineNumber = start; lineNumber < start + count; lineNumber++) {
+          files.get(current).add(lineNumber);
+        }
+      }
+    }
+
+    return files;
+  }
+
+  // Whether a file was changed
+  has(file) {
+    return this.files.has(path.resolve(file));
+  }
+
+  // Keep only the changed files from a list
+  filter(files) {
+    return files.filter(file => this.has(file));
+  }
+
+  // Whether a line of a file was added or modified
+  hasLine(file, line) {
+    const lines = this.files.get(path.resolve(file));
+    if (lines === undefined) {
+      return false;
+    }
+    return lines === null || lines.has(line);
+  }
+
+  // Keep only findings on changed lines; issue files may be relative to the project.
+  // Plain-string issues are validator failures and are always kept.
+  filterIssues(issues, projectPath) {
+    return issues.filter(issue => {
+      if (typeof issue !== 'object') {
+        return true;
+      }
+      if (!issue.file) {
+        return false;
+      }
+      const file = path.join(projectPath, RuleConfig.relativePath(projectPath, issue.file));
+      return this.hasLine(file, issue.line || 1);
+    });
+  }
+}
+
+// Run a git command in the project directory and return its output
+function git(cwd, args) {
+  try {
+    return execFileSync('git', ['-c', 'core.quotePath=false', ...args], {
+      cwd,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+      maxBuffer: 64 * 1024 * 1024
+    });
+  } catch (error) {
+    const detail = error.stderr ? error.stderr.toString().trim() : error.message;
+    throw new Error(`git ${args[0]} failed: ${detail}`);
+  }
+}
+
+ChangedFiles.HUNK_PATTERN = HUNK_PATTERN;
+
+module.exports = ChangedFiles;
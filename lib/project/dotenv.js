@@ -0,0 +1,52 @@
+// Reads dotenv files (.env, .env.example) the way the dotenv package does: `NAME=value` lines,
+// optionally `export`ed, with quoted values and `#` comments
+
+// `NAME=value`, with anything after the `=` left for parseValue
+const ENTRY_PATTERN = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/;
+
+// A quoted value and the comment after it
+const QUOTED_PATTERN = /^(["'`])(.*?)\1\s*(?:#\s*(.*))?$/;
+
+// A value and its trailing comment: quotes are removed (double quotes also expand \n), and an
+// unquoted value ends where a ` #` comment starts
+function parseValue(text) {
+  const quoted = QUOTED_PATTERN.exec(text);
+  if (quoted) {
+    const value = quoted[1] === '"' ? quoted[2].replace(/\\n/g, '\n') : quoted[2];
+    return { value, comment: quoted[3] ? quoted[3].trim() : null };
+  }
+
+  const hash = text.search(/(?:^|\s)#/);
+  if (hash === -1) {
+    return { value: text.trim(), comment: null };
+  }
+  return { value: text.slice(0, hash).trim(), comment: text.slice(hash).replace(/^\s*#\s*/, '').trim() || null };
+}
+
+// Entries of a dotenv file in order, as { name, value, comment, note, line }: `comment` is the
+// text after the value and `note` the comment lines right above the entry
+function parseDotenv(content) {
+  const entries = [];
+  let note = [];
+
+  String(content || '').split('\n').forEach((text, index) => {
+    const match = ENTRY_PATTERN.exec(text);
+    if (match) {
+      entries.push({ name: match[1], ...parseValue(match[2]), note: note.join(' ') || null, line: index + 1 });
+      note = [];
+    } else {
+      note = /^\s*#/.test(text) ? [...note, text.replace(/^\s*#\s*/, '').trim()] : [];
+    }
+  });
+  return entries;
+}
+
+// Values of a dotenv file by name; a name set twice keeps its last value, as dotenv does
+function dotenvValues(content) {
+  return new Map(parseDotenv(content).map(entry => [entry.name, entry.value]));
+}
+
+module.exports = {
+  parseDotenv,
+  dotenvValues
+};
@@ -0,0 +1,132 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { parseDotenv } = require('./dotenv');
+
+// Where the schema comes from when config has no `env:` section
+const EXAMPLE_FILE = '.env.example';
+
+// The environment variables a project declares it reads, with their defaults. Declared either in
+// an `env:` section of .bp-config.yml or in .env.example; config wins when both exist.
+//
+// In config each name maps to its default, to null for no default, or to
+// { default, required, values, description }; a plain list of names declares them without
+// defaults. In .env.example a value is the default and `NAME= # required` marks a variable
+// that must be set. Defaults document what the code falls back to; nothing applies them.
+class EnvSchema {
+  constructor(variables = [], source = EXAMPLE_FILE) {
+    this.variables = new Map(variables.map(variable => [variable.name, variable]));
+    this.source = source;
+  }
+
+  // The project's schema, or null when it declares none
+  static async load(projectPath, env = null) {
+    if (env) {
+      return EnvSchema.fromConfig(env);
+    }
+
+    const examplePath = path.join(projectPath, EXAMPLE_FILE);
+    if (!(await fs.pathExists(examplePath))) {
+      return null;
+    }
+    return EnvSchema.fromDotenv(await fs.readFile(examplePath, 'utf8'));
+  }
+
+  // A schema from an `env:` config section
+  static fromConfig(env) {
+    const entries = Array.isArray(env) ? env.map(name => [name, null]) : Object.entries(env);
+    return new EnvSchema(entries.map(([name, spec]) => configVariable(name, spec)), 'config');
+  }
+
+  // A schema from the content of a .env.example file
+  static fromDotenv(content, source = EXAMPLE_FILE) {
+    const variables = parseDotenv(content).map(entry => ({
+      name: entry.name,
+      default: entry.value === '' ? null : entry.value,
+      required: /\brequired\b/i.test(entry.comment || ''),
+      values: null,
+      description: entry.note,
+      line: entry.line
+    }));
+    return new EnvSchema(variables, source);
+  }
+
+  // Whether a variable is declared
+  has(name) {
+    return this.variables.has(name);
+  }
+
+  // A declared variable as { name, default, required, values, description, line }, or undefined
+  get(name) {
+    return this.variables.get(name);
+  }
+
+  // Declared variable names, in declaration order
+  names() {
+    return [...this.variables.keys()];
+  }
+
+  // Check the variables of an environment (a Map of name to value, e.g. a parsed .env) against the
+  // schema. Problems are { name, type, severity, message }, with type 'missing', 'invalid', 'unset'
+  // or 'undeclared'; messages never include values, since they are often secrets. `unguarded` names
+  // the variables the code reads without a fallback, which must be set unless they have a default.
+  check(values, { unguarded = new Set() } = {}) {
+    const problems = [];
+
+    for (const variable of this.variables.values()) {
+      const problem = valueProblem(variable, values.get(variable.name), unguarded.has(variable.name));
+      if (problem) {
+        problems.push(problem);
+      }
+    }
+
+    for (const name of values.keys()) {
+      if (!this.has(name)) {
+        problems.push({ name, type: 'undeclared', severity: 'low', message: `${name} is set but not declared in ${this.source === 'config' ? 'the env section of .bp-config.yml' : this.source}` });
+      }
+    }
+    return { passed: problems.every(problem => problem.severity === 'low'), problems };
+  }
+}
+
+// Why a declared variable's value is unacceptable, or null when it is fine
+function valueProblem(variable, value, unguarded) {
+  const unset = value === undefined || value === '' ? unsetProblem(variable, unguarded) : null;
+  if (unset) {
+    return unset;
+  }
+  if (value !== undefined && variable.values && !variable.values.includes(value)) {
+    return { name: variable.name, type: 'invalid', severity: 'high', message: `${variable.name} must be one of: ${variable.values.join(', ')}` };
+  }
+  return null;
+}
+
+// Why a declared variable can't be left unset: it is required, or has no default. Without a default
+// it is a warning, and a failure when the code reads it without a fallback of its own.
+function unsetProblem(variable, unguarded) {
+  if (variable.required) {
+    return { name: variable.name, type: 'missing', severity: 'high', message: `${variable.name} is required but not set` };
+  }
+  if (variable.default !== null) {
+    return null;
+  }
+  if (unguarded) {
+    return { name: variable.name, type: 'missing', severity: 'high', message: `${variable.name} is not set, has no default and is read without a fallback` };
+  }
+  return { name: variable.name, type: 'unset', severity: 'low', message: `${variable.name} is not set and has no default` };
+}
+
+// A variable from a config entry: a scalar is its default, an object spells everything out
+function configVariable(name, spec) {
+  const detailed = spec !== null && typeof spec === 'object' && !Array.isArray(spec);
+  const fields = detailed ? spec : { default: spec };
+  return {
+    name,
+    default: fields.default === undefined || fields.default === null ? null : String(fields.default),
+    required: Boolean(fields.required),
+    values: Array.isArray(fields.values) ? fields.values.map(String) : null,
+    description: fields.description || null,
+    line: null
+  };
+}
+
+module.exports = EnvSchema;
@@ -0,0 +1,154 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { Minimatch } = require('minimatch');
+
+// Always skipped, even without a .gitignore
+const DEFAULT_EXCLUDES = ['node_modules/', 'dist/', 'build/', 'coverage/', '.git/'];
+
+// Walks a project once and hands every validator the same file list. Honors .gitignore files
+// (including nested ones), a root .bpignore, and `include` / `exclude` globs from config.
+class FileDiscovery {
+  constructor(projectPath, { include = [], exclude = [] } = {}) {
+    this.projectPath = projectPath;
+    this.include = [].concat(include || []);
+    this.exclude = [].concat(exclude || []);
+    this._files = null;
+  }
+
+  // Project-relative paths of every file that isn't ignored, sorted; the tree is walked only once
+  async list() {
+    if (!this._files) {
+      this._files = this._walk().then(files => files.sort());
+    }
+    return this._files;
+  }
+
+  // Files matching any of the glob patterns, as paths joined onto the project path
+  async find(patterns, { exclude = [] } = {}) {
+    const wanted = compile(patterns);
+    const unwanted = compile(exclude);
+    const files = await this.list();
+
+    return files
+      .filter(file => matchesAny(wanted, file) && !matchesAny(unwanted, file))
+      .map(file => path.join(this.projectPath, file));
+  }
+
+  // Depth-first walk that prunes ignored directories instead of listing their contents. The default,
+  // .bpignore and config excludes are checked apart from .gitignore rules, so a `!pattern` in a
+  // .gitignore can't bring back a path they exclude.
+  async _walk() {
+    const excludes = [
+      ...parseIgnore(DEFAULT_EXCLUDES.join('\n'), ''),
+      ...parseIgnore(await readIfExists(path.join(this.projectPath, '.bpignore')), ''),
+      ...parseIgnore(this.exclude.join('\n'), '')
+    ];
+    const files = [];
+    await this._walkDirectory('', excludes, [], files);
+
+    const include = compile(this.include);
+    return include.length > 0 ? files.filter(file => matchesAny(include, file)) : files;
+  }
+
+  // List one directory, adding the rules of its .gitignore for everything below it
+  async _walkDirectory(relativeDir, excludes, inheritedRules, files) {
+    const directory = path.join(this.projectPath, relativeDir);
+    const gitignore = await readIfExists(path.join(directory, '.gitignore'));
+    const rules = gitignore ? [...inheritedRules, ...parseIgnore(gitignore, relativeDir)] : inheritedRules;
+
+    let entries;
+    try {
+      entries = await fs.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      // Unreadable directories are skipped
+      return;
+    }
+
+    for (const entry of entries) {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      const isDirectory = entry.isDirectory();
+
+      // Symlinked directories are not followed, so link cycles can't loop the walk
+      if (!isDirectory && !entry.isFile()) {
+        continue;
+      }
+      if (isIgnored(excludes, relativePath, isDirectory) || isIgnored(rules, relativePath, isDirectory)) {
+        continue;
+      }
+      if (isDirectory) {
+        await this._walkDirectory(relativePath, excludes, rules, files);
+      } else {
+        files.push(relativePath);
+      }
+    }
+  }
+}
+
+// Compile glob patterns once; they are matched against every file in the tree
+function compile(globs) {
+  return globs.map(glob => new Minimatch(glob, { dot: true }));
+}
+
+// Whether a project-relative path matches any compiled glob
+function matchesAny(matchers, file) {
+  return matchers.some(matcher => matcher.match(file));
+}
+
+// Read a text file, or return '' when it doesn't exist
+async function readIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    return '';
+  }
+}
+
+// Turn .gitignore lines into matchers relative to the directory that holds the file
+function parseIgnore(content, baseDir) {
+  const rules = [];
+
+  for (const rawLine of content.split('\n')) {
+    let pattern = rawLine.trim();
+    if (!pattern || pattern.startsWith('#')) {
+      continue;
+    }
+
+    const negated = pattern.startsWith('!');
+    pattern = negated ? pattern.slice(1) : pattern;
+    const directoryOnly = pattern.endsWith('/');
+    pattern = pattern.replace(/\/+$/, '');
+
+    // Patterns with a slash are anchored to their .gitignore; others match at any depth
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\//, '');
+    const glob = anchored ? pattern : `**/${pattern}`;
+
+    rules.push({
+      matcher: new Minimatch(baseDir ? `${baseDir}/${glob}` : glob, { dot: true }),
+      negated,
+      directoryOnly
+    });
+  }
+
+  return rules;
+}
+
+// Apply ignore rules in order; the last matching rule decides, as in git
+function isIgnored(rules, relativePath, isDirectory) {
+  let ignored = false;
+
+  for (const rule of rules) {
+    if (rule.directoryOnly && !isDirectory) {
+      continue;
+    }
+    if (rule.matcher.match(relativePath)) {
+      ignored = !rule.negated;
+    }
+  }
+
+  return ignored;
+}
+
+FileDiscovery.DEFAULT_EXCLUDES = DEFAULT_EXCLUDES;
+
+module.exports = FileDiscovery;
@@ -0,0 +1,79 @@
+const fs = require('fs-extra');
+const path = require('path');
+const jsParser = require('../parsers/js-parser');
+const FileDiscovery = require('./file-discovery');
+
+// Per-run view of a project shared by every validator: one walk of the tree, and each file
+// read and parsed at most once. Create a new model for each run so edits are picked up.
+class ProjectModel {
+  constructor(projectPath, { include = [], exclude = [] } = {}) {
+    this.projectPath = projectPath;
+    this.fileDiscovery = new FileDiscovery(projectPath, { include, exclude });
+    this._sources = new Map();
+  }
+
+  // Parsed view of a file (content, lines, size, lazy AST and functions); null if unreadable
+  source(filePath) {
+    const key = path.resolve(filePath);
+
+    if (!this._sources.has(key)) {
+      this._sources.set(key, fs.readFile(filePath, 'utf8')
+        .then(content => createSource(filePath, content))
+        .catch(() => null));
+    }
+    return this._sources.get(key);
+  }
+
+  // File content shared with file rules; rejects like fs.readFile when unreadable
+  async readFile(filePath) {
+    const source = await this.source(filePath);
+    if (!source) {
+      throw new Error(`Cannot read ${filePath}`);
+    }
+    return source.content;
+  }
+
+  // Forget a file after it was rewritten (e.g. by auto-fix) so later reads see the new content
+  invalidate(filePath) {
+    this._sources.delete(path.resolve(filePath));
+  }
+}
+
+// Build a source view; the AST and function list are parsed on first use and then reused,
+// including a parse error, so an unparseable file is only parsed once
+function createSource(filePath, content) {
+  let ast;
+  let parseError;
+  let functions;
+
+  return {
+    filePath,
+    content,
+    lines: content.split('\n'),
+    size: Buffer.byteLength(content, 'utf8'),
+    get ast() {
+      if (parseError) {
+        throw parseError;
+      }
+      if (ast === undefined) {
+        try {
+          ast = jsParser.parse(content, filePath);
+        } catch (error) {
+          parseError = error;
+          throw error;
+        }
+      }
+      return ast;
+    },
+    get functions() {
+      if (functions === undefined) {
+        functions = jsParser.extractFunctions(content, filePath, this.ast);
+      }
+      return functions;
+    }
+  };
+}
+
+ProjectModel.createSource = createSource;
+
+module.exports = ProjectModel;
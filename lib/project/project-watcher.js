@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const FileDiscovery = require('./file-discovery');
+
+// Top-level directories whose changes never affect results; the result cache lives in node_modules
+const IGNORED_DIRECTORIES = FileDiscovery.DEFAULT_EXCLUDES.map(exclude => exclude.replace(/\/$/, ''));
+
+// Watches a project tree and reports changed files in batches, once edits have settled for
+// `delay` ms, so a save that touches several files triggers a single re-validation. Changes to the
+// `ignore` files (project-relative paths, e.g. the reports each run writes) are never reported.
+class ProjectWatcher {
+  constructor(projectPath, { delay = 100, ignore = [] } = {}) {
+    this.projectPath = projectPath;
+    this.delay = delay;
+    this.ignore = new Set(ignore);
+    this._watchers = new Map();
+    this._timer = null;
+    this._pending = new Set();
+    this._onChange = null;
+  }
+
+  // Start watching; onChange receives the sorted project-relative paths changed since the last batch.
+  // Where recursive watching is unsupported (Linux before Node 20), each directory gets its own watcher.
+  start(onChange) {
+    this._onChange = onChange;
+    try {
+      const watcher = fs.watch(this.projectPath, { recursive: true }, (eventType, fileName) => {
+        this._record(fileName ? String(fileName).split(path.sep).join('/') : null);
+      });
+      this._watchers.set('', watcher);
+    } catch (error) {
+      if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+        throw error;
+      }
+      this._watchDirectory('');
+    }
+    return this;
+  }
+
+  // Watch one directory and, recursively, the ones below it that aren't ignored
+  _watchDirectory(relativeDir) {
+    const directory = path.join(this.projectPath, relativeDir);
+    let entries;
+    try {
+      const watcher = fs.watch(directory, (eventType, fileName) => this._directoryChanged(relativeDir, fileName));
+      watcher.on('error', () => this._unwatch(relativeDir));
+      this._watchers.set(relativeDir, watcher);
+      entries = fs.readdirSync(directory, { withFileTypes: true });
+    } catch (error) {
+      // Removed before it could be watched
+      this._unwatch(relativeDir);
+      return;
+    }
+
+    entries
+      .filter(entry => entry.isDirectory())
+      .map(entry => (relativeDir ? `${relativeDir}/${entry.name}` : entry.name))
+      .filter(child => !isIgnored(child))
+      .forEach(child => this._watchDirectory(child));
+  }
+
+  // A change seen by a per-directory watcher; new directories are watched from then on
+  _directoryChanged(relativeDir, fileName) {
+    if (!fileName) {
+      return;
+    }
+
+    const relativePath = relativeDir ? `${relativeDir}/${fileName}` : String(fileName);
+    const absolutePath = path.join(this.projectPath, relativePath);
+    if (!this._watchers.has(relativePath) && !isIgnored(relativePath) && isDirectory(absolutePath)) {
+      this._watchDirectory(relativePath);
+    }
+    this._record(relativePath);
+  }
+
+  // Queue a changed path and report the batch once changes settle
+  _record(relativePath) {
+    if (!relativePath || isIgnored(relativePath) || this.ignore.has(relativePath)) {
+      return;
+    }
+
+    this._pending.add(relativePath);
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => {
+      const changed = [...this._pending].sort();
+      this._pending.clear();
+      this._onChange(changed);
+    }, this.delay);
+  }
+
+  // Stop watching a directory that went away
+  _unwatch(relativeDir) {
+    const watcher = this._watchers.get(relativeDir);
+    if (watcher) {
+      watcher.close();
+      this._watchers.delete(relativeDir);
+    }
+  }
+
+  // Stop watching and drop changes that haven't been reported yet
+  close() {
+    clearTimeout(this._timer);
+    this._pending.clear();
+    this._watchers.forEach(watcher => watcher.close());
+    this._watchers.clear();
+  }
+}
+
+// Whether a project-relative path is under a directory that never affects results
+function isIgnored(relativePath) {
+  return IGNORED_DIRECTORIES.includes(relativePath.split('/')[0]);
+}
+
+// Whether a path is a directory that still exists
+function isDirectory(file) {
+  try {
+    return fs.statSync(file).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = ProjectWatcher;
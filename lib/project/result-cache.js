@@ -0,0 +1,104 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+const CACHE_FILE = 'results.json';
+
+// Result sets for this many rule/config combinations are kept; older ones are dropped
+const MAX_RUNS = 8;
+
+// On-disk cache of rule results between runs, stored in node_modules/.cache/bp by default.
+// File results are keyed by content hash within a run key (SDK version, rules and resolved
+// config); project rule results are keyed by whatever inputs the rule reports.
+class ResultCache {
+  constructor(filePath, version, data = {}) {
+    this.filePath = filePath;
+    this.version = version;
+    this.runs = data.version === version && data.runs ? data.runs : {};
+    this.memos = data.version === version && data.memos ? data.memos : {};
+  }
+
+  // Load the cache for a project; a missing, unreadable or outdated cache starts empty
+  static async load(projectPath, { version, directory = path.join(projectPath, 'node_modules', '.cache', 'bp') }) {
+    const filePath = path.join(directory, CACHE_FILE);
+
+    try {
+      return new ResultCache(filePath, version, await fs.readJson(filePath));
+    } catch (error) {
+      return new ResultCache(filePath, version);
+    }
+  }
+
+  // Stable SHA-1 of a string or JSON-serializable value; regular expressions (e.g. secret patterns) count by their source
+  static hash(value) {
+    return crypto
+      .createHash('sha1')
+      .update(typeof value === 'string' ? value : JSON.stringify(value, (key, item) => (item instanceof RegExp ? String(item) : item)))
+      .digest('hex');
+  }
+
+  // Key for one set of rules run with one configuration
+  runKey(signature) {
+    const key = ResultCache.hash(signature);
+    this.runs[key] = this.runs[key] || { files: {}, project: {} };
+    this.runs[key].lastUsed = Date.now();
+    return key;
+  }
+
+  // Cached results for a file, or null when its content changed
+  getFile(runKey, relativeFile, contentHash) {
+    const entry = this.runs[runKey].files[relativeFile];
+    return entry && entry.hash === contentHash ? entry.result : null;
+  }
+
+  // Store the results of running file rules over one version of a file
+  setFile(runKey, relativeFile, contentHash, result) {
+    this.runs[runKey].files[relativeFile] = { hash: contentHash, result };
+  }
+
+  // Cached result of a project rule, or null when its inputs changed
+  getProject(runKey, ruleId, inputKey) {
+    const entry = this.runs[runKey].project[ruleId];
+    return entry && entry.key === inputKey ? entry.result : null;
+  }
+
+  // Store the result of a project rule for one set of inputs
+  setProject(runKey, ruleId, inputKey, result) {
+    this.runs[runKey].project[ruleId] = { key: inputKey, result };
+  }
+
+  // Reuse a value derived from a file's content (e.g. its imports) while the content is unchanged
+  async memo(relativeFile, name, content, compute) {
+    const hash = ResultCache.hash(content);
+    const memos = this.memos[relativeFile] = this.memos[relativeFile] || {};
+
+    if (!memos[name] || memos[name].hash !== hash) {
+      memos[name] = { hash, value: await compute(content) };
+    }
+    return memos[name].value;
+  }
+
+  // Write the cache, dropping the least recently used run keys and files that no longer exist
+  async save(projectPath) {
+    const runKeys = Object.keys(this.runs).sort((first, second) => this.runs[second].lastUsed - this.runs[first].lastUsed);
+    runKeys.slice(MAX_RUNS).forEach(key => delete this.runs[key]);
+
+    for (const run of Object.values(this.runs)) {
+      await this._dropMissing(run.files, projectPath);
+    }
+    await this._dropMissing(this.memos, projectPath);
+
+    await fs.outputJson(this.filePath, { version: this.version, runs: this.runs, memos: this.memos });
+  }
+
+  // Remove entries for files that were deleted since they were cached
+  async _dropMissing(entries, projectPath) {
+    for (const relativeFile of Object.keys(entries)) {
+      if (!(await fs.pathExists(path.join(projectPath, relativeFile)))) {
+        delete entries[relativeFile];
+      }
+    }
+  }
+}
+
+module.exports = ResultCache;
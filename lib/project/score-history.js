@@ -0,0 +1,107 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { reportLevel } = require('../rules/severity');
+
+const DEFAULT_HISTORY_FILE = path.join('.bp', 'history.jsonl');
+
+// Scores and issue counts of past audits, one JSON object per line in .bp/history.jsonl.
+// Appending a line per audit keeps the file merge-friendly and cheap to write.
+class ScoreHistory {
+  constructor(entries = [], filePath = null) {
+    this.entries = entries;
+    this.filePath = filePath;
+  }
+
+  // The history file of a project: `file` (relative to the project) or .bp/history.jsonl
+  static filePath(projectPath, file = DEFAULT_HISTORY_FILE) {
+    return path.resolve(projectPath, file);
+  }
+
+  // Load a project's history; a missing file is an empty history and unreadable lines are skipped
+  static async load(projectPath, options = {}) {
+    const filePath = ScoreHistory.filePath(projectPath, options.file);
+    if (!(await fs.pathExists(filePath))) {
+      return new ScoreHistory([], filePath);
+    }
+
+    const entries = [];
+    for (const line of (await fs.readFile(filePath, 'utf8')).split('\n')) {
+      try {
+        if (line.trim()) {
+          entries.push(JSON.parse(line));
+        }
+      } catch (error) {
+        // A line cut short by an interrupted write shouldn't hide the rest of the history
+      }
+    }
+    return new ScoreHistory(entries, filePath);
+  }
+
+  // Summarize a validation or audit result as a history entry
+  static entryFrom(result, { commit = null, branch = null } = {}) {
+    const findings = (result.issues || []).filter(issue => typeof issue === 'object');
+    const standards = {};
+    for (const [standard, metrics] of Object.entries(result.metrics || {})) {
+      standards[standard] = metrics.score;
+    }
+
+    return {
+      timestamp: result.timestamp || new Date().toISOString(),
+      commit,
+      branch,
+      score: result.score,
+      passed: Boolean(result.passed),
+      standards,
+      issues: {
+        total: (result.issues || []).length,
+        error: findings.filter(issue => reportLevel(issue.severity) === 'error').length,
+        warning: findings.filter(issue => reportLevel(issue.severity) === 'warning').length,
+        info: findings.filter(issue => reportLevel(issue.severity) === 'info').length
+      }
+    };
+  }
+
+  // The current commit and branch of the project, or nulls outside a git repository
+  static gitState(projectPath) {
+    const run = args => {
+      try {
+        return execFileSync('git', args, { cwd: projectPath, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim() || null;
+      } catch (error) {
+        return null;
+      }
+    };
+
+    const branch = run(['rev-parse', '--abbrev-ref', 'HEAD']);
+    return { commit: run(['rev-parse', '--short', 'HEAD']), branch: branch === 'HEAD' ? null : branch };
+  }
+
+  // Append an entry to the history file
+  async append(entry) {
+    await fs.ensureDir(path.dirname(this.filePath));
+    await fs.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+    this.entries.push(entry);
+    return entry;
+  }
+
+  // Score series for the last `limit` entries: overall, per standard, and issue counts
+  trend(limit = 20) {
+    const entries = this.entries.slice(-limit);
+    const standards = [...new Set(entries.flatMap(entry => Object.keys(entry.standards || {})))];
+    const series = { overall: entries.map(entry => entry.score) };
+
+    for (const standard of standards) {
+      series[standard] = entries.map(entry => (entry.standards || {})[standard]);
+    }
+
+    return {
+      entries,
+      series,
+      issues: entries.map(entry => (entry.issues || {}).total)
+    };
+  }
+}
+
+ScoreHistory.DEFAULT_FILE = DEFAULT_HISTORY_FILE;
+
+module.exports = ScoreHistory;
@@ -0,0 +1,34 @@
+const RuleConfig = require('../rules/rule-config');
+const { reportLevel } = require('../rules/severity');
+const { XML_HEADER, escapeXml } = require('./xml');
+
+// Checkstyle XML, read by Jenkins and other CI dashboards: findings grouped by file as
+// <file>/<error> elements, with severities collapsed to error, warning or info
+const checkstyleReporter = {
+  name: 'checkstyle',
+  extension: '.xml',
+  description: 'Checkstyle XML with an error element per finding',
+
+  // Group findings by file, paths relative to context.projectPath
+  render(result, { projectPath = result.path || './' } = {}) {
+    const byFile = new Map();
+
+    for (const issue of (result.issues || []).filter(item => typeof item === 'object')) {
+      const file = issue.file ? RuleConfig.relativePath(projectPath, issue.file) : '';
+      byFile.set(file, [...(byFile.get(file) || []), issue]);
+    }
+
+    const files = [...byFile.keys()].sort().map(file => [
+      `  <file name="${escapeXml(file)}">`,
+      ...byFile.get(file).map(issue => {
+        const column = issue.column ? ` column="${issue.column}"` : '';
+        return `    <error line="${issue.line || 1}"${column} severity="${reportLevel(issue.severity)}" message="${escapeXml(issue.message)}" source="bp.${escapeXml(issue.rule || issue.type)}"/>`;
+      }),
+      '  </file>'
+    ].join('\n'));
+
+    return [XML_HEADER, '<checkstyle version="4.3">', ...files, '</checkstyle>', ''].join('\n');
+  }
+};
+
+module.exports = checkstyleReporter;
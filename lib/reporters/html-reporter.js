@@ -0,0 +1,399 @@
+const fs = require('fs-extra');
+const path = require('path');
+const RuleConfig = require('../rules/rule-config');
+const { SEVERITY_LEVELS, severityRank, reportLevel } = require('../rules/severity');
+const SecretDetector = require('../security/secret-detector');
+const { summarize } = require('./report-summary');
+
+// Lines of source shown above and below each finding
+const SNIPPET_CONTEXT = 2;
+
+// Files larger than this are not read for snippets
+const MAX_SNIPPET_FILE_SIZE = 1024 * 1024;
+
+// Masks secrets in snippets, so the report never shows a credential found in the code
+const secretDetector = new SecretDetector();
+
+// Circumference of the score gauge circle (r = 36)
+const GAUGE_LENGTH = 2 * Math.PI * 36;
+
+// Size of the trend chart and the colors of its lines (overall first)
+const CHART = { width: 640, height: 180, padding: 28 };
+const SERIES_COLORS = ['#212121', '#1565c0', '#c62828', '#ef6c00', '#2e7d32', '#6a1b9a', '#00838f'];
+
+// Escape text for HTML content or a double-quoted attribute
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Self-contained HTML dashboard: score gauges per standard, a file tree with issue counts, and a
+// findings table that can be filtered and sorted by severity, rule and file, each finding with a
+// snippet of the code around it. Styles and script are inline, so the page works offline.
+const htmlReporter = {
+  name: 'html',
+  extension: '.html',
+  description: 'Offline HTML dashboard with score gauges, filterable findings and code snippets',
+
+  // context.title replaces the default page title; snippets are read from the files on disk
+  async render(result, context = {}) {
+    const projectPath = context.projectPath || result.path || result.projectPath || './';
+    const summary = summarize(result);
+    const title = escapeHtml(context.title || 'Code Audit Report');
+    const findings = await this._findings(summary, projectPath);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+<style>${this._styles()}</style>
+</head>
+<body>
+<header>
+  <div>
+    <h1>${title}</h1>
+    <p>Project: ${escapeHtml(result.path || result.projectPath || projectPath)}</p>
+    <p>Generated: ${escapeHtml(result.timestamp)}</p>
+    <p class="status ${summary.passed ? 'passed' : 'failed'}">${summary.passed ? 'PASSED' : 'FAILED'}</p>
+    <p>${summary.totalIssues} issue(s): ${summary.errors} error(s), ${summary.warnings} warning(s)</p>
+  </div>
+  ${this._gauge('Overall', summary.score)}
+</header>
+<section class="gauges">
+  ${summary.sections.filter(section => section.score !== undefined).map(section => this._gauge(section.name, section.score)).join('\n  ')}
+</section>
+${summary.failures.map(failure => `<p class="failure">${escapeHtml(failure)}</p>`).join('\n')}
+<main>
+  <nav class="tree">
+    <h2>Files</h2>
+    <button type="button" class="file active" data-file="">All files <span class="count">${findings.length}</span></button>
+    ${this._tree(this._fileTree(findings))}
+  </nav>
+  <section class="findings">
+    <h2>Issues (<span id="shown">${findings.length}</span> of ${findings.length})</h2>
+    ${this._controls(findings)}
+    ${this._table(findings)}
+  </section>
+</main>
+${this._suppressedSection(summary.suppressed, projectPath)}
+${this._recommendations(summary.recommendations)}
+${result.trend ? this._trendSection(result.trend) : ''}
+<script>${this._script()}</script>
+</body>
+</html>
+`;
+  },
+
+  // Standalone page with just the score trend, as written by `bp trend --html`
+  renderTrend(trend, context = {}) {
+    const title = escapeHtml(context.title || 'Score Trend');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>${this._styles()}</style>
+</head>
+<body>
+<h1>${title}</h1>
+${this._trendSection(trend)}
+</body>
+</html>
+`;
+  },
+
+  // Findings with paths relative to the project and the source lines around them, most severe first
+  async _findings(summary, projectPath) {
+    const sources = new Map();
+    const findings = [];
+
+    for (const section of summary.sections) {
+      for (const issue of section.issues) {
+        const file = issue.file ? RuleConfig.relativePath(projectPath, issue.file) : '';
+        if (issue.file && !sources.has(file)) {
+          sources.set(file, await this._readSource(issue.file, projectPath, file));
+        }
+        findings.push({
+          ...issue,
+          file,
+          standard: section.name,
+          level: reportLevel(issue.severity),
+          snippet: this._snippet(sources.get(file), issue.line)
+        });
+      }
+    }
+
+    return findings.sort((first, second) => severityRank(second.severity) - severityRank(first.severity) ||
+      first.file.localeCompare(second.file) || (first.line || 0) - (second.line || 0));
+  },
+
+  // Lines of a finding's file, or null when it can't be read (deleted, binary or too large)
+  async _readSource(file, projectPath, relative) {
+    const candidates = path.isAbsolute(file) ? [file] : [path.resolve(file), path.resolve(projectPath, relative)];
+
+    for (const candidate of candidates) {
+      try {
+        const stat = await fs.stat(candidate);
+        if (stat.isFile() && stat.size <= MAX_SNIPPET_FILE_SIZE) {
+          const content = await fs.readFile(candidate, 'utf8');
+          return content.includes('\u0000') ? null : content.split(/\r?\n/);
+        }
+      } catch (error) {
+        // Try the next location; a finding without a snippet is still reported
+      }
+    }
+    return null;
+  },
+
+  // The numbered source lines around `line`, with any secrets on them masked
+  _snippet(lines, line) {
+    if (!lines || !line || line > lines.length) {
+      return null;
+    }
+
+    const start = Math.max(1, line - SNIPPET_CONTEXT);
+    const end = Math.min(lines.length, line + SNIPPET_CONTEXT);
+    return lines.slice(start - 1, end).map((text, index) => ({ number: start + index, text: secretDetector.maskLine(text), current: start + index === line }));
+  },
+
+  // Group findings into a directory tree: { dirs: Map(name -> node), files: Map(name -> { path, count }), count }
+  _fileTree(findings) {
+    const root = { dirs: new Map(), files: new Map(), count: 0 };
+
+    for (const finding of findings.filter(item => item.file)) {
+      const parts = finding.file.split('/');
+      let node = root;
+      node.count++;
+      for (const dir of parts.slice(0, -1)) {
+        if (!node.dirs.has(dir)) {
+          node.dirs.set(dir, { dirs: new Map(), files: new Map(), count: 0 });
+        }
+        node = node.dirs.get(dir);
+        node.count++;
+      }
+      const name = parts[parts.length - 1];
+      node.files.set(name, { path: finding.file, count: (node.files.get(name) || { count: 0 }).count + 1 });
+    }
+
+    return root;
+  },
+
+  // Render a tree node as nested lists; directories collapse, and clicking a file filters the table
+  _tree(node) {
+    const byName = ([first], [second]) => first.localeCompare(second);
+    const dirs = [...node.dirs.entries()].sort(byName).map(([name, child]) =>
+      `<li><details open><summary>${escapeHtml(name)}/ <span class="count">${child.count}</span></summary>${this._tree(child)}</details></li>`);
+    const files = [...node.files.entries()].sort(byName).map(([name, file]) =>
+      `<li><button type="button" class="file" data-file="${escapeHtml(file.path)}">${escapeHtml(name)} <span class="count">${file.count}</span></button></li>`);
+
+    return `<ul>${[...dirs, ...files].join('')}</ul>`;
+  },
+
+  // Filter and sort controls, offering the severities, rules and standards present in the findings
+  _controls(findings) {
+    const severities = SEVERITY_LEVELS.filter(severity => findings.some(finding => finding.severity === severity));
+    const rules = [...new Set(findings.map(finding => finding.rule || finding.type))].sort();
+    const standards = [...new Set(findings.map(finding => finding.standard))];
+    const options = values => values.map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`).join('');
+
+    return `<div class="controls">
+      <label>Severity <select id="filter-severity"><option value="">All</option>${options(severities)}</select></label>
+      <label>Rule <select id="filter-rule"><option value="">All</option>${options(rules)}</select></label>
+      <label>Standard <select id="filter-standard"><option value="">All</option>${options(standards)}</select></label>
+      <label>File <input id="filter-file" type="search" placeholder="path contains..."></label>
+      <label>Sort by <select id="sort"><option value="severity">Severity</option><option value="rule">Rule</option><option value="file">File</option></select></label>
+    </div>`;
+  },
+
+  // The findings table; each row carries the data-* attributes the script filters and sorts on
+  _table(findings) {
+    if (findings.length === 0) {
+      return '<p class="empty">No issues found</p>';
+    }
+
+    const rows = findings.map(finding => `<tr class="${finding.level}" data-severity="${escapeHtml(finding.severity)}" data-rank="${severityRank(finding.severity)}" data-rule="${escapeHtml(finding.rule || finding.type)}" data-standard="${escapeHtml(finding.standard)}" data-file="${escapeHtml(finding.file)}" data-line="${Number(finding.line) || 0}">
+        <td><span class="badge ${finding.level}">${escapeHtml(finding.severity)}</span></td>
+        <td><code>${escapeHtml(finding.rule || finding.type)}</code></td>
+        <td>${escapeHtml(finding.file)}${finding.line ? `:${escapeHtml(finding.line)}` : ''}</td>
+        <td>${this._message(finding)}</td>
+      </tr>`);
+
+    return `<table id="issues">
+      <thead><tr><th>Severity</th><th>Rule</th><th>Location</th><th>Message</th></tr></thead>
+      <tbody>
+      ${rows.join('\n      ')}
+      </tbody>
+    </table>`;
+  },
+
+  // A finding's message, expandable to the code around it when the source could be read
+  _message(finding) {
+    if (!finding.snippet) {
+      return escapeHtml(finding.message);
+    }
+
+    const lines = finding.snippet.map(line =>
+      `<span class="line${line.current ? ' current' : ''}"><span class="number">${line.number}</span>${escapeHtml(line.text)}</span>`);
+    return `<details><summary>${escapeHtml(finding.message)}</summary><pre>${lines.join('')}</pre></details>`;
+  },
+
+  // An SVG ring filled in proportion to a 0-100 score
+  _gauge(label, score) {
+    const value = Math.max(0, Math.min(100, Number(score) || 0));
+    const color = value >= 80 ? '#2e7d32' : value >= 60 ? '#ef6c00' : '#c62828';
+
+    return `<figure class="gauge">
+    <svg viewBox="0 0 90 90" width="90" height="90" role="img" aria-label="${escapeHtml(label)} score ${value}">
+      <circle cx="45" cy="45" r="36" fill="none" stroke="#e0e0e0" stroke-width="9"/>
+      <circle cx="45" cy="45" r="36" fill="none" stroke="${color}" stroke-width="9" stroke-linecap="round" transform="rotate(-90 45 45)" stroke-dasharray="${(GAUGE_LENGTH * value / 100).toFixed(1)} ${GAUGE_LENGTH.toFixed(1)}"/>
+      <text x="45" y="51" text-anchor="middle" font-size="20" font-weight="bold" fill="${color}">${value}</text>
+    </svg>
+    <figcaption>${escapeHtml(label)}</figcaption>
+  </figure>`;
+  },
+
+  // Findings hidden by bp-disable comments, with the reasons given
+  _suppressedSection(suppressed, projectPath) {
+    if (suppressed.length === 0) {
+      return '';
+    }
+
+    const items = suppressed.map(issue => {
+      const file = issue.file ? RuleConfig.relativePath(projectPath, issue.file) : '';
+      return `<li><code>${escapeHtml(issue.rule)}</code> ${escapeHtml(file)}:${escapeHtml(issue.line)} - ${escapeHtml(issue.message)} <em>${escapeHtml(issue.suppression.kind)}: ${escapeHtml(issue.suppression.reason || 'no reason given')}</em></li>`;
+    });
+
+    return `<section class="suppressed">
+  <h2>Suppressed Findings (${suppressed.length})</h2>
+  <ul>
+    ${items.join('\n    ')}
+  </ul>
+</section>`;
+  },
+
+  // Recommendations from the audit
+  _recommendations(recommendations) {
+    if (recommendations.length === 0) {
+      return '';
+    }
+
+    return `<section class="recommendations">
+  <h2>Recommendations</h2>
+  <ul>
+    ${recommendations.map(rec => `<li>${escapeHtml(rec)}</li>`).join('\n    ')}
+  </ul>
+</section>`;
+  },
+
+  // Score history: a line chart of the overall and per-standard scores and a table of recent audits
+  _trendSection(trend) {
+    if (!trend.entries || trend.entries.length === 0) {
+      return '';
+    }
+
+    const rows = trend.entries.slice(-10).reverse().map(entry => `<tr><td>${escapeHtml(entry.timestamp)}</td><td><code>${escapeHtml(entry.commit || '-')}</code></td><td>${escapeHtml(entry.score)}</td><td>${escapeHtml((entry.issues || {}).total)}</td></tr>`);
+
+    return `<section class="trend">
+  <h2>Score Trend (${trend.entries.length} audit${trend.entries.length === 1 ? '' : 's'})</h2>
+  ${this._trendChart(trend.series)}
+  <table>
+    <thead><tr><th>Date</th><th>Commit</th><th>Score</th><th>Issues</th></tr></thead>
+    <tbody>${rows.join('')}</tbody>
+  </table>
+</section>`;
+  },
+
+  // SVG line chart of score series on a 0-100 scale, with a legend
+  _trendChart(series) {
+    const { width, height, padding } = CHART;
+    const names = Object.keys(series);
+    const count = Math.max(...names.map(name => series[name].length));
+    const xAt = index => padding + (count > 1 ? index * (width - 2 * padding) / (count - 1) : (width - 2 * padding) / 2);
+    const yAt = score => height - padding - (Math.max(0, Math.min(100, score)) / 100) * (height - 2 * padding);
+
+    const lines = names.map((name, index) => {
+      const points = series[name].map((score, position) => (typeof score === 'number' ? `${xAt(position).toFixed(1)},${yAt(score).toFixed(1)}` : null)).filter(Boolean);
+      const color = SERIES_COLORS[index % SERIES_COLORS.length];
+      return `<polyline fill="none" stroke="${color}" stroke-width="${index === 0 ? 3 : 1.5}" points="${points.join(' ')}"><title>${escapeHtml(name)}</title></polyline>`;
+    });
+    const grid = [0, 50, 100].map(score =>
+      `<line x1="${padding}" x2="${width - padding}" y1="${yAt(score)}" y2="${yAt(score)}" stroke="#e0e0e0"/><text x="4" y="${yAt(score) + 4}" font-size="10" fill="#757575">${score}</text>`);
+    const legend = names.map((name, index) => `<span style="color: ${SERIES_COLORS[index % SERIES_COLORS.length]}">&#9632; ${escapeHtml(name)}</span>`);
+
+    return `<svg viewBox="0 0 ${width} ${height}" width="100%" height="${height}" role="img" aria-label="Score trend">${grid.join('')}${lines.join('')}</svg>
+  <p class="legend">${legend.join(' ')}</p>`;
+  },
+
+  // Inline stylesheet
+  _styles() {
+    return `
+body { font-family: -apple-system, "Segoe UI", Arial, sans-serif; margin: 0; padding: 24px 40px; color: #212121; background: #fafafa; }
+header { display: flex; justify-content: space-between; align-items: center; background: #fff; padding: 16px 24px; border-radius: 6px; box-shadow: 0 1px 3px rgba(0,0,0,.1); }
+h1 { margin: 0 0 8px; } h2 { font-size: 18px; } header p { margin: 4px 0; }
+.status { font-weight: bold; } .passed { color: #2e7d32; } .failed { color: #c62828; }
+.gauges { display: flex; flex-wrap: wrap; gap: 24px; margin: 24px 0; }
+.gauge { margin: 0; text-align: center; } .gauge figcaption { font-weight: bold; }
+main { display: grid; grid-template-columns: minmax(200px, 1fr) 4fr; gap: 24px; align-items: start; }
+.tree, .findings, .suppressed, .recommendations, .failure { background: #fff; padding: 12px 20px; border-radius: 6px; box-shadow: 0 1px 3px rgba(0,0,0,.1); }
+.suppressed, .recommendations, .trend { margin-top: 24px; } .trend { background: #fff; padding: 12px 20px; border-radius: 6px; } .failure { color: #c62828; }
+.tree ul { list-style: none; padding-left: 14px; margin: 2px 0; }
+.file { border: 0; background: none; cursor: pointer; padding: 2px 4px; font: inherit; text-align: left; } .file.active { background: #e3f2fd; border-radius: 3px; }
+.count { color: #fff; background: #757575; border-radius: 8px; padding: 0 6px; font-size: 12px; }
+.controls { display: flex; flex-wrap: wrap; gap: 12px; margin-bottom: 12px; }
+table { width: 100%; border-collapse: collapse; } th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eee; vertical-align: top; }
+tr.error { border-left: 4px solid #c62828; } tr.warning { border-left: 4px solid #ef6c00; } tr.info { border-left: 4px solid #1565c0; }
+.badge { color: #fff; border-radius: 3px; padding: 1px 6px; font-size: 12px; } .badge.error { background: #c62828; } .badge.warning { background: #ef6c00; } .badge.info { background: #1565c0; }
+summary { cursor: pointer; } pre { background: #263238; color: #eceff1; padding: 8px 0; overflow-x: auto; border-radius: 4px; }
+.line { display: block; padding: 0 8px; } .line.current { background: #4e342e; } .number { display: inline-block; width: 4em; color: #90a4ae; user-select: none; }
+.empty { color: #2e7d32; }
+`;
+  },
+
+  // Inline script that filters and sorts the findings table
+  _script() {
+    return `
+(function () {
+  var table = document.getElementById('issues');
+  if (!table) { return; }
+  var body = table.tBodies[0];
+  var rows = Array.prototype.slice.call(body.rows);
+  var controls = ['filter-severity', 'filter-rule', 'filter-standard', 'filter-file', 'sort'].map(function (id) { return document.getElementById(id); });
+  var fileButtons = Array.prototype.slice.call(document.querySelectorAll('.file'));
+  var byLocation = function (a, b) { return a.dataset.file.localeCompare(b.dataset.file) || a.dataset.line - b.dataset.line; };
+  var comparators = {
+    severity: function (a, b) { return b.dataset.rank - a.dataset.rank || byLocation(a, b); },
+    rule: function (a, b) { return a.dataset.rule.localeCompare(b.dataset.rule) || byLocation(a, b); },
+    file: byLocation
+  };
+
+  function update() {
+    var severity = controls[0].value, rule = controls[1].value, standard = controls[2].value, file = controls[3].value.toLowerCase();
+    var shown = 0;
+    rows.sort(comparators[controls[4].value]).forEach(function (row) {
+      var visible = (!severity || row.dataset.severity === severity) && (!rule || row.dataset.rule === rule) &&
+        (!standard || row.dataset.standard === standard) && row.dataset.file.toLowerCase().indexOf(file) !== -1;
+      row.hidden = !visible;
+      shown += visible ? 1 : 0;
+      body.appendChild(row);
+    });
+    document.getElementById('shown').textContent = shown;
+    fileButtons.forEach(function (button) { button.classList.toggle('active', button.dataset.file === controls[3].value); });
+  }
+
+  controls.forEach(function (control) { control.addEventListener('input', update); });
+  fileButtons.forEach(function (button) {
+    button.addEventListener('click', function () { controls[3].value = button.dataset.file; update(); });
+  });
+})();
+`;
+  }
+};
+
+module.exports = htmlReporter;
@@ -0,0 +1,50 @@
+// Reporters module exports
+
+const ReporterRegistry = require('./reporter-registry');
+const jsonReporter = require('./json-reporter');
+const stylishReporter = require('./stylish-reporter');
+const sarifReporter = require('./sarif-reporter');
+const junitReporter = require('./junit-reporter');
+const checkstyleReporter = require('./checkstyle-reporter');
+const htmlReporter = require('./html-reporter');
+const markdownReporter = require('./markdown-reporter');
+
+const BUILT_IN_REPORTERS = [
+  jsonReporter,
+  stylishReporter,
+  sarifReporter,
+  junitReporter,
+  checkstyleReporter,
+  htmlReporter,
+  markdownReporter
+];
+
+// Create a registry holding the built-in reporters
+function createDefaultReporters() {
+  const registry = new ReporterRegistry();
+  registry.registerAll(BUILT_IN_REPORTERS);
+  return registry;
+}
+
+// Split a --reporter value of the form name[:path] into { name, output }; without a path the report goes to stdout
+function parseReporterSpec(spec) {
+  const separator = spec.indexOf(':');
+  if (separator === -1) {
+    return { name: spec, output: null };
+  }
+  return { name: spec.slice(0, separator), output: spec.slice(separator + 1) || null };
+}
+
+module.exports = {
+  ReporterRegistry,
+  createDefaultReporters,
+  parseReporterSpec,
+  BUILT_IN_REPORTERS,
+  jsonReporter,
+  stylishReporter,
+  sarifReporter,
+  junitReporter,
+  checkstyleReporter,
+  htmlReporter,
+  markdownReporter
+};
@@ -0,0 +1,13 @@
+// The full result object as JSON, the default report format
+const jsonReporter = {
+  name: 'json',
+  extension: '.json',
+  description: 'Complete result as JSON',
+
+  // Pretty-printed so reports diff cleanly
+  render(result) {
+    return JSON.stringify(result, null, 2);
+  }
+};
+
+module.exports = jsonReporter;
@@ -0,0 +1,104 @@
+const RuleConfig = require('../rules/rule-config');
+const { XML_HEADER, escapeXml } = require('./xml');
+
+// JUnit XML so CI dashboards (GitLab, Jenkins, Azure DevOps) show findings as test results.
+// One testsuite per category: a passing testcase per rule without findings and a failing
+// testcase per finding, named by rule and location. Validator failures are one error of a
+// `validator` testcase, since JUnit readers only show the first failure or error of a testcase.
+const junitReporter = {
+  name: 'junit',
+  extension: '.xml',
+  description: 'JUnit XML with a testcase per rule and a failing testcase per finding',
+
+  // context.rules is rule metadata as returned by sdk.getRules()
+  render(result, { projectPath = result.path || './', rules = [] } = {}) {
+    const findings = (result.issues || []).filter(issue => typeof issue === 'object');
+    const failures = (result.issues || []).filter(issue => typeof issue !== 'object');
+    const suites = this._suites(findings, rules, result.standards);
+    const suiteXml = [...suites].map(([category, testcases]) => this._suite(category, testcases, projectPath));
+
+    if (failures.length > 0 || result.error) {
+      const errors = [result.error, ...failures].filter(Boolean);
+      suiteXml.push([
+        '  <testsuite name="validator" tests="1" failures="0" errors="1">',
+        '    <testcase classname="validator" name="validator">',
+        `      <error message="${escapeXml(errors.join('; '))}" type="validator-error">${escapeXml(errors.join('\n'))}</error>`,
+        '    </testcase>',
+        '  </testsuite>'
+      ].join('\n'));
+    }
+
+    const totals = this._totals(suites);
+    const errorCount = failures.length > 0 || result.error ? 1 : 0;
+    return [
+      XML_HEADER,
+      `<testsuites name="code-directives" tests="${totals.tests + errorCount}" failures="${totals.failures}" errors="${errorCount}"${result.timestamp ? ` timestamp="${escapeXml(result.timestamp)}"` : ''}>`,
+      ...suiteXml,
+      '</testsuites>',
+      ''
+    ].join('\n');
+  },
+
+  // Map of category to Map of rule id to findings. Rules of the validated standards pass when
+  // they have no findings; findings from outside the rule list (e.g. parse errors) add testcases.
+  _suites(findings, rules, standards) {
+    const suites = new Map();
+    const testcases = category => {
+      if (!suites.has(category)) {
+        suites.set(category, new Map());
+      }
+      return suites.get(category);
+    };
+
+    for (const rule of rules.filter(item => !standards || standards.includes(item.category))) {
+      testcases(rule.category).set(rule.id, []);
+    }
+    for (const issue of findings) {
+      const cases = testcases(issue.category || 'other');
+      const id = issue.rule || issue.type;
+      cases.set(id, [...(cases.get(id) || []), issue]);
+    }
+
+    return suites;
+  },
+
+  // One <testsuite> with a <testcase> per passing rule and per finding
+  _suite(category, testcases, projectPath) {
+    const counts = this._totals(new Map([[category, testcases]]));
+    const cases = [...testcases].flatMap(([ruleId, issues]) => {
+      if (issues.length === 0) {
+        return `    <testcase classname="${escapeXml(category)}" name="${escapeXml(ruleId)}"/>`;
+      }
+      return issues.map(issue => {
+        const location = issue.file ? `${RuleConfig.relativePath(projectPath, issue.file)}:${issue.line || 1}` : '';
+        return [
+          `    <testcase classname="${escapeXml(category)}" name="${escapeXml(location ? `${ruleId} (${location})` : ruleId)}">`,
+          `      <failure message="${escapeXml(issue.message)}" type="${escapeXml(issue.severity)}">${escapeXml(`${location} ${issue.message}`.trim())}</failure>`,
+          '    </testcase>'
+        ].join('\n');
+      });
+    });
+
+    return [
+      `  <testsuite name="${escapeXml(category)}" tests="${counts.tests}" failures="${counts.failures}" errors="0">`,
+      ...cases,
+      '  </testsuite>'
+    ].join('\n');
+  },
+
+  // Testcase and failing testcase counts across all suites; a rule with findings is a testcase per finding
+  _totals(suites) {
+    const totals = { tests: 0, failures: 0 };
+
+    for (const testcases of suites.values()) {
+      for (const issues of testcases.values()) {
+        totals.tests += Math.max(issues.length, 1);
+        totals.failures += issues.length;
+      }
+    }
+
+    return totals;
+  }
+};
+
+module.exports = junitReporter;
@@ -0,0 +1,62 @@
+const { summarize } = require('./report-summary');
+
+// Markdown document with the score, a summary and the findings of each standard, for PR comments and wikis
+const markdownReporter = {
+  name: 'markdown',
+  extension: '.md',
+  description: 'Markdown document with scores and findings per standard',
+
+  // context.title replaces the default heading
+  render(result, context = {}) {
+    const summary = summarize(result);
+    const projectPath = result.path || result.projectPath;
+    const blocks = [
+      `# ${context.title || 'Code Audit Report'}`,
+      [
+        ...(projectPath ? [`**Project:** ${projectPath}  `] : []),
+        `**Generated:** ${result.timestamp}  `,
+        `**Overall Score:** ${summary.score}/100  `,
+        `**Status:** ${summary.passed ? '✅ PASSED' : '❌ FAILED'}`
+      ].join('\n'),
+      '## Summary',
+      [
+        `- **Total Issues:** ${summary.totalIssues}`,
+        `- **Errors:** ${summary.errors}`,
+        `- **Warnings:** ${summary.warnings}`,
+        ...summary.failures.map(failure => `- ❌ ${failure}`)
+      ].join('\n')
+    ];
+
+    for (const section of summary.sections) {
+      blocks.push(`## ${section.name}${section.score !== undefined ? ` (${section.score}/100)` : ''}`);
+      blocks.push(section.issues.length === 0 ? '✅ No issues found' : section.issues.map(issue => this._issue(issue)).join('\n\n'));
+    }
+
+    if (summary.suppressed.length > 0) {
+      blocks.push(`## Suppressed Findings (${summary.suppressed.length})`);
+      blocks.push(summary.suppressed.map(issue => `- **${issue.rule}** ${issue.file}:${issue.line} - ${issue.suppression.reason || 'no reason given'}`).join('\n'));
+    }
+
+    if (summary.recommendations.length > 0) {
+      blocks.push('## Recommendations');
+      blocks.push(summary.recommendations.map(rec => `- ${rec}`).join('\n'));
+    }
+
+    blocks.push('---\n*Report generated by Best Practices SDK*');
+    return `${blocks.join('\n\n')}\n`;
+  },
+
+  // One finding as a heading with its details
+  _issue(issue) {
+    return [
+      `### ${issue.severity === 'warning' ? '🟡' : '🔴'} ${issue.type}`,
+      '',
+      `**Message:** ${issue.message}  `,
+      `**File:** ${issue.file}  `,
+      `**Line:** ${issue.line}  `,
+      `**Rule:** ${issue.rule}`
+    ].join('\n');
+  }
+};
+
+module.exports = markdownReporter;
@@ -0,0 +1,28 @@
+const { reportLevel } = require('../rules/severity');
+
+// Figures shared by the human-readable reporters (HTML, Markdown): issue counts by level and
+// findings grouped into one section per standard, with the standard's score when known
+function summarize(result) {
+  const findings = (result.issues || []).filter(issue => typeof issue === 'object');
+  const categories = [...new Set([...(result.standards || []), ...findings.map(issue => issue.category || 'other')])];
+
+  return {
+    score: result.score !== undefined ? result.score : result.overallScore,
+    passed: Boolean(result.passed),
+    totalIssues: findings.length,
+    errors: findings.filter(issue => reportLevel(issue.severity) === 'error').length,
+    warnings: findings.filter(issue => reportLevel(issue.severity) === 'warning').length,
+    failures: (result.issues || []).filter(issue => typeof issue !== 'object'),
+    sections: categories.map(category => ({
+      name: category.charAt(0).toUpperCase() + category.slice(1),
+      score: result.metrics && result.metrics[category] ? result.metrics[category].score : undefined,
+      issues: findings.filter(issue => (issue.category || 'other') === category)
+    })),
+    suppressed: result.suppressed || [],
+    recommendations: result.recommendations || []
+  };
+}
+
+module.exports = {
+  summarize
+};
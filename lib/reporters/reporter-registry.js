@@ -0,0 +1,92 @@
+const path = require('path');
+
+// Holds the reporters that turn validation and audit results into output. A reporter is
+// { name, extension, description, render(result, context) }; render returns the report text
+// (or a promise of it) and context carries projectPath, rules metadata and whether to color.
+class ReporterRegistry {
+  constructor() {
+    this.reporters = new Map();
+  }
+
+  // Register a reporter after checking its shape
+  register(reporter) {
+    if (!reporter || typeof reporter.name !== 'string' || reporter.name.length === 0) {
+      throw new Error('Reporter must have a non-empty string name');
+    }
+    if (reporter.name.includes(':')) {
+      throw new Error(`Reporter name "${reporter.name}" must not contain ":"`);
+    }
+    if (this.reporters.has(reporter.name)) {
+      throw new Error(`Reporter "${reporter.name}" is already registered`);
+    }
+    if (typeof reporter.render !== 'function') {
+      throw new Error(`Reporter "${reporter.name}" must provide a render(result, context) function`);
+    }
+
+    const normalized = { extension: '.txt', description: '', ...reporter };
+    this.reporters.set(reporter.name, normalized);
+    return normalized;
+  }
+
+  // Register a reporter module: a single reporter, an array, or { reporters: [...] }
+  registerAll(reporters) {
+    if (Array.isArray(reporters)) {
+      return reporters.map(reporter => this.register(reporter));
+    }
+    if (reporters && Array.isArray(reporters.reporters)) {
+      return reporters.reporters.map(reporter => this.register(reporter));
+    }
+    return [this.register(reporters)];
+  }
+
+  // Load reporters from a local file or an npm package, resolved from basePath
+  loadPlugin(spec, basePath = process.cwd()) {
+    const isLocal = spec.startsWith('.') || path.isAbsolute(spec);
+    let resolved;
+
+    try {
+      resolved = isLocal ? require.resolve(path.resolve(basePath, spec)) : require.resolve(spec, { paths: [basePath] });
+    } catch (error) {
+      throw new Error(`Cannot find reporter plugin "${spec}" from ${basePath}`);
+    }
+
+    const reporters = require(resolved);
+    return this.registerAll(reporters && reporters.default ? reporters.default : reporters);
+  }
+
+  // Look up a reporter by name, loading the first reporter of a plugin (a path or npm package) when it isn't registered
+  resolve(name, basePath = process.cwd()) {
+    if (this.has(name)) {
+      return this.get(name);
+    }
+
+    let loaded;
+    try {
+      loaded = this.loadPlugin(name, basePath);
+    } catch (error) {
+      // A plugin that exists but is broken reports its own error
+      if (!error.message.startsWith('Cannot find reporter plugin')) {
+        throw error;
+      }
+      throw new Error(`Unknown reporter "${name}" (available: ${this.list().map(reporter => reporter.name).join(', ')})`);
+    }
+    return loaded[0];
+  }
+
+  // Look up a reporter by name
+  get(name) {
+    return this.reporters.get(name);
+  }
+
+  // Check whether a reporter name is registered
+  has(name) {
+    return this.reporters.has(name);
+  }
+
+  // All registered reporters in registration order
+  list() {
+    return Array.from(this.reporters.values());
+  }
+}
+
+module.exports = ReporterRegistry;
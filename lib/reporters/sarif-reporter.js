@@ -0,0 +1,144 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+const Baseline = require('../project/baseline');
+const RuleConfig = require('../rules/rule-config');
+const { reportLevel } = require('../rules/severity');
+const { version: SDK_VERSION } = require('../../package.json');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const TOOL_NAME = 'code-directives';
+
+// Fingerprint key; bump the version if Baseline fingerprints ever change shape
+const FINGERPRINT_KEY = 'bpFingerprint/v1';
+
+// SARIF 2.1.0 logs from validation or audit results, so code scanning tools
+// (e.g. GitHub code scanning) can show findings inline
+const sarifReporter = {
+  name: 'sarif',
+  extension: '.sarif',
+  description: 'SARIF 2.1.0 log for GitHub code scanning and other SARIF viewers',
+
+  // context.rules is rule metadata as returned by sdk.getRules()
+  async render(result, context = {}) {
+    return JSON.stringify(await this.build(result, context), null, 2);
+  },
+
+  // Build the SARIF log: one run with the rule catalog, findings and suppressed findings
+  async build(result, { projectPath = result.path || './', rules = [] } = {}) {
+    const findings = (result.issues || []).filter(issue => typeof issue === 'object');
+    const suppressed = result.suppressed || [];
+    const failures = (result.issues || []).filter(issue => typeof issue !== 'object');
+    const descriptors = this._ruleDescriptors([...findings, ...suppressed], rules);
+    const ruleIndex = new Map(descriptors.map((descriptor, index) => [descriptor.id, index]));
+    const fingerprints = await this._fingerprints([...findings, ...suppressed], projectPath);
+
+    return {
+      $schema: SARIF_SCHEMA,
+      version: '2.1.0',
+      runs: [{
+        tool: {
+          driver: {
+            name: TOOL_NAME,
+            version: SDK_VERSION,
+            rules: descriptors
+          }
+        },
+        originalUriBaseIds: {
+          '%SRCROOT%': { uri: `${pathToFileURL(path.resolve(projectPath)).href}/` }
+        },
+        invocations: [{
+          executionSuccessful: !result.error && failures.length === 0,
+          toolExecutionNotifications: [result.error, ...failures].filter(Boolean).map(text => ({
+            level: 'error',
+            message: { text: String(text) }
+          }))
+        }],
+        results: [...findings, ...suppressed].map((issue, index) => this._result(issue, {
+          projectPath,
+          ruleIndex,
+          fingerprint: fingerprints[index]
+        }))
+      }]
+    };
+  },
+
+  // Map an SDK severity onto a SARIF level
+  level(severity) {
+    const level = reportLevel(severity);
+    return level === 'info' ? 'note' : level;
+  },
+
+  // Descriptors for every registered rule, plus built-in findings (parse errors, unused suppressions) that aren't rules
+  _ruleDescriptors(issues, rules) {
+    const descriptors = rules.map(rule => ({
+      id: rule.id,
+      name: rule.id,
+      shortDescription: { text: rule.description || rule.id },
+      ...(rule.docs ? { helpUri: rule.docs } : {}),
+      defaultConfiguration: { level: this.level(rule.severity) },
+      properties: { category: rule.category, tags: [rule.category] }
+    }));
+    const known = new Set(descriptors.map(descriptor => descriptor.id));
+
+    for (const issue of issues) {
+      const id = issue.rule || issue.type;
+      if (id && !known.has(id)) {
+        known.add(id);
+        descriptors.push({
+          id,
+          name: id,
+          shortDescription: { text: id },
+          defaultConfiguration: { level: this.level(issue.severity) },
+          properties: { category: issue.category, tags: issue.category ? [issue.category] : [] }
+        });
+      }
+    }
+
+    return descriptors;
+  },
+
+  // The same fingerprints baselines use, so a finding keeps its identity when code above it moves
+  async _fingerprints(issues, projectPath) {
+    const baseline = await Baseline.fromIssues(issues, projectPath);
+    return baseline.entries.map(entry => entry.fingerprint);
+  },
+
+  // One SARIF result; findings hidden by bp-disable comments carry an in-source suppression
+  _result(issue, { projectPath, ruleIndex, fingerprint }) {
+    const ruleId = issue.rule || issue.type;
+    const result = {
+      ruleId,
+      ruleIndex: ruleIndex.get(ruleId),
+      level: this.level(issue.severity),
+      message: { text: issue.message || ruleId },
+      partialFingerprints: { [FINGERPRINT_KEY]: fingerprint }
+    };
+
+    if (issue.file) {
+      const region = { startLine: issue.line || 1 };
+      if (issue.column) {
+        region.startColumn = issue.column;
+      }
+      result.locations = [{
+        physicalLocation: {
+          artifactLocation: {
+            uri: encodeURI(RuleConfig.relativePath(projectPath, issue.file)),
+            uriBaseId: '%SRCROOT%'
+          },
+          region
+        }
+      }];
+    }
+
+    if (issue.suppression) {
+      result.suppressions = [{
+        kind: 'inSource',
+        ...(issue.suppression.reason ? { justification: issue.suppression.reason } : {})
+      }];
+    }
+
+    return result;
+  }
+};
+
+module.exports = sarifReporter;
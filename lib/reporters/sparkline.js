@@ -0,0 +1,27 @@
+// Block characters from lowest to highest, one per value
+const BARS = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+
+// Draw values as a one-line sparkline. Scores use a fixed 0-100 scale so charts of different
+// standards compare; pass min/max as null to scale to the values. Missing values are blanks.
+function sparkline(values, { min = 0, max = 100 } = {}) {
+  const known = values.filter(value => typeof value === 'number');
+  if (known.length === 0) {
+    return ' '.repeat(values.length);
+  }
+
+  const low = min === null ? Math.min(...known) : min;
+  const high = max === null ? Math.max(...known) : max;
+  const range = high - low || 1;
+
+  return values.map(value => {
+    if (typeof value !== 'number') {
+      return ' ';
+    }
+    const index = Math.round(((Math.min(high, Math.max(low, value)) - low) / range) * (BARS.length - 1));
+    return BARS[index];
+  }).join('');
+}
+
+module.exports = {
+  sparkline
+};
@@ -0,0 +1,59 @@
+const chalk = require('chalk');
+const RuleConfig = require('../rules/rule-config');
+const { reportLevel } = require('../rules/severity');
+
+// Compact terminal output in the style of ESLint's stylish formatter: findings grouped by file,
+// one row per finding, and a problem count. Colored only when context.color is set.
+const stylishReporter = {
+  name: 'stylish',
+  extension: '.txt',
+  description: 'Terminal output grouped by file',
+
+  // Paths are relative to context.projectPath; findings are sorted by line within each file
+  render(result, { projectPath = result.path || './', color = false } = {}) {
+    const paint = new chalk.Instance({ level: color ? 1 : 0 });
+    const findings = (result.issues || []).filter(issue => typeof issue === 'object');
+    const failures = (result.issues || []).filter(issue => typeof issue !== 'object');
+    const byFile = new Map();
+
+    for (const issue of findings) {
+      const file = issue.file ? RuleConfig.relativePath(projectPath, issue.file) : '';
+      byFile.set(file, [...(byFile.get(file) || []), issue]);
+    }
+
+    const lines = [];
+    for (const file of [...byFile.keys()].sort()) {
+      lines.push(paint.underline(file || '(project)'));
+      const rows = byFile.get(file).sort((first, second) => (first.line || 0) - (second.line || 0));
+      lines.push(...rows.map(issue => this._row(issue, paint)), '');
+    }
+
+    lines.push(...failures.map(failure => paint.red(`✖ ${failure}`)));
+    lines.push(this._totals(findings, failures.length, paint));
+    return `${lines.join('\n')}\n`;
+  },
+
+  // One finding: line, level, message and rule id
+  _row(issue, paint) {
+    const level = reportLevel(issue.severity);
+    const colors = { error: paint.red, warning: paint.yellow, info: paint.blue };
+    return `  ${String(issue.line || 1).padStart(4)}  ${colors[level](level.padEnd(7))}  ${issue.message}  ${paint.gray(issue.rule || issue.type)}`;
+  },
+
+  // Closing line counting problems; validator failures count as errors
+  _totals(findings, failureCount, paint) {
+    const errors = findings.filter(issue => reportLevel(issue.severity) === 'error').length + failureCount;
+    const warnings = findings.length + failureCount - errors;
+    const problems = errors + warnings;
+
+    if (problems === 0) {
+      return paint.green('✔ No problems found');
+    }
+
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    const summary = `✖ ${plural(problems, 'problem')} (${plural(errors, 'error')}, ${plural(warnings, 'warning')})`;
+    return paint.bold(errors > 0 ? paint.red(summary) : paint.yellow(summary));
+  }
+};
+
+module.exports = stylishReporter;
@@ -0,0 +1,22 @@
+// Helpers shared by the XML reporters
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8"?>';
+
+// Characters XML 1.0 can't contain at all, even escaped: control characters other than tab and newlines
+const INVALID_XML_CHARS = /[^\t\n\r\u0020-\uFFFF]/g;
+
+// Escape text for use in XML content or a double-quoted attribute
+function escapeXml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+module.exports = {
+  XML_HEADER,
+  escapeXml
+};
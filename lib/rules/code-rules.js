@@ -0,0 +1,97 @@
+// Code quality rule pack used by CodeValidator
+
+const DOCS_BASE_URL = 'https://github.com/ramsaptami/code-directives/blob/main/docs/rules.md';
+
+const CODE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.mts', '.cts'];
+
+// Check if function has in-line comment above it
+function hasInlineComment(func) {
+  return func.comment !== null;
+}
+
+// Find the end of a function from its parsed span
+function findFunctionEnd(func) {
+  return func.loc.end.line - 1;
+}
+
+// Offset of the first character of a zero-based line
+function lineOffset(lines, lineIndex) {
+  let offset = 0;
+  for (let i = 0; i < lineIndex; i++) {
+    offset += lines[i].length + 1;
+  }
+  return offset;
+}
+
+const enforceComments = {
+  id: 'enforce-comments',
+  category: 'code',
+  severity: 'warning',
+  types: ['missing-comment'],
+  extensions: CODE_EXTENSIONS,
+  description: 'Every function needs an in-line comment directly above it',
+
+  check(context) {
+    if (context.config.enforceComments === false) {
+      return [];
+    }
+
+    return context.functions
+      .filter(func => !hasInlineComment(func))
+      .map(func => ({
+        line: func.anchorLine + 1,
+        type: 'missing-comment',
+        message: `Function '${func.name}' missing in-line comment`,
+        functionName: func.name
+      }));
+  },
+
+  // Add a placeholder comment above the function, matching its indentation
+  fix(context, issue) {
+    const lineIndex = issue.line - 1;
+    const indent = context.lines[lineIndex].match(/^\s*/)[0];
+    const offset = lineOffset(context.lines, lineIndex);
+
+    return {
+      range: [offset, offset],
+      text: `${indent}// ${issue.functionName} - Add description here\n`,
+      description: 'Added placeholder comment'
+    };
+  }
+};
+
+const maxFunctionLines = {
+  id: 'max-function-lines',
+  category: 'code',
+  severity: 'warning',
+  types: ['long-function'],
+  extensions: CODE_EXTENSIONS,
+  description: 'Functions should stay within the configured line limit',
+
+  check(context) {
+    const max = context.options.max || context.config.maxFunctionLines;
+    const issues = [];
+
+    for (const func of context.functions) {
+      const lineCount = findFunctionEnd(func) - func.startLine + 1;
+      if (lineCount > max) {
+        context.metrics.longFunctions = (context.metrics.longFunctions || 0) + 1;
+        issues.push({
+          line: func.anchorLine + 1,
+          type: 'long-function',
+          message: `Function '${func.name}' has ${lineCount} lines (max: ${max})`
+        });
+      }
+    }
+
+    return issues;
+  }
+};
+
+module.exports = {
+  name: 'code',
+  docsBaseUrl: DOCS_BASE_URL,
+  rules: [enforceComments, maxFunctionLines],
+  CODE_EXTENSIONS,
+  lineOffset
+};
@@ -0,0 +1,245 @@
+// Env rule pack used by EnvValidator
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const jsParser = require('../parsers/js-parser');
+const EnvSchema = require('../project/env-schema');
+
+const DOCS_BASE_URL = 'https://github.com/ramsaptami/code-directives/blob/main/docs/rules.md';
+
+// Where a config schema is declared, for findings about it
+const CONFIG_FILE = '.bp-config.yml';
+
+// Comparisons, which are still right when the variable is unset: `X === 'production'`
+const EQUALITY_OPERATORS = new Set(['===', '!==', '==', '!=']);
+
+// Statements and expressions that only test a variable
+const TEST_TYPES = new Set(['IfStatement', 'ConditionalExpression', 'WhileStatement', 'DoWhileStatement']);
+
+const MEMBER_TYPES = new Set(['MemberExpression', 'OptionalMemberExpression']);
+
+// Uses and schema per run; every env rule gets the same file list, so they share one scan
+const analyses = new WeakMap();
+
+// The key a member expression reads, `.X` or `['X']`, or null when it is computed
+function propertyName(node) {
+  if (!node.computed && node.property.type === 'Identifier') {
+    return node.property.name;
+  }
+  return node.property.type === 'StringLiteral' ? node.property.value : null;
+}
+
+// Whether a node is `process.env`
+function isProcessEnv(node) {
+  return Boolean(node) && MEMBER_TYPES.has(node.type) && node.object.type === 'Identifier' &&
+    node.object.name === 'process' && propertyName(node) === 'env';
+}
+
+// Whether `process.env.X` is written or deleted rather than read
+function isWrite(node, parent) {
+  return (parent.type === 'AssignmentExpression' && parent.left === node) ||
+    parent.type === 'UpdateExpression' ||
+    (parent.type === 'UnaryExpression' && parent.operator === 'delete');
+}
+
+// Whether a read copes with the variable being unset: it has a fallback, is compared or only tested
+function isGuarded(node, parent) {
+  if (parent.type === 'LogicalExpression') {
+    return parent.left === node;
+  }
+  if (parent.type === 'BinaryExpression') {
+    return EQUALITY_OPERATORS.has(parent.operator);
+  }
+  if (parent.type === 'UnaryExpression') {
+    return parent.operator === '!' || parent.operator === 'typeof';
+  }
+  return TEST_TYPES.has(parent.type) && parent.test === node;
+}
+
+// Variables `const { X, Y = 'd' } = process.env` reads; a default guards the read
+function destructuredUses(node) {
+  return node.id.properties
+    .filter(property => property.type === 'ObjectProperty')
+    .map(property => ({
+      name: property.computed ? null : property.key.name || property.key.value,
+      line: property.loc.start.line,
+      column: property.loc.start.column + 1,
+      guarded: property.value.type === 'AssignmentPattern'
+    }))
+    .filter(use => use.name);
+}
+
+// Every environment variable a file reads, as { name, line, column, guarded }, from its
+// ProjectModel source, whose AST is parsed once and shared with the other validators
+function collectUses(source) {
+  const uses = [];
+  let ast;
+  try {
+    ast = source.ast;
+  } catch (error) {
+    return uses;
+  }
+
+  jsParser.walk(ast.program, (node, parent) => {
+    if (node.type === 'VariableDeclarator' && node.id.type === 'ObjectPattern' && isProcessEnv(node.init)) {
+      uses.push(...destructuredUses(node));
+    } else if (MEMBER_TYPES.has(node.type) && isProcessEnv(node.object) && !isWrite(node, parent)) {
+      const name = propertyName(node);
+      if (name) {
+        uses.push({ name, line: node.loc.start.line, column: node.loc.start.column + 1, guarded: isGuarded(node, parent) });
+      }
+    }
+  });
+  return uses;
+}
+
+// Environment variables a file reads; remembered between runs while the file's content is unchanged
+function envUses(context, file) {
+  return context.memo(file, 'env-uses', (content, source) => collectUses(source));
+}
+
+// The schema and every use of each variable (a Map of name to uses in file order), for this run
+function analyze(context) {
+  if (!analyses.has(context.files)) {
+    analyses.set(context.files, scanProject(context));
+  }
+  return analyses.get(context.files);
+}
+
+// Load the schema and scan every file for environment variable reads
+async function scanProject(context) {
+  const schema = await EnvSchema.load(context.projectPath, context.config.schema);
+  const uses = new Map();
+  for (const file of context.files) {
+    for (const use of await envUses(context, file)) {
+      uses.set(use.name, [...(uses.get(use.name) || []), { ...use, file }]);
+    }
+  }
+  return { schema, uses };
+}
+
+// The schema and uses for a check; without a schema, metrics say why nothing was checked
+async function schemaFor(context) {
+  const analysis = await analyze(context);
+  if (!analysis.schema) {
+    context.metrics.envCheckSkipped = `no .env.example or env section in ${CONFIG_FILE} to check against`;
+  }
+  return analysis;
+}
+
+// File and line declaring a variable: its .env.example line, or its key in .bp-config.yml
+async function declaration(projectPath, schema, name) {
+  if (schema.source !== 'config') {
+    return { file: path.join(projectPath, schema.source), line: schema.get(name).line };
+  }
+
+  const file = path.join(projectPath, CONFIG_FILE);
+  const content = await fs.readFile(file, 'utf8').catch(() => '');
+  const key = new RegExp(`^\\s*(?:-\\s*)?${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*(?::|$)`);
+  return { file, line: content.split('\n').findIndex(text => key.test(text)) + 1 || 1 };
+}
+
+// Where a schema is declared, for messages
+function schemaName(schema) {
+  return schema.source === 'config' ? `the env section of ${CONFIG_FILE}` : schema.source;
+}
+
+const noUndeclaredEnvVars = {
+  id: 'no-undeclared-env-vars',
+  category: 'env',
+  severity: 'medium',
+  scope: 'project',
+  types: ['undeclared-env-var'],
+  description: 'Every environment variable the code reads must be declared in .env.example or the env config',
+
+  async check(context) {
+    const { schema, uses } = await schemaFor(context);
+    context.metrics.envVarsRead = uses.size;
+    if (!schema) {
+      return [];
+    }
+
+    // Counted here only, since metrics from the three rules are added together
+    context.metrics.envVarsDeclared = schema.names().length;
+    return [...uses]
+      .filter(([name]) => !schema.has(name))
+      .map(([name, [first, ...rest]]) => ({
+        file: first.file,
+        line: first.line,
+        column: first.column,
+        type: 'undeclared-env-var',
+        message: `process.env.${name} is read${rest.length > 0 ? ` in ${rest.length + 1} places` : ''} but not declared in ${schemaName(schema)}`,
+        variable: name
+      }));
+  }
+};
+
+const noUnusedEnvVars = {
+  id: 'no-unused-env-vars',
+  category: 'env',
+  severity: 'low',
+  scope: 'project',
+  types: ['unused-env-var'],
+  description: 'Every declared environment variable should be read somewhere in the code',
+
+  async check(context) {
+    const { schema, uses } = await schemaFor(context);
+    if (!schema) {
+      return [];
+    }
+
+    const issues = [];
+    for (const name of schema.names().filter(declared => !uses.has(declared))) {
+      issues.push({
+        ...(await declaration(context.projectPath, schema, name)),
+        type: 'unused-env-var',
+        message: `${name} is declared in ${schemaName(schema)} but never read from process.env`,
+        variable: name
+      });
+    }
+    return issues;
+  }
+};
+
+const envVarDefaults = {
+  id: 'env-var-defaults',
+  category: 'env',
+  severity: 'medium',
+  scope: 'project',
+  types: ['missing-env-default'],
+  description: 'Optional environment variables need a fallback where the code reads them',
+
+  async check(context) {
+    const { schema, uses } = await schemaFor(context);
+    if (!schema) {
+      return [];
+    }
+
+    const issues = [];
+    for (const [name, reads] of uses) {
+      const variable = schema.get(name);
+      const unguarded = reads.find(use => !use.guarded);
+      if (!variable || variable.required || !unguarded) {
+        continue;
+      }
+      const fallback = variable.default === null ? '' : ` (${schemaName(schema)} suggests '${variable.default}')`;
+      issues.push({
+        file: unguarded.file,
+        line: unguarded.line,
+        column: unguarded.column,
+        type: 'missing-env-default',
+        message: `process.env.${name} is read without a fallback and is not required; add a default${fallback} or mark it required`,
+        variable: name
+      });
+    }
+    return issues;
+  }
+};
+
+module.exports = {
+  name: 'env',
+  docsBaseUrl: DOCS_BASE_URL,
+  rules: [noUndeclaredEnvVars, noUnusedEnvVars, envVarDefaults],
+  collectUses
+};
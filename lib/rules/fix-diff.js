@@ -0,0 +1,159 @@
+// Unified diffs of the edits auto-fix would make, for `--fix --dry-run` previews
+
+const SecretDetector = require('../security/secret-detector');
+
+// A diff line of a dotenv entry: its prefix up to the `=`, then the value (quotes kept apart)
+const ENV_LINE_PATTERN = /^([ +-]\s*(?:export\s+)?[A-Za-z_][A-Za-z0-9_]*\s*=\s*)(["'`]?)(.*?)(\2\s*)$/;
+
+// Above this many line pairs the changed region is shown as one replaced block instead of being diffed
+const MAX_DIFF_CELLS = 250000;
+
+// The lines of a text; a trailing newline doesn't start another line
+function splitLines(text) {
+  if (text === null || text === '') {
+    return [];
+  }
+  const lines = text.split('\n');
+  return lines[lines.length - 1] === '' ? lines.slice(0, -1) : lines;
+}
+
+// lengths[i][j]: length of the longest common subsequence of oldLines from i and newLines from j
+function commonLengths(oldLines, newLines) {
+  const lengths = Array.from({ length: oldLines.length + 1 }, () => new Array(newLines.length + 1).fill(0));
+  for (let oldIndex = oldLines.length - 1; oldIndex >= 0; oldIndex--) {
+    for (let newIndex = newLines.length - 1; newIndex >= 0; newIndex--) {
+      lengths[oldIndex][newIndex] = oldLines[oldIndex] === newLines[newIndex]
+        ? lengths[oldIndex + 1][newIndex + 1] + 1
+        : Math.max(lengths[oldIndex + 1][newIndex], lengths[oldIndex][newIndex + 1]);
+    }
+  }
+  return lengths;
+}
+
+// Edit script between two line lists as [{ type: ' ' | '-' | '+', line }]; removals come before additions
+function diffLines(oldLines, newLines) {
+  if (oldLines.length * newLines.length > MAX_DIFF_CELLS) {
+    return [...oldLines.map(line => ({ type: '-', line })), ...newLines.map(line => ({ type: '+', line }))];
+  }
+
+  const lengths = commonLengths(oldLines, newLines);
+  const ops = [];
+  let oldIndex = 0;
+  let newIndex = 0;
+  while (oldIndex < oldLines.length && newIndex < newLines.length) {
+    if (oldLines[oldIndex] === newLines[newIndex]) {
+      ops.push({ type: ' ', line: oldLines[oldIndex++] });
+      newIndex++;
+    } else if (lengths[oldIndex + 1][newIndex] >= lengths[oldIndex][newIndex + 1]) {
+      ops.push({ type: '-', line: oldLines[oldIndex++] });
+    } else {
+      ops.push({ type: '+', line: newLines[newIndex++] });
+    }
+  }
+  return [
+    ...ops,
+    ...oldLines.slice(oldIndex).map(line => ({ type: '-', line })),
+    ...newLines.slice(newIndex).map(line => ({ type: '+', line }))
+  ];
+}
+
+// Edit script for two texts; only the region between their common first and last lines is diffed
+function editScript(before, after) {
+  const oldLines = splitLines(before);
+  const newLines = splitLines(after);
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  const same = lines => lines.map(line => ({ type: ' ', line }));
+  return [
+    ...same(oldLines.slice(0, prefix)),
+    ...diffLines(oldLines.slice(prefix, oldLines.length - suffix), newLines.slice(prefix, newLines.length - suffix)),
+    ...same(oldLines.slice(oldLines.length - suffix))
+  ];
+}
+
+// Ranges [start, end) of the edit script to show: each change with `context` lines around it, merged where they touch
+function hunkRanges(ops, context) {
+  const ranges = [];
+  ops.forEach((op, index) => {
+    if (op.type === ' ') {
+      return;
+    }
+    const start = Math.max(0, index - context);
+    const end = Math.min(ops.length, index + context + 1);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end) {
+      last.end = end;
+    } else {
+      ranges.push({ start, end });
+    }
+  });
+  return ranges;
+}
+
+// One hunk with its "@@ -a,b +c,d @@" header
+function formatHunk(ops, { start, end }) {
+  const before = ops.slice(0, start);
+  const body = ops.slice(start, end);
+  const oldCount = body.filter(op => op.type !== '+').length;
+  const newCount = body.filter(op => op.type !== '-').length;
+  const oldStart = before.filter(op => op.type !== '+').length + (oldCount > 0 ? 1 : 0);
+  const newStart = before.filter(op => op.type !== '-').length + (newCount > 0 ? 1 : 0);
+
+  return [`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`, ...body.map(op => `${op.type}${op.line}`)];
+}
+
+// Unified diff of a file's content before and after a fix (null before: a new file), or '' when
+// nothing changed. Values in `redact` (the secrets a fix moved) are masked in the shown lines, the
+// value of every entry is masked when `dotenv` is set, and any other secret `detector` finds is
+// masked too, so previews never print secrets. Hunk headers are left as they are.
+function unifiedDiff(file, before, after, options = {}) {
+  const { context = 3, redact = [], dotenv = false, detector = new SecretDetector() } = options;
+  const ops = editScript(before, after);
+  const ranges = hunkRanges(ops, context);
+  if (ranges.length === 0) {
+    return '';
+  }
+
+  const hunks = ranges.flatMap(range => formatHunk(ops, range)).map(line => {
+    if (line.startsWith('@@')) {
+      return line;
+    }
+    const masked = dotenv ? maskEnvValue(line) : redactText(line, redact);
+    return detector.maskLine(masked);
+  });
+  return [
+    `--- ${before === null ? '/dev/null' : `a/${file}`}`,
+    `+++ b/${file}`,
+    ...hunks
+  ].join('\n');
+}
+
+// A dotenv diff line with its value masked; lines that aren't entries (comments, blanks) stay
+function maskEnvValue(line) {
+  const match = ENV_LINE_PATTERN.exec(line);
+  if (!match || match[3] === '') {
+    return line;
+  }
+  return `${match[1]}${match[2]}${SecretDetector.maskSecret(match[3])}${match[4]}`;
+}
+
+// Mask each value in a text, longest first so a value containing another is masked whole
+function redactText(text, values) {
+  return [...new Set(values)]
+    .filter(Boolean)
+    .sort((first, second) => second.length - first.length)
+    .reduce((masked, value) => masked.split(value).join(SecretDetector.maskSecret(value)), text);
+}
+
+module.exports = {
+  unifiedDiff,
+  redactText
+};
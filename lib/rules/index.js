@@ -0,0 +1,37 @@
+// Rules module exports
+
+const RuleRegistry = require('./rule-registry');
+const RuleRunner = require('./rule-runner');
+const RuleConfig = require('./rule-config');
+const suppressions = require('./suppressions');
+const codeRules = require('./code-rules');
+const securityRules = require('./security-rules');
+const performanceRules = require('./performance-rules');
+const maintenanceRules = require('./maintenance-rules');
+const licenseRules = require('./license-rules');
+const envRules = require('./env-rules');
+
+const BUILT_IN_PACKS = [codeRules, securityRules, performanceRules, maintenanceRules, licenseRules, envRules];
+
+// Create a registry holding every built-in rule pack
+function createDefaultRegistry() {
+  const registry = new RuleRegistry();
+  BUILT_IN_PACKS.forEach(pack => registry.registerPack(pack));
+  return registry;
+}
+
+module.exports = {
+  RuleRegistry,
+  RuleRunner,
+  RuleConfig,
+  createDefaultRegistry,
+  suppressions,
+  packs: {
+    code: codeRules,
+    security: securityRules,
+    performance: performanceRules,
+    maintenance: maintenanceRules,
+    license: licenseRules,
+    env: envRules
+  }
+};
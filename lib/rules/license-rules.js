@@ -0,0 +1,83 @@
+// License rule pack used by LicenseValidator
+
+const path = require('path');
+
+const InstalledPackages = require('../dependencies/installed-packages');
+const LicensePolicy = require('../dependencies/license-policy');
+
+const DOCS_BASE_URL = 'https://github.com/ramsaptami/code-directives/blob/main/docs/rules.md';
+
+// Why a verdict breaks the policy, for messages
+const VERDICT_REASONS = {
+  denied: 'which the license policy denies',
+  'not-allowed': 'which is not in the allowed licenses'
+};
+
+// A finding for an installed package whose license breaks the policy or can't be determined
+function licenseIssue(pkg, verdict, tree, projectPath) {
+  const dependencyPath = tree.pathTo(pkg.id);
+  const via = dependencyPath.slice(1, -1);
+  const name = `${pkg.name}@${pkg.version}`;
+  const category = LicensePolicy.CATEGORY_NAMES[verdict.category];
+  const problem = verdict.status === 'unknown'
+    ? `${name} ${verdict.expression ? `declares "${verdict.expression}", which is not an SPDX license expression` : 'has no license in package.json or a license file'}`
+    : `${name} is licensed ${verdict.expression} (${category}), ${VERDICT_REASONS[verdict.status]}`;
+
+  return {
+    file: path.join(projectPath, pkg.id, 'package.json'),
+    line: 1,
+    type: verdict.status === 'unknown' ? 'unknown-license' : 'license-violation',
+    ...(verdict.status === 'unknown' ? { severity: 'medium' } : {}),
+    message: `${problem}${via.length > 0 ? ` (via ${via.join(' > ')})` : ''}`,
+    packageName: pkg.name,
+    version: pkg.version,
+    license: verdict.expression,
+    licenseCategory: verdict.category,
+    licenseSource: pkg.licenseSource || null,
+    dependencyPath,
+    dev: pkg.dev
+  };
+}
+
+const licenseCompliance = {
+  id: 'license-compliance',
+  category: 'license',
+  severity: 'high',
+  scope: 'project',
+  types: ['license-violation', 'unknown-license'],
+  description: 'Installed dependencies must be under licenses the license policy allows',
+
+  async check(context) {
+    const tree = await InstalledPackages.load(context.projectPath);
+    if (!tree) {
+      context.metrics.licenseScanSkipped = 'no node_modules to scan; install dependencies first';
+      return [];
+    }
+
+    const policy = new LicensePolicy(context.config);
+    const packages = tree.list().filter(pkg => (context.config.includeDev || !pkg.dev) && !policy.ignores(pkg));
+    const issues = [];
+    const licenses = {};
+
+    for (const pkg of packages) {
+      const verdict = policy.evaluate(pkg.license);
+      const expression = verdict.expression || 'none';
+      licenses[expression] = (licenses[expression] || 0) + 1;
+      if (verdict.status !== 'allowed') {
+        issues.push(licenseIssue(pkg, verdict, tree, context.projectPath));
+      }
+    }
+
+    // Package counts by license, for reports to Legal
+    context.metrics.licenses = licenses;
+    context.metrics.packagesScanned = packages.length;
+    return issues;
+  }
+};
+
+module.exports = {
+  name: 'license',
+  docsBaseUrl: DOCS_BASE_URL,
+  rules: [licenseCompliance],
+  licenseIssue
+};
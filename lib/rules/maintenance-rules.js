@@ -0,0 +1,77 @@
+// Maintenance rule pack used by MaintenanceValidator
+
+const fs = require('fs-extra');
+const path = require('path');
+const RepoStandards = require('../standards/repo-standards');
+
+const DOCS_BASE_URL = 'https://github.com/ramsaptami/code-directives/blob/main/docs/rules.md';
+
+// Check that a maintenance document exists and has the sections the standard asks for
+async function checkMaintenanceFile(context, standard) {
+  const filePath = path.join(context.projectPath, standard.filename);
+
+  if (!(await fs.pathExists(filePath))) {
+    return [{
+      file: standard.filename,
+      type: 'missing_file',
+      severity: 'error',
+      message: `Missing required ${standard.filename} file`,
+      description: standard.purpose,
+      fix: `Create ${standard.filename} in project root with required sections`
+    }];
+  }
+
+  const content = await fs.readFile(filePath, 'utf8');
+  const issues = [];
+  const missingSections = standard.sections.filter(section => !new RegExp(`#+\\s*${section}`, 'i').test(content));
+
+  if (missingSections.length > 0) {
+    issues.push({
+      file: standard.filename,
+      type: 'missing_sections',
+      severity: 'warning',
+      message: `Missing recommended sections in ${standard.filename}`,
+      sections: missingSections,
+      fix: `Add missing sections: ${missingSections.join(', ')}`
+    });
+  }
+
+  if (content.trim().length < 100) {
+    issues.push({
+      file: standard.filename,
+      type: 'insufficient_content',
+      severity: 'warning',
+      message: `${standard.filename} appears to have minimal content`,
+      fix: 'Add more detailed information about dependencies/SDKs'
+    });
+  }
+
+  return issues;
+}
+
+// Build a rule for one of the documents listed in RepoStandards.maintenance
+function maintenanceFileRule(id, standardKey) {
+  const standard = RepoStandards.maintenance[standardKey];
+
+  return {
+    id,
+    category: 'maintenance',
+    severity: 'error',
+    scope: 'project',
+    types: ['missing_file', 'missing_sections', 'insufficient_content'],
+    description: `Project must include ${standard.filename}: ${standard.purpose}`,
+
+    check(context) {
+      return checkMaintenanceFile(context, standard);
+    }
+  };
+}
+
+module.exports = {
+  name: 'maintenance',
+  docsBaseUrl: DOCS_BASE_URL,
+  rules: [
+    maintenanceFileRule('require-dependencies-doc', 'dependencies'),
+    maintenanceFileRule('require-sdk-map', 'sdkMap')
+  ]
+};
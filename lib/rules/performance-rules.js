@@ -0,0 +1,251 @@
+// Performance rule pack used by PerformanceValidator
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const DOCS_BASE_URL = 'https://github.com/ramsaptami/code-directives/blob/main/docs/rules.md';
+
+// Individual files above this size are flagged (100KB)
+const LARGE_FILE_BYTES = 100000;
+
+// Performance anti-patterns to detect, one finding type each
+const PERFORMANCE_PATTERNS = [
+  {
+    pattern: /console\.log\(/,
+    message: 'console.log() statements can impact performance in production',
+    severity: 'warning',
+    type: 'console-log'
+  },
+  {
+    pattern: /document\.getElementById\(.+\).*\.getElementById/,
+    message: 'Multiple DOM queries should be cached',
+    severity: 'warning',
+    type: 'dom-query'
+  },
+  {
+    pattern: /\.forEach\(.+\.forEach/,
+    message: 'Nested forEach can be performance-intensive',
+    severity: 'info',
+    type: 'nested-foreach'
+  },
+  {
+    pattern: /JSON\.parse\(JSON\.stringify\(/,
+    message: 'Deep cloning with JSON is inefficient for large objects',
+    severity: 'warning',
+    type: 'inefficient-clone'
+  }
+];
+
+// Check for nested loops by looking ahead in the code
+function findNestedLoop(lines, startLineIndex) {
+  let braceCount = 0;
+  let foundOpenBrace = false;
+
+  // Look for the opening brace of the first for loop
+  for (let i = startLineIndex; i < Math.min(lines.length, startLineIndex + 10); i++) {
+    const line = lines[i];
+
+    for (const char of line) {
+      if (char === '{') {
+        braceCount++;
+        foundOpenBrace = true;
+      } else if (char === '}') {
+        braceCount--;
+        if (foundOpenBrace && braceCount === 0) {
+          // End of first loop, stop checking
+          return null;
+        }
+      }
+    }
+
+    // If we're inside the first loop and find another for loop
+    if (foundOpenBrace && braceCount > 0 && line.trim().includes('for (')) {
+      return i;
+    }
+  }
+
+  return null;
+}
+
+// Collect package names imported or required by a piece of source code
+function collectImports(content, usedDependencies) {
+  const importMatches = content.match(/(?:require\(['"`]([^'"`]+)['"`]\)|import.*?from\s+['"`]([^'"`]+)['"`])/g) || [];
+
+  for (const match of importMatches) {
+    const depMatch = match.match(/['"`]([^'"`]+)['"`]/);
+    const depName = depMatch ? depMatch[1] : '';
+
+    // Handle scoped packages and relative imports
+    if (!depName || depName.startsWith('.') || depName.startsWith('/')) {
+      continue;
+    }
+    const parts = depName.split('/');
+    usedDependencies.add(parts[0].startsWith('@') ? `${parts[0]}/${parts[1]}` : parts[0]);
+  }
+}
+
+// Packages a file imports; remembered between runs while the file's content is unchanged
+function importedPackages(context, file) {
+  return context.memo(file, 'imports', content => {
+    const usedDependencies = new Set();
+    collectImports(content, usedDependencies);
+    return [...usedDependencies];
+  });
+}
+
+const performanceOptimization = {
+  id: 'performance-optimization',
+  category: 'performance',
+  severity: 'warning',
+  types: [...PERFORMANCE_PATTERNS.map(antiPattern => antiPattern.type), 'nested-loop'],
+  description: 'Avoid common runtime performance anti-patterns',
+
+  check(context) {
+    const issues = [];
+
+    context.lines.forEach((line, i) => {
+      for (const antiPattern of PERFORMANCE_PATTERNS) {
+        if (antiPattern.pattern.test(line)) {
+          issues.push({
+            line: i + 1,
+            type: antiPattern.type,
+            severity: antiPattern.severity,
+            message: antiPattern.message
+          });
+        }
+      }
+
+      // Check for nested loops by looking ahead
+      const nestedLine = line.includes('for (') ? findNestedLoop(context.lines, i) : null;
+      if (nestedLine !== null) {
+        issues.push({
+          line: nestedLine + 1,
+          type: 'nested-loop',
+          severity: 'info',
+          message: 'Nested loops can cause performance issues with large datasets'
+        });
+      }
+    });
+
+    return issues;
+  }
+};
+
+const maxFileSize = {
+  id: 'max-file-size',
+  category: 'performance',
+  severity: 'warning',
+  types: ['large-file'],
+  description: 'Individual source files should stay small enough to load and review quickly',
+  defaultOptions: {
+    maxBytes: LARGE_FILE_BYTES
+  },
+
+  check(context) {
+    if (context.size <= context.options.maxBytes) {
+      return [];
+    }
+
+    const fileSizeKB = Math.round(context.size / 1024);
+    context.metrics.largeFiles = [{
+      file: path.relative(context.projectPath, context.filePath),
+      size: fileSizeKB
+    }];
+
+    return [{
+      line: 1,
+      type: 'large-file',
+      message: `Large file detected: ${fileSizeKB}KB (consider splitting or optimizing)`
+    }];
+  }
+};
+
+const maxBundleSize = {
+  id: 'max-bundle-size',
+  category: 'performance',
+  severity: 'high',
+  scope: 'project',
+  types: ['bundle-size'],
+  description: 'The combined size of bundled source files must stay under the configured limit',
+
+  async check(context) {
+    let totalSize = 0;
+    for (const file of context.files) {
+      const stats = await fs.stat(file);
+      totalSize += stats.size;
+    }
+    context.metrics.bundleSize = totalSize;
+
+    const limit = context.options.maxBytes || context.config.limits.bundleSize;
+    if (totalSize <= limit) {
+      return [];
+    }
+
+    return [{
+      file: 'package.json',
+      line: 1,
+      type: 'bundle-size',
+      message: `Bundle size ${Math.round(totalSize / 1024)}KB exceeds limit of ${Math.round(limit / 1024)}KB`
+    }];
+  }
+};
+
+const noUnusedDependencies = {
+  id: 'no-unused-dependencies',
+  category: 'performance',
+  severity: 'warning',
+  scope: 'project',
+  types: ['unused-dependency'],
+  description: 'Every dependency in package.json should be imported somewhere',
+
+  // Only package.json and the set of imported packages decide the outcome
+  async cacheKey(context) {
+    const packageJson = await fs.readFile(path.join(context.projectPath, 'package.json'), 'utf8').catch(() => null);
+    const imported = new Set();
+    for (const file of context.files) {
+      (await importedPackages(context, file)).forEach(depName => imported.add(depName));
+    }
+    return [packageJson, [...imported].sort()];
+  },
+
+  async check(context) {
+    const packageJsonPath = path.join(context.projectPath, 'package.json');
+    if (!(await fs.pathExists(packageJsonPath))) {
+      return [];
+    }
+
+    try {
+      const packageJson = await fs.readJson(packageJsonPath);
+      const dependencies = {
+        ...packageJson.dependencies,
+        ...packageJson.devDependencies
+      };
+
+      // Find all code files to check for imports
+      const usedDependencies = new Set();
+      for (const file of context.files) {
+        (await importedPackages(context, file)).forEach(depName => usedDependencies.add(depName));
+      }
+
+      const unused = Object.keys(dependencies).filter(depName => !usedDependencies.has(depName));
+      context.metrics.unusedDependencies = unused;
+
+      return unused.map(depName => ({
+        file: 'package.json',
+        line: 1,
+        type: 'unused-dependency',
+        message: `Unused dependency detected: ${depName}`
+      }));
+    } catch (error) {
+      // Ignore errors in dependency checking
+      return [];
+    }
+  }
+};
+
+module.exports = {
+  name: 'performance',
+  docsBaseUrl: DOCS_BASE_URL,
+  rules: [maxFileSize, performanceOptimization, maxBundleSize, noUnusedDependencies],
+  PERFORMANCE_PATTERNS
+};
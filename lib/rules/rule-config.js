@@ -0,0 +1,162 @@
+const path = require('path');
+const { minimatch } = require('minimatch');
+const { isSeverity } = require('./severity');
+
+// ESLint-style levels accepted in the `rules:` section
+const LEVEL_ALIASES = {
+  off: 'off',
+  warn: 'warning',
+  error: 'error',
+  0: 'off',
+  1: 'warning',
+  2: 'error'
+};
+
+// Resolves the `rules:` and `overrides:` sections of .bp-config.yml for a rule and file.
+// Keys may name a rule id or, for rules that report several kinds of finding, a finding
+// type such as `console-log`. Type settings beat rule settings, and later overrides win.
+class RuleConfig {
+  constructor(config = {}, registry = null) {
+    this.registry = registry;
+    this._problems = [];
+    this.rules = this._normalizeRules(config.rules || {});
+    this.overrides = (config.overrides || []).map(override => ({
+      files: [].concat(override.files || []),
+      excludedFiles: [].concat(override.excludedFiles || []),
+      rules: this._normalizeRules(override.rules || {})
+    }));
+  }
+
+  // List configuration problems (unknown rule keys, bad levels) for the caller to report
+  validate() {
+    const problems = [...this._problems];
+
+    if (this.registry) {
+      const layers = [this.rules, ...this.overrides.map(override => override.rules)];
+      for (const key of new Set(layers.flatMap(layer => Object.keys(layer)))) {
+        if (!this.registry.has(key) && !this.registry.findByType(key)) {
+          problems.push(`Unknown rule "${key}"`);
+        }
+      }
+    }
+
+    return problems;
+  }
+
+  // Whether a rule can produce findings anywhere; fully disabled rules are not run at all
+  isEnabled(rule) {
+    const base = this.rules[rule.id];
+    if (!base || base.level !== 'off') {
+      return true;
+    }
+
+    // Off at the rule level, but a type setting or an override may still switch it back on
+    const keys = [rule.id, ...rule.types];
+    const layers = [this.rules, ...this.overrides.map(override => override.rules)];
+    return layers.some(layer => keys.some(key => layer[key] && layer[key].level && layer[key].level !== 'off'));
+  }
+
+  // Rule options for a file: defaults, then global options, then matching overrides
+  optionsFor(rule, relativeFile) {
+    return this._layersFor(relativeFile).reduce(
+      (options, layer) => (layer[rule.id] ? { ...options, ...layer[rule.id].options } : options),
+      { ...rule.defaultOptions }
+    );
+  }
+
+  // Effective level for a finding type of a rule in a file; null when not configured
+  levelFor(rule, type, relativeFile) {
+    let level = null;
+
+    for (const layer of this._layersFor(relativeFile)) {
+      if (layer[rule.id] && layer[rule.id].level) {
+        level = layer[rule.id].level;
+      }
+      if (type !== rule.id && layer[type] && layer[type].level) {
+        level = layer[type].level;
+      }
+    }
+
+    return level;
+  }
+
+  // Whether every finding of a rule is switched off for one file
+  isOffForFile(rule, relativeFile) {
+    return [rule.id, ...rule.types].every(type => this.levelFor(rule, type, relativeFile) === 'off');
+  }
+
+  // Apply configured severity to a finding; returns null when the finding is switched off
+  applyToIssue(issue, rule, relativeFile) {
+    const level = this.levelFor(rule, issue.type, relativeFile);
+
+    if (level === 'off') {
+      return null;
+    }
+    return level ? { ...issue, severity: level } : issue;
+  }
+
+  // Path of a file relative to the project, with forward slashes for glob matching.
+  // Bare file names (e.g. 'package.json' from project rules) are already project-relative.
+  static relativePath(projectPath, filePath) {
+    const normalized = filePath.replace(/\\/g, '/');
+    if (!path.isAbsolute(filePath) && !normalized.includes('/')) {
+      return normalized;
+    }
+    return path.relative(path.resolve(projectPath), path.resolve(filePath)).replace(/\\/g, '/');
+  }
+
+  // Global settings followed by the overrides whose globs match the file
+  _layersFor(relativeFile) {
+    const layers = [this.rules];
+
+    if (relativeFile === null || relativeFile === undefined) {
+      return layers;
+    }
+
+    for (const override of this.overrides) {
+      const matches = override.files.some(glob => minimatch(relativeFile, glob, { dot: true, matchBase: !glob.includes('/') }));
+      const excluded = override.excludedFiles.some(glob => minimatch(relativeFile, glob, { dot: true }));
+      if (matches && !excluded) {
+        layers.push(override.rules);
+      }
+    }
+
+    return layers;
+  }
+
+  // Turn `off`, `warn`, `[error, { max: 40 }]` or `{ severity, options }` into { level, options }
+  _normalizeRules(rules) {
+    const normalized = {};
+
+    for (const [key, value] of Object.entries(rules)) {
+      const [rawLevel, options] = Array.isArray(value)
+        ? [value[0], value[1]]
+        : value && typeof value === 'object' ? [value.severity, value.options] : [value, undefined];
+      const level = this._normalizeLevel(rawLevel);
+
+      if (rawLevel !== undefined && rawLevel !== null && level === null) {
+        this._problems.push(`Rule "${key}" has unknown level "${rawLevel}" (use off, warn, error or a severity)`);
+        continue;
+      }
+      normalized[key] = { level, options: options || {} };
+    }
+
+    return normalized;
+  }
+
+  // Map a configured level onto a finding severity or 'off'
+  _normalizeLevel(level) {
+    if (level === undefined || level === null) {
+      return null;
+    }
+    if (LEVEL_ALIASES[level] !== undefined) {
+      return LEVEL_ALIASES[level];
+    }
+    if (level === false) {
+      return 'off';
+    }
+    return isSeverity(level) ? level : null;
+  }
+}
+
+module.exports = RuleConfig;
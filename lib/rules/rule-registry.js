@@ -0,0 +1,113 @@
+const path = require('path');
+const { isSeverity } = require('./severity');
+
+// Rule categories map one-to-one onto the SDK validators
+const CATEGORIES = ['code', 'security', 'performance', 'maintenance', 'license', 'env'];
+
+const SCOPES = ['file', 'project'];
+
+class RuleRegistry {
+  constructor() {
+    this.rules = new Map();
+  }
+
+  // Register a single rule after checking its shape and filling in defaults.
+  // docsBaseUrl comes from the rule's pack and builds the default docs link.
+  register(rule, docsBaseUrl = null) {
+    this._assertShape(rule);
+
+    const normalized = {
+      severity: 'warning',
+      scope: 'file',
+      description: '',
+      docs: docsBaseUrl ? `${docsBaseUrl}#${rule.id}` : null,
+      types: [rule.id],
+      defaultOptions: {},
+      ...rule
+    };
+
+    if (!isSeverity(normalized.severity)) {
+      throw new Error(`Rule "${rule.id}" has unknown severity "${normalized.severity}"`);
+    }
+    if (!SCOPES.includes(normalized.scope)) {
+      throw new Error(`Rule "${rule.id}" has unknown scope "${normalized.scope}" (expected file or project)`);
+    }
+
+    this.rules.set(rule.id, normalized);
+    return normalized;
+  }
+
+  // Throw a descriptive error when a rule is missing required fields
+  _assertShape(rule) {
+    if (!rule || typeof rule.id !== 'string' || rule.id.length === 0) {
+      throw new Error('Rule must have a non-empty string id');
+    }
+    if (this.rules.has(rule.id)) {
+      throw new Error(`Rule "${rule.id}" is already registered`);
+    }
+    if (!CATEGORIES.includes(rule.category)) {
+      throw new Error(`Rule "${rule.id}" has unknown category "${rule.category}" (expected one of: ${CATEGORIES.join(', ')})`);
+    }
+    if (typeof rule.check !== 'function') {
+      throw new Error(`Rule "${rule.id}" must provide a check(context) function`);
+    }
+    if (rule.fix !== undefined && typeof rule.fix !== 'function') {
+      throw new Error(`Rule "${rule.id}" fix must be a function`);
+    }
+  }
+
+  // Register a rule pack: { name, docsBaseUrl, rules: [...] }, a plain array of rules, or a single rule
+  registerPack(pack) {
+    if (Array.isArray(pack)) {
+      return pack.map(rule => this.register(rule));
+    }
+    if (pack && Array.isArray(pack.rules)) {
+      return pack.rules.map(rule => this.register(rule, pack.docsBaseUrl));
+    }
+    return [this.register(pack)];
+  }
+
+  // Load a rule pack from a local file or an npm package, resolved from basePath
+  loadPlugin(spec, basePath = process.cwd()) {
+    const isLocal = spec.startsWith('.') || path.isAbsolute(spec);
+    let resolved;
+
+    try {
+      resolved = isLocal ? require.resolve(path.resolve(basePath, spec)) : require.resolve(spec, { paths: [basePath] });
+    } catch (error) {
+      throw new Error(`Cannot find rule plugin "${spec}" from ${basePath}`);
+    }
+
+    const pack = require(resolved);
+    return this.registerPack(pack && pack.default ? pack.default : pack);
+  }
+
+  // Look up a rule by id
+  get(id) {
+    return this.rules.get(id);
+  }
+
+  // Check whether a rule id is registered
+  has(id) {
+    return this.rules.has(id);
+  }
+
+  // All registered rules in registration order
+  list() {
+    return Array.from(this.rules.values());
+  }
+
+  // Rules belonging to one validator category
+  getByCategory(category) {
+    return this.list().filter(rule => rule.category === category);
+  }
+
+  // Find the rule that reports a given finding type (e.g. 'console-log')
+  findByType(type) {
+    return this.list().find(rule => rule.types.includes(type));
+  }
+}
+
+RuleRegistry.CATEGORIES = CATEGORIES;
+
+module.exports = RuleRegistry;
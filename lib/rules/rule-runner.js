@@ -0,0 +1,449 @@
+const fs = require('fs-extra');
+const path = require('path');
+const ProjectModel = require('../project/project-model');
+const ResultCache = require('../project/result-cache');
+const RuleConfig = require('./rule-config');
+const suppressions = require('./suppressions');
+const { CODE_EXTENSIONS } = require('./code-rules');
+const { unifiedDiff } = require('./fix-diff');
+
+class RuleRunner {
+  // Run file-scoped rules over every file, then project-scoped rules once.
+  // Returns { issues, fixed, suppressed, suppressions }; rule metrics are accumulated into options.metrics.
+  // options.projectFiles overrides the file list project rules see (defaults to options.files).
+  // options.model (a ProjectModel) shares file reads and parses with other runs over the same project.
+  // options.ruleConfig (a RuleConfig) switches rules off, sets their options and remaps severities.
+  // options.cache (a ResultCache) reuses results from earlier runs for unchanged files; ignored with autoFix.
+  // Findings hidden by bp-disable comments move to `suppressed`; `suppressions` lists every directive seen.
+  // With autoFix, `changes` lists each file fixes changed as { file, diff }; options.dryRun computes
+  // them without writing anything, and leaves the findings in `issues`.
+  async run(rules, options = {}) {
+    const {
+      projectPath = './',
+      files = [],
+      projectFiles = files,
+      config = {},
+      autoFix = false,
+      dryRun = false,
+      metrics = {},
+      collect = null,
+      ruleConfig = new RuleConfig(),
+      model = new ProjectModel(projectPath),
+      cache = null
+    } = options;
+
+    const results = { issues: [], fixed: [], suppressed: [] };
+    const fixes = { dryRun, states: new Map(), applied: [], changes: [] };
+    const directivesByFile = new Map();
+    const enabledRules = rules.filter(rule => ruleConfig.isEnabled(rule));
+    const fileRules = enabledRules.filter(rule => rule.scope === 'file');
+    const projectRules = enabledRules.filter(rule => rule.scope === 'project');
+    const cached = cache && !autoFix ? { cache, runKey: cache.runKey(this._cacheSignature(enabledRules, config, ruleConfig, collect)) } : null;
+
+    if (fileRules.length > 0 || collect) {
+      for (const file of files) {
+        const fileResults = await this._runCachedFileRules(fileRules, file, { projectPath, config, autoFix, fixes, collect, ruleConfig, directivesByFile, model, cached });
+        if (!fileResults) {
+          continue;
+        }
+        results.issues.push(...fileResults.issues);
+        results.fixed.push(...fileResults.fixed);
+        results.suppressed.push(...fileResults.suppressed);
+        this._mergeMetrics(metrics, fileResults.metrics);
+      }
+    }
+    if (fixes.applied.length > 0) {
+      await this._finishFixes(fileRules, fixes, projectPath);
+    }
+
+    for (const rule of projectRules) {
+      const found = await this._runProjectRule(rule, { projectPath, files: projectFiles, config, metrics, ruleConfig, model, cached });
+      const outcome = await this._suppressProjectIssues(found, rule, projectPath, { directivesByFile, model });
+      results.issues.push(...outcome.issues);
+      results.suppressed.push(...outcome.suppressed);
+    }
+
+    results.suppressions = [...directivesByFile.values()].flat().map(suppressions.serializeDirective);
+    results.changes = this._fixDiffs(fixes, projectPath);
+    return results;
+  }
+
+  // Build the shared per-file context; AST and functions are parsed lazily, once per file
+  createFileContext(filePath, content, base = {}) {
+    return this._fileContext(ProjectModel.createSource(filePath, content), base);
+  }
+
+  // Layer this run's settings and metrics over a source view that other runs may share
+  _fileContext(source, base) {
+    return Object.assign(Object.create(source), base, { metrics: {} });
+  }
+
+  // Everything that decides a file's results besides its content: rules, their config and the validator config
+  _cacheSignature(rules, config, ruleConfig, collect) {
+    return {
+      rules: rules.map(rule => [rule.id, rule.version || null, rule.severity, rule.scope]),
+      config,
+      ruleConfig: { rules: ruleConfig.rules, overrides: ruleConfig.overrides },
+      collect: collect ? String(collect) : null
+    };
+  }
+
+  // Reuse a file's results from the cache while its content is unchanged, otherwise run and store them
+  async _runCachedFileRules(rules, filePath, state) {
+    const { projectPath, directivesByFile, model, cached } = state;
+    const source = cached ? await model.source(filePath) : null;
+    if (!source) {
+      return this._runFileRules(rules, filePath, state);
+    }
+
+    const relativeFile = RuleConfig.relativePath(projectPath, filePath);
+    const contentHash = ResultCache.hash(source.content);
+    const stored = cached.cache.getFile(cached.runKey, relativeFile, contentHash);
+    if (stored) {
+      directivesByFile.set(path.resolve(filePath), stored.directives.map(directive => ({ ...directive, file: filePath, checked: new Set(directive.checked) })));
+      return {
+        issues: stored.issues.map(issue => ({ ...issue, file: filePath })),
+        fixed: [],
+        suppressed: stored.suppressed.map(issue => ({ ...issue, file: filePath })),
+        metrics: stored.metrics
+      };
+    }
+
+    const results = await this._runFileRules(rules, filePath, state);
+    cached.cache.setFile(cached.runKey, relativeFile, contentHash, {
+      issues: results.issues,
+      suppressed: results.suppressed,
+      metrics: results.metrics,
+      directives: directivesByFile.get(path.resolve(filePath)).map(directive => ({ ...directive, checked: [...directive.checked] }))
+    });
+    return results;
+  }
+
+  // Run all applicable file rules against a single file and apply fixes when requested
+  async _runFileRules(rules, filePath, { projectPath, config, autoFix, fixes, collect, ruleConfig, directivesByFile, model }) {
+    const source = await model.source(filePath);
+    if (!source) {
+      // Skip files that can't be read as text
+      return null;
+    }
+
+    const content = source.content;
+    const base = this._fileContext(source, { projectPath, config });
+    const results = { issues: [], fixed: [], suppressed: [], metrics: base.metrics };
+    const pendingFixes = [];
+    const ext = path.extname(filePath).toLowerCase();
+    const relativeFile = RuleConfig.relativePath(projectPath, filePath);
+    const directives = this._directivesFor(filePath, source, directivesByFile);
+    let parseError = null;
+
+    if (collect) {
+      parseError = this._capture(() => collect(base));
+    }
+
+    for (const rule of rules) {
+      const applies = !rule.extensions || rule.extensions.includes(ext);
+      if (applies && !ruleConfig.isOffForFile(rule, relativeFile)) {
+        const outcome = this._checkFile(rule, base, { autoFix, fixes, ruleConfig, relativeFile, directives });
+        parseError = parseError || outcome.parseError;
+        results.issues.push(...outcome.issues);
+        results.suppressed.push(...outcome.suppressed);
+        pendingFixes.push(...outcome.fixes);
+      }
+    }
+
+    if (parseError) {
+      results.issues.unshift(this._parseErrorIssue(parseError, filePath));
+    }
+
+    if (pendingFixes.length > 0) {
+      await this._fixFile(filePath, content, pendingFixes, { fixes, model, results });
+    }
+
+    return results;
+  }
+
+  // Apply a file's fixes, or with dryRun only record what they would change
+  async _fixFile(filePath, content, pendingFixes, { fixes, model, results }) {
+    const applied = await this._applyFixes(filePath, content, pendingFixes, fixes.dryRun);
+    if (!fixes.dryRun) {
+      model.invalidate(filePath);
+    }
+
+    results.fixed.push(...applied.fixed);
+    results.issues.push(...applied.skipped, ...(fixes.dryRun ? applied.applied.map(entry => entry.issue) : []));
+    fixes.applied.push(...applied.applied);
+    if (applied.fixed.length > 0) {
+      const redact = applied.applied.flatMap(entry => entry.fix.redact || []);
+      fixes.changes.push({ file: filePath, before: content, after: applied.output, redact });
+    }
+  }
+
+  // Rules whose fixes change other files too (e.g. declaring the variables secrets moved to) make
+  // those changes once per run in finishFixes(fixes, { projectPath }), returning { file, before,
+  // after, redact, dotenv } for each file
+  async _finishFixes(rules, fixes, projectPath) {
+    for (const rule of rules.filter(candidate => candidate.finishFixes)) {
+      const applied = fixes.applied.filter(entry => entry.issue.rule === rule.id).map(entry => entry.fix);
+      const changes = applied.length > 0 ? await rule.finishFixes(applied, { projectPath }) : [];
+      for (const change of changes) {
+        if (!fixes.dryRun) {
+          await fs.outputFile(change.file, change.after);
+        }
+        fixes.changes.push(change);
+      }
+    }
+  }
+
+  // Unified diffs of the files fixes changed; the values a change marks as `redact` (secrets) are
+  // masked in its own diff, and every value of a `dotenv` change
+  _fixDiffs(fixes, projectPath) {
+    return fixes.changes.map(change => ({
+      file: change.file,
+      diff: unifiedDiff(RuleConfig.relativePath(projectPath, change.file), change.before, change.after, {
+        redact: change.redact || [],
+        dotenv: Boolean(change.dotenv)
+      })
+    }));
+  }
+
+  // Run a project rule once; overrides are matched against the file each finding names.
+  // Rules with a cacheKey(context) reuse their last findings and metrics while that key is unchanged.
+  async _runProjectRule(rule, { projectPath, files, config, metrics, ruleConfig, model, cached }) {
+    const context = {
+      rule,
+      projectPath,
+      files,
+      config,
+      metrics: {},
+      options: ruleConfig.optionsFor(rule, null),
+      readFile: file => model.readFile(file),
+
+      // compute(content, source) also gets the file's shared source, so its parsed AST is reused
+      memo: async (file, name, compute) => {
+        const content = await model.readFile(file);
+        const source = await model.source(file);
+        const run = () => compute(content, source);
+        return cached ? cached.cache.memo(RuleConfig.relativePath(projectPath, file), name, content, run) : run();
+      }
+    };
+    const inputKey = cached && rule.cacheKey ? await this._projectCacheKey(rule, context) : null;
+    const stored = inputKey ? cached.cache.getProject(cached.runKey, rule.id, inputKey) : null;
+    const found = stored ? stored.found : await this._check(rule, context, projectPath);
+    const ruleMetrics = stored ? stored.metrics : context.metrics;
+
+    if (inputKey && !stored) {
+      cached.cache.setProject(cached.runKey, rule.id, inputKey, { found, metrics: ruleMetrics });
+    }
+    this._mergeMetrics(metrics, ruleMetrics);
+
+    return found
+      .map(item => this._normalizeIssue(item, rule, null))
+      .map(issue => ruleConfig.applyToIssue(issue, rule, issue.file ? RuleConfig.relativePath(projectPath, issue.file) : null))
+      .filter(Boolean);
+  }
+
+  // Hash of the inputs a project rule depends on; a rule whose key can't be computed just runs
+  async _projectCacheKey(rule, context) {
+    try {
+      return ResultCache.hash(await rule.cacheKey(context));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Parse a file's suppression directives once per run; `source` is the file's ProjectModel
+  // source, or null for a file that can't be read
+  _directivesFor(filePath, source, directivesByFile) {
+    const key = path.resolve(filePath);
+    if (!directivesByFile.has(key)) {
+      const content = source ? source.content : '';
+      const comments = content.includes('bp-') && CODE_EXTENSIONS.includes(path.extname(filePath).toLowerCase())
+        ? sourceComments(source)
+        : null;
+      directivesByFile.set(key, suppressions.parseSuppressions(content, filePath, comments));
+    }
+    return directivesByFile.get(key);
+  }
+
+  // Apply suppression comments in the files project rule findings point at
+  async _suppressProjectIssues(found, rule, projectPath, state) {
+    const outcome = { issues: [], suppressed: [] };
+
+    for (const issue of found) {
+      const directives = issue.file ? await this._projectFileDirectives(issue.file, projectPath, state) : [];
+      suppressions.markChecked(directives, rule);
+      const directive = suppressions.findSuppression(directives, issue);
+      if (directive) {
+        outcome.suppressed.push(suppressions.suppressedIssue(issue, directive));
+      } else {
+        outcome.issues.push(issue);
+      }
+    }
+
+    return outcome;
+  }
+
+  // Directives for a file named by a project rule finding; missing or binary files have none
+  async _projectFileDirectives(file, projectPath, { directivesByFile, model }) {
+    const filePath = path.join(projectPath, RuleConfig.relativePath(projectPath, file));
+    const source = directivesByFile.has(path.resolve(filePath)) ? null : await model.source(filePath);
+
+    return this._directivesFor(filePath, source, directivesByFile);
+  }
+
+  // Run one file rule, splitting its configured findings into plain issues, suppressed issues and pending fixes
+  _checkFile(rule, base, { autoFix, fixes, ruleConfig, relativeFile, directives }) {
+    // Each rule sees the shared file context plus its own rule and options; fixes also get state
+    // that lasts for the run (one object per rule)
+    const options = ruleConfig.optionsFor(rule, relativeFile);
+    const context = Object.assign(Object.create(base), { rule, options }, autoFix ? { fixState: this._fixState(fixes, rule) } : {});
+    const outcome = { issues: [], fixes: [], suppressed: [], parseError: null };
+    let found = [];
+
+    outcome.parseError = this._capture(() => {
+      found = rule.check(context) || [];
+    }, rule, base.filePath);
+
+    // A rule that couldn't parse the file hasn't really checked the lines a directive covers
+    if (!outcome.parseError) {
+      suppressions.markChecked(directives, rule);
+    }
+
+    for (const item of found) {
+      // Findings switched off by the rule config or a suppression comment are dropped before they can be fixed
+      const issue = ruleConfig.applyToIssue(this._normalizeIssue(item, rule, base.filePath), rule, relativeFile);
+      if (!issue) {
+        continue;
+      }
+      const directive = suppressions.findSuppression(directives, issue);
+      if (directive) {
+        outcome.suppressed.push(suppressions.suppressedIssue(issue, directive));
+        continue;
+      }
+      const fix = autoFix && rule.fix ? rule.fix(context, issue) : null;
+      if (fix) {
+        outcome.fixes.push({ issue, fix });
+      } else {
+        outcome.issues.push(issue);
+      }
+    }
+
+    return outcome;
+  }
+
+  // The run's fix state for a rule
+  _fixState(fixes, rule) {
+    if (!fixes.states.has(rule.id)) {
+      fixes.states.set(rule.id, {});
+    }
+    return fixes.states.get(rule.id);
+  }
+
+  // Run a callback, returning a parse error instead of throwing; other errors name the rule
+  _capture(callback, rule = null, filePath = null) {
+    try {
+      callback();
+      return null;
+    } catch (error) {
+      if (error instanceof SyntaxError && error.loc) {
+        return error;
+      }
+      if (rule) {
+        throw new Error(`Rule "${rule.id}" failed on ${filePath}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  // Run a project rule, naming the rule if it throws
+  async _check(rule, context, projectPath) {
+    try {
+      return (await rule.check(context)) || [];
+    } catch (error) {
+      throw new Error(`Rule "${rule.id}" failed on ${projectPath}: ${error.message}`);
+    }
+  }
+
+  // Fill in rule metadata that rules don't need to repeat on every finding
+  _normalizeIssue(issue, rule, filePath) {
+    return {
+      file: filePath,
+      line: 1,
+      type: rule.types[0],
+      severity: rule.severity,
+      ...issue,
+      rule: rule.id,
+      category: rule.category
+    };
+  }
+
+  // Unparseable files get one finding instead of failing every AST rule
+  _parseErrorIssue(error, filePath) {
+    return {
+      file: filePath,
+      line: error.loc.line,
+      type: 'parse-error',
+      severity: 'error',
+      message: `Could not parse file: ${error.message}`,
+      rule: 'parse-error',
+      category: 'code'
+    };
+  }
+
+  // Apply non-overlapping text edits from the end of the file backwards; the file is only written
+  // when not a dry run
+  async _applyFixes(filePath, content, pendingFixes, dryRun = false) {
+    const sorted = [...pendingFixes].sort((first, second) => second.fix.range[0] - first.fix.range[0]);
+    const fixed = [];
+    const skipped = [];
+    const applied = [];
+    let output = content;
+    let lowestStart = Infinity;
+
+    for (const { issue, fix } of sorted) {
+      const [start, end] = fix.range;
+      if (end > lowestStart) {
+        skipped.push(issue);
+        continue;
+      }
+      output = output.slice(0, start) + fix.text + output.slice(end);
+      lowestStart = start;
+      fixed.push({ ...issue, fix: fix.description });
+      applied.push({ issue, fix });
+    }
+
+    if (fixed.length > 0 && !dryRun) {
+      await fs.writeFile(filePath, output);
+    }
+
+    return { fixed: fixed.reverse(), skipped, applied: applied.reverse(), output };
+  }
+
+  // Sum numeric metrics and concatenate list metrics from one file into the run totals
+  _mergeMetrics(target, source) {
+    for (const [key, value] of Object.entries(source)) {
+      if (Array.isArray(value)) {
+        target[key] = [...(target[key] || []), ...value];
+      } else if (typeof value === 'number') {
+        target[key] = (target[key] || 0) + value;
+      } else {
+        target[key] = value;
+      }
+    }
+  }
+}
+
+// Comments of a JS/TS source as { line, text } with the first line of each comment's source text,
+// or null when the file doesn't parse (its directives are then read from every line)
+function sourceComments(source) {
+  try {
+    return (source.ast.comments || []).map(comment => ({
+      line: comment.loc.start.line,
+      text: source.content.slice(comment.start, comment.end).split('\n')[0]
+    }));
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = RuleRunner;
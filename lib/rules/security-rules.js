@@ -0,0 +1,378 @@
+// Security rule pack used by SecurityValidator
+
+const fs = require('fs-extra');
+const path = require('path');
+const { promisify } = require('util');
+const { exec } = require('child_process');
+
+const AdvisoryDatabase = require('../security/advisory-database');
+const TaintAnalyzer = require('../security/taint-analyzer');
+const { CODE_EXTENSIONS, lineOffset } = require('./code-rules');
+const LockfileParser = require('../dependencies/lockfile-parser');
+const SecretDetector = require('../security/secret-detector');
+const SecretRemediation = require('../security/secret-remediation');
+const { SECRET_PATTERNS } = require('../security/secret-patterns');
+
+const execAsync = promisify(exec);
+
+const DOCS_BASE_URL = 'https://github.com/ramsaptami/code-directives/blob/main/docs/rules.md';
+
+// Common allowed patterns - be more specific to avoid false positives
+const DEFAULT_ALLOWED_SECRET_PATTERNS = [
+  'example',
+  'placeholder',
+  'dummy',
+  'test-key',
+  'sample',
+  'your-api-key-here',
+  'xxxxx',
+  'aaaaa',
+  'changeme',
+  'replace-me'
+];
+
+// Check if line is a comment
+function isCommentLine(line) {
+  const trimmed = line.trim();
+  return trimmed.startsWith('//') ||
+         trimmed.startsWith('/*') ||
+         trimmed.startsWith('*') ||
+         trimmed.startsWith('#');
+}
+
+// Check if file is a test file
+function isTestFile(filePath) {
+  const fileName = path.basename(filePath);
+  const pathParts = filePath.replace(/\\/g, '/').split('/'); // Handle Windows paths
+
+  // Check filename patterns first - these are definitely test files
+  if (fileName.includes('.test.') || fileName.includes('.spec.')) {
+    return true;
+  }
+
+  // If it's in fixtures/project-name/test/ or similar, it's actually a test file
+  // But if it's in fixtures/project-name/src/, it's simulated source code
+  const fixturesIndex = pathParts.indexOf('fixtures');
+  if (fixturesIndex >= 0 && fixturesIndex < pathParts.length - 1) {
+    const pathAfterProject = pathParts.slice(fixturesIndex + 2); // Skip fixtures + project name
+    return pathAfterProject.includes('test') || pathAfterProject.includes('tests') || pathAfterProject.includes('__tests__');
+  }
+
+  // Regular test directory check for non-fixtures paths
+  return pathParts.some(part => part === 'test' || part === 'tests' || part === '__tests__');
+}
+
+// Check if secret pattern is allowed
+function isAllowedSecret(line, extraPatterns = []) {
+  const trimmed = line.trim().toLowerCase();
+
+  // Check if the line contains comments indicating it's an example
+  if (trimmed.includes('//') && (trimmed.includes('example') || trimmed.includes('placeholder'))) {
+    return true;
+  }
+
+  return [...DEFAULT_ALLOWED_SECRET_PATTERNS, ...extraPatterns]
+    .some(pattern => trimmed.includes(pattern.toLowerCase()));
+}
+
+// A finding for a detected secret. Reports only ever see the masked value; less certain
+// findings are reported below the rule's severity.
+function secretIssue(finding, line) {
+  return {
+    line,
+    column: finding.column,
+    type: 'hardcoded-secret',
+    ...(finding.confidence < 0.7 ? { severity: 'medium' } : {}),
+    message: `${finding.description}: ${finding.masked} (confidence ${Math.round(finding.confidence * 100)}%)`,
+    secretType: finding.name,
+    confidence: finding.confidence,
+    masked: finding.masked,
+    ...(finding.entropy !== undefined ? { entropy: finding.entropy } : {})
+  };
+}
+
+const noHardcodedSecrets = {
+  id: 'no-hardcoded-secrets',
+  category: 'security',
+  severity: 'high',
+  version: 2,
+  types: ['hardcoded-secret', 'secret-in-history'],
+  description: 'Secrets, keys and credentials must not be committed in source files',
+  defaultOptions: {
+    patterns: [],
+    entropy: SecretDetector.DEFAULT_ENTROPY,
+    minConfidence: 0.5
+  },
+
+  check(context) {
+    if (context.config.scanSecrets === false || isTestFile(context.filePath)) {
+      return [];
+    }
+
+    const detector = new SecretDetector(context.options);
+    const allowed = context.config.allowedSecretPatterns || [];
+    const issues = [];
+
+    context.lines.forEach((line, lineIndex) => {
+      // Skip comments and allowed placeholders
+      if (isCommentLine(line) || isAllowedSecret(line, allowed)) {
+        return;
+      }
+
+      issues.push(...detector.scanLine(line).map(finding => secretIssue(finding, lineIndex + 1)));
+    });
+
+    return issues;
+  },
+
+  // Read the secret from process.env instead; finishFixes declares the variable. Only string
+  // literals in JavaScript files are rewritten, and the value never goes into the description.
+  fix(context, issue) {
+    const ext = path.extname(context.filePath).toLowerCase();
+    const line = context.lines[issue.line - 1];
+    const finding = CODE_EXTENSIONS.includes(ext)
+      ? new SecretDetector(context.options).scanLine(line).find(candidate => candidate.column === issue.column)
+      : null;
+    if (!finding) {
+      return null;
+    }
+
+    // A .env that git tracks would commit the secret, so nothing is moved until it is untracked
+    if (context.fixState.envTracked === undefined) {
+      context.fixState.envTracked = SecretRemediation.envTracked(context.projectPath);
+    }
+    if (context.fixState.envTracked) {
+      return null;
+    }
+
+    context.fixState.remediation = context.fixState.remediation || SecretRemediation.load(context.projectPath);
+    const edit = context.fixState.remediation.edit(line, finding);
+    if (!edit) {
+      return null;
+    }
+
+    const offset = lineOffset(context.lines, issue.line - 1);
+    return {
+      range: [offset + edit.start, offset + edit.end],
+      text: edit.text,
+      description: `Moved ${finding.name} to process.env.${edit.name} (.env)`,
+      redact: [finding.value],
+      variable: { name: edit.name, value: finding.value }
+    };
+  },
+
+  // Add the moved secrets to .env, placeholders to .env.example and .env to .gitignore
+  finishFixes(fixes, { projectPath }) {
+    return SecretRemediation.fileChanges(projectPath, fixes.map(fix => fix.variable));
+  }
+};
+
+// A finding for a package an advisory in the offline database affects
+function vulnerabilityIssue(finding, lockfile) {
+  const { package: pkg, advisory, fixedVersion } = finding;
+  const fix = fixedVersion ? `fixed in ${fixedVersion}` : 'no fixed version';
+  const via = finding.dependencyPath.slice(1, -1);
+
+  return {
+    file: lockfile,
+    line: pkg.line,
+    type: 'vulnerability',
+    ...(finding.severity ? { severity: finding.severity } : {}),
+    message: `${pkg.name}@${pkg.version}: ${advisory.summary || advisory.id} (${advisory.id}, ${fix})${via.length > 0 ? ` via ${via.join(' > ')}` : ''}`,
+    packageName: pkg.name,
+    version: pkg.version,
+    advisory: advisory.id,
+    aliases: advisory.aliases,
+    fixedVersion,
+    dependencyPath: finding.dependencyPath,
+    dev: pkg.dev,
+    url: advisory.url
+  };
+}
+
+// A finding for a package in `npm audit --json` output (npm 7+), with the advisory and fix npm reports
+function auditIssue(packageName, vulnData, packageJsonPath) {
+  // `via` holds advisory objects, or the names of vulnerable packages this one depends on
+  const via = vulnData.via || [];
+  const advisory = via.find(entry => typeof entry === 'object') || {};
+  const fix = vulnData.fixAvailable;
+  const location = (vulnData.nodes || [])[0] || '';
+
+  return {
+    file: packageJsonPath,
+    line: 1,
+    type: 'vulnerability',
+    severity: vulnData.severity,
+    message: `Vulnerability in ${packageName}: ${advisory.title || `via ${via.filter(entry => typeof entry === 'string').join(', ')}`}`,
+    packageName,
+    via: vulnData.via,
+    advisory: advisory.url ? advisory.url.split('/').pop() : null,
+    fixedVersion: fix && fix.name === packageName ? fix.version : null,
+    fixAvailable: Boolean(fix),
+    dependencyPath: location.split(/\/?node_modules\//).filter(Boolean),
+    url: advisory.url || null
+  };
+}
+
+// Match the lockfile's dependency tree against the offline advisory database
+async function scanLockfile(context, database) {
+  const tree = await LockfileParser.load(context.projectPath);
+  if (!tree) {
+    context.metrics.vulnerabilityScanSkipped = 'no lockfile to scan (package-lock.json, yarn.lock or pnpm-lock.yaml)';
+    return [];
+  }
+
+  const findings = database.match(tree);
+  context.metrics.dependenciesScanned = tree.packages.size;
+  context.metrics.vulnerabilities = findings.length;
+  return findings.map(finding => vulnerabilityIssue(finding, tree.lockfile));
+}
+
+// Without an advisory database, ask the registry through `npm audit`. It exits non-zero when it
+// finds vulnerabilities, so its report is read from the error too.
+async function runNpmAudit(context, packageJsonPath) {
+  let stdout;
+  try {
+    // Async so other validators keep running meanwhile
+    ({ stdout } = await execAsync('npm audit --json --audit-level=moderate', {
+      cwd: context.projectPath,
+      encoding: 'utf8',
+      maxBuffer: 64 * 1024 * 1024
+    }));
+  } catch (error) {
+    stdout = error.stdout;
+  }
+
+  let auditData;
+  try {
+    auditData = JSON.parse(stdout);
+  } catch (error) {
+    context.metrics.vulnerabilityScanSkipped = 'npm audit failed; import advisories for offline scanning (bp advisories import)';
+    return [];
+  }
+  if (auditData.error) {
+    context.metrics.vulnerabilityScanSkipped = `npm audit failed: ${auditData.error.summary || auditData.error.code}`;
+    return [];
+  }
+
+  const issues = Object.entries(auditData.vulnerabilities || {}).map(([packageName, vulnData]) => auditIssue(packageName, vulnData, packageJsonPath));
+  context.metrics.vulnerabilities = issues.length;
+  return issues;
+}
+
+const noVulnerableDependencies = {
+  id: 'no-vulnerable-dependencies',
+  category: 'security',
+  severity: 'high',
+  scope: 'project',
+  version: 2,
+  types: ['vulnerability'],
+  description: 'Dependencies must not have known vulnerabilities (offline advisory database or npm audit)',
+
+  async check(context) {
+    const packageJsonPath = path.join(context.projectPath, 'package.json');
+
+    if (context.config.vulnerabilityScan === false || !(await fs.pathExists(packageJsonPath))) {
+      return [];
+    }
+
+    // An imported advisory database is matched offline against the lockfile
+    const database = await AdvisoryDatabase.load(context.projectPath, { file: context.config.advisoryDatabase || undefined });
+    return database ? scanLockfile(context, database) : runNpmAudit(context, packageJsonPath);
+  }
+};
+
+// Taint analysis findings per AST and sanitizer list, shared by the injection rules
+const taintFindingsCache = new WeakMap();
+
+// Findings of the taint analysis for a file, run once for all injection rules
+function taintFindings(context) {
+  const sanitizers = context.options.sanitizers || [];
+  const key = sanitizers.join('\n');
+  const byOptions = taintFindingsCache.get(context.ast) || new Map();
+  taintFindingsCache.set(context.ast, byOptions);
+
+  if (!byOptions.has(key)) {
+    byOptions.set(key, new TaintAnalyzer({ sanitizers }).analyze(context.ast));
+  }
+  return byOptions.get(key);
+}
+
+// A rule reporting one kind of taint finding. `setting` is the `validation` option of the
+// security standard that turns it off.
+function injectionRule({ id, type, severity, setting, description }) {
+  return {
+    id,
+    category: 'security',
+    severity,
+    version: 1,
+    types: [type],
+    extensions: CODE_EXTENSIONS,
+    description,
+    defaultOptions: {
+      sanitizers: []
+    },
+
+    check(context) {
+      if ((context.config.validation || {})[setting] === false || isTestFile(context.filePath)) {
+        return [];
+      }
+
+      return taintFindings(context)
+        .filter(finding => finding.type === type)
+        .map(({ line, column, message, source, sink, via }) => ({ line, column, type, message, source, sink, via }));
+    }
+  };
+}
+
+const noCommandInjection = injectionRule({
+  id: 'no-command-injection',
+  type: 'command-injection',
+  severity: 'critical',
+  setting: 'inputSanitization',
+  description: 'Request and command-line input must not reach shell commands (exec, execSync) unsanitized'
+});
+
+const noCodeInjection = injectionRule({
+  id: 'no-code-injection',
+  type: 'code-injection',
+  severity: 'critical',
+  setting: 'inputSanitization',
+  description: 'Request and command-line input must not reach eval, new Function or vm unsanitized'
+});
+
+const noSqlInjection = injectionRule({
+  id: 'no-sql-injection',
+  type: 'sql-injection',
+  severity: 'high',
+  setting: 'sqlInjectionPrevention',
+  description: 'SQL must not be built by concatenating request or command-line input; use parameters'
+});
+
+const noUnescapedOutput = injectionRule({
+  id: 'no-unescaped-output',
+  type: 'xss',
+  severity: 'high',
+  setting: 'outputEncoding',
+  description: 'Request input must be escaped before it is sent back in a response'
+});
+
+const noPathTraversal = injectionRule({
+  id: 'no-path-traversal',
+  type: 'path-traversal',
+  severity: 'high',
+  setting: 'inputSanitization',
+  description: 'Request and command-line input must not name files for fs calls or res.sendFile unsanitized'
+});
+
+module.exports = {
+  name: 'security',
+  docsBaseUrl: DOCS_BASE_URL,
+  rules: [noHardcodedSecrets, noVulnerableDependencies, noCommandInjection, noCodeInjection, noSqlInjection, noUnescapedOutput, noPathTraversal],
+  SECRET_PATTERNS,
+  isCommentLine,
+  isTestFile,
+  isAllowedSecret,
+  secretIssue,
+  vulnerabilityIssue
+};
@@ -0,0 +1,41 @@
+// Severity levels used by validator findings, most severe first.
+// npm audit levels (moderate, low) sit alongside the SDK's own levels.
+const SEVERITY_LEVELS = [
+  'critical',
+  'high',
+  'error',
+  'medium',
+  'moderate',
+  'warning',
+  'low',
+  'info'
+];
+
+// Check whether a value is a known severity level
+function isSeverity(value) {
+  return SEVERITY_LEVELS.includes(value);
+}
+
+// Rank a severity so that higher numbers are more severe; unknown levels rank lowest
+function severityRank(severity) {
+  const index = SEVERITY_LEVELS.indexOf(severity);
+  return index === -1 ? 0 : SEVERITY_LEVELS.length - index;
+}
+
+// Collapse a severity into the error / warning / info levels report formats understand
+function reportLevel(severity) {
+  if (severityRank(severity) >= severityRank('error')) {
+    return 'error';
+  }
+  if (severityRank(severity) >= severityRank('warning')) {
+    return 'warning';
+  }
+  return 'info';
+}
+
+module.exports = {
+  SEVERITY_LEVELS,
+  isSeverity,
+  severityRank,
+  reportLevel
+};
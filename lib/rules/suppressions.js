@@ -0,0 +1,174 @@
+// Inline suppression comments for validator findings:
+//   // bp-disable-next-line <rule-id> -- reason
+//   code(); // bp-disable-line <rule-id> -- reason
+//   /* bp-disable <rule-id> -- reason */ ... /* bp-enable <rule-id> */
+// Rule ids may also be finding types (e.g. console-log); no ids means every rule.
+
+const path = require('path');
+
+// Works in JS/TS line and block comments, YAML/.env comments and HTML/Markdown comments
+const DIRECTIVE_PATTERN = /(?:\/\/|\/\*|#|<!--)\s*bp-(disable-next-line|disable-line|disable|enable)(?![\w-])(.*?)(?:\*\/|-->|$)/;
+
+// Split "rule-a, rule-b -- reason" into rule ids and the reason
+function parseDirectiveText(text) {
+  const separator = text.indexOf('--');
+  const ruleText = separator === -1 ? text : text.slice(0, separator);
+  const reason = separator === -1 ? '' : text.slice(separator + 2).trim();
+
+  return {
+    rules: ruleText.split(/[\s,]+/).filter(Boolean),
+    reason
+  };
+}
+
+// End open bp-disable blocks at a bp-enable line. A bare bp-enable closes every open
+// block; otherwise only blocks naming one of its rules.
+function closeBlocks(openBlocks, rules, line) {
+  for (const block of [...openBlocks]) {
+    if (rules.length === 0 || block.rules.some(rule => rules.includes(rule))) {
+      block.to = line;
+      openBlocks.splice(openBlocks.indexOf(block), 1);
+    }
+  }
+}
+
+// Find suppression directives in a file; each covers the lines [from, to] (1-based). With the
+// `comments` of a parsed JS/TS file ({ line, text } each) only those are read, so a directive
+// inside a string literal doesn't count; other files are read line by line.
+function parseSuppressions(content, filePath, comments = null) {
+  if (!content.includes('bp-')) {
+    return [];
+  }
+
+  const lines = content.split('\n');
+  const candidates = comments || lines.map((text, index) => ({ line: index + 1, text }));
+  const directives = [];
+  const openBlocks = [];
+
+  candidates.forEach(({ line, text }) => {
+    const match = text.match(DIRECTIVE_PATTERN);
+    if (!match) {
+      return;
+    }
+
+    const kind = match[1];
+    const { rules, reason } = parseDirectiveText(match[2]);
+
+    if (kind === 'enable') {
+      closeBlocks(openBlocks, rules, line);
+      return;
+    }
+
+    const from = kind === 'disable-next-line' ? line + 1 : line;
+    const directive = {
+      file: filePath,
+      line,
+      kind,
+      rules,
+      reason,
+      from,
+      to: kind === 'disable' ? lines.length : from,
+      used: false,
+      checked: new Set()
+    };
+
+    if (kind === 'disable') {
+      openBlocks.push(directive);
+    }
+    directives.push(directive);
+  });
+
+  return directives;
+}
+
+// Whether a directive names the rule or finding type of an issue
+function directiveMatches(directive, issue) {
+  return directive.rules.length === 0 ||
+    directive.rules.includes(issue.rule) ||
+    directive.rules.includes(issue.type);
+}
+
+// Find the directive suppressing an issue, marking it as used
+function findSuppression(directives, issue) {
+  const directive = directives.find(candidate =>
+    issue.line >= candidate.from && issue.line <= candidate.to && directiveMatches(candidate, issue));
+
+  if (directive) {
+    directive.used = true;
+  }
+  return directive || null;
+}
+
+// Record that a rule ran over the lines a set of directives cover
+function markChecked(directives, rule) {
+  for (const directive of directives) {
+    directive.checked.add(rule.id);
+    rule.types.forEach(type => directive.checked.add(type));
+  }
+}
+
+// Copy of a suppressed issue annotated with the directive that hid it
+function suppressedIssue(issue, directive) {
+  return {
+    ...issue,
+    suppression: {
+      kind: `bp-${directive.kind}`,
+      line: directive.line,
+      reason: directive.reason
+    }
+  };
+}
+
+// Plain, serializable form of a directive for validator results
+function serializeDirective(directive) {
+  return {
+    file: directive.file,
+    line: directive.line,
+    kind: directive.kind,
+    rules: directive.rules,
+    reason: directive.reason,
+    used: directive.used,
+    checked: [...directive.checked]
+  };
+}
+
+// Merge directive reports from several validators and report the ones that hid nothing.
+// A directive only counts as unused once every rule it names has actually run over its file.
+function findUnusedSuppressions(directiveLists) {
+  const merged = new Map();
+
+  for (const directive of directiveLists.flat()) {
+    const key = `${path.resolve(directive.file)}:${directive.line}`;
+    const existing = merged.get(key);
+    if (existing) {
+      existing.used = existing.used || directive.used;
+      directive.checked.forEach(name => existing.checked.add(name));
+    } else {
+      merged.set(key, { ...directive, checked: new Set(directive.checked) });
+    }
+  }
+
+  return [...merged.values()]
+    .filter(directive => !directive.used && directive.checked.size > 0)
+    .filter(directive => directive.rules.every(rule => directive.checked.has(rule)))
+    .map(directive => ({
+      file: directive.file,
+      line: directive.line,
+      type: 'unused-suppression',
+      severity: 'warning',
+      message: directive.rules.length > 0
+        ? `Unused bp-${directive.kind} directive: no ${directive.rules.join(', ')} findings to suppress`
+        : `Unused bp-${directive.kind} directive: no findings to suppress`,
+      rule: 'unused-suppression',
+      category: 'code'
+    }));
+}
+
+module.exports = {
+  parseSuppressions,
+  findSuppression,
+  markChecked,
+  suppressedIssue,
+  serializeDirective,
+  findUnusedSuppressions
+};
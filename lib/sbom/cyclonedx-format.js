@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const { parseExpression, isKnownLicense } = require('../dependencies/spdx');
+const { version: SDK_VERSION } = require('../../package.json');
+
+// CycloneDX 1.5 JSON (https://cyclonedx.org/docs/1.5/json/). devDependencies have the `excluded`
+// scope since they don't ship, and optional dependencies the `optional` one.
+const cyclonedxFormat = {
+  name: 'cyclonedx',
+  extension: '.cdx.json',
+  description: 'CycloneDX 1.5 JSON',
+
+  // The SBOM document; `timestamp` and `serialNumber` can be fixed for reproducible output
+  document(sbom, { timestamp = new Date().toISOString(), serialNumber = `urn:uuid:${crypto.randomUUID()}` } = {}) {
+    const { project } = sbom;
+    return {
+      bomFormat: 'CycloneDX',
+      specVersion: '1.5',
+      serialNumber,
+      version: 1,
+      metadata: {
+        timestamp,
+        tools: { components: [{ type: 'application', name: 'code-directives', version: SDK_VERSION }] },
+        component: {
+          type: 'application',
+          'bom-ref': project.ref,
+          ...nameParts(project.name),
+          ...(project.version ? { version: project.version } : {}),
+          ...(project.description ? { description: project.description } : {}),
+          ...licenses(project.license)
+        }
+      },
+      components: sbom.components.map(component => this._component(component)),
+      dependencies: [
+        { ref: project.ref, dependsOn: project.dependencies },
+        ...sbom.components.map(component => ({ ref: component.ref, dependsOn: component.dependencies }))
+      ]
+    };
+  },
+
+  // A library component with its hashes, license and download URL
+  _component(component) {
+    return {
+      type: 'library',
+      'bom-ref': component.ref,
+      ...nameParts(component.name),
+      version: component.version,
+      scope: scopeOf(component),
+      purl: component.purl,
+      ...(component.hashes.length > 0 ? { hashes: component.hashes.map(hash => ({ alg: hash.algorithm, content: hash.value })) } : {}),
+      ...licenses(component.license),
+      ...(component.resolved ? { externalReferences: [{ type: 'distribution', url: component.resolved }] } : {})
+    };
+  }
+};
+
+// A scoped package's scope is its CycloneDX group
+function nameParts(name) {
+  const match = /^(@[^/]+)\/(.+)$/.exec(name);
+  return match ? { group: match[1], name: match[2] } : { name };
+}
+
+// Dependency scope: excluded for dev-only components, optional for optional ones
+function scopeOf(component) {
+  if (component.dev) {
+    return 'excluded';
+  }
+  return component.optional ? 'optional' : 'required';
+}
+
+// `licenses` for a license string: an SPDX id, an SPDX expression, or else a license name
+function licenses(license) {
+  if (!license) {
+    return {};
+  }
+
+  let tree = null;
+  try {
+    tree = parseExpression(license);
+  } catch (error) {
+    return { licenses: [{ license: { name: license } }] };
+  }
+  if (!tree.terms && !tree.exception && isKnownLicense(tree.license)) {
+    return { licenses: [{ license: { id: tree.license } }] };
+  }
+  return tree.terms || tree.exception ? { licenses: [{ expression: license }] } : { licenses: [{ license: { name: tree.license } }] };
+}
+
+module.exports = cyclonedxFormat;
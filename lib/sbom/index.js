@@ -0,0 +1,16 @@
+// SBOM module exports
+
+const SbomBuilder = require('./sbom-builder');
+const cyclonedxFormat = require('./cyclonedx-format');
+const spdxFormat = require('./spdx-format');
+
+// SBOM formats by name
+const SBOM_FORMATS = {
+  cyclonedx: cyclonedxFormat,
+  spdx: spdxFormat
+};
+
+module.exports = {
+  SbomBuilder,
+  SBOM_FORMATS
+};
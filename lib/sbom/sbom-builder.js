@@ -0,0 +1,139 @@
+const fs = require('fs-extra');
+const path = require('path');
+const LockfileParser = require('../dependencies/lockfile-parser');
+const InstalledPackages = require('../dependencies/installed-packages');
+
+// Subresource integrity algorithms (as lockfiles record them) by their SBOM names
+const HASH_ALGORITHMS = {
+  sha1: 'SHA-1',
+  sha256: 'SHA-256',
+  sha384: 'SHA-384',
+  sha512: 'SHA-512'
+};
+
+// Collects what a software bill of materials lists about a project: one component per package
+// name and version, with its hashes, license and the components it depends on. The lockfile gives
+// the tree, resolved URLs and integrity hashes; node_modules fills in licenses the lockfile lacks,
+// and is the only source when there is no lockfile. Formats render the result (see lib/sbom).
+class SbomBuilder {
+  // { project, components, source } for a project; `includeDev: false` leaves devDependencies out
+  static async build(projectPath, options = {}) {
+    const { includeDev = true } = options;
+    const manifestPath = path.join(projectPath, 'package.json');
+    const manifest = (await fs.pathExists(manifestPath)) ? await fs.readJson(manifestPath) : {};
+
+    const lockTree = await LockfileParser.load(projectPath);
+    const installed = await InstalledPackages.load(projectPath);
+    const tree = lockTree || installed;
+    if (!tree) {
+      throw new Error('no lockfile or node_modules to read dependencies from');
+    }
+
+    const components = collectComponents(tree, installedLicenses(installed), includeDev);
+    return {
+      project: { ...projectInfo(projectPath, manifest, tree), dependencies: rootDependencies(tree, components, includeDev) },
+      components: [...components.values()].sort((first, second) => first.ref.localeCompare(second.ref)),
+      source: lockTree ? path.basename(lockTree.lockfile) : 'node_modules'
+    };
+  }
+}
+
+// The project's name, version, description and license, and its ref in the SBOM
+function projectInfo(projectPath, manifest, tree) {
+  const name = manifest.name || tree.root.name || path.basename(path.resolve(projectPath));
+  const version = manifest.version || tree.root.version || null;
+  return {
+    ref: version ? packageUrl(name, version) : name,
+    name,
+    version,
+    description: manifest.description || null,
+    license: typeof manifest.license === 'string' ? manifest.license : null
+  };
+}
+
+// Licenses of installed packages by name@version, for lockfiles that don't record them
+function installedLicenses(installed) {
+  const licenses = new Map();
+  for (const pkg of installed ? installed.list() : []) {
+    if (pkg.license) {
+      licenses.set(`${pkg.name}@${pkg.version}`, pkg.license);
+    }
+  }
+  return licenses;
+}
+
+// One component per package name and version; copies installed in several places are merged
+function collectComponents(tree, licenses, includeDev) {
+  const components = new Map();
+  const included = tree.list().filter(pkg => !pkg.workspace && pkg.version && (includeDev || !pkg.dev));
+  const refs = new Map(included.map(pkg => [pkg.id, packageUrl(pkg.name, pkg.version)]));
+
+  for (const pkg of included) {
+    const ref = refs.get(pkg.id);
+    const component = components.get(ref) || newComponent(pkg, ref, licenses);
+
+    // Merged copies are dev or optional only when every copy is
+    component.dev = component.dev && pkg.dev;
+    component.optional = component.optional && pkg.optional;
+    for (const id of pkg.dependencies.values()) {
+      if (refs.has(id)) {
+        component.dependencies.add(refs.get(id));
+      }
+    }
+    components.set(ref, component);
+  }
+
+  for (const component of components.values()) {
+    component.dependencies = [...component.dependencies].sort();
+  }
+  return components;
+}
+
+// A component for the first copy of a package found
+function newComponent(pkg, ref, licenses) {
+  return {
+    ref,
+    name: pkg.name,
+    version: pkg.version,
+    purl: ref,
+    license: pkg.license || licenses.get(`${pkg.name}@${pkg.version}`) || null,
+    hashes: packageHashes(pkg),
+    resolved: pkg.resolved || null,
+    dev: true,
+    optional: true,
+    dependencies: new Set()
+  };
+}
+
+// The components the project itself depends on
+function rootDependencies(tree, components, includeDev) {
+  const ids = [...tree.root.dependencies.values(), ...(includeDev ? tree.root.devDependencies.values() : [])];
+  const refs = ids.map(id => tree.packages.get(id)).filter(Boolean).map(pkg => packageUrl(pkg.name, pkg.version));
+  return [...new Set(refs)].filter(ref => components.has(ref)).sort();
+}
+
+// The package URL (https://github.com/package-url/purl-spec) of an npm package
+function packageUrl(name, version) {
+  return `pkg:npm/${name.replace(/^@/, '%40')}@${encodeURIComponent(version)}`;
+}
+
+// Hashes from a lockfile's integrity field ("sha512-<base64>", possibly several) and a yarn
+// classic "#<sha1>" URL fragment, as { algorithm, value } with hex values
+function packageHashes(pkg) {
+  const hashes = new Map();
+
+  for (const entry of String(pkg.integrity || '').split(/\s+/)) {
+    const match = /^(sha1|sha256|sha384|sha512)-([A-Za-z0-9+/=]+)$/.exec(entry);
+    if (match) {
+      hashes.set(HASH_ALGORITHMS[match[1]], Buffer.from(match[2], 'base64').toString('hex'));
+    }
+  }
+
+  const fragment = /#([0-9a-f]{40})$/.exec(pkg.resolved || '');
+  if (fragment && !hashes.has('SHA-1')) {
+    hashes.set('SHA-1', fragment[1]);
+  }
+  return [...hashes].map(([algorithm, value]) => ({ algorithm, value }));
+}
+
+module.exports = SbomBuilder;
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const { parseExpression, licenseIds, formatExpression, isKnownLicense } = require('../dependencies/spdx');
+const { version: SDK_VERSION } = require('../../package.json');
+
+const ROOT_ID = 'SPDXRef-Package-root';
+
+// SPDX 2.3 JSON (https://spdx.github.io/spdx-spec/v2.3/). Packages are not analyzed file by file;
+// dependencies are DEPENDS_ON relationships, and the project's devDependencies DEV_DEPENDENCY_OF.
+const spdxFormat = {
+  name: 'spdx',
+  extension: '.spdx.json',
+  description: 'SPDX 2.3 JSON',
+
+  // The SBOM document; `timestamp` and `namespace` can be fixed for reproducible output
+  document(sbom, options = {}) {
+    const { project } = sbom;
+    const name = `${project.name}${project.version ? `-${project.version}` : ''}`;
+    const {
+      timestamp = new Date().toISOString(),
+      namespace = `https://spdx.org/spdxdocs/${encodeURIComponent(name)}-${crypto.randomUUID()}`
+    } = options;
+    const ids = spdxIds(sbom.components);
+
+    return {
+      spdxVersion: 'SPDX-2.3',
+      dataLicense: 'CC0-1.0',
+      SPDXID: 'SPDXRef-DOCUMENT',
+      name,
+      documentNamespace: namespace,
+      creationInfo: {
+        // SPDX timestamps have no fractional seconds
+        created: timestamp.replace(/\.\d+Z$/, 'Z'),
+        creators: [`Tool: code-directives-${SDK_VERSION}`]
+      },
+      documentDescribes: [ROOT_ID],
+      packages: [
+        {
+          name: project.name,
+          SPDXID: ROOT_ID,
+          ...(project.version ? { versionInfo: project.version } : {}),
+          downloadLocation: 'NOASSERTION',
+          filesAnalyzed: false,
+          licenseConcluded: 'NOASSERTION',
+          licenseDeclared: declaredLicense(project.license),
+          copyrightText: 'NOASSERTION',
+          primaryPackagePurpose: 'APPLICATION'
+        },
+        ...sbom.components.map(component => this._package(component, ids.get(component.ref)))
+      ],
+      relationships: this._relationships(sbom, ids)
+    };
+  },
+
+  // A package for a component, with its checksums and purl
+  _package(component, id) {
+    return {
+      name: component.name,
+      SPDXID: id,
+      versionInfo: component.version,
+      downloadLocation: component.resolved || 'NOASSERTION',
+      filesAnalyzed: false,
+      ...(component.hashes.length > 0 ? { checksums: component.hashes.map(hash => ({ algorithm: hash.algorithm.replace('-', ''), checksumValue: hash.value })) } : {}),
+      licenseConcluded: 'NOASSERTION',
+      licenseDeclared: declaredLicense(component.license),
+      copyrightText: 'NOASSERTION',
+      externalRefs: [{ referenceCategory: 'PACKAGE-MANAGER', referenceType: 'purl', referenceLocator: component.purl }],
+      primaryPackagePurpose: 'LIBRARY'
+    };
+  },
+
+  // DESCRIBES for the project, then each dependency edge
+  _relationships(sbom, ids) {
+    const devRefs = new Set(sbom.components.filter(component => component.dev).map(component => component.ref));
+    const relationships = [{ spdxElementId: 'SPDXRef-DOCUMENT', relationshipType: 'DESCRIBES', relatedSpdxElement: ROOT_ID }];
+
+    for (const ref of sbom.project.dependencies) {
+      relationships.push(devRefs.has(ref)
+        ? { spdxElementId: ids.get(ref), relationshipType: 'DEV_DEPENDENCY_OF', relatedSpdxElement: ROOT_ID }
+        : { spdxElementId: ROOT_ID, relationshipType: 'DEPENDS_ON', relatedSpdxElement: ids.get(ref) });
+    }
+    for (const component of sbom.components) {
+      for (const ref of component.dependencies) {
+        relationships.push({ spdxElementId: ids.get(component.ref), relationshipType: 'DEPENDS_ON', relatedSpdxElement: ids.get(ref) });
+      }
+    }
+    return relationships;
+  }
+};
+
+// SPDX ids may only hold letters, digits, dots and dashes
+function spdxId(component) {
+  return `SPDXRef-Package-${`${component.name}-${component.version}`.replace(/[^A-Za-z0-9.-]+/g, '-')}`;
+}
+
+// A unique id per component ref. Names can differ only in characters an id can't hold (@a/b-c and
+// @a-b/c both become a-b-c), so an id already taken gets a counter suffix.
+function spdxIds(components) {
+  const taken = new Set([ROOT_ID]);
+  const ids = new Map();
+  for (const component of components) {
+    const base = spdxId(component);
+    let id = base;
+    for (let count = 2; taken.has(id); count++) {
+      id = `${base}-${count}`;
+    }
+    taken.add(id);
+    ids.set(component.ref, id);
+  }
+  return ids;
+}
+
+// licenseDeclared: the expression when every license in it is on the SPDX list, else NOASSERTION
+function declaredLicense(license) {
+  try {
+    const tree = parseExpression(license || '');
+    return licenseIds(tree).every(isKnownLicense) ? formatExpression(tree) : 'NOASSERTION';
+  } catch (error) {
+    return 'NOASSERTION';
+  }
+}
+
+module.exports = spdxFormat;
@@ -0,0 +1,233 @@
+const { SEVERITY_LEVELS } = require('../rules/severity');
+
+// Default model. Each standard starts at 100 and loses points through deductions:
+// - metrics: points per unit of a validator metric (arrays count their length); with `per`,
+//   the metric is first divided by another metric, so `points` is the cost of a ratio of 1
+// - penalties: points per finding, keyed by rule id, finding type or severity (first match wins)
+// - caps: the most points one metric or penalty key can take off
+// The overall score is the weighted average of the standard scores.
+const DEFAULT_SCORING = {
+  passScore: 80,
+  weights: { code: 1, security: 1, performance: 1, maintenance: 1, license: 1, env: 1 },
+  penalties: {},
+  standards: {
+    code: {
+      passScore: 80,
+      metrics: {
+        uncommentedFunctions: { points: 80, per: 'totalFunctions' },
+        longFunctions: { points: 20, per: 'totalFunctions' }
+      }
+    },
+    security: {
+      passScore: 90,
+      metrics: {
+        secretsFound: { points: 15 },
+        injectionsFound: { points: 10 },
+        vulnerabilities: { points: 10 }
+      }
+    },
+    performance: {
+      passScore: 75,
+      metrics: {
+        bundleOverage: { points: 20, cap: 30 },
+        largeFiles: { points: 5, cap: 20 },
+        unusedDependencies: { points: 2, cap: 15 },
+        performanceIssues: { points: 2, cap: 25 }
+      }
+    },
+    maintenance: {
+      passScore: 80,
+      penalties: { critical: 25, high: 20, error: 20, medium: 10, moderate: 10, warning: 5, low: 2 }
+    },
+    license: {
+      passScore: 100,
+      penalties: { 'license-violation': 25, 'unknown-license': 5 }
+    },
+    env: {
+      passScore: 80,
+      penalties: { 'undeclared-env-var': 10, 'missing-env-default': 5, 'unused-env-var': 2 }
+    }
+  }
+};
+
+// Scores standards from validator metrics and findings, combines them into the overall score,
+// and records every deduction so a score can be explained. Built from `scoring:` in .bp-config.yml.
+class ScoringModel {
+  constructor(config = {}) {
+    this.config = config || {};
+    this.passScore = this.config.passScore !== undefined ? this.config.passScore : DEFAULT_SCORING.passScore;
+    this.weights = { ...DEFAULT_SCORING.weights, ...(this.config.weights || {}) };
+    this.standards = {};
+
+    const names = new Set([...Object.keys(DEFAULT_SCORING.standards), ...Object.keys(this.config.standards || {})]);
+    for (const name of names) {
+      this.standards[name] = this._standardConfig(DEFAULT_SCORING.standards[name] || {}, (this.config.standards || {})[name] || {});
+    }
+  }
+
+  // Check the configuration for values that can't be used
+  validate() {
+    const problems = Object.entries(this.weights)
+      .filter(([, weight]) => !isNonNegative(weight))
+      .map(([standard]) => `Scoring weight for "${standard}" must be a non-negative number`);
+
+    for (const [standard, settings] of Object.entries(this.standards)) {
+      problems.push(...this._standardProblems(standard, settings));
+    }
+    return problems;
+  }
+
+  // Score one standard. Returns the 0-100 score and the deductions that produced it.
+  scoreStandard(standard, { metrics = {}, issues = [] } = {}) {
+    const settings = this.standards[standard] || this._standardConfig({}, {});
+    const deductions = [
+      ...this._metricDeductions(settings, metrics),
+      ...this._penaltyDeductions(settings, issues)
+    ];
+    const total = deductions.reduce((sum, deduction) => sum + deduction.points, 0);
+
+    return {
+      score: Math.max(0, Math.min(100, Math.round(100 - total))),
+      deductions
+    };
+  }
+
+  // Combine standard results ({ standard: { score, deductions } }) into the overall score,
+  // with each standard's weight, pass score and whether it passed
+  evaluate(standardResults) {
+    const standards = {};
+    let weighted = 0;
+    let totalWeight = 0;
+
+    for (const [standard, result] of Object.entries(standardResults)) {
+      const weight = this.weights[standard] !== undefined ? this.weights[standard] : 1;
+      const passScore = (this.standards[standard] || {}).passScore !== undefined ? this.standards[standard].passScore : this.passScore;
+      const score = result.score || 0;
+
+      standards[standard] = { score, weight, passScore, passed: score >= passScore, deductions: result.deductions || [] };
+      weighted += score * weight;
+      totalWeight += weight;
+    }
+
+    const score = totalWeight > 0 ? Math.round(weighted / totalWeight) : 0;
+    return {
+      score,
+      passScore: this.passScore,
+      passed: score >= this.passScore && Object.values(standards).every(standard => standard.passed),
+      standards
+    };
+  }
+
+  // Lines explaining an evaluation: each standard's score, weight, pass score and deductions
+  static explain(scoring) {
+    const lines = [`Overall: ${scoring.score}/100 (weighted average, pass >= ${scoring.passScore}) ${scoring.passed ? 'PASS' : 'FAIL'}`];
+
+    for (const [standard, result] of Object.entries(scoring.standards)) {
+      lines.push(`  ${standard}: ${result.score}/100 (weight ${result.weight}, pass >= ${result.passScore}) ${result.passed ? 'PASS' : 'FAIL'}`);
+      for (const deduction of result.deductions.filter(item => item.points > 0)) {
+        lines.push(`    -${deduction.points.toFixed(1).replace(/\.0$/, '')}  ${deduction.reason}`);
+      }
+    }
+    return lines;
+  }
+
+  // Problems with one standard's pass score, penalties, caps and metric deductions
+  _standardProblems(standard, settings) {
+    const problems = [];
+
+    if (!isNonNegative(settings.passScore) || settings.passScore > 100) {
+      problems.push(`Pass score for "${standard}" must be between 0 and 100`);
+    }
+    for (const [key, value] of Object.entries({ ...settings.penalties, ...settings.caps })) {
+      if (!isNonNegative(value)) {
+        problems.push(`Scoring value "${key}" for "${standard}" must be a non-negative number`);
+      }
+    }
+    for (const [metric, deduction] of Object.entries(settings.metrics)) {
+      if (!isNonNegative(deduction.points) || (deduction.cap !== undefined && !isNonNegative(deduction.cap))) {
+        problems.push(`Scoring metric "${metric}" for "${standard}" needs non-negative points and cap`);
+      }
+    }
+    return problems;
+  }
+
+  // Merge a standard's defaults with its configured settings; global penalties and caps apply to every standard
+  _standardConfig(defaults, configured) {
+    const layered = key => ({ ...(defaults[key] || {}), ...(configured[key] || {}) });
+    const [passScore] = [configured.passScore, defaults.passScore, this.passScore].filter(value => value !== undefined);
+    const metrics = {};
+
+    for (const [metric, deduction] of Object.entries(layered('metrics'))) {
+      // `largeFiles: 5` is shorthand for `largeFiles: { points: 5 }`
+      metrics[metric] = typeof deduction === 'number' ? { points: deduction } : { ...deduction };
+    }
+
+    return {
+      passScore,
+      metrics,
+      penalties: { ...(this.config.penalties || {}), ...layered('penalties') },
+      caps: { ...(this.config.caps || {}), ...layered('caps') }
+    };
+  }
+
+  // Deductions for validator metrics, e.g. 5 points per large file up to 20
+  _metricDeductions(settings, metrics) {
+    const deductions = [];
+
+    for (const [metric, deduction] of Object.entries(settings.metrics)) {
+      const count = metricValue(metrics[metric]);
+      const divisor = deduction.per ? metricValue(metrics[deduction.per]) : 1;
+      if (count === 0 || divisor === 0 || !deduction.points) {
+        continue;
+      }
+
+      const uncapped = (count / divisor) * deduction.points;
+      const cap = deduction.cap !== undefined ? deduction.cap : settings.caps[metric];
+      const points = cap !== undefined ? Math.min(cap, uncapped) : uncapped;
+      const amount = deduction.per ? `${count}/${divisor} ${deduction.per} x ${deduction.points}` : `${count} x ${deduction.points}`;
+      deductions.push({ source: 'metric', key: metric, count, points, reason: `${metric}: ${amount}${points < uncapped ? ` (capped at ${cap})` : ''}` });
+    }
+
+    return deductions;
+  }
+
+  // Deductions for findings, grouped by the penalty key they matched
+  _penaltyDeductions(settings, issues) {
+    const counts = new Map();
+
+    for (const issue of issues.filter(item => typeof item === 'object')) {
+      const key = [issue.rule, issue.type, issue.severity].find(candidate => candidate && settings.penalties[candidate] !== undefined);
+      if (key) {
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
+    }
+
+    // Severity keys first, most severe first, then rule and type keys by name
+    const order = key => (SEVERITY_LEVELS.includes(key) ? SEVERITY_LEVELS.indexOf(key) : SEVERITY_LEVELS.length);
+    return [...counts.entries()]
+      .sort(([first], [second]) => order(first) - order(second) || first.localeCompare(second))
+      .map(([key, count]) => {
+        const uncapped = count * settings.penalties[key];
+        const cap = settings.caps[key];
+        const points = cap !== undefined ? Math.min(cap, uncapped) : uncapped;
+        return { source: 'penalty', key, count, points, reason: `${count} ${key} finding(s) x ${settings.penalties[key]}${points < uncapped ? ` (capped at ${cap})` : ''}` };
+      });
+  }
+}
+
+// Check that a config value is a usable number of points, weight or score
+function isNonNegative(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// A metric as a number: counts stay numbers, lists count their entries, anything else is 0
+function metricValue(value) {
+  if (Array.isArray(value)) {
+    return value.length;
+  }
+  return typeof value === 'number' && Number.isFinite(value) ? value : 0;
+}
+
+ScoringModel.DEFAULT_SCORING = DEFAULT_SCORING;
+
+module.exports = ScoringModel;
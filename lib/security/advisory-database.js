@@ -0,0 +1,236 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { compareVersions } = require('../dependencies/semver');
+
+const DEFAULT_DATABASE_FILE = path.join('.bp', 'advisories.json');
+
+// OSV severities as the SDK's levels; advisories without one get the rule's severity
+const SEVERITY_MAP = {
+  critical: 'critical',
+  high: 'high',
+  moderate: 'moderate',
+  medium: 'moderate',
+  low: 'low'
+};
+
+// Local database of npm advisories in OSV format (https://ossf.github.io/osv-schema/), so
+// dependencies can be checked without network access. Advisories are imported from OSV exports,
+// such as the npm ecosystem dump or a clone of the GitHub Advisory Database, and stored in
+// .bp/advisories.json; importing again updates advisories whose `modified` date is newer.
+class AdvisoryDatabase {
+  constructor(advisories = [], filePath = null, updated = null) {
+    this.advisories = advisories;
+    this.filePath = filePath;
+    this.updated = updated;
+    this._byPackage = null;
+  }
+
+  // The database file of a project: `file` (relative to the project) or .bp/advisories.json
+  static filePath(projectPath, file = DEFAULT_DATABASE_FILE) {
+    return path.resolve(projectPath, file);
+  }
+
+  // Load a project's database, or null when there is none. `file` may also name an OSV file or
+  // directory directly instead of an imported database.
+  static async load(projectPath, options = {}) {
+    const filePath = AdvisoryDatabase.filePath(projectPath, options.file);
+    if (!(await fs.pathExists(filePath))) {
+      return null;
+    }
+
+    const stored = (await fs.stat(filePath)).isFile() ? await fs.readJson(filePath) : null;
+    if (stored && Array.isArray(stored.advisories)) {
+      return new AdvisoryDatabase(stored.advisories, filePath, stored.updated || null);
+    }
+    return new AdvisoryDatabase(await AdvisoryDatabase.readSource(filePath), filePath);
+  }
+
+  // npm advisories in an OSV source: a file with one advisory, an array of them, a query
+  // response ({ vulns }) or another database file, or a directory searched for .json files
+  static async readSource(source) {
+    if ((await fs.stat(source)).isDirectory()) {
+      const advisories = [];
+      for (const entry of await fs.readdir(source)) {
+        const child = path.join(source, entry);
+        if (entry.endsWith('.json') || (await fs.stat(child)).isDirectory()) {
+          advisories.push(...(await AdvisoryDatabase.readSource(child)));
+        }
+      }
+      return advisories;
+    }
+
+    const data = await fs.readJson(source);
+    const entries = Array.isArray(data) ? data : data.vulns || data.advisories || [data];
+    return entries.filter(isNpmAdvisory).map(compactAdvisory);
+  }
+
+  // Merge advisories from OSV sources into the database and save it. An advisory already
+  // present is replaced when the imported copy was modified later.
+  async import(sources) {
+    const byId = new Map(this.advisories.map(advisory => [advisory.id, advisory]));
+    const counts = { added: 0, updated: 0, unchanged: 0 };
+
+    for (const source of sources) {
+      for (const advisory of await AdvisoryDatabase.readSource(source)) {
+        const existing = byId.get(advisory.id);
+        if (!existing) {
+          counts.added++;
+        } else if ((advisory.modified || '') > (existing.modified || '')) {
+          counts.updated++;
+        } else {
+          counts.unchanged++;
+          continue;
+        }
+        byId.set(advisory.id, advisory);
+      }
+    }
+
+    this.advisories = [...byId.values()].sort((first, second) => first.id.localeCompare(second.id));
+    this.updated = new Date().toISOString();
+    this._byPackage = null;
+    await this.save();
+
+    return { ...counts, total: this.advisories.length };
+  }
+
+  // Write the database to its file
+  async save(filePath = this.filePath) {
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.writeJson(filePath, { version: 1, updated: this.updated, advisories: this.advisories });
+    this.filePath = filePath;
+  }
+
+  // Advisories affecting one version of a package, each with the version that fixes it (null when none does)
+  affecting(name, version) {
+    const matches = [];
+
+    for (const { advisory, affected } of this._advisoriesFor(name)) {
+      if (isAffected(affected, version)) {
+        matches.push({ advisory, fixedVersion: fixedVersion(affected, version) });
+      }
+    }
+    return matches;
+  }
+
+  // Every vulnerable package in a DependencyTree: { package, advisory, fixedVersion, severity, dependencyPath }
+  match(tree) {
+    const findings = [];
+
+    for (const pkg of tree.list()) {
+      for (const { advisory, fixedVersion: fixed } of this.affecting(pkg.name, pkg.version)) {
+        findings.push({
+          package: pkg,
+          advisory,
+          fixedVersion: fixed,
+          severity: advisorySeverity(advisory),
+          dependencyPath: tree.pathTo(pkg.id)
+        });
+      }
+    }
+    return findings;
+  }
+
+  // The `affected` entries naming a package, indexed on first use
+  _advisoriesFor(name) {
+    if (!this._byPackage) {
+      this._byPackage = new Map();
+      for (const advisory of this.advisories.filter(entry => !entry.withdrawn)) {
+        for (const affected of advisory.affected.filter(isNpmPackage)) {
+          const list = this._byPackage.get(affected.package.name) || [];
+          list.push({ advisory, affected });
+          this._byPackage.set(affected.package.name, list);
+        }
+      }
+    }
+    return this._byPackage.get(name) || [];
+  }
+}
+
+// An `affected` entry for an npm package
+function isNpmPackage(affected) {
+  return Boolean(affected.package) && affected.package.ecosystem === 'npm';
+}
+
+// An OSV advisory with at least one affected npm package
+function isNpmAdvisory(advisory) {
+  return Boolean(advisory && advisory.id) && (advisory.affected || []).some(isNpmPackage);
+}
+
+// The parts of an advisory matching and reports use; `details` is often pages of markdown
+function compactAdvisory(advisory) {
+  return {
+    id: advisory.id,
+    aliases: advisory.aliases || [],
+    summary: advisory.summary || (advisory.details || '').split('\n')[0],
+    modified: advisory.modified || null,
+    withdrawn: advisory.withdrawn || null,
+    severity: advisoryLevel(advisory),
+    url: advisoryUrl(advisory),
+    affected: advisory.affected.filter(isNpmPackage).map(affected => ({
+      package: { ecosystem: 'npm', name: affected.package.name },
+      ranges: (affected.ranges || []).filter(range => range.type === 'SEMVER' || range.type === 'ECOSYSTEM'),
+      versions: affected.versions || []
+    }))
+  };
+}
+
+// The advisory's own severity (GitHub's LOW to CRITICAL); compact advisories from another database keep theirs
+function advisoryLevel(advisory) {
+  if (advisory.database_specific && advisory.database_specific.severity) {
+    return advisory.database_specific.severity;
+  }
+  return typeof advisory.severity === 'string' ? advisory.severity : null;
+}
+
+// The advisory's page: its ADVISORY reference, else the first reference
+function advisoryUrl(advisory) {
+  const references = advisory.references || [];
+  const reference = references.find(entry => entry.type === 'ADVISORY') || references[0];
+  return reference ? reference.url : advisory.url || null;
+}
+
+// Whether a version is listed in or falls inside any range of an `affected` entry
+function isAffected(affected, version) {
+  return (affected.versions || []).includes(version) || (affected.ranges || []).some(range => inRange(range, version));
+}
+
+// Walk a range's events in version order: `introduced` opens an affected span, `fixed` closes
+// it before that version and `last_affected` closes it after that version
+function inRange(range, version) {
+  let affected = false;
+
+  for (const event of sortedEvents(range)) {
+    if (event.introduced !== undefined && compareVersions(version, event.introduced) >= 0) {
+      affected = true;
+    } else if (event.fixed !== undefined && compareVersions(version, event.fixed) >= 0) {
+      affected = false;
+    } else if (event.last_affected !== undefined && compareVersions(version, event.last_affected) > 0) {
+      affected = false;
+    }
+  }
+  return affected;
+}
+
+// The lowest `fixed` version above the affected version, or null when no release fixes it
+function fixedVersion(affected, version) {
+  const fixes = (affected.ranges || [])
+    .flatMap(range => range.events.filter(event => event.fixed !== undefined).map(event => event.fixed))
+    .filter(fixed => compareVersions(fixed, version) > 0)
+    .sort(compareVersions);
+  return fixes[0] || null;
+}
+
+// Range events sorted by the version they name; "0" stands for the first release
+function sortedEvents(range) {
+  const versionOf = event => event.introduced || event.fixed || event.last_affected || event.limit || '0';
+  return [...(range.events || [])].sort((first, second) => compareVersions(versionOf(first), versionOf(second)));
+}
+
+// The SDK severity of an advisory, or null when it has none
+function advisorySeverity(advisory) {
+  return SEVERITY_MAP[String(advisory.severity || '').toLowerCase()] || null;
+}
+
+AdvisoryDatabase.DEFAULT_FILE = DEFAULT_DATABASE_FILE;
+
+module.exports = AdvisoryDatabase;
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const readline = require('readline');
+const { execFileSync, spawn } = require('child_process');
+const ChangedFiles = require('../project/changed-files');
+const SecretDetector = require('./secret-detector');
+
+// Commit header printed by diff-tree before each commit's patch: NUL, then NUL-separated fields
+const COMMIT_FORMAT = '%x00%H%x00%an%x00%ae%x00%aI';
+
+// Scans the lines each commit added for secrets, so credentials that were committed and later
+// deleted are still found. Uses git plumbing (rev-list, diff-tree) on the local repository only;
+// patches are streamed, so long histories aren't held in memory.
+class GitHistoryScanner {
+  constructor(projectPath, options = {}) {
+    this.projectPath = projectPath;
+    this.detector = options.detector || new SecretDetector();
+    this.skipFile = options.skipFile || (() => false);
+    this.skipLine = options.skipLine || (() => false);
+  }
+
+  // Commits to scan, oldest first: those after `since`, or the last `maxCount`, or all of them
+  commits({ since = null, maxCount = null } = {}) {
+    // A ref that looks like an option would be read as one
+    if (since && since.startsWith('-')) {
+      throw new Error(`Invalid git ref "${since}"`);
+    }
+
+    const args = ['rev-list', '--no-merges', '--reverse'];
+    if (maxCount) {
+      args.push(`--max-count=${maxCount}`);
+    }
+    args.push(since ? `${since}..HEAD` : 'HEAD');
+
+    return git(this.projectPath, args).split('\n').filter(Boolean);
+  }
+
+  // Secrets added by the selected commits. Each distinct secret is reported once, at the commit
+  // that first added it, with later commits that added it again under `occurrences`.
+  // Returns { commits, findings } and never keeps the secret values themselves.
+  async scan(options = {}) {
+    const commits = this.commits(options);
+    const findings = new Map();
+
+    if (commits.length > 0) {
+      await this._readPatches(commits, (commit, file, line, text) => {
+        for (const finding of this.detector.scanLine(text)) {
+          this._record(findings, finding, { ...commit, file, line });
+        }
+      });
+    }
+
+    return { commits: commits.length, findings: [...findings.values()] };
+  }
+
+  // Stream `git diff-tree -p` for the commits and call onLine for every added line
+  _readPatches(commits, onLine) {
+    const child = spawn('git', [
+      '-c', 'core.quotePath=false', 'diff-tree', '--stdin', '-p', '--unified=0', '--root',
+      '--no-color', '--no-renames', '--no-ext-diff', '--relative', `--format=${COMMIT_FORMAT}`
+    ], { cwd: this.projectPath });
+    const state = { commit: null, file: null, line: 0 };
+    let stderr = '';
+
+    child.stderr.on('data', chunk => {
+      stderr += chunk;
+    });
+    child.stdin.end(`${commits.join('\n')}\n`);
+    readline.createInterface({ input: child.stdout, crlfDelay: Infinity })
+      .on('line', line => this._readPatchLine(line, state, onLine));
+
+    return new Promise((resolve, reject) => {
+      child.on('error', error => reject(new Error(`git diff-tree failed: ${error.message}`)));
+      child.on('close', code => (code === 0 ? resolve() : reject(new Error(`git diff-tree failed: ${stderr.trim()}`))));
+    });
+  }
+
+  // Track the commit, file and new-side line number through a patch
+  _readPatchLine(line, state, onLine) {
+    if (this._readHeaderLine(line, state) || !state.file) {
+      return;
+    }
+
+    const hunk = line.match(ChangedFiles.HUNK_PATTERN);
+    if (hunk) {
+      state.line = Number(hunk[1]);
+    } else if (line.startsWith('+')) {
+      const text = line.slice(1);
+      if (!this.skipLine(text)) {
+        onLine(state.commit, state.file, state.line, text);
+      }
+      state.line++;
+    }
+  }
+
+  // Commit headers and file headers; returns whether the line was one
+  _readHeaderLine(line, state) {
+    if (line.startsWith('\u0000')) {
+      const [, sha, author, email, date] = line.split('\u0000');
+      state.commit = { commit: sha, author, email, date };
+      state.file = null;
+    } else if (line.startsWith('+++ ')) {
+      const target = line.slice(4).replace(/^b\//, '');
+      state.file = target === '/dev/null' || this.skipFile(target) ? null : target;
+    } else if (line.startsWith('diff --git ')) {
+      state.file = null;
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  // Add a finding, or an occurrence when the same secret was already found in an earlier commit
+  _record(findings, finding, location) {
+    const key = crypto.createHash('sha256').update(`${finding.name}\u0000${finding.value}`).digest('hex');
+    const existing = findings.get(key);
+
+    if (existing) {
+      if (existing.commit !== location.commit || existing.file !== location.file) {
+        existing.occurrences.push({ commit: location.commit, file: location.file, line: location.line });
+      }
+      return;
+    }
+
+    const stored = { ...finding, ...location, occurrences: [] };
+    delete stored.value;
+    findings.set(key, stored);
+  }
+}
+
+// Run a git command in the project directory and return its output
+function git(cwd, args) {
+  try {
+    return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'], maxBuffer: 64 * 1024 * 1024 });
+  } catch (error) {
+    const detail = error.stderr ? error.stderr.toString().trim() : error.message;
+    throw new Error(`git ${args[0]} failed: ${detail}`);
+  }
+}
+
+module.exports = GitHistoryScanner;
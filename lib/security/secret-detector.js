@@ -0,0 +1,182 @@
+const { SECRET_PATTERNS } = require('./secret-patterns');
+
+// Entropy scoring for string literals and config values that no provider pattern matched.
+// Thresholds are Shannon entropy in bits per character; hex strings can reach at most 4.
+const DEFAULT_ENTROPY = {
+  enabled: true,
+  threshold: 4.5,
+  hexThreshold: 3,
+  minLength: 20
+};
+
+// Findings below this confidence are dropped
+const DEFAULT_MIN_CONFIDENCE = 0.5;
+
+// Words around a value that make it more or less likely to be a credential
+const RAISING_KEYWORDS = /secret|token|passw(?:or)?d|pwd|api[_-]?key|credential|auth|private|bearer|access[_-]?key|client[_-]?id/i;
+const LOWERING_KEYWORDS = /example|sample|dummy|mock|fake|fixture|placeholder|hash|checksum|digest|integrity|sha\d*|md5|uuid|guid|nonce|commit|etag|fingerprint|version/i;
+
+// Quoted string literals and unquoted `KEY=value` / `key: value` config values
+const LITERAL_PATTERN = /(["'`])([^"'`\s]+)\1|[=:]\s*([^\s"'`#,;]+)\s*$/g;
+
+// Values that name a secret rather than contain one: ${VAR}, <token>, %VAR%, process.env.X
+const REFERENCE_PATTERN = /^(?:\$\{.*\}|\$[A-Z_][A-Z0-9_]*|<[^>]*>|%[^%]+%|process\.env\..*)$/;
+
+// Shannon entropy of a string in bits per character
+function shannonEntropy(value) {
+  const counts = new Map();
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const probability = count / value.length;
+    entropy -= probability * Math.log2(probability);
+  }
+  return entropy;
+}
+
+// Hide a secret for reports: long values keep their first 4 characters so the provider stays recognizable
+function maskSecret(value) {
+  const stars = '*'.repeat(Math.min(Math.max(value.length - 4, 4), 16));
+  return value.length >= 16 ? `${value.slice(0, 4)}${stars}` : '*'.repeat(8);
+}
+
+// Patterns configured in .bp-config.yml arrive as strings or objects with string patterns
+function toSecretPattern(entry) {
+  const spec = typeof entry === 'string' ? { pattern: entry } : entry;
+  const source = spec.pattern instanceof RegExp ? spec.pattern.source : spec.pattern;
+  const flags = spec.pattern instanceof RegExp ? spec.pattern.flags : '';
+  return {
+    name: spec.name || 'Custom Secret',
+    description: spec.description || spec.name || 'Custom secret pattern',
+    confidence: 0.8,
+    ...spec,
+    pattern: new RegExp(source, [...new Set(`${flags}gd`)].join(''))
+  };
+}
+
+// Finds secrets in lines of text with provider patterns and entropy scoring. Every finding has a
+// confidence between 0 and 1 that context keywords on the line raise or lower.
+class SecretDetector {
+  constructor(options = {}) {
+    this.patterns = [...SECRET_PATTERNS, ...(options.patterns || []).map(toSecretPattern)];
+    this.entropy = { ...DEFAULT_ENTROPY, ...(options.entropy === false ? { enabled: false } : options.entropy || {}) };
+    this.minConfidence = options.minConfidence !== undefined ? options.minConfidence : DEFAULT_MIN_CONFIDENCE;
+  }
+
+  // Secrets on one line: { name, description, value, masked, column, confidence, entropy }, left to right.
+  // Where findings overlap, the most confident one is kept.
+  scanLine(line) {
+    const candidates = [...this._patternFindings(line), ...this._entropyFindings(line)]
+      .filter(finding => finding.confidence >= this.minConfidence)
+      .sort((first, second) => second.confidence - first.confidence);
+    const kept = [];
+
+    for (const finding of candidates) {
+      const end = finding.column + finding.value.length;
+      if (!kept.some(other => finding.column < other.column + other.value.length && other.column < end)) {
+        kept.push(finding);
+      }
+    }
+    return kept.sort((first, second) => first.column - second.column);
+  }
+
+  // The line with every detected secret replaced by its masked form
+  maskLine(line) {
+    return this.scanLine(line).reverse().reduce((masked, finding) => {
+      const start = finding.column - 1;
+      return `${masked.slice(0, start)}${finding.masked}${masked.slice(start + finding.value.length)}`;
+    }, line);
+  }
+
+  // Matches of the secret patterns, with the `secret` group (or the whole match) as the value
+  _patternFindings(line) {
+    const findings = [];
+
+    for (const secretPattern of this.patterns) {
+      if (secretPattern.contextPattern && !secretPattern.contextPattern.test(line)) {
+        continue;
+      }
+      for (const match of line.matchAll(secretPattern.pattern)) {
+        const value = match.groups && match.groups.secret !== undefined ? match.groups.secret : match[0];
+        const start = match.groups && match.groups.secret !== undefined ? match.indices.groups.secret[0] : match.index;
+        if (REFERENCE_PATTERN.test(value)) {
+          continue;
+        }
+
+        findings.push(this._finding(secretPattern, line, value, start, secretPattern.confidence + this._contextAdjustment(line, start, value, 0.05)));
+      }
+    }
+    return findings;
+  }
+
+  // String literals and config values whose entropy is above the threshold. Confidence grows with
+  // the margin over the threshold; hex strings start lower since most of them are hashes.
+  _entropyFindings(line) {
+    if (!this.entropy.enabled) {
+      return [];
+    }
+
+    const findings = [];
+    for (const match of line.matchAll(LITERAL_PATTERN)) {
+      const value = match[2] || match[3];
+      if (!this._isEntropyCandidate(value)) {
+        continue;
+      }
+
+      const isHex = /^[0-9a-fA-F]+$/.test(value);
+      const entropy = shannonEntropy(value);
+      const threshold = isHex ? this.entropy.hexThreshold : this.entropy.threshold;
+      if (entropy < threshold) {
+        continue;
+      }
+
+      const start = match.index + match[0].indexOf(value);
+      const base = (isHex ? 0.15 : 0.3) + Math.min(0.3, (entropy - threshold) * 0.5);
+      const finding = this._finding(
+        { name: 'High Entropy String', description: 'High-entropy string that may be a secret' },
+        line, value, start, base + this._contextAdjustment(line, start, value, 0.3)
+      );
+      findings.push({ ...finding, entropy: Math.round(entropy * 100) / 100 });
+    }
+    return findings;
+  }
+
+  // Long enough, mixes letters and digits, and uses only key-like characters
+  _isEntropyCandidate(value) {
+    return value.length >= this.entropy.minLength &&
+      /^[A-Za-z0-9+/=_\-.~]+$/.test(value) &&
+      /[A-Za-z]/.test(value) &&
+      /\d/.test(value) &&
+      !REFERENCE_PATTERN.test(value);
+  }
+
+  // Keywords on the rest of the line: lowering words cost 0.3, raising words add `raise`
+  _contextAdjustment(line, start, value, raise) {
+    const context = `${line.slice(0, start)} ${line.slice(start + value.length)}`;
+    if (LOWERING_KEYWORDS.test(context)) {
+      return -0.3;
+    }
+    return RAISING_KEYWORDS.test(context) ? raise : 0;
+  }
+
+  // A finding with its confidence clamped to 0..1 and rounded to two places
+  _finding(secretPattern, line, value, start, confidence) {
+    return {
+      name: secretPattern.name,
+      description: secretPattern.description,
+      value,
+      masked: maskSecret(value),
+      column: start + 1,
+      confidence: Math.round(Math.max(0, Math.min(1, confidence)) * 100) / 100
+    };
+  }
+}
+
+SecretDetector.DEFAULT_ENTROPY = DEFAULT_ENTROPY;
+SecretDetector.shannonEntropy = shannonEntropy;
+SecretDetector.maskSecret = maskSecret;
+
+module.exports = SecretDetector;
@@ -0,0 +1,150 @@
+// Catalog of secret formats. Provider patterns match token formats with fixed prefixes or
+// structure, so they start with high confidence; assignment patterns only know the variable
+// name and start lower. A `secret` named group marks the part to mask when the match also
+// covers a key name or URL. Patterns use the `d` flag so the group's column is known.
+const SECRET_PATTERNS = [
+  {
+    name: 'AWS Access Key',
+    description: 'AWS Access Key ID',
+    pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16}\b/gd,
+    confidence: 0.9
+  },
+  {
+    name: 'AWS Secret Key',
+    description: 'AWS Secret Access Key',
+    pattern: /(?:aws|amazon)[\w-]{0,20}secret[\w-]{0,20}["']?\s*[:=]\s*["']?(?<secret>[A-Za-z0-9/+]{40})(?![A-Za-z0-9/+])/gdi,
+    confidence: 0.9
+  },
+  {
+    name: 'GitHub Token',
+    description: 'GitHub personal access, OAuth, app or refresh token',
+    pattern: /\bgh[pousr]_[A-Za-z0-9]{36,255}\b/gd,
+    confidence: 0.98
+  },
+  {
+    name: 'GitHub Fine-Grained Token',
+    description: 'GitHub fine-grained personal access token',
+    pattern: /\bgithub_pat_[A-Za-z0-9_]{82}\b/gd,
+    confidence: 0.98
+  },
+  {
+    name: 'Slack Token',
+    description: 'Slack bot, user or app token',
+    pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,250}/gd,
+    confidence: 0.95
+  },
+  {
+    name: 'Slack Webhook',
+    description: 'Slack incoming webhook URL',
+    pattern: /https:\/\/hooks\.slack\.com\/services\/(?<secret>T[A-Z0-9]{8,}\/B[A-Z0-9]{8,}\/[A-Za-z0-9]{24})/gd,
+    confidence: 0.95
+  },
+  {
+    name: 'Stripe Secret Key',
+    description: 'Stripe secret or restricted API key',
+    pattern: /\b[rs]k_(?:live|test)_[A-Za-z0-9]{24,247}\b/gd,
+    confidence: 0.95
+  },
+  {
+    name: 'Google API Key',
+    description: 'Google Cloud API key',
+    pattern: /\bAIza[0-9A-Za-z_-]{35}(?![0-9A-Za-z_-])/gd,
+    confidence: 0.9
+  },
+  {
+    name: 'Google OAuth Client Secret',
+    description: 'Google OAuth client secret',
+    pattern: /\bGOCSPX-[A-Za-z0-9_-]{28}(?![A-Za-z0-9_-])/gd,
+    confidence: 0.95
+  },
+  {
+    name: 'GCP Service Account Key',
+    description: 'GCP service account private key id',
+    pattern: /"private_key_id"\s*:\s*"(?<secret>[a-f0-9]{40})"/gd,
+    confidence: 0.9
+  },
+  {
+    name: 'Azure Storage Key',
+    description: 'Azure storage account key',
+    pattern: /AccountKey=(?<secret>[A-Za-z0-9+/]{86}==)/gd,
+    confidence: 0.95
+  },
+  {
+    name: 'Azure Client Secret',
+    description: 'Azure AD application client secret',
+    pattern: /(?<![A-Za-z0-9_~.-])(?<secret>[A-Za-z0-9_~.]{3}\dQ~[A-Za-z0-9_~.-]{31,34})(?![A-Za-z0-9_~.-])/gd,
+    confidence: 0.85
+  },
+  {
+    name: 'Azure SAS Token',
+    description: 'Azure shared access signature',
+    pattern: /[?&]sv=\d{4}-\d{2}-\d{2}[^\s"']*[?&]sig=(?<secret>[A-Za-z0-9%+/]{40,}(?:%3D|=){0,2})/gdi,
+    confidence: 0.85
+  },
+  {
+    name: 'npm Token',
+    description: 'npm access token',
+    pattern: /\bnpm_[A-Za-z0-9]{36}\b/gd,
+    confidence: 0.98
+  },
+  {
+    name: 'npm Auth Token',
+    description: 'npm registry auth token',
+    pattern: /_auth(?:Token)?\s*=\s*(?<secret>[^\s$"'][^\s"']{8,})/gd,
+    confidence: 0.85
+  },
+  {
+    name: 'SendGrid API Key',
+    description: 'SendGrid API key',
+    pattern: /\bSG\.[A-Za-z0-9_-]{22}\.[A-Za-z0-9_-]{43}(?![A-Za-z0-9_-])/gd,
+    confidence: 0.98
+  },
+  {
+    name: 'Twilio API Key',
+    description: 'Twilio API key SID',
+    pattern: /\bSK[0-9a-f]{32}\b/gd,
+    confidence: 0.7
+  },
+  {
+    name: 'Private Key',
+    description: 'Private key detected',
+    pattern: /-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?-----/gd,
+    confidence: 0.99
+  },
+  {
+    name: 'JWT Token',
+    description: 'JSON Web Token',
+    pattern: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{10,}/gd,
+    confidence: 0.8
+  },
+  {
+    name: 'Database URL',
+    description: 'Database connection string with a password',
+    pattern: /\b(?:mongodb(?:\+srv)?|mysql|postgres(?:ql)?|redis|amqps?|mssql):\/\/[^\s:@/"']+:(?<secret>[^\s@/"']+)@/gdi,
+    confidence: 0.9
+  },
+  {
+    // The key starts a word, follows _ or -, or is a camelCase part (dbPassword), so package
+    // names that merely contain "pass" ("minipass": "^7.1.2") don't match
+    name: 'Password',
+    description: 'Hardcoded password',
+    pattern: /(?:\b|(?<=[_-])|(?<=[a-z0-9])(?=P))(?:[Pp]ass(?:word|wd)?|PASS(?:WORD|WD)?|[Pp]wd|PWD)["']?\s*[:=]\s*["'](?<secret>[^"']{6,})["']/gd,
+    confidence: 0.7
+  },
+  {
+    name: 'API Key',
+    description: 'API key detected',
+    pattern: /(?:api[_-]?key|apikey)["']?\s*[:=]\s*["'](?<secret>[^"']{16,})["']/gdi,
+    confidence: 0.75
+  },
+  {
+    name: 'Generic Secret',
+    description: 'Generic secret or token',
+    pattern: /(?:secret|token)["']?\s*[:=]\s*["'](?<secret>[A-Za-z0-9+/=_-]{20,})["']/gdi,
+    confidence: 0.65
+  }
+];
+
+module.exports = {
+  SECRET_PATTERNS
+};
@@ -0,0 +1,193 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { dotenvValues } = require('../project/dotenv');
+
+// `process.env.NAME ||` or `??` right before a literal: the literal is a hardcoded fallback
+const ENV_FALLBACK_PATTERN = /process\.env\.([A-Za-z_][A-Za-z0-9_]*)(\s*(?:\|\||\?\?)\s*)$/;
+
+// The key a literal is assigned to: `apiKey = '`, `apiKey: '`, `'api_key': '`
+const KEY_PATTERN = /([A-Za-z_$][\w$]*)["']?\s*[:=]\s*$/;
+
+// .gitignore entries that already keep .env out of git
+const GITIGNORE_ENV_ENTRIES = ['.env', '/.env', '.env*', '/.env*', '*.env'];
+
+// Finding names too vague to name a variable after
+const GENERIC_FINDINGS = ['High Entropy String', 'Generic Secret'];
+
+// Moves hardcoded secrets out of source files: a literal becomes `process.env.NAME`, named after the
+// key it was assigned to, and the value goes to .env (with an empty NAME= in .env.example and .env
+// in .gitignore). One instance covers a fix run, so a value found twice gets one variable and
+// different values never share a name.
+class SecretRemediation {
+  constructor(env = '') {
+    this.values = dotenvValues(env);
+    this.names = new Map([...this.values].map(([name, value]) => [value, name]));
+  }
+
+  // A remediation that knows the variables already in the project's .env
+  static load(projectPath) {
+    const envPath = path.join(projectPath, '.env');
+    return new SecretRemediation(fs.existsSync(envPath) ? fs.readFileSync(envPath, 'utf8') : '');
+  }
+
+  // Whether git tracks the project's .env. Ignoring it then doesn't keep it out of commits, so
+  // secrets must not be moved there; outside a git repository nothing is tracked.
+  static envTracked(projectPath) {
+    try {
+      execFileSync('git', ['ls-files', '--error-unmatch', '.env'], { cwd: projectPath, stdio: 'ignore' });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // The edit that replaces a secret SecretDetector found on a JavaScript line, as { start, end,
+  // text, name } in line offsets, or null when the secret isn't inside a string literal
+  edit(line, finding) {
+    const start = finding.column - 1;
+    const end = start + finding.value.length;
+    const literal = enclosingLiteral(line, start, end);
+    if (!literal) {
+      return null;
+    }
+
+    const whole = literal.open === start - 1 && literal.close === end;
+    const fallback = ENV_FALLBACK_PATTERN.exec(line.slice(0, literal.open));
+    if (fallback && whole) {
+      // `process.env.KEY || 'secret'` already reads the variable; only the fallback goes
+      const name = this.variable(fallback[1], finding.value, true);
+      return { start: literal.open - fallback[2].length, end: literal.close + 1, text: '', name };
+    }
+
+    const name = this.variable(keyName(line, literal, finding, whole), finding.value);
+    const reference = `process.env.${name}`;
+    if (whole) {
+      return { start: literal.open, end: literal.close + 1, text: reference, name };
+    }
+    if (literal.quote === '`') {
+      return { start, end, text: `\${${reference}}`, name };
+    }
+
+    // Part of a plain string: the rest of it stays around the variable in a template literal
+    const inner = line.slice(literal.open + 1, literal.close);
+    if (inner.includes('`') || inner.includes('${')) {
+      return null;
+    }
+    return { start: literal.open, end: literal.close + 1, text: `\`${line.slice(literal.open + 1, start)}\${${reference}}${line.slice(end, literal.close)}\``, name };
+  }
+
+  // The variable to hold a value: the one already holding it, else `base` (numbered when taken).
+  // An `existing` variable the code already reads keeps its name, and its .env value if it has one.
+  variable(base, value, existing = false) {
+    if (!existing && this.names.has(value)) {
+      return this.names.get(value);
+    }
+
+    let name = base;
+    for (let suffix = 2; !existing && this.values.has(name) && this.values.get(name) !== value; suffix++) {
+      name = `${base}_${suffix}`;
+    }
+    if (!this.values.has(name)) {
+      this.values.set(name, value);
+    }
+    this.names.set(value, name);
+    return name;
+  }
+
+  // Changes that declare moved secrets, as { file, before, after, dotenv } with before null for new
+  // files: values appended to .env, empty placeholders to .env.example, and .env to .gitignore
+  static async fileChanges(projectPath, variables) {
+    const changes = [];
+    const env = await readText(path.join(projectPath, '.env'));
+    const declared = dotenvValues(env);
+    const added = uniqueByName(variables).filter(variable => !declared.has(variable.name));
+    if (added.length > 0) {
+      const lines = added.map(variable => `${variable.name}=${quoteEnvValue(variable.value)}`);
+
+      // Values already in .env show up as context around the new lines, so previews mask every value
+      changes.push({ file: path.join(projectPath, '.env'), before: env, after: appendLines(env, lines), dotenv: true });
+    }
+
+    // The code now reads moved secrets without a fallback, so their placeholders mark them required
+    const example = await readText(path.join(projectPath, '.env.example'));
+    const placeholders = uniqueByName(variables).filter(variable => !dotenvValues(example).has(variable.name));
+    if (placeholders.length > 0) {
+      changes.push({ file: path.join(projectPath, '.env.example'), before: example, after: appendLines(example, placeholders.map(variable => `${variable.name}= # required`)) });
+    }
+
+    const gitignore = await readText(path.join(projectPath, '.gitignore'));
+    const ignored = (gitignore || '').split('\n').some(entry => GITIGNORE_ENV_ENTRIES.includes(entry.trim()));
+    if (variables.length > 0 && !ignored) {
+      changes.push({ file: path.join(projectPath, '.gitignore'), before: gitignore, after: appendLines(gitignore, ['.env']) });
+    }
+    return changes;
+  }
+}
+
+// The string literal around a secret as { quote, open, close } (quote positions), or null; the
+// nearest quote on the left that closes again after the secret wins
+function enclosingLiteral(line, start, end) {
+  let literal = null;
+  for (const quote of ['"', '\'', '`']) {
+    const open = line.lastIndexOf(quote, start - 1);
+    const close = line.indexOf(quote, end);
+    if (open >= 0 && close >= 0 && (!literal || open > literal.open)) {
+      literal = { quote, open, close };
+    }
+  }
+  return literal;
+}
+
+// Variable name for a secret: the key its literal is assigned to, else the kind of secret. Only the
+// password of a connection string moves, so it gets a _PASSWORD suffix.
+function keyName(line, literal, finding, whole) {
+  const key = KEY_PATTERN.exec(line.slice(0, literal.open));
+  let name = 'SECRET';
+  if (key) {
+    name = envName(key[1]);
+  } else if (!GENERIC_FINDINGS.includes(finding.name)) {
+    name = envName(finding.name);
+  }
+  return !whole && finding.name === 'Database URL' ? `${name}_PASSWORD` : name;
+}
+
+// UPPER_SNAKE_CASE for a key: apiKey, api-key and API Key all become API_KEY
+function envName(key) {
+  const name = key
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+    .replace(/[^A-Za-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .toUpperCase();
+  if (!name) {
+    return 'SECRET';
+  }
+  return /^\d/.test(name) ? `SECRET_${name}` : name;
+}
+
+// A value as dotenv reads it back: bare when safe, else single-quoted, else double-quoted
+function quoteEnvValue(value) {
+  if (/^[A-Za-z0-9_\-./:@+=~,]*$/.test(value)) {
+    return value;
+  }
+  return value.includes('\'') ? `"${value.replace(/["\\]/g, '\\$&')}"` : `'${value}'`;
+}
+
+// The first variable of each name
+function uniqueByName(variables) {
+  return variables.filter((variable, index) => variables.findIndex(other => other.name === variable.name) === index);
+}
+
+// A text with lines added at the end
+function appendLines(content, lines) {
+  const text = content || '';
+  return `${text}${text && !text.endsWith('\n') ? '\n' : ''}${lines.join('\n')}\n`;
+}
+
+// A file's text, or null when it doesn't exist
+async function readText(file) {
+  return (await fs.pathExists(file)) ? fs.readFile(file, 'utf8') : null;
+}
+
+module.exports = SecretRemediation;
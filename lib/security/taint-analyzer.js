@@ -0,0 +1,599 @@
+const jsParser = require('../parsers/js-parser');
+
+// How each kind of finding is named in messages
+const INJECTION_TYPES = {
+  'command-injection': 'Command injection',
+  'code-injection': 'Code injection',
+  'sql-injection': 'SQL injection',
+  xss: 'Cross-site scripting',
+  'path-traversal': 'Path traversal'
+};
+
+// Express request fields and getters that hold client input
+const REQUEST_OBJECTS = new Set(['req', 'request']);
+const REQUEST_FIELDS = new Set(['params', 'query', 'body', 'cookies', 'headers', 'files']);
+const REQUEST_GETTERS = new Set(['param', 'get', 'header']);
+
+// Express and router methods that register request handlers
+const ROUTE_METHODS = new Set(['get', 'post', 'put', 'patch', 'delete', 'all', 'use', 'options', 'head']);
+
+const CHILD_PROCESS_OBJECTS = new Set(['child_process', 'childProcess', 'cp']);
+const EXEC_FUNCTIONS = /^(?:exec|execSync|execAsync)$/;
+const SQL_METHODS = new Set(['query', 'execute', 'raw']);
+const RESPONSE_OBJECTS = new Set(['res', 'response', 'reply']);
+const RESPONSE_WRITES = new Set(['send', 'write', 'end']);
+const RESPONSE_FILES = new Set(['sendFile', 'download']);
+const FS_OBJECTS = new Set(['fs', 'fse', 'fsExtra', 'fsp', 'fsPromises', 'promises']);
+const FS_METHODS = new Set([
+  'readFile', 'readFileSync', 'writeFile', 'writeFileSync', 'appendFile', 'appendFileSync',
+  'createReadStream', 'createWriteStream', 'unlink', 'unlinkSync', 'rm', 'rmSync', 'remove',
+  'readdir', 'readdirSync', 'mkdir', 'mkdirSync', 'open', 'openSync', 'stat', 'statSync',
+  'copy', 'copyFile', 'copyFileSync', 'move', 'rename', 'renameSync', 'readJson', 'writeJson', 'outputFile'
+]);
+
+// fs methods whose second argument is a path too
+const FS_TWO_PATHS = new Set(['copy', 'copyFile', 'copyFileSync', 'move', 'rename', 'renameSync']);
+
+// Calls whose result no longer carries the taint of their input
+const SANITIZERS = /^(?:parseInt|parseFloat|Number|Boolean|basename)$|escape|sanitiz|encode|quote/i;
+
+// Objects whose functions build their result from their arguments (path.join, util.format)
+const PASS_THROUGH_OBJECTS = new Set(['path', 'util']);
+
+const SQL_PATTERN = /\b(?:select\b[\s\S]*\bfrom|insert\s+into|update\b[\s\S]*\bset|delete\s+from)\b/i;
+
+// Summaries of local functions are refined until they stop changing, up to this many passes
+const MAX_PASSES = 5;
+
+// Where untrusted input goes: each sink names the finding type, the arguments it checks and
+// how it matches a call described by describeCall()
+const SINKS = [
+  {
+    type: 'command-injection',
+    matches: call => EXEC_FUNCTIONS.test(call.name) && (!call.member || CHILD_PROCESS_OBJECTS.has(call.object))
+  },
+  { type: 'code-injection', allArguments: true, matches: call => !call.member && (call.name === 'eval' || call.name === 'Function') },
+  { type: 'code-injection', matches: call => call.object === 'vm' && call.name.startsWith('runIn') },
+  { type: 'sql-injection', matches: call => Boolean(call.object) && SQL_METHODS.has(call.name) },
+  { type: 'xss', matches: call => RESPONSE_OBJECTS.has(call.object) && RESPONSE_WRITES.has(call.name) },
+  { type: 'path-traversal', matches: call => RESPONSE_OBJECTS.has(call.object) && RESPONSE_FILES.has(call.name) },
+  {
+    type: 'path-traversal',
+    matches: call => FS_OBJECTS.has(call.object) && FS_METHODS.has(call.name),
+    argumentCount: call => (FS_TWO_PATHS.has(call.name) ? 2 : 1)
+  }
+];
+
+// Node types that get their own handling while walking; the rest are walked through
+const VISITORS = {
+  FunctionDeclaration: '_visitFunction',
+  FunctionExpression: '_visitFunction',
+  ArrowFunctionExpression: '_visitFunction',
+  ObjectMethod: '_visitFunction',
+  ClassMethod: '_visitFunction',
+  ClassPrivateMethod: '_visitFunction',
+  VariableDeclarator: '_visitDeclarator',
+  AssignmentExpression: '_visitAssignment',
+  CallExpression: '_visitCall',
+  OptionalCallExpression: '_visitCall',
+  NewExpression: '_visitCall',
+  TemplateLiteral: '_visitString',
+  BinaryExpression: '_visitString',
+  ReturnStatement: '_visitReturn'
+};
+
+// Expressions whose value is tainted when one of these parts is
+const PASS_THROUGH_NODES = {
+  LogicalExpression: node => [node.left, node.right],
+  ConditionalExpression: node => [node.consequent, node.alternate],
+  AwaitExpression: node => [node.argument],
+  ArrayExpression: node => node.elements,
+  ObjectExpression: node => node.properties.map(property => property.value || property.argument),
+  SequenceExpression: node => node.expressions.slice(-1),
+  AssignmentExpression: node => [node.right],
+  SpreadElement: node => [node.argument],
+  ParenthesizedExpression: node => [node.expression],
+  TSAsExpression: node => [node.expression],
+  TSNonNullExpression: node => [node.expression]
+};
+
+// Variables and what taints them, with a parent for enclosing functions
+class Scope {
+  constructor(parent = null) {
+    this.parent = parent;
+    this.variables = new Map();
+  }
+
+  // Taint of a variable, looked up through enclosing scopes
+  get(name) {
+    if (this.variables.has(name)) {
+      return this.variables.get(name);
+    }
+    return this.parent ? this.parent.get(name) : null;
+  }
+
+  // Declare a variable in this scope
+  declare(name, taint) {
+    this.variables.set(name, taint);
+  }
+
+  // Assign to the scope that declared the variable, or this one for undeclared globals
+  assign(name, taint) {
+    let scope = this;
+    while (scope && !scope.variables.has(name)) {
+      scope = scope.parent;
+    }
+    (scope || this).variables.set(name, taint);
+  }
+}
+
+// Follows untrusted input through a file to the calls it must not reach unchecked. Input comes
+// from Express requests (req.params, req.query, req.body, ...), process.argv, commander action
+// arguments and interactive prompts; it flows through variables, string building and local
+// functions, and stops at sanitizers. A taint is a list of labels: { source } for real input,
+// or { fn, param } for a parameter of the function being walked, which builds the summaries
+// that let a call to a local wrapper like execCommand(command) count as a call to its sink.
+class TaintAnalyzer {
+  constructor(options = {}) {
+    this.sanitizers = new Set(options.sanitizers || []);
+  }
+
+  // Findings for a parsed file: { type, line, column, message, source, sink, via }
+  analyze(ast) {
+    const state = { functions: localFunctions(ast), summaries: new Map(), findings: new Map(), fn: null, changed: true };
+
+    for (let pass = 0; pass < MAX_PASSES && state.changed; pass++) {
+      state.changed = false;
+      state.findings = new Map();
+      this._visit(ast.program, new Scope(), state, null);
+    }
+
+    return [...state.findings.values()].sort((first, second) => first.line - second.line || first.column - second.column);
+  }
+
+  // Walk a node with its own visitor, or walk its children
+  _visit(node, scope, state, parent) {
+    const visitor = VISITORS[node.type];
+    if (visitor) {
+      this[visitor](node, scope, state, parent);
+      return;
+    }
+    this._visitChildren(node, scope, state);
+  }
+
+  // Walk the children of a node in source order
+  _visitChildren(node, scope, state) {
+    for (const child of jsParser.childNodes(node)) {
+      this._visit(child, scope, state, node);
+    }
+  }
+
+  // Parameters of commander action callbacks are command-line input, as are the request fields a
+  // handler destructures from its first parameter (`({ query }, res) => ...`); others are tracked symbolically
+  _visitFunction(node, scope, state, parent) {
+    const inner = new Scope(scope);
+    const fromCommandLine = isActionCallback(node, parent);
+
+    node.params.forEach((param, index) => {
+      if (index === 0 && param.type === 'ObjectPattern' && isRequestHandler(node, parent)) {
+        bindRequestPattern(param, 'req', inner);
+        return;
+      }
+      const label = fromCommandLine ? { source: `command-line argument ${patternName(param)}` } : { fn: node, param: index };
+      bindPattern(param, [label], inner);
+    });
+
+    const outer = state.fn;
+    state.fn = node;
+    this._visit(node.body, inner, state, node);
+    if (node.body.type !== 'BlockStatement') {
+      this._recordReturn(this._taintOf(node.body, inner, state), state);
+    }
+    state.fn = outer;
+  }
+
+  // `const x = ...` and destructuring, including `const { query } = req`
+  _visitDeclarator(node, scope, state) {
+    if (!node.init) {
+      bindPattern(node.id, null, scope);
+      return;
+    }
+
+    this._visit(node.init, scope, state, node);
+    if (node.id.type === 'ObjectPattern' && node.init.type === 'Identifier' && REQUEST_OBJECTS.has(node.init.name)) {
+      bindRequestPattern(node.id, node.init.name, scope);
+      return;
+    }
+    bindPattern(node.id, this._taintOf(node.init, scope, state), scope);
+  }
+
+  // Plain assignment replaces a variable's taint; `+=` and assigning to a property add to it
+  _visitAssignment(node, scope, state) {
+    this._visit(node.left, scope, state, node);
+    this._visit(node.right, scope, state, node);
+    const taint = this._taintOf(node.right, scope, state);
+
+    if (node.left.type === 'Identifier' && node.operator === '=') {
+      scope.assign(node.left.name, taint);
+      return;
+    }
+    const target = rootIdentifier(node.left);
+    if (target && taint) {
+      scope.assign(target, mergeTaint(scope.get(target), taint));
+    }
+  }
+
+  // Report tainted arguments of sinks, and of local functions whose parameters reach a sink
+  _visitCall(node, scope, state) {
+    this._visitChildren(node, scope, state);
+    const call = describeCall(node);
+    const sink = SINKS.find(candidate => candidate.matches(call));
+
+    if (sink) {
+      const count = sink.allArguments ? node.arguments.length : (sink.argumentCount || (() => 1))(call);
+      for (const argument of node.arguments.slice(0, count)) {
+        this._report(this._taintOf(argument, scope, state), { type: sink.type, sink: `${call.label}()` }, node, state);
+      }
+      return;
+    }
+
+    const summary = this._summaryOf(call, state);
+    for (const reach of summary ? summary.sinks.values() : []) {
+      const sinkInfo = { type: reach.type, sink: reach.sink, via: call.name };
+      this._report(this._taintOf(node.arguments[reach.index], scope, state), sinkInfo, node, state);
+    }
+  }
+
+  // SQL built from strings with input in them, however it is sent to the database. Tagged
+  // templates such as sql`...` are left alone: the tag gets the values separately.
+  _visitString(node, scope, state, parent) {
+    this._visitChildren(node, scope, state);
+    if (parent && parent.type === 'TaggedTemplateExpression') {
+      return;
+    }
+    if (isStringBuilder(node) && !isStringBuilder(parent) && SQL_PATTERN.test(staticText(node))) {
+      this._report(this._partsTaint(node, scope, state), { type: 'sql-injection', sink: 'a SQL string' }, node, state);
+    }
+  }
+
+  // Remember what a function returns
+  _visitReturn(node, scope, state) {
+    this._visitChildren(node, scope, state);
+    if (node.argument) {
+      this._recordReturn(this._taintOf(node.argument, scope, state), state);
+    }
+  }
+
+  // Record a finding for input reaching a sink, or that a parameter of the current function does
+  _report(taint, sink, node, state) {
+    for (const label of taint || []) {
+      // SQL strings are reported where they are built, not again where they are run
+      if (label.sql && sink.type === 'sql-injection') {
+        continue;
+      }
+      if (label.fn) {
+        this._recordSink(label, sink, state);
+        continue;
+      }
+
+      const key = `${node.start}:${sink.type}`;
+      if (!state.findings.has(key)) {
+        state.findings.set(key, finding(label, sink, node));
+      }
+    }
+  }
+
+  // Note in a function's summary that one of its parameters reaches a sink
+  _recordSink(label, sink, state) {
+    const summary = summaryFor(label.fn, state);
+    const key = `${label.param}:${sink.type}`;
+
+    if (!summary.sinks.has(key)) {
+      summary.sinks.set(key, { index: label.param, type: sink.type, sink: sink.sink });
+      state.changed = true;
+    }
+  }
+
+  // Note in the current function's summary which parameters and input it returns
+  _recordReturn(taint, state) {
+    if (!state.fn) {
+      return;
+    }
+
+    const summary = summaryFor(state.fn, state);
+    const known = summary.returns.size + summary.sources.size;
+    for (const label of taint || []) {
+      if (!label.fn) {
+        summary.sources.add(label.source);
+      } else if (label.fn === state.fn) {
+        summary.returns.add(label.param);
+      }
+    }
+    if (summary.returns.size + summary.sources.size !== known) {
+      state.changed = true;
+    }
+  }
+
+  // The summary of the local function a call names, if it has one
+  _summaryOf(call, state) {
+    const fn = !call.member && state.functions.get(call.name);
+    return fn ? state.summaries.get(fn) : null;
+  }
+
+  // The labels tainting an expression's value, or null
+  _taintOf(node, scope, state) {
+    if (!node) {
+      return null;
+    }
+    if (PASS_THROUGH_NODES[node.type]) {
+      return PASS_THROUGH_NODES[node.type](node).reduce((taint, part) => mergeTaint(taint, this._taintOf(part, scope, state)), null);
+    }
+
+    const evaluators = {
+      Identifier: () => scope.get(node.name),
+      MemberExpression: () => this._memberTaint(node, scope, state),
+      OptionalMemberExpression: () => this._memberTaint(node, scope, state),
+      CallExpression: () => this._callTaint(node, scope, state),
+      OptionalCallExpression: () => this._callTaint(node, scope, state),
+      TemplateLiteral: () => this._stringTaint(node, scope, state),
+      BinaryExpression: () => this._stringTaint(node, scope, state)
+    };
+    return evaluators[node.type] ? evaluators[node.type]() : null;
+  }
+
+  // req.query.id and process.argv are input; other members carry their object's taint
+  _memberTaint(node, scope, state) {
+    const chain = memberChain(node);
+    const [root, field] = chain;
+
+    if ((REQUEST_OBJECTS.has(root) && REQUEST_FIELDS.has(field)) || (root === 'process' && field === 'argv')) {
+      return [{ source: chain.join('.').replace(/\.\[\]/g, '[]') }];
+    }
+    return this._taintOf(node.object, scope, state);
+  }
+
+  // Input read through calls, results of local functions, and values passed through calls unchanged
+  _callTaint(node, scope, state) {
+    const call = describeCall(node);
+    if (SANITIZERS.test(call.name) || this.sanitizers.has(call.name) || this.sanitizers.has(call.label)) {
+      return null;
+    }
+
+    const source = inputCall(node, call);
+    if (source) {
+      return [{ source }];
+    }
+
+    const summary = this._summaryOf(call, state);
+    if (summary) {
+      const returned = [...summary.returns].map(index => this._taintOf(node.arguments[index], scope, state));
+      return [...summary.sources].map(label => [{ source: label }]).concat(returned).reduce(mergeTaint, null);
+    }
+
+    // path.join(), util.format() and String() build on their arguments; string methods on their object
+    if (PASS_THROUGH_OBJECTS.has(call.object) || call.label === 'String') {
+      return node.arguments.reduce((taint, argument) => mergeTaint(taint, this._taintOf(argument, scope, state)), null);
+    }
+    return node.callee.type.endsWith('MemberExpression') ? this._taintOf(node.callee.object, scope, state) : null;
+  }
+
+  // Strings built by templates or `+` carry the taint of their parts, marked when they are SQL
+  _stringTaint(node, scope, state) {
+    if (node.type === 'BinaryExpression' && node.operator !== '+') {
+      return null;
+    }
+
+    const taint = this._partsTaint(node, scope, state);
+    if (!taint || !SQL_PATTERN.test(staticText(node))) {
+      return taint;
+    }
+    return taint.map(label => ({ ...label, sql: true }));
+  }
+
+  // Merged taint of the expressions a template or `+` combines
+  _partsTaint(node, scope, state) {
+    const parts = node.type === 'TemplateLiteral' ? node.expressions : [node.left, node.right];
+    return parts.reduce((taint, part) => mergeTaint(taint, this._taintOf(part, scope, state)), null);
+  }
+}
+
+// Named functions declared in the file, which calls can be followed into
+function localFunctions(ast) {
+  const functions = new Map();
+
+  jsParser.walk(ast.program, node => {
+    if (node.type === 'FunctionDeclaration' && node.id && !functions.has(node.id.name)) {
+      functions.set(node.id.name, node);
+    }
+    const isFunctionValue = node.init && ['FunctionExpression', 'ArrowFunctionExpression'].includes(node.init.type);
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && isFunctionValue && !functions.has(node.id.name)) {
+      functions.set(node.id.name, node.init);
+    }
+  });
+  return functions;
+}
+
+// A function's summary: parameters that reach sinks, parameters it returns and input it returns
+function summaryFor(fn, state) {
+  if (!state.summaries.has(fn)) {
+    state.summaries.set(fn, { sinks: new Map(), returns: new Set(), sources: new Set() });
+  }
+  return state.summaries.get(fn);
+}
+
+// The finding for input reaching a sink
+function finding(label, sink, node) {
+  const via = sink.via ? ` through ${sink.via}()` : '';
+
+  return {
+    type: sink.type,
+    line: node.loc.start.line,
+    column: node.loc.start.column + 1,
+    message: `${INJECTION_TYPES[sink.type]}: ${label.source} reaches ${sink.sink}${via} unsanitized`,
+    source: label.source,
+    sink: sink.sink,
+    via: sink.via || null
+  };
+}
+
+// Union of two taints, without repeating labels
+function mergeTaint(first, second) {
+  if (!first || first.length === 0) {
+    return second && second.length > 0 ? second : null;
+  }
+  if (!second || second.length === 0) {
+    return first;
+  }
+
+  const labels = new Map(first.map(label => [labelKey(label), label]));
+  for (const label of second) {
+    labels.set(labelKey(label), labels.get(labelKey(label)) || label);
+  }
+  return [...labels.values()];
+}
+
+// Identity of a label for merging
+function labelKey(label) {
+  return label.fn ? `${label.fn.start}:${label.param}:${Boolean(label.sql)}` : `${label.source}:${Boolean(label.sql)}`;
+}
+
+// Bind the names in a declaration or parameter pattern to a taint
+function bindPattern(pattern, taint, scope) {
+  const children = {
+    Identifier: () => scope.declare(pattern.name, taint),
+    ObjectPattern: () => pattern.properties.forEach(property => bindPattern(property.value || property.argument, taint, scope)),
+    ArrayPattern: () => pattern.elements.filter(Boolean).forEach(element => bindPattern(element, taint, scope)),
+    AssignmentPattern: () => bindPattern(pattern.left, taint, scope),
+    RestElement: () => bindPattern(pattern.argument, taint, scope),
+    TSParameterProperty: () => bindPattern(pattern.parameter, taint, scope)
+  };
+  if (pattern && children[pattern.type]) {
+    children[pattern.type]();
+  }
+}
+
+// `const { query, body } = req`: the request's input fields are tainted, the rest are not
+function bindRequestPattern(pattern, requestName, scope) {
+  for (const property of pattern.properties) {
+    const field = property.key && (property.key.name || property.key.value);
+    const taint = REQUEST_FIELDS.has(field) ? [{ source: `${requestName}.${field}` }] : null;
+    bindPattern(property.value || property.argument, taint, scope);
+  }
+}
+
+// Whether a function is the callback of commander's `.action()`
+function isActionCallback(node, parent) {
+  return Boolean(parent) && parent.type === 'CallExpression' && parent.arguments.includes(node) &&
+    parent.callee.type === 'MemberExpression' && propertyName(parent.callee) === 'action';
+}
+
+// Whether a function is a request handler: a callback given to app.get() and the like, or one
+// whose second parameter is the response
+function isRequestHandler(node, parent) {
+  const second = node.params[1];
+  if (second && second.type === 'Identifier' && RESPONSE_OBJECTS.has(second.name)) {
+    return true;
+  }
+  return Boolean(parent) && parent.type === 'CallExpression' && parent.arguments.includes(node) &&
+    parent.callee.type === 'MemberExpression' && ROUTE_METHODS.has(propertyName(parent.callee));
+}
+
+// Input read through a call: req.param(), req.get(), prompts and commander's .opts()
+function inputCall(node, call) {
+  if (REQUEST_OBJECTS.has(call.object) && REQUEST_GETTERS.has(call.name) && node.callee.object.type === 'Identifier') {
+    const argument = node.arguments[0];
+    return `${call.label}(${argument && typeof argument.value === 'string' ? `'${argument.value}'` : ''})`;
+  }
+  if (call.name === 'prompt') {
+    return `${call.label}() answers`;
+  }
+  return call.name === 'opts' && call.object ? 'command-line options' : null;
+}
+
+// The function a call names, the root object it is called on and a label for messages:
+// `execSync(cmd)` is { name: 'execSync' }, `res.status(500).send(html)` is { object: 'res', name: 'send', member: true }
+function describeCall(node) {
+  const callee = node.callee;
+  if (callee.type !== 'MemberExpression' && callee.type !== 'OptionalMemberExpression') {
+    const name = callee.type === 'Identifier' ? callee.name : '';
+    return { name, object: null, member: false, label: node.type === 'NewExpression' ? `new ${name}` : name };
+  }
+
+  const name = propertyName(callee) || '';
+  const object = rootName(callee.object);
+  return { name, object, member: true, label: object ? `${object}.${name}` : name };
+}
+
+// The identifier or required module at the root of a member or call chain
+function rootName(node) {
+  let current = node;
+  while (current.type.endsWith('MemberExpression') || current.type.endsWith('CallExpression')) {
+    if (isRequire(current)) {
+      return current.arguments[0].value;
+    }
+    current = current.type.endsWith('MemberExpression') ? current.object : current.callee;
+  }
+  return current.type === 'Identifier' ? current.name : null;
+}
+
+// `require('module')`
+function isRequire(node) {
+  return node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'require' &&
+    Boolean(node.arguments[0]) && node.arguments[0].type === 'StringLiteral';
+}
+
+// The variable an assignment target such as `query.text` or `parts[0]` belongs to
+function rootIdentifier(node) {
+  let current = node;
+  while (current.type === 'MemberExpression') {
+    current = current.object;
+  }
+  return current.type === 'Identifier' ? current.name : null;
+}
+
+// Names along a member chain: req.query.id is ['req', 'query', 'id']
+function memberChain(node) {
+  const names = [];
+  let current = node;
+
+  while (current.type.endsWith('MemberExpression')) {
+    names.unshift(propertyName(current) || '[]');
+    current = current.object;
+  }
+  names.unshift(current.type === 'Identifier' ? current.name : '');
+  return names;
+}
+
+// The name of a non-computed or string-keyed member
+function propertyName(member) {
+  if (!member.computed && member.property.type === 'Identifier') {
+    return member.property.name;
+  }
+  return member.property.type === 'StringLiteral' ? member.property.value : null;
+}
+
+// Name of a parameter for messages
+function patternName(param) {
+  const inner = param.type === 'AssignmentPattern' ? param.left : param;
+  return inner.type === 'Identifier' ? `'${inner.name}'` : '';
+}
+
+// A template literal or `+` expression
+function isStringBuilder(node) {
+  return Boolean(node) && (node.type === 'TemplateLiteral' || (node.type === 'BinaryExpression' && node.operator === '+'));
+}
+
+// The literal text of a template or `+` chain, used to recognize SQL
+function staticText(node) {
+  if (node.type === 'TemplateLiteral') {
+    return node.quasis.map(quasi => quasi.value.cooked || '').join(' ');
+  }
+  if (node.type === 'BinaryExpression' && node.operator === '+') {
+    return `${staticText(node.left)} ${staticText(node.right)}`;
+  }
+  return node.type === 'StringLiteral' ? node.value : '';
+}
+
+TaintAnalyzer.INJECTION_TYPES = INJECTION_TYPES;
+
+module.exports = TaintAnalyzer;
@@ -192,7 +192,7 @@ const WorkflowStandards = {
     reporting: {
       coverage: true,
       results: true,
-      trends: true,
+      trends: true, // `bp audit` records scores in .bp/history.jsonl; `bp trend` charts them
       artifacts: true
     }
   },
@@ -0,0 +1,107 @@
+const ProjectModel = require('../project/project-model');
+const ScoringModel = require('../scoring/scoring-model');
+const { RuleRunner, createDefaultRegistry } = require('../rules');
+const { CODE_EXTENSIONS } = require('../rules/code-rules');
+const { collectUses } = require('../rules/env-rules');
+
+// Tests set up their own environment, so their reads aren't part of the contract
+const TEST_FILE_PATTERNS = [
+  '**/*.test.*',
+  '**/*.spec.*',
+  '**/__tests__/**',
+  '**/test/**',
+  '**/tests/**'
+];
+
+// Metrics counting the findings of each type
+const ISSUE_METRICS = {
+  undeclaredEnvVars: 'undeclared-env-var',
+  unusedEnvVars: 'unused-env-var',
+  missingEnvDefaults: 'missing-env-default'
+};
+
+// The ISSUE_METRICS counts for a list of findings
+function findingCounts(issues) {
+  return Object.fromEntries(Object.entries(ISSUE_METRICS).map(([metric, type]) => [metric, issues.filter(issue => issue.type === type).length]));
+}
+
+class EnvValidator {
+  constructor(config = {}, registry = createDefaultRegistry()) {
+    this.config = {
+      schema: null,
+      ...config
+    };
+    this.registry = registry;
+    this.runner = new RuleRunner();
+  }
+
+  // Check the environment variables the code reads against .env.example or the env config
+  async validate(projectPath, options = {}) {
+    const {
+      ruleConfig,
+      model = new ProjectModel(projectPath),
+      cache = null,
+      scoring = new ScoringModel()
+    } = options;
+    const results = {
+      score: 100,
+      deductions: [],
+      issues: [],
+      fixed: [],
+      suppressed: [],
+      suppressions: [],
+      metrics: {
+        envVarsRead: 0,
+        envVarsDeclared: 0,
+        ...findingCounts([])
+      }
+    };
+
+    try {
+      const ruleResults = await this.runner.run(this.registry.getByCategory('env'), {
+        projectPath,
+        files: await this._findCodeFiles(model.fileDiscovery),
+        config: this.config,
+        ruleConfig,
+        model,
+        cache,
+        metrics: results.metrics
+      });
+      results.issues.push(...ruleResults.issues);
+      results.suppressed = ruleResults.suppressed;
+      results.suppressions = ruleResults.suppressions;
+      Object.assign(results.metrics, findingCounts(ruleResults.issues));
+
+      // Deduct for undeclared, unused and unguarded variables with the configured scoring model
+      Object.assign(results, scoring.scoreStandard('env', results));
+
+      return results;
+    } catch (error) {
+      return {
+        score: 0,
+        issues: [],
+        fixed: [],
+        error: `Env validation failed: ${error.message}`
+      };
+    }
+  }
+
+  // Names of the variables the code reads somewhere without a fallback, for `bp env check`
+  async unguardedReads(model) {
+    const names = new Set();
+    for (const file of await this._findCodeFiles(model.fileDiscovery)) {
+      const source = await model.source(file);
+      if (source) {
+        collectUses(source).filter(use => !use.guarded).forEach(use => names.add(use.name));
+      }
+    }
+    return names;
+  }
+
+  // JavaScript and TypeScript files whose reads make up the contract
+  async _findCodeFiles(fileDiscovery) {
+    return fileDiscovery.find(CODE_EXTENSIONS.map(ext => `**/*${ext}`), { exclude: TEST_FILE_PATTERNS });
+  }
+}
+
+module.exports = EnvValidator;
@@ -4,10 +4,14 @@ const CodeValidator = require('./code-validator');
 const SecurityValidator = require('./security-validator');
 const PerformanceValidator = require('./performance-validator');
 const MaintenanceValidator = require('./maintenance-validator');
+const LicenseValidator = require('./license-validator');
+const EnvValidator = require('./env-validator');
 
 module.exports = {
   CodeValidator,
   SecurityValidator,
   PerformanceValidator,
-  MaintenanceValidator
+  MaintenanceValidator,
+  LicenseValidator,
+  EnvValidator
 };
\ No newline at end of file
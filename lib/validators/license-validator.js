@@ -0,0 +1,68 @@
+const ScoringModel = require('../scoring/scoring-model');
+const { RuleRunner, createDefaultRegistry } = require('../rules');
+
+class LicenseValidator {
+  constructor(config = {}, registry = createDefaultRegistry()) {
+    this.config = {
+      allow: [],
+      deny: [],
+      ignore: [],
+      includeDev: false,
+      ...config
+    };
+    this.registry = registry;
+    this.runner = new RuleRunner();
+  }
+
+  // Check the licenses of installed dependencies against the license policy
+  async validate(projectPath, options = {}) {
+    const {
+      ruleConfig,
+      model,
+      scoring = new ScoringModel()
+    } = options;
+    const results = {
+      score: 100,
+      deductions: [],
+      issues: [],
+      fixed: [],
+      suppressed: [],
+      suppressions: [],
+      metrics: {
+        packagesScanned: 0,
+        licenseViolations: 0,
+        unknownLicenses: 0,
+        licenses: {}
+      }
+    };
+
+    try {
+      const ruleResults = await this.runner.run(this.registry.getByCategory('license'), {
+        projectPath,
+        config: this.config,
+        ruleConfig,
+        model,
+        metrics: results.metrics
+      });
+      results.issues.push(...ruleResults.issues);
+      results.suppressed = ruleResults.suppressed;
+      results.suppressions = ruleResults.suppressions;
+      results.metrics.licenseViolations = ruleResults.issues.filter(issue => issue.type === 'license-violation').length;
+      results.metrics.unknownLicenses = ruleResults.issues.filter(issue => issue.type === 'unknown-license').length;
+
+      // Deduct for violations and unknown licenses with the configured scoring model
+      Object.assign(results, scoring.scoreStandard('license', results));
+
+      return results;
+    } catch (error) {
+      return {
+        score: 0,
+        issues: [],
+        fixed: [],
+        error: `License validation failed: ${error.message}`
+      };
+    }
+  }
+}
+
+module.exports = LicenseValidator;
@@ -1,112 +1,54 @@
-const fs = require('fs');
-const path = require('path');
-const RepoStandards = require('../standards/repo-standards');
+const ScoringModel = require('../scoring/scoring-model');
+const { RuleRunner, createDefaultRegistry } = require('../rules');
 
 class MaintenanceValidator {
-  constructor(projectPath = process.cwd()) {
+  constructor(projectPath = process.cwd(), registry = createDefaultRegistry()) {
     this.projectPath = projectPath;
-    this.standards = RepoStandards.maintenance;
+    this.registry = registry;
+    this.runner = new RuleRunner();
   }
 
-  validate() {
+  // Run the maintenance rule pack; errors become issues and softer findings become warnings
+  async validate(projectPath = this.projectPath, options = {}) {
+    const rules = this.registry.getByCategory('maintenance');
+    const { scoring = new ScoringModel() } = options;
     const results = {
       passed: true,
+      score: 100,
+      deductions: [],
       issues: [],
       warnings: [],
+      fixed: [],
+      suppressed: [],
+      suppressions: [],
       summary: {
-        totalChecks: 0,
+        totalChecks: rules.length,
         passedChecks: 0,
         failedChecks: 0
       }
     };
 
-    this.validateDependenciesFile(results);
-    this.validateSdkMapFile(results);
-    
-    results.summary.totalChecks = results.summary.passedChecks + results.summary.failedChecks;
-    results.passed = results.summary.failedChecks === 0;
-    
-    return results;
-  }
-
-  validateDependenciesFile(results) {
-    const { dependencies } = this.standards;
-    const filePath = path.join(this.projectPath, dependencies.filename);
-    
-    results.summary.totalChecks++;
-    
-    if (!fs.existsSync(filePath)) {
-      results.summary.failedChecks++;
-      results.issues.push({
-        type: 'missing_file',
-        severity: 'error',
-        file: dependencies.filename,
-        message: `Missing required ${dependencies.filename} file`,
-        description: dependencies.purpose,
-        fix: `Create ${dependencies.filename} in project root with required sections`
-      });
-      return;
-    }
-
-    const content = fs.readFileSync(filePath, 'utf8');
-    this.validateFileStructure(content, dependencies, results);
-    results.summary.passedChecks++;
-  }
+    const ruleResults = await this.runner.run(rules, { projectPath, ruleConfig: options.ruleConfig, model: options.model });
+    results.suppressed = ruleResults.suppressed;
+    results.suppressions = ruleResults.suppressions;
 
-  validateSdkMapFile(results) {
-    const { sdkMap } = this.standards;
-    const filePath = path.join(this.projectPath, sdkMap.filename);
-    
-    results.summary.totalChecks++;
-    
-    if (!fs.existsSync(filePath)) {
-      results.summary.failedChecks++;
-      results.issues.push({
-        type: 'missing_file',
-        severity: 'error', 
-        file: sdkMap.filename,
-        message: `Missing required ${sdkMap.filename} file`,
-        description: sdkMap.purpose,
-        fix: `Create ${sdkMap.filename} in project root with required sections`
-      });
-      return;
+    for (const issue of ruleResults.issues) {
+      if (issue.severity === 'warning' || issue.severity === 'info') {
+        results.warnings.push(issue);
+      } else {
+        results.issues.push(issue);
+      }
     }
 
-    const content = fs.readFileSync(filePath, 'utf8');
-    this.validateFileStructure(content, sdkMap, results);
-    results.summary.passedChecks++;
-  }
+    const failedRules = new Set(results.issues.map(issue => issue.rule));
+    results.summary.failedChecks = failedRules.size;
+    results.summary.passedChecks = rules.length - failedRules.size;
+    results.passed = results.summary.failedChecks === 0;
 
-  validateFileStructure(content, standard, results) {
-    const missingSections = [];
-    
-    standard.sections.forEach(section => {
-      const sectionRegex = new RegExp(`#+\\s*${section}`, 'i');
-      if (!sectionRegex.test(content)) {
-        missingSections.push(section);
-      }
-    });
-
-    if (missingSections.length > 0) {
-      results.warnings.push({
-        type: 'missing_sections',
-        severity: 'warning',
-        file: standard.filename,
-        message: `Missing recommended sections in ${standard.filename}`,
-        sections: missingSections,
-        fix: `Add missing sections: ${missingSections.join(', ')}`
-      });
-    }
+    // Missing files and soft findings both cost points, by severity
+    Object.assign(results, scoring.scoreStandard('maintenance', { issues: ruleResults.issues }));
 
-    if (content.trim().length < 100) {
-      results.warnings.push({
-        type: 'insufficient_content',
-        severity: 'warning',
-        file: standard.filename,
-        message: `${standard.filename} appears to have minimal content`,
-        fix: 'Add more detailed information about dependencies/SDKs'
-      });
-    }
+    return results;
   }
 
   generateTemplate(type) {
@@ -1,10 +1,19 @@
-const fs = require('fs-extra');
-const path = require('path');
-const glob = require('glob');
-const { execSync } = require('child_process');
+const FileDiscovery = require('../project/file-discovery');
+const ProjectModel = require('../project/project-model');
+const ScoringModel = require('../scoring/scoring-model');
+const { RuleRunner, createDefaultRegistry } = require('../rules');
+
+// Test files and directories, left out of the bundle
+const TEST_FILE_PATTERNS = [
+  '**/*.test.*',
+  '**/*.spec.*',
+  '**/__tests__/**',
+  '**/test/**',
+  '**/tests/**'
+];
 
 class PerformanceValidator {
-  constructor(config = {}) {
+  constructor(config = {}, registry = createDefaultRegistry()) {
     this.config = {
       bundleSize: '500KB',
       loadTime: '2s',
@@ -18,16 +27,33 @@ class PerformanceValidator {
       loadTime: this._parseTime(this.config.loadTime),
       apiResponseTime: this._parseTime(this.config.apiResponseTime)
     };
+
+    this.registry = registry;
+    this.runner = new RuleRunner();
   }
 
   // Main validation method
   async validate(projectPath, options = {}) {
+    const {
+      autoFix = false,
+      dryRun = false,
+      ruleConfig,
+      changedFiles = null,
+      model = new ProjectModel(projectPath),
+      cache = null,
+      scoring = new ScoringModel()
+    } = options;
     const results = {
       score: 100,
+      deductions: [],
       issues: [],
       fixed: [],
+      changes: [],
+      suppressed: [],
+      suppressions: [],
       metrics: {
         bundleSize: 0,
+        bundleOverage: 0,
         totalFiles: 0,
         largeFiles: [],
         unusedDependencies: [],
@@ -36,287 +62,50 @@ class PerformanceValidator {
     };
 
     try {
-      // Check bundle size
-      const bundleResults = await this._checkBundleSize(projectPath);
-      results.issues.push(...bundleResults.issues);
-      results.metrics.bundleSize = bundleResults.bundleSize;
-      results.metrics.totalFiles = bundleResults.totalFiles;
-      results.metrics.largeFiles = bundleResults.largeFiles;
-
-      // Check for unused dependencies
-      const depResults = await this._checkUnusedDependencies(projectPath);
-      results.issues.push(...depResults.issues);
-      results.metrics.unusedDependencies = depResults.unused;
+      // File rules only check changed files in diff mode; bundle size and dependency usage
+      // are whole-project checks, so project rules always see every bundle file
+      const files = await this._findBundleFiles(projectPath, changedFiles, model.fileDiscovery);
+      const projectFiles = changedFiles ? await this._findBundleFiles(projectPath, null, model.fileDiscovery) : files;
+      results.metrics.totalFiles = files.length;
+
+      const ruleResults = await this.runner.run(this.registry.getByCategory('performance'), {
+        projectPath,
+        files,
+        projectFiles,
+        config: { ...this.config, limits: this.limits },
+        autoFix,
+        dryRun,
+        ruleConfig,
+        model,
+        cache,
+        metrics: results.metrics
+      });
+      results.issues.push(...ruleResults.issues);
+      results.fixed.push(...ruleResults.fixed);
+      results.changes.push(...ruleResults.changes);
+      results.suppressed = ruleResults.suppressed;
+      results.suppressions = ruleResults.suppressions;
+      results.metrics.performanceIssues = ruleResults.issues.filter(issue => issue.rule === 'performance-optimization').length;
 
-      // Check for performance anti-patterns in code
-      const codeResults = await this._checkCodePerformance(projectPath);
-      results.issues.push(...codeResults.issues);
-      results.metrics.performanceIssues = codeResults.issues.length;
+      // How far the bundle is over its limit, as a ratio (0.5 = 50% over)
+      results.metrics.bundleOverage = Math.max(0, results.metrics.bundleSize / this.limits.bundleSize - 1);
 
-      // Calculate performance score
-      results.score = this._calculatePerformanceScore(results.metrics);
+      // Deduct for bundle size, large files, unused dependencies and anti-patterns with the configured scoring model
+      Object.assign(results, scoring.scoreStandard('performance', results));
 
       return results;
     } catch (error) {
       return {
         score: 0,
-        issues: [`Performance validation failed: ${error.message}`],
+        issues: [],
         fixed: [],
-        error
+        error: `Performance validation failed: ${error.message}`
       };
     }
   }
 
-  // Check bundle size and individual file sizes
-  async _checkBundleSize(projectPath) {
-    const results = {
-      issues: [],
-      bundleSize: 0,
-      totalFiles: 0,
-      largeFiles: []
-    };
-
-    // Find all JavaScript/TypeScript files
-    const files = await this._findBundleFiles(projectPath);
-    results.totalFiles = files.length;
-
-    let totalSize = 0;
-
-    for (const file of files) {
-      const stats = await fs.stat(file);
-      const fileSize = stats.size;
-      totalSize += fileSize;
-
-      // Check individual file size (warn if > 100KB)
-      if (fileSize > 100000) {
-        const fileSizeKB = Math.round(fileSize / 1024);
-        results.largeFiles.push({
-          file: path.relative(projectPath, file),
-          size: fileSizeKB
-        });
-
-        results.issues.push({
-          file: path.relative(projectPath, file),
-          line: 1,
-          type: 'large-file',
-          severity: 'warning',
-          message: `Large file detected: ${fileSizeKB}KB (consider splitting or optimizing)`,
-          rule: 'max-file-size'
-        });
-      }
-    }
-
-    results.bundleSize = totalSize;
-
-    // Check total bundle size
-    if (totalSize > this.limits.bundleSize) {
-      const bundleSizeKB = Math.round(totalSize / 1024);
-      const limitKB = Math.round(this.limits.bundleSize / 1024);
-
-      results.issues.push({
-        file: 'package.json',
-        line: 1,
-        type: 'bundle-size',
-        severity: 'high',
-        message: `Bundle size ${bundleSizeKB}KB exceeds limit of ${limitKB}KB`,
-        rule: 'max-bundle-size'
-      });
-    }
-
-    return results;
-  }
-
-  // Check for unused dependencies
-  async _checkUnusedDependencies(projectPath) {
-    const results = {
-      issues: [],
-      unused: []
-    };
-
-    const packageJsonPath = path.join(projectPath, 'package.json');
-    if (!(await fs.pathExists(packageJsonPath))) {
-      return results;
-    }
-
-    try {
-      const packageJson = await fs.readJson(packageJsonPath);
-      const dependencies = {
-        ...packageJson.dependencies,
-        ...packageJson.devDependencies
-      };
-
-      // Find all code files to check for imports
-      const files = await this._findBundleFiles(projectPath);
-      const usedDependencies = new Set();
-
-      for (const file of files) {
-        const content = await fs.readFile(file, 'utf8');
-        
-        // Find require/import statements
-        const importMatches = content.match(/(?:require\(['"`]([^'"`]+)['"`]\)|import.*?from\s+['"`]([^'"`]+)['"`])/g);
-        
-        if (importMatches) {
-          for (const match of importMatches) {
-            const depMatch = match.match(/['"`]([^'"`]+)['"`]/);
-            if (depMatch) {
-              const depName = depMatch[1];
-              // Handle scoped packages and relative imports
-              if (!depName.startsWith('.') && !depName.startsWith('/')) {
-                const rootDep = depName.split('/')[0];
-                if (rootDep.startsWith('@')) {
-                  usedDependencies.add(`${rootDep}/${depName.split('/')[1]}`);
-                } else {
-                  usedDependencies.add(rootDep);
-                }
-              }
-            }
-          }
-        }
-      }
-
-      // Find unused dependencies
-      for (const [depName] of Object.entries(dependencies)) {
-        if (!usedDependencies.has(depName)) {
-          results.unused.push(depName);
-          results.issues.push({
-            file: 'package.json',
-            line: 1,
-            type: 'unused-dependency',
-            severity: 'warning',
-            message: `Unused dependency detected: ${depName}`,
-            rule: 'no-unused-dependencies'
-          });
-        }
-      }
-
-    } catch (error) {
-      // Ignore errors in dependency checking
-    }
-
-    return results;
-  }
-
-  // Check for performance anti-patterns in code
-  async _checkCodePerformance(projectPath) {
-    const results = {
-      issues: []
-    };
-
-    const files = await this._findBundleFiles(projectPath);
-
-    for (const file of files) {
-      const content = await fs.readFile(file, 'utf8');
-      const lines = content.split('\n');
-      
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-        const lineNumber = i + 1;
-
-        // Check for performance anti-patterns
-        const issues = this._checkLineForPerformanceIssues(line, file, lineNumber);
-        results.issues.push(...issues);
-        
-        // Check for nested loops by looking ahead
-        if (line.includes('for (')) {
-          const nestedLoopIssue = this._checkNestedLoop(lines, i, file);
-          if (nestedLoopIssue) {
-            results.issues.push(nestedLoopIssue);
-          }
-        }
-      }
-    }
-
-    return results;
-  }
-
-  // Check individual line for performance issues
-  _checkLineForPerformanceIssues(line, filePath, lineNumber) {
-    const issues = [];
-
-    // Performance anti-patterns to detect
-    const patterns = [
-      {
-        pattern: /console\.log\(/,
-        message: 'console.log() statements can impact performance in production',
-        severity: 'warning',
-        type: 'console-log'
-      },
-      {
-        pattern: /document\.getElementById\(.+\).*\.getElementById/,
-        message: 'Multiple DOM queries should be cached',
-        severity: 'warning',
-        type: 'dom-query'
-      },
-      {
-        pattern: /\.forEach\(.+\.forEach/,
-        message: 'Nested forEach can be performance-intensive',
-        severity: 'info',
-        type: 'nested-foreach'
-      },
-      {
-        pattern: /JSON\.parse\(JSON\.stringify\(/,
-        message: 'Deep cloning with JSON is inefficient for large objects',
-        severity: 'warning',
-        type: 'inefficient-clone'
-      }
-    ];
-
-    for (const antiPattern of patterns) {
-      if (antiPattern.pattern.test(line)) {
-        issues.push({
-          file: path.relative(process.cwd(), filePath),
-          line: lineNumber,
-          type: antiPattern.type,
-          severity: antiPattern.severity,
-          message: antiPattern.message,
-          rule: 'performance-optimization'
-        });
-      }
-    }
-
-    return issues;
-  }
-
-  // Check for nested loops by looking ahead in the code
-  _checkNestedLoop(lines, startLineIndex, filePath) {
-    let braceCount = 0;
-    let foundOpenBrace = false;
-    
-    // Look for the opening brace of the first for loop
-    for (let i = startLineIndex; i < Math.min(lines.length, startLineIndex + 10); i++) {
-      const line = lines[i];
-      
-      for (const char of line) {
-        if (char === '{') {
-          braceCount++;
-          foundOpenBrace = true;
-        } else if (char === '}') {
-          braceCount--;
-          if (foundOpenBrace && braceCount === 0) {
-            // End of first loop, stop checking
-            return null;
-          }
-        }
-      }
-      
-      // If we're inside the first loop and find another for loop
-      if (foundOpenBrace && braceCount > 0 && line.trim().includes('for (')) {
-        return {
-          file: path.relative(process.cwd(), filePath),
-          line: i + 1,
-          type: 'nested-loop',
-          severity: 'info',
-          message: 'Nested loops can cause performance issues with large datasets',
-          rule: 'performance-optimization'
-        };
-      }
-    }
-    
-    return null;
-  }
-
   // Find files that contribute to bundle size
-  async _findBundleFiles(projectPath) {
+  async _findBundleFiles(projectPath, changedFiles = null, fileDiscovery = new FileDiscovery(projectPath)) {
     const patterns = [
       '**/*.js',
       '**/*.jsx',
@@ -327,24 +116,11 @@ class PerformanceValidator {
       '**/*.sass'
     ];
 
-    const ignore = [
-      'node_modules/**',
-      'dist/**',
-      'build/**',
-      'coverage/**',
-      '.git/**'
-      // Don't ignore test files here - we want to scan all files for bundle size
-    ];
+    // Tests don't ship, so they don't count toward the bundle
+    const files = await fileDiscovery.find(patterns, { exclude: TEST_FILE_PATTERNS });
 
-    let files = [];
-    for (const pattern of patterns) {
-      // Use forward slashes for cross-platform compatibility
-      const searchPattern = path.join(projectPath, pattern).replace(/\\/g, '/');
-      const found = glob.sync(searchPattern, { ignore });
-      files.push(...found);
-    }
-
-    return files;
+    // Only files changed in git when validating a diff
+    return changedFiles ? changedFiles.filter(files) : files;
   }
 
   // Parse size string (e.g., "500KB") to bytes
@@ -381,28 +157,6 @@ class PerformanceValidator {
     
     return Math.round(value * (units[unit] || 1));
   }
-
-  // Calculate performance score
-  _calculatePerformanceScore(metrics) {
-    let score = 100;
-
-    // Deduct points for bundle size issues
-    if (metrics.bundleSize > this.limits.bundleSize) {
-      const overageRatio = metrics.bundleSize / this.limits.bundleSize;
-      score -= Math.min(30, (overageRatio - 1) * 20);
-    }
-
-    // Deduct points for large files
-    score -= Math.min(20, metrics.largeFiles.length * 5);
-
-    // Deduct points for unused dependencies
-    score -= Math.min(15, metrics.unusedDependencies.length * 2);
-
-    // Deduct points for performance issues
-    score -= Math.min(25, metrics.performanceIssues * 2);
-
-    return Math.max(0, Math.round(score));
-  }
 }
 
 module.exports = PerformanceValidator;
\ No newline at end of file
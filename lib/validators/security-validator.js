@@ -1,239 +1,165 @@
-const fs = require('fs-extra');
 const path = require('path');
-const glob = require('glob');
-const { execSync } = require('child_process');
+const FileDiscovery = require('../project/file-discovery');
+const ProjectModel = require('../project/project-model');
+const ScoringModel = require('../scoring/scoring-model');
+const { RuleRunner, RuleConfig, createDefaultRegistry } = require('../rules');
+const { isCommentLine, isTestFile, isAllowedSecret, secretIssue } = require('../rules/security-rules');
+const GitHistoryScanner = require('../security/git-history-scanner');
+const TaintAnalyzer = require('../security/taint-analyzer');
+const SecretDetector = require('../security/secret-detector');
+const SecretRemediation = require('../security/secret-remediation');
+const CodeStandards = require('../standards/code-standards');
 
 class SecurityValidator {
-  constructor(config = {}) {
+  constructor(config = {}, registry = createDefaultRegistry()) {
     this.config = {
       scanSecrets: true,
       vulnerabilityScan: true,
       allowedSecretPatterns: [],
-      ...config
+      ...config,
+      validation: { ...CodeStandards.security.validation, ...(config.validation || {}) }
     };
-
-    // Common patterns for secrets and sensitive data
-    this.secretPatterns = [
-      {
-        name: 'AWS Access Key',
-        pattern: /AKIA[0-9A-Z]{16}/g,
-        description: 'AWS Access Key ID'
-      },
-      {
-        name: 'AWS Secret Key', 
-        pattern: /[A-Za-z0-9/+=]{40}/g,
-        description: 'AWS Secret Access Key'
-      },
-      {
-        name: 'Password',
-        pattern: /(?:password|pwd|pass)\s*[:=]\s*["'][^"']{6,}["']/gi,
-        description: 'Hardcoded password'
-      },
-      {
-        name: 'Private Key',
-        pattern: /-----BEGIN (RSA )?PRIVATE KEY-----/g,
-        description: 'Private key detected'
-      },
-      {
-        name: 'JWT Token',
-        pattern: /eyJ[A-Za-z0-9-_=]+\.[A-Za-z0-9-_=]+\.?[A-Za-z0-9-_.+/=]*/g,
-        description: 'JSON Web Token'
-      },
-      {
-        name: 'Database URL',
-        pattern: /(mongodb|mysql|postgresql):\/\/[^\s"']+/gi,
-        description: 'Database connection string'
-      },
-      {
-        name: 'API Key',
-        pattern: /(?:api[_-]?key|apikey)\s*[:=]\s*["'][^"']{16,}["']/gi,
-        description: 'API key detected'
-      },
-      {
-        name: 'Generic Secret',
-        pattern: /(?:secret|token)\s*[:=]\s*["'][A-Za-z0-9+/=]{20,}["']/gi,
-        description: 'Generic secret or token'
-      }
-    ];
+    this.registry = registry;
+    this.runner = new RuleRunner();
   }
 
   // Main validation method
   async validate(projectPath, options = {}) {
+    const {
+      autoFix = false,
+      dryRun = false,
+      ruleConfig,
+      changedFiles = null,
+      model = new ProjectModel(projectPath),
+      cache = null,
+      scanHistory = false,
+      scoring = new ScoringModel()
+    } = options;
     const results = {
       score: 100,
+      deductions: [],
       issues: [],
       fixed: [],
+      changes: [],
+      suppressed: [],
+      suppressions: [],
       metrics: {
         filesScanned: 0,
         secretsFound: 0,
         vulnerabilities: 0,
+        injectionsFound: 0,
         dependencyIssues: 0
       }
     };
-    
 
     try {
-      if (this.config.scanSecrets) {
-        const secretResults = await this._scanSecrets(projectPath);
-        results.issues.push(...secretResults.issues);
-        results.metrics.secretsFound = secretResults.secretsFound;
-        results.metrics.filesScanned = secretResults.filesScanned;
+      // Source files are read for secrets and injection checks when either is enabled; the
+      // vulnerability rule checks its own toggle
+      const scanFiles = this.config.scanSecrets || Object.values(this.config.validation).some(Boolean);
+      const files = scanFiles ? await this._findFilesToScan(projectPath, changedFiles, model.fileDiscovery) : [];
+      results.metrics.filesScanned = files.length;
+
+      const ruleResults = await this.runner.run(this.registry.getByCategory('security'), {
+        projectPath,
+        files,
+        config: this.config,
+        autoFix,
+        dryRun,
+        ruleConfig,
+        model,
+        cache,
+        metrics: results.metrics
+      });
+      results.issues.push(...ruleResults.issues);
+      results.fixed.push(...ruleResults.fixed);
+      results.changes.push(...ruleResults.changes);
+      results.suppressed = ruleResults.suppressed;
+      results.suppressions = ruleResults.suppressions;
+      results.metrics.secretsFound = ruleResults.issues.filter(issue => issue.type === 'hardcoded-secret').length;
+      if (autoFix && results.metrics.secretsFound > 0 && SecretRemediation.envTracked(projectPath)) {
+        results.metrics.secretFixSkipped = '.env is tracked by git, so secrets were not moved into it; untrack it with `git rm --cached .env` and run --fix again';
       }
-
-      if (this.config.vulnerabilityScan) {
-        const vulnResults = await this._scanVulnerabilities(projectPath);
-        results.issues.push(...vulnResults.issues);
-        results.metrics.vulnerabilities = vulnResults.vulnerabilities;
-        results.metrics.dependencyIssues = vulnResults.dependencyIssues;
+      results.metrics.injectionsFound = ruleResults.issues.filter(issue => TaintAnalyzer.INJECTION_TYPES[issue.type]).length;
+
+      // With `scanHistory`, secrets added by past commits count too, even when they were deleted since
+      if (scanHistory && this.config.scanSecrets) {
+        const history = await this._scanHistory(projectPath, scanHistory, ruleConfig, results.metrics);
+        results.issues.push(...history.issues);
+        results.metrics.secretsFound += history.issues.filter(issue => issue.type === 'secret-in-history').length;
+        if (history.error) {
+          results.error = history.error;
+        }
       }
 
-      // Calculate security score
-      results.score = this._calculateSecurityScore(results.metrics);
+      // Deduct for secrets, injections and vulnerabilities with the configured scoring model
+      Object.assign(results, scoring.scoreStandard('security', results));
 
       return results;
     } catch (error) {
       return {
         score: 0,
-        issues: [`Security validation failed: ${error.message}`],
+        issues: [],
         fixed: [],
-        error
+        error: `Security validation failed: ${error.message}`
       };
     }
   }
 
-  // Scan for hardcoded secrets and sensitive data
-  async _scanSecrets(projectPath) {
-    const results = {
-      issues: [],
-      secretsFound: 0,
-      filesScanned: 0
-    };
-
-    // Find all files to scan (excluding common non-code files)
-    const files = await this._findFilesToScan(projectPath);
-    results.filesScanned = files.length;
-    
-
-    for (const file of files) {
-      try {
-        const content = await fs.readFile(file, 'utf8');
-        const fileIssues = this._scanFileForSecrets(file, content);
-        
-        results.issues.push(...fileIssues);
-        results.secretsFound += fileIssues.length;
-      } catch (error) {
-        // Skip files that can't be read as text
-        continue;
-      }
+  // Secrets in git history as `secret-in-history` findings with the commit, author and date that added
+  // them, as { issues, error }. `history` is true or { since, maxCount } (commits after a ref, or the
+  // last N). A failed scan is returned as `error` instead of thrown, so working-tree findings still count.
+  async _scanHistory(projectPath, history, ruleConfig, metrics) {
+    const rule = this.registry.get('no-hardcoded-secrets');
+    if (!rule || (ruleConfig && !ruleConfig.isEnabled(rule))) {
+      return { issues: [] };
     }
 
-    return results;
-  }
-
-  // Scan individual file for secrets
-  _scanFileForSecrets(filePath, content) {
-    const issues = [];
-    const lines = content.split('\n');
-
-    for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
-      const line = lines[lineIndex];
-      const lineNumber = lineIndex + 1;
-
-      // Skip comments and test files
-      if (this._isCommentLine(line) || this._isTestFile(filePath)) {
-        continue;
-      }
-
-      // Check each secret pattern
-      for (const secretPattern of this.secretPatterns) {
-        const matches = line.match(secretPattern.pattern);
-        if (matches) {
-          // Check context pattern if it exists
-          if (secretPattern.contextPattern && !secretPattern.contextPattern.test(line)) {
-            continue;
-          }
-          
-          // Check if this is an allowed pattern
-          if (this._isAllowedSecret(line)) {
-            continue;
-          }
-
-          issues.push({
-            file: filePath,
-            line: lineNumber,
-            type: 'hardcoded-secret',
-            severity: 'high',
-            message: `${secretPattern.description}: ${matches[0].substring(0, 20)}...`,
-            rule: 'no-hardcoded-secrets',
-            secretType: secretPattern.name
-          });
-        }
-      }
-    }
-
-    return issues;
-  }
-
-  // Scan for dependency vulnerabilities
-  async _scanVulnerabilities(projectPath) {
-    const results = {
-      issues: [],
-      vulnerabilities: 0,
-      dependencyIssues: 0
-    };
-
-    // Check if package.json exists
-    const packageJsonPath = path.join(projectPath, 'package.json');
-    if (!(await fs.pathExists(packageJsonPath))) {
-      return results;
-    }
+    const { since = null, maxCount = null } = history === true ? {} : history;
+    const allowed = this.config.allowedSecretPatterns || [];
+    const scanner = new GitHistoryScanner(projectPath, {
+      detector: new SecretDetector(ruleConfig ? ruleConfig.optionsFor(rule, null) : rule.defaultOptions),
+      skipFile: file => isTestFile(file) || file.endsWith('.min.js'),
+      skipLine: line => isCommentLine(line) || isAllowedSecret(line, allowed)
+    });
 
     try {
-      // Run npm audit to check for vulnerabilities
-      const auditOutput = execSync('npm audit --json --audit-level=moderate', {
-        cwd: projectPath,
-        encoding: 'utf8'
-      });
-
-      const auditData = JSON.parse(auditOutput);
-      
-      if (auditData.vulnerabilities) {
-        for (const [packageName, vulnData] of Object.entries(auditData.vulnerabilities)) {
-          results.vulnerabilities++;
-          
-          results.issues.push({
-            file: packageJsonPath,
-            line: 1,
-            type: 'vulnerability',
-            severity: vulnData.severity,
-            message: `Vulnerability in ${packageName}: ${vulnData.title}`,
-            rule: 'no-vulnerable-dependencies',
-            packageName,
-            via: vulnData.via
-          });
-        }
-      }
-
+      const scan = await scanner.scan({ since, maxCount });
+      metrics.commitsScanned = scan.commits;
+      metrics.historySecrets = scan.findings.length;
+
+      const issues = scan.findings
+        .map(finding => this._historyIssue(finding, rule, projectPath))
+        .map(issue => (ruleConfig ? ruleConfig.applyToIssue(issue, rule, RuleConfig.relativePath(projectPath, issue.file)) : issue))
+        .filter(Boolean);
+      return { issues };
     } catch (error) {
-      // If npm audit fails, try to parse the error for vulnerability info
-      if (error.stdout) {
-        try {
-          const auditData = JSON.parse(error.stdout);
-          if (auditData.vulnerabilities) {
-            results.vulnerabilities = Object.keys(auditData.vulnerabilities).length;
-            results.dependencyIssues = results.vulnerabilities;
-          }
-        } catch (parseError) {
-          // Ignore parsing errors
-        }
-      }
+      return { issues: [], error: `Git history scan failed: ${error.message}` };
     }
+  }
 
-    return results;
+  // A history finding in the shape rule findings have, naming the commit that added the secret
+  _historyIssue(finding, rule, projectPath) {
+    const issue = secretIssue(finding, finding.line);
+    const added = `added in ${finding.commit.slice(0, 8)} by ${finding.author} on ${finding.date.slice(0, 10)}`;
+
+    return {
+      file: path.join(projectPath, finding.file),
+      severity: rule.severity,
+      ...issue,
+      type: 'secret-in-history',
+      message: `${issue.message} ${added}${finding.occurrences.length > 0 ? ` (also in ${finding.occurrences.length} later commit(s))` : ''}`,
+      rule: rule.id,
+      category: rule.category,
+      commit: finding.commit,
+      author: finding.author,
+      email: finding.email,
+      date: finding.date,
+      occurrences: finding.occurrences
+    };
   }
 
-  // Find files to scan for secrets
-  async _findFilesToScan(projectPath) {
+  // Find files to scan for secrets and injection
+  async _findFilesToScan(projectPath, changedFiles = null, fileDiscovery = new FileDiscovery(projectPath)) {
     const patterns = [
       '**/*.js',
       '**/*.jsx',
@@ -247,107 +173,10 @@ class SecurityValidator {
       '**/.*rc'
     ];
 
-    const ignore = [
-      'node_modules/**',
-      'dist/**',
-      'build/**',
-      'coverage/**',
-      '.git/**',
-      '**/*.min.js'
-    ];
-
-    let files = [];
-    for (const pattern of patterns) {
-      // Use forward slashes for cross-platform compatibility  
-      const searchPattern = path.join(projectPath, pattern).replace(/\\/g, '/');
-      const found = glob.sync(searchPattern, { ignore });
-      files.push(...found);
-    }
-
-    return files;
-  }
-
-  // Check if line is a comment
-  _isCommentLine(line) {
-    const trimmed = line.trim();
-    return trimmed.startsWith('//') || 
-           trimmed.startsWith('/*') || 
-           trimmed.startsWith('*') ||
-           trimmed.startsWith('#');
-  }
-
-  // Check if file is a test file
-  _isTestFile(filePath) {
-    const fileName = path.basename(filePath);
-    const normalizedPath = filePath.replace(/\\/g, '/'); // Handle Windows paths
-    
-    // Check filename patterns first - these are definitely test files
-    if (fileName.includes('.test.') || 
-        fileName.includes('.spec.')) {
-      return true;
-    }
-    
-    // For directory patterns, be more specific to avoid false positives
-    const pathParts = normalizedPath.split('/');
-    const hasFixtures = pathParts.includes('fixtures');
-    
-    // If it's in fixtures, check the context more carefully
-    if (hasFixtures) {
-      // If it's in fixtures/project-name/test/ or similar, it's actually a test file
-      // But if it's in fixtures/project-name/src/, it's simulated source code
-      const fixturesIndex = pathParts.indexOf('fixtures');
-      if (fixturesIndex >= 0 && fixturesIndex < pathParts.length - 1) {
-        // Look at the path after fixtures/project-name/
-        const pathAfterProject = pathParts.slice(fixturesIndex + 2); // Skip fixtures + project name
-        return pathAfterProject.includes('test') || pathAfterProject.includes('tests') || pathAfterProject.includes('__tests__');
-      }
-    }
-    
-    // Regular test directory check for non-fixtures paths
-    return pathParts.some(part => part === 'test' || part === 'tests' || part === '__tests__');
-  }
-
-  // Check if secret pattern is allowed
-  _isAllowedSecret(line) {
-    const trimmed = line.trim().toLowerCase();
-    
-    // Common allowed patterns - be more specific to avoid false positives
-    const allowedPatterns = [
-      'example',
-      'placeholder', 
-      'dummy',
-      'test-key',
-      'sample',
-      'your-api-key-here',
-      'xxxxx',
-      'aaaaa',
-      'changeme',
-      'replace-me',
-      ...this.config.allowedSecretPatterns
-    ];
-
-    // Check if the entire secret looks like a placeholder
-    return allowedPatterns.some(pattern => {
-      // Check if the line contains comments indicating it's an example
-      if (trimmed.includes('//') && (trimmed.includes('example') || trimmed.includes('placeholder'))) {
-        return true;
-      }
-      return trimmed.includes(pattern.toLowerCase());
-    });
-  }
-
-  // Calculate security score based on findings
-  _calculateSecurityScore(metrics) {
-    let score = 100;
-
-    // Deduct points for secrets found
-    score -= metrics.secretsFound * 15; // 15 points per secret
-
-    // Deduct points for vulnerabilities
-    score -= metrics.vulnerabilities * 10; // 10 points per vulnerability
+    const files = await fileDiscovery.find(patterns, { exclude: ['**/*.min.js'] });
 
-    // Ensure score doesn't go below 0
-    return Math.max(0, score);
+    // Only files changed in git when validating a diff
+    return changedFiles ? changedFiles.filter(files) : files;
   }
 }
 
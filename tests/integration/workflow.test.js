@@ -1,6 +1,6 @@
 const fs = require('fs-extra');
 const path = require('path');
-const { execSync } = require('child_process');
+const { execSync, spawnSync } = require('child_process');
 const BestPracticesSDK = require('../../lib/index');
 
 describe('Integration Tests - Full Workflow', () => {
@@ -291,6 +291,125 @@ module.exports = UserAPI;`;
     });
   });
 
+  describe('Validation Errors', () => {
+    const cliPath = path.join(__dirname, '../../cli/index.js');
+    const runCli = args => spawnSync(process.execPath, [cliPath, ...args], { encoding: 'utf8', timeout: 60000 });
+
+    test('should fail with a tool error on an unknown standard instead of checking nothing', async () => {
+      await fs.ensureDir(testProjectPath);
+
+      const result = await sdk.validate({ path: testProjectPath, standards: ['cod'] });
+      const cli = runCli(['validate', '--path', testProjectPath, '--standards', 'cod', '--no-cache']);
+
+      expect(result).toMatchObject({ passed: false, error: expect.stringContaining('Unknown standard "cod"') });
+      expect(cli.status).toBe(2);
+      expect(cli.stderr).toContain('Unknown standard "cod"');
+    });
+
+    test('should fail with a tool error when the project path does not exist', async () => {
+      const missingPath = path.join(path.dirname(testProjectPath), 'no-such-project');
+
+      const result = await sdk.validate({ path: missingPath, standards: ['code'] });
+      const audit = await sdk.audit({ path: missingPath, output: path.join(missingPath, 'audit.json') });
+      const cli = runCli(['validate', '--path', missingPath, '--no-cache']);
+
+      expect(result.error).toBe(`Project path ${missingPath} is not a directory`);
+      expect(audit.error).toBe(result.error);
+      expect(await fs.pathExists(missingPath)).toBe(false);
+      expect(cli.status).toBe(2);
+    });
+
+    test('should fail with a tool error, not a failed gate, when a validator throws', async () => {
+      await fs.outputFile(path.join(testProjectPath, 'src', 'app.js'), 'const port = 3000;\n');
+      await fs.writeFile(path.join(testProjectPath, '.bp-config.yml'), 'rules:\n  no-hardcoded-secrets:\n    options:\n      patterns: [\'(\']\n');
+
+      const cli = spawnSync(process.execPath, [cliPath, 'validate', '--path', '.', '--standards', 'security', '--no-cache'], { cwd: testProjectPath, encoding: 'utf8', timeout: 60000 });
+      await fs.remove(path.join(testProjectPath, '.bp-config.yml'));
+
+      expect(cli.status).toBe(2);
+      expect(cli.stderr).toContain('Security validation failed: Rule "no-hardcoded-secrets" failed');
+    });
+
+    test('should reject a --history value that is not a positive commit count', async () => {
+      await fs.ensureDir(testProjectPath);
+
+      ['abc', '0'].forEach(history => {
+        const cli = runCli(['validate', '--path', testProjectPath, '--history', history, '--no-cache']);
+
+        expect(cli.status).toBe(2);
+        expect(cli.stderr).toContain(`Invalid --history value: ${history}`);
+      });
+    });
+  });
+
+  describe('Standalone Audit', () => {
+    const auditProjectPath = path.join(path.dirname(testProjectPath), `${testProjectName}-audit`);
+    const reportPath = path.join(auditProjectPath, 'audit-report.json');
+    const runAudit = standards => spawnSync(process.execPath, [path.join(__dirname, '../../cli/bp-audit.js'), '--path', auditProjectPath, '--standards', standards, '-o', reportPath], { cwd: auditProjectPath, encoding: 'utf8', timeout: 60000 });
+    const typesFound = async standards => {
+      runAudit(standards);
+      return (await fs.readJson(reportPath)).issues.map(issue => issue.type);
+    };
+
+    afterEach(async () => {
+      await fs.remove(auditProjectPath);
+    });
+
+    test('should apply the project\'s rule config in bp-audit', async () => {
+      await fs.outputFile(path.join(auditProjectPath, 'src', 'app.js'), 'function port() {\n  return 3000;\n}\n');
+      await fs.writeFile(path.join(auditProjectPath, '.bp-config.yml'), 'rules:\n  enforce-comments: off\n');
+
+      expect(await typesFound('code')).not.toContain('missing-comment');
+      await fs.remove(path.join(auditProjectPath, '.bp-config.yml'));
+      expect(await typesFound('code')).toContain('missing-comment');
+    });
+
+    test('should fail bp-audit on a denied license and reject unknown standards', async () => {
+      await fs.outputJson(path.join(auditProjectPath, 'package.json'), { name: 'app', version: '1.0.0', dependencies: { 'gpl-lib': '^1.0.0' } });
+      await fs.outputJson(path.join(auditProjectPath, 'node_modules', 'gpl-lib', 'package.json'), { name: 'gpl-lib', version: '1.0.0', license: 'GPL-3.0-only' });
+      await fs.writeFile(path.join(auditProjectPath, '.bp-config.yml'), 'standards:\n  license:\n    deny: [strong-copyleft]\n');
+
+      const audit = runAudit('license');
+      const report = await fs.readJson(reportPath);
+
+      expect(audit.status).toBe(1);
+      expect(report.issues.map(issue => [issue.type, issue.packageName])).toEqual([['license-violation', 'gpl-lib']]);
+      expect(report.scoring.standards.license.passed).toBe(false);
+
+      const unknown = runAudit('code,licence');
+      expect(unknown.status).toBe(2);
+      expect(unknown.stderr).toContain('Unknown standard "licence"');
+    });
+
+    test('should report env contract findings and run maintenance checks in bp-audit', async () => {
+      await fs.outputFile(path.join(auditProjectPath, 'src', 'app.js'), '// Read the port\nconst port = process.env.PORT || 3000;\nconsole.log(port, process.env.API_URL || \'\');\n');
+      await fs.writeFile(path.join(auditProjectPath, '.env.example'), 'PORT=3000\n');
+
+      const audit = runAudit('env,maintenance');
+      const report = await fs.readJson(reportPath);
+
+      expect(audit.status).toBe(1);
+      expect(Object.keys(report.metrics)).toEqual(['env', 'maintenance']);
+      expect(report.metrics.env.issues.map(issue => [issue.type, issue.variable])).toEqual([['undeclared-env-var', 'API_URL']]);
+      expect(report.metrics.maintenance).toHaveProperty('score');
+    });
+
+    test('should record history, attach an SBOM and accept spaced standards in bp-audit', async () => {
+      await fs.outputFile(path.join(auditProjectPath, 'src', 'app.js'), '// Read the port\nconst port = 3000;\n// bp-disable-next-line console-log -- startup banner\nconsole.log(port);\n');
+      await fs.outputJson(path.join(auditProjectPath, 'package.json'), { name: 'app', version: '1.0.0' });
+
+      const audit = runAudit('code, performance');
+      const report = await fs.readJson(reportPath);
+
+      expect(audit.status).toBe(0);
+      expect(report.standards).toEqual(['code', 'performance']);
+      expect(report.suppressed.map(issue => issue.type)).toEqual(['console-log']);
+      expect(report).toHaveProperty('recommendations');
+      expect(report.sbom).toMatchObject({ bomFormat: 'CycloneDX' });
+      expect((await fs.readFile(path.join(auditProjectPath, '.bp', 'history.jsonl'), 'utf8')).trim().split('\n')).toHaveLength(1);
+    });
+  });
+
   describe('Complete SDK Integration', () => {
     test('should handle full project lifecycle', async () => {
       // 1. Initialize project
@@ -0,0 +1,460 @@
+const fs = require('fs-extra');
+const path = require('path');
+const LockfileParser = require('../../lib/dependencies/lockfile-parser');
+const AdvisoryDatabase = require('../../lib/security/advisory-database');
+const SecurityValidator = require('../../lib/validators/security-validator');
+const LicenseValidator = require('../../lib/validators/license-validator');
+const LicensePolicy = require('../../lib/dependencies/license-policy');
+const { compareVersions } = require('../../lib/dependencies/semver');
+const { parseExpression, formatExpression } = require('../../lib/dependencies/spdx');
+const { SbomBuilder, SBOM_FORMATS } = require('../../lib/sbom');
+const BestPracticesSDK = require('../../lib/index');
+
+describe('Dependencies', () => {
+  const testProjectPath = path.join(__dirname, '../fixtures/dependencies');
+  const manifest = { name: 'app', version: '1.0.0', dependencies: { express: '^4.17.0' }, devDependencies: { jest: '^29.0.0' } };
+
+  // express@4.17.1 -> qs@6.7.0, with a second qs nested under jest
+  const npmLock = {
+    name: 'app',
+    lockfileVersion: 3,
+    packages: {
+      '': { name: 'app', version: '1.0.0', dependencies: { express: '^4.17.0' }, devDependencies: { jest: '^29.0.0' } },
+      'node_modules/express': { version: '4.17.1', license: 'MIT', dependencies: { qs: '6.7.0' } },
+      'node_modules/qs': { version: '6.7.0' },
+      'node_modules/jest': { version: '29.7.0', dev: true, dependencies: { qs: '^6.11.0' } },
+      'node_modules/jest/node_modules/qs': { version: '6.11.0', dev: true }
+    }
+  };
+
+  // Compare two trees by package, dev flag and dependency path
+  const summarize = tree => tree.list()
+    .map(pkg => `${pkg.name}@${pkg.version}${pkg.dev ? ' (dev)' : ''}: ${tree.pathTo(pkg.id).join(' > ')}`)
+    .sort();
+
+  const expected = [
+    'express@4.17.1: app > express@4.17.1',
+    'jest@29.7.0 (dev): app > jest@29.7.0',
+    'qs@6.11.0 (dev): app > jest@29.7.0 > qs@6.11.0',
+    'qs@6.7.0: app > express@4.17.1 > qs@6.7.0'
+  ];
+
+  const advisory = {
+    id: 'GHSA-hrpp-h998-j3pp',
+    aliases: ['CVE-2022-24999'],
+    summary: 'qs vulnerable to Prototype Pollution',
+    modified: '2024-01-01T00:00:00Z',
+    database_specific: { severity: 'HIGH' },
+    references: [{ type: 'ADVISORY', url: 'https://nvd.nist.gov/vuln/detail/CVE-2022-24999' }],
+    affected: [{
+      package: { ecosystem: 'npm', name: 'qs' },
+      ranges: [{ type: 'SEMVER', events: [{ introduced: '6.7.0' }, { fixed: '6.7.3' }, { introduced: '6.8.0' }, { fixed: '6.8.3' }] }]
+    }]
+  };
+
+  beforeEach(async () => {
+    await fs.remove(testProjectPath);
+    await fs.ensureDir(testProjectPath);
+    await fs.writeJson(path.join(testProjectPath, 'package.json'), manifest);
+  });
+
+  afterAll(async () => {
+    await fs.remove(testProjectPath);
+  });
+
+  describe('LockfileParser', () => {
+    test('should resolve npm v1 and v3 lockfiles to the same tree', async () => {
+      const v1 = {
+        name: 'app',
+        lockfileVersion: 1,
+        dependencies: {
+          express: { version: '4.17.1', requires: { qs: '6.7.0' } },
+          qs: { version: '6.7.0' },
+          jest: { version: '29.7.0', dev: true, requires: { qs: '^6.11.0' }, dependencies: { qs: { version: '6.11.0', dev: true } } }
+        }
+      };
+
+      const current = LockfileParser.parse('npm', JSON.stringify(npmLock, null, 2), manifest);
+      expect(summarize(current)).toEqual(expected);
+      expect(summarize(LockfileParser.parse('npm', JSON.stringify(v1, null, 2), manifest))).toEqual(expected);
+      expect(current.packages.get('node_modules/express')).toMatchObject({ license: 'MIT', line: 15 });
+    });
+
+    test('should parse classic and berry yarn lockfiles', () => {
+      const classic = `# yarn lockfile v1
+
+express@^4.17.0:
+  version "4.17.1"
+  resolved "https://registry.yarnpkg.com/express/-/express-4.17.1.tgz"
+  dependencies:
+    qs "6.7.0"
+
+jest@^29.0.0:
+  version "29.7.0"
+  dependencies:
+    qs "^6.11.0"
+
+qs@6.7.0:
+  version "6.7.0"
+
+qs@^6.11.0:
+  version "6.11.0"
+`;
+      const berry = `__metadata:
+  version: 6
+
+"app@workspace:.":
+  version: 0.0.0-use.local
+  resolution: "app@workspace:."
+  dependencies:
+    express: "npm:^4.17.0"
+    jest: "npm:^29.0.0"
+  languageName: unknown
+  linkType: soft
+
+"express@npm:^4.17.0":
+  version: 4.17.1
+  resolution: "express@npm:4.17.1"
+  dependencies:
+    qs: "npm:6.7.0"
+
+"jest@npm:^29.0.0":
+  version: 29.7.0
+  resolution: "jest@npm:29.7.0"
+  dependencies:
+    qs: "npm:^6.11.0"
+
+"qs@npm:6.7.0":
+  version: 6.7.0
+  resolution: "qs@npm:6.7.0"
+
+"qs@npm:^6.11.0":
+  version: 6.11.0
+  resolution: "qs@npm:6.11.0"
+`;
+
+      const tree = LockfileParser.parse('yarn', classic, manifest);
+      expect(summarize(tree)).toEqual(expected);
+      expect(tree.packages.get('express@4.17.1')).toMatchObject({ line: 3, resolved: 'https://registry.yarnpkg.com/express/-/express-4.17.1.tgz' });
+      expect(summarize(LockfileParser.parse('yarn', berry, manifest))).toEqual(expected);
+    });
+
+    test('should parse pnpm v5, v6 and v9 lockfiles', () => {
+      const v5 = `lockfileVersion: 5.4
+
+specifiers:
+  express: ^4.17.0
+  jest: ^29.0.0
+
+dependencies:
+  express: 4.17.1
+
+devDependencies:
+  jest: 29.7.0_typescript@5.0.0
+
+packages:
+
+  /express/4.17.1:
+    resolution: {integrity: sha512-abc}
+    dependencies:
+      qs: 6.7.0
+
+  /jest/29.7.0_typescript@5.0.0:
+    dependencies:
+      qs: 6.11.0
+    dev: true
+
+  /qs/6.7.0:
+    dev: false
+
+  /qs/6.11.0:
+    dev: true
+`;
+      const v6 = `lockfileVersion: '6.0'
+
+dependencies:
+  express:
+    specifier: ^4.17.0
+    version: 4.17.1
+
+devDependencies:
+  jest:
+    specifier: ^29.0.0
+    version: 29.7.0(typescript@5.0.0)
+
+packages:
+
+  /express@4.17.1:
+    dependencies:
+      qs: 6.7.0
+
+  /jest@29.7.0(typescript@5.0.0):
+    dependencies:
+      qs: 6.11.0
+
+  /qs@6.7.0:
+    dev: false
+
+  /qs@6.11.0:
+    dev: true
+`;
+      const v9 = `lockfileVersion: '9.0'
+
+importers:
+
+  .:
+    dependencies:
+      express:
+        specifier: ^4.17.0
+        version: 4.17.1
+    devDependencies:
+      jest:
+        specifier: ^29.0.0
+        version: 29.7.0(typescript@5.0.0)
+
+packages:
+
+  express@4.17.1:
+    resolution: {integrity: sha512-abc}
+
+  jest@29.7.0:
+    resolution: {integrity: sha512-def}
+
+  qs@6.7.0:
+    resolution: {integrity: sha512-ghi}
+
+  qs@6.11.0:
+    resolution: {integrity: sha512-jkl}
+
+snapshots:
+
+  express@4.17.1:
+    dependencies:
+      qs: 6.7.0
+
+  jest@29.7.0(typescript@5.0.0):
+    dependencies:
+      qs: 6.11.0
+
+  qs@6.7.0: {}
+
+  qs@6.11.0: {}
+`;
+
+      expect(summarize(LockfileParser.parse('pnpm', v5, manifest))).toEqual(expected);
+      expect(summarize(LockfileParser.parse('pnpm', v6, manifest))).toEqual(expected);
+      const tree = LockfileParser.parse('pnpm', v9, manifest);
+      expect(summarize(tree)).toEqual(expected);
+      expect(tree.packages.get('express@4.17.1')).toMatchObject({ integrity: 'sha512-abc', line: 17 });
+    });
+  });
+
+  describe('AdvisoryDatabase', () => {
+    test('should match OSV ranges and report the first fixed version', () => {
+      const database = new AdvisoryDatabase([advisory]);
+
+      expect(compareVersions('6.10.0', '6.9.9')).toBe(1);
+      expect(compareVersions('1.0.0-beta.2', '1.0.0')).toBe(-1);
+      expect(database.affecting('qs', '6.7.0')).toMatchObject([{ fixedVersion: '6.7.3' }]);
+      expect(database.affecting('qs', '6.8.1')).toMatchObject([{ fixedVersion: '6.8.3' }]);
+      expect(database.affecting('qs', '6.7.3')).toEqual([]);
+      expect(database.affecting('qs', '6.6.0')).toEqual([]);
+      expect(database.affecting('express', '6.7.0')).toEqual([]);
+    });
+
+    test('should import and update advisories, then scan the lockfile offline', async () => {
+      const osvPath = path.join(testProjectPath, 'osv');
+      await fs.outputJson(path.join(osvPath, 'npm', `${advisory.id}.json`), { ...advisory, modified: '2023-01-01T00:00:00Z' });
+      await fs.outputJson(path.join(testProjectPath, 'update.json'), [advisory, { ...advisory, id: 'PYSEC-1', affected: [{ package: { ecosystem: 'PyPI', name: 'qs' } }] }]);
+      await fs.writeJson(path.join(testProjectPath, 'package-lock.json'), npmLock, { spaces: 2 });
+
+      const database = new AdvisoryDatabase([], AdvisoryDatabase.filePath(testProjectPath));
+      expect(await database.import([osvPath])).toEqual({ added: 1, updated: 0, unchanged: 0, total: 1 });
+      expect(await database.import([path.join(testProjectPath, 'update.json')])).toEqual({ added: 0, updated: 1, unchanged: 0, total: 1 });
+
+      const validator = new SecurityValidator({ scanSecrets: false });
+      const result = await validator.validate(testProjectPath);
+      const issues = result.issues.filter(issue => issue.type === 'vulnerability');
+
+      expect(issues).toHaveLength(1);
+      expect(issues[0]).toMatchObject({
+        file: path.join(testProjectPath, 'package-lock.json'),
+        line: 22,
+        severity: 'high',
+        packageName: 'qs',
+        version: '6.7.0',
+        advisory: 'GHSA-hrpp-h998-j3pp',
+        fixedVersion: '6.7.3',
+        dependencyPath: ['app', 'express@4.17.1', 'qs@6.7.0'],
+        message: 'qs@6.7.0: qs vulnerable to Prototype Pollution (GHSA-hrpp-h998-j3pp, fixed in 6.7.3) via express@4.17.1'
+      });
+      expect(result.metrics).toMatchObject({ vulnerabilities: 1, dependenciesScanned: 4 });
+    });
+  });
+
+  describe('Licenses', () => {
+    // Install a package into node_modules at `location` with extra package.json fields and files
+    const install = async (location, manifest, files = {}) => {
+      const directory = path.join(testProjectPath, location);
+      await fs.outputJson(path.join(directory, 'package.json'), { version: '1.0.0', ...manifest });
+      for (const [file, content] of Object.entries(files)) {
+        await fs.outputFile(path.join(directory, file), content);
+      }
+    };
+
+    test('should parse SPDX expressions and classify them against the policy', () => {
+      const policy = new LicensePolicy({ allow: ['permissive', 'public-domain', 'LGPL-*'], deny: ['GPL-*'] });
+
+      expect(formatExpression(parseExpression('(mit or Apache-2.0) AND GPL-2.0+ WITH Classpath-exception-2.0'))).toBe('(MIT OR Apache-2.0) AND GPL-2.0-or-later WITH Classpath-exception-2.0');
+      expect(formatExpression(parseExpression('Apache 2.0'))).toBe('Apache-2.0');
+      expect(() => parseExpression('MIT OR')).toThrow('expected a license');
+      expect(policy.evaluate('MIT OR GPL-3.0-only')).toMatchObject({ status: 'allowed', category: 'permissive' });
+      expect(policy.evaluate('LGPL-2.1-only')).toMatchObject({ status: 'allowed', category: 'weak-copyleft' });
+      expect(policy.evaluate('MIT AND GPL-3.0-only')).toMatchObject({ status: 'denied', category: 'strong-copyleft', licenses: ['MIT', 'GPL-3.0-only'] });
+      expect(policy.evaluate('MPL-2.0')).toMatchObject({ status: 'not-allowed', category: 'weak-copyleft' });
+      expect(policy.evaluate('UNLICENSED')).toMatchObject({ status: 'not-allowed', category: 'proprietary' });
+      expect(policy.evaluate('Custom license, ask legal')).toMatchObject({ status: 'unknown', category: 'unknown' });
+    });
+
+    test('should check installed licenses offline and show how violations are reached', async () => {
+      await fs.writeJson(path.join(testProjectPath, 'package.json'), { ...manifest, dependencies: { express: '^4.17.0', 'docs-kit': '^1.0.0', legacy: '^1.0.0' } });
+      await install('node_modules/express', { name: 'express', license: 'MIT', dependencies: { readline2: '^1.0.0', 'mixed-kit': '^1.0.0' } });
+      await install('node_modules/readline2', { name: 'readline2', license: 'GPL-3.0' });
+      await install('node_modules/mixed-kit', { name: 'mixed-kit', licenses: [{ type: 'MIT' }, { type: 'GPL-2.0' }] });
+      await install('node_modules/docs-kit', { name: 'docs-kit' }, { 'LICENSE.md': 'Apache License\n  Version 2.0, January 2004\n' });
+      await install('node_modules/legacy', { name: 'legacy' }, { 'README.md': 'No license yet' });
+      await install('node_modules/jest', { name: 'jest', license: 'AGPL-3.0-only' });
+
+      const validator = new LicenseValidator({ deny: ['strong-copyleft', 'network-copyleft'] });
+      const result = await validator.validate(testProjectPath);
+
+      expect(result.issues).toEqual([
+        expect.objectContaining({
+          file: path.join(testProjectPath, 'node_modules/legacy/package.json'),
+          type: 'unknown-license',
+          severity: 'medium',
+          message: 'legacy@1.0.0 has no license in package.json or a license file'
+        }),
+        expect.objectContaining({
+          type: 'license-violation',
+          severity: 'high',
+          packageName: 'readline2',
+          license: 'GPL-3.0-only',
+          licenseCategory: 'strong-copyleft',
+          dependencyPath: ['app', 'express@1.0.0', 'readline2@1.0.0'],
+          message: 'readline2@1.0.0 is licensed GPL-3.0-only (strong copyleft), which the license policy denies (via express@1.0.0)'
+        })
+      ]);
+      expect(result.metrics).toMatchObject({
+        packagesScanned: 5,
+        licenseViolations: 1,
+        unknownLicenses: 1,
+        licenses: { MIT: 1, 'GPL-3.0-only': 1, 'MIT OR GPL-2.0-only': 1, 'Apache-2.0': 1, none: 1 }
+      });
+      expect(result.score).toBe(70);
+
+      const strict = await new LicenseValidator({ allow: ['MIT', 'Apache-2.0'], ignore: ['legacy', 'readline2@1.0.0'], includeDev: true }).validate(testProjectPath);
+      expect(strict.issues.map(issue => issue.message)).toEqual(['jest@1.0.0 is licensed AGPL-3.0-only (network copyleft), which is not in the allowed licenses']);
+    });
+  });
+
+  describe('SBOM', () => {
+    const integrity = 'sha512-' + Buffer.from('express tarball').toString('base64');
+    const resolved = 'https://registry.npmjs.org/express/-/express-4.17.1.tgz';
+
+    beforeEach(async () => {
+      const lock = JSON.parse(JSON.stringify(npmLock));
+      Object.assign(lock.packages['node_modules/express'], { resolved, integrity });
+      await fs.writeJson(path.join(testProjectPath, 'package.json'), { ...manifest, license: 'MIT' });
+      await fs.writeJson(path.join(testProjectPath, 'package-lock.json'), lock);
+      await fs.outputJson(path.join(testProjectPath, 'node_modules/qs/package.json'), { name: 'qs', version: '6.7.0', license: 'BSD-3-Clause' });
+    });
+
+    test('should list lockfile components with hashes, installed licenses and dependencies as CycloneDX', async () => {
+      const sbom = await SbomBuilder.build(testProjectPath);
+
+      expect(sbom.source).toBe('package-lock.json');
+      expect(sbom.project).toMatchObject({ ref: 'pkg:npm/app@1.0.0', dependencies: ['pkg:npm/express@4.17.1', 'pkg:npm/jest@29.7.0'] });
+      expect(sbom.components.map(component => component.ref)).toEqual(['pkg:npm/express@4.17.1', 'pkg:npm/jest@29.7.0', 'pkg:npm/qs@6.11.0', 'pkg:npm/qs@6.7.0']);
+      expect(sbom.components[0]).toMatchObject({
+        license: 'MIT',
+        resolved,
+        hashes: [{ algorithm: 'SHA-512', value: Buffer.from('express tarball').toString('hex') }],
+        dependencies: ['pkg:npm/qs@6.7.0']
+      });
+      expect(sbom.components[3]).toMatchObject({ license: 'BSD-3-Clause', dev: false });
+
+      const bom = SBOM_FORMATS.cyclonedx.document(sbom, { timestamp: '2026-01-01T00:00:00.000Z', serialNumber: 'urn:uuid:1' });
+      expect(bom).toMatchObject({ bomFormat: 'CycloneDX', specVersion: '1.5', metadata: { component: { 'bom-ref': 'pkg:npm/app@1.0.0', licenses: [{ license: { id: 'MIT' } }] } } });
+      expect(bom.components[0]).toMatchObject({
+        name: 'express',
+        scope: 'required',
+        hashes: [{ alg: 'SHA-512', content: Buffer.from('express tarball').toString('hex') }],
+        licenses: [{ license: { id: 'MIT' } }],
+        externalReferences: [{ type: 'distribution', url: resolved }]
+      });
+      expect(bom.components[1].scope).toBe('excluded');
+      expect(bom.dependencies).toContainEqual({ ref: 'pkg:npm/jest@29.7.0', dependsOn: ['pkg:npm/qs@6.11.0'] });
+
+      const production = await SbomBuilder.build(testProjectPath, { includeDev: false });
+      expect(production.components.map(component => component.name)).toEqual(['express', 'qs']);
+    });
+
+    test('should write SPDX relationships and attach the SBOM to audits', async () => {
+      const sdk = new BestPracticesSDK();
+      const output = path.join(testProjectPath, 'sbom.spdx.json');
+      const result = await sdk.sbom({ path: testProjectPath, format: 'spdx', output });
+
+      expect(result).toMatchObject({ success: true, components: 4, message: `Listed 4 components as SPDX 2.3 JSON in ${output}` });
+      const document = await fs.readJson(output);
+      expect(document).toMatchObject({ spdxVersion: 'SPDX-2.3', dataLicense: 'CC0-1.0', documentDescribes: ['SPDXRef-Package-root'] });
+      expect(document.packages.find(pkg => pkg.name === 'qs' && pkg.versionInfo === '6.7.0')).toMatchObject({
+        SPDXID: 'SPDXRef-Package-qs-6.7.0',
+        licenseDeclared: 'BSD-3-Clause',
+        downloadLocation: 'NOASSERTION',
+        externalRefs: [{ referenceType: 'purl', referenceLocator: 'pkg:npm/qs@6.7.0' }]
+      });
+      expect(document.packages.find(pkg => pkg.name === 'jest').licenseDeclared).toBe('NOASSERTION');
+      expect(document.relationships).toEqual(expect.arrayContaining([
+        { spdxElementId: 'SPDXRef-Package-root', relationshipType: 'DEPENDS_ON', relatedSpdxElement: 'SPDXRef-Package-express-4.17.1' },
+        { spdxElementId: 'SPDXRef-Package-jest-29.7.0', relationshipType: 'DEV_DEPENDENCY_OF', relatedSpdxElement: 'SPDXRef-Package-root' },
+        { spdxElementId: 'SPDXRef-Package-express-4.17.1', relationshipType: 'DEPENDS_ON', relatedSpdxElement: 'SPDXRef-Package-qs-6.7.0' }
+      ]));
+
+      const audit = await sdk.audit({ path: testProjectPath, output: path.join(testProjectPath, 'audit.json'), history: false });
+      expect(audit.sbom).toMatchObject({ bomFormat: 'CycloneDX', components: expect.arrayContaining([expect.objectContaining({ name: 'express' })]) });
+      expect((await sdk.audit({ path: testProjectPath, output: path.join(testProjectPath, 'audit.json'), history: false, sbom: false })).sbom).toBeUndefined();
+
+      expect(await sdk.sbom({ path: testProjectPath, format: 'swid' })).toMatchObject({ success: false, message: 'Failed to build SBOM: unknown SBOM format "swid"; expected cyclonedx or spdx' });
+      await fs.remove(path.join(testProjectPath, 'package-lock.json'));
+      await fs.remove(path.join(testProjectPath, 'node_modules'));
+      expect((await sdk.sbom({ path: testProjectPath })).message).toBe('Failed to build SBOM: no lockfile or node_modules to read dependencies from');
+    });
+
+    test('should give packages unique SPDX ids when their names only differ in characters ids cannot hold', () => {
+      const component = (name, dependencies = []) => ({
+        ref: `pkg:npm/${name}@1.0.0`,
+        name,
+        version: '1.0.0',
+        hashes: [],
+        license: 'MIT',
+        purl: `pkg:npm/${name}@1.0.0`,
+        dependencies,
+        dev: false
+      });
+      const sbom = {
+        project: { name: 'app', version: '1.0.0', license: 'MIT', dependencies: ['pkg:npm/@a/b-c@1.0.0', 'pkg:npm/@a-b/c@1.0.0'] },
+        components: [component('@a/b-c', ['pkg:npm/@a-b/c@1.0.0']), component('@a-b/c')]
+      };
+
+      const document = SBOM_FORMATS.spdx.document(sbom, { timestamp: '2026-01-01T00:00:00.000Z', namespace: 'https://example.com/app' });
+
+      expect(document.packages.map(pkg => pkg.SPDXID)).toEqual(['SPDXRef-Package-root', 'SPDXRef-Package--a-b-c-1.0.0', 'SPDXRef-Package--a-b-c-1.0.0-2']);
+      expect(document.relationships.slice(1).map(relationship => relationship.relatedSpdxElement)).toEqual([
+        'SPDXRef-Package--a-b-c-1.0.0',
+        'SPDXRef-Package--a-b-c-1.0.0-2',
+        'SPDXRef-Package--a-b-c-1.0.0-2'
+      ]);
+    });
+  });
+});
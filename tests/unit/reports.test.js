@@ -0,0 +1,211 @@
+const fs = require('fs-extra');
+const path = require('path');
+const BestPracticesSDK = require('../../lib/index');
+const { ReporterRegistry, createDefaultReporters, parseReporterSpec, sarifReporter, junitReporter, checkstyleReporter } = require('../../lib/reporters');
+
+describe('Reports', () => {
+  const testProjectPath = path.join(__dirname, '../fixtures/reports');
+
+  beforeEach(async () => {
+    await fs.remove(testProjectPath);
+    await fs.ensureDir(path.join(testProjectPath, 'src'));
+  });
+
+  afterAll(async () => {
+    await fs.remove(testProjectPath);
+  });
+
+  describe('SARIF', () => {
+    test('should write rule metadata, levels, regions and fingerprints', async () => {
+      const sdk = new BestPracticesSDK();
+      const reportPath = path.join(testProjectPath, 'results.sarif');
+      await fs.writeFile(path.join(testProjectPath, 'src', 'app.js'), [
+        'function undocumented() {}',
+        '// bp-disable-next-line performance-optimization -- startup banner',
+        'console.log("ready");',
+        ''
+      ].join('\n'));
+
+      await sdk.validate({ path: testProjectPath, standards: ['code', 'performance'], report: true, outputPath: reportPath, format: 'sarif' });
+      const log = await fs.readJson(reportPath);
+      const [run] = log.runs;
+      const [finding] = run.results.filter(result => !result.suppressions);
+      const [suppressed] = run.results.filter(result => result.suppressions);
+
+      expect(log.version).toBe('2.1.0');
+      expect(run.tool.driver.rules[finding.ruleIndex]).toMatchObject({ id: 'enforce-comments', shortDescription: { text: expect.any(String) } });
+      expect(finding).toMatchObject({
+        ruleId: 'enforce-comments',
+        level: 'warning',
+        locations: [{ physicalLocation: { artifactLocation: { uri: 'src/app.js', uriBaseId: '%SRCROOT%' }, region: { startLine: 1 } } }],
+        partialFingerprints: { 'bpFingerprint/v1': expect.stringMatching(/^[0-9a-f]{40}$/) }
+      });
+      expect(suppressed).toMatchObject({ ruleId: 'performance-optimization', suppressions: [{ kind: 'inSource', justification: 'startup banner' }] });
+    });
+
+    test('should map severities to SARIF levels and report validator failures as notifications', async () => {
+      const log = await sarifReporter.build({ path: testProjectPath, issues: ['Security validation failed: boom'] });
+
+      expect(['critical', 'high', 'error', 'moderate', 'warning', 'low', 'info'].map(severity => sarifReporter.level(severity)))
+        .toEqual(['error', 'error', 'error', 'warning', 'warning', 'note', 'note']);
+      expect(log.runs[0].results).toEqual([]);
+      expect(log.runs[0].invocations[0]).toMatchObject({
+        executionSuccessful: false,
+        toolExecutionNotifications: [{ level: 'error', message: { text: 'Security validation failed: boom' } }]
+      });
+    });
+  });
+
+  describe('XML reports', () => {
+    const rules = [
+      { id: 'enforce-comments', category: 'code', severity: 'warning' },
+      { id: 'max-function-lines', category: 'code', severity: 'warning' },
+      { id: 'no-hardcoded-secrets', category: 'security', severity: 'high' }
+    ];
+    const result = {
+      path: testProjectPath,
+      standards: ['code'],
+      issues: [
+        { file: path.join(testProjectPath, 'src', 'app.js'), line: 3, severity: 'warning', rule: 'enforce-comments', category: 'code', message: 'Function \'a<b>\' missing "comment" & more' },
+        { file: path.join(testProjectPath, 'src', 'app.js'), line: 9, severity: 'error', rule: 'parse-error', category: 'code', message: 'Could not parse file' },
+        'Performance validation failed: boom'
+      ]
+    };
+
+    test('should write each passing rule and each finding as a JUnit testcase', () => {
+      const xml = junitReporter.render(result, { rules });
+
+      expect(xml).toContain('<testsuites name="code-directives" tests="4" failures="2" errors="1">');
+      expect(xml).toContain('<testsuite name="code" tests="3" failures="2" errors="0">');
+      expect(xml).toContain('<testcase classname="code" name="max-function-lines"/>');
+      expect(xml).toContain('<testcase classname="code" name="enforce-comments (src/app.js:3)">\n      <failure message="Function &apos;a&lt;b&gt;&apos; missing &quot;comment&quot; &amp; more" type="warning">src/app.js:3 Function');
+      expect(xml).toContain('<error message="Performance validation failed: boom" type="validator-error">');
+      expect(xml).not.toContain('no-hardcoded-secrets');
+    });
+
+    test('should give every finding of a rule its own JUnit testcase', () => {
+      const file = path.join(testProjectPath, 'src', 'app.js');
+      const xml = junitReporter.render({
+        path: testProjectPath,
+        standards: ['code'],
+        issues: [3, 7].map(line => ({ file, line, severity: 'warning', rule: 'enforce-comments', category: 'code', message: `Missing comment on line ${line}` }))
+          .concat(['Code validation failed: boom', 'Env validation failed: bang'])
+      }, { rules });
+      const testcases = xml.split('\n').filter(line => line.includes('<testcase'));
+
+      expect(xml).toContain('<testsuite name="code" tests="3" failures="2" errors="0">');
+      expect(testcases).toEqual([
+        '    <testcase classname="code" name="enforce-comments (src/app.js:3)">',
+        '    <testcase classname="code" name="enforce-comments (src/app.js:7)">',
+        '    <testcase classname="code" name="max-function-lines"/>',
+        '    <testcase classname="validator" name="validator">'
+      ]);
+      expect(xml.match(/<error /g)).toHaveLength(1);
+      expect(xml).toContain('<error message="Code validation failed: boom; Env validation failed: bang" type="validator-error">Code validation failed: boom\nEnv validation failed: bang</error>');
+    });
+
+    test('should group Checkstyle errors by file with mapped severities', () => {
+      const xml = checkstyleReporter.render(result);
+
+      expect(xml.split('\n')).toEqual([
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<checkstyle version="4.3">',
+        '  <file name="src/app.js">',
+        '    <error line="3" severity="warning" message="Function &apos;a&lt;b&gt;&apos; missing &quot;comment&quot; &amp; more" source="bp.enforce-comments"/>',
+        '    <error line="9" severity="error" message="Could not parse file" source="bp.parse-error"/>',
+        '  </file>',
+        '</checkstyle>',
+        ''
+      ]);
+    });
+  });
+
+  describe('Reporters', () => {
+    const result = {
+      path: testProjectPath,
+      timestamp: '2026-01-01T00:00:00.000Z',
+      score: 70,
+      passed: false,
+      standards: ['code'],
+      metrics: { code: { score: 70 } },
+      issues: [
+        { file: path.join(testProjectPath, 'src', 'b.js'), line: 4, type: 'missing-comment', severity: 'warning', rule: 'enforce-comments', category: 'code', message: 'Function \'b\' missing in-line comment' },
+        { file: path.join(testProjectPath, 'src', 'a.js'), line: 2, type: 'hardcoded-secret', severity: 'high', rule: 'no-hardcoded-secrets', category: 'security', message: 'Hardcoded secret' }
+      ]
+    };
+
+    test('should reject reporters without a usable name or render function', () => {
+      const registry = createDefaultReporters();
+
+      expect(() => registry.register({ name: 'json', render: () => '' })).toThrow('already registered');
+      expect(() => registry.register({ name: 'a:b', render: () => '' })).toThrow('must not contain ":"');
+      expect(() => registry.register({ name: 'custom' })).toThrow('render(result, context)');
+      expect(new ReporterRegistry().register({ name: 'custom', render: () => '' })).toMatchObject({ extension: '.txt', description: '' });
+      expect(() => registry.resolve('missing-reporter', testProjectPath)).toThrow('Unknown reporter "missing-reporter" (available: json, stylish, sarif');
+    });
+
+    test('should split reporter specs at the first colon', () => {
+      expect(parseReporterSpec('stylish')).toEqual({ name: 'stylish', output: null });
+      expect(parseReporterSpec('sarif:out/bp.sarif')).toEqual({ name: 'sarif', output: 'out/bp.sarif' });
+    });
+
+    test('should write several reports in one run and load reporter plugins by path', async () => {
+      await fs.writeFile(path.join(testProjectPath, 'count-reporter.js'), [
+        'module.exports = {',
+        '  name: \'count\',',
+        '  extension: \'.count\',',
+        '  render: (result, context) => `${result.issues.length} issue(s) in ${context.projectPath}`',
+        '};',
+        ''
+      ].join('\n'));
+      const sdk = new BestPracticesSDK();
+
+      const written = await sdk.writeReports(result, [
+        `sarif:${path.join(testProjectPath, 'out', 'bp.sarif')}`,
+        `html:${path.join(testProjectPath, 'out', 'report.html')}`,
+        { name: path.join(testProjectPath, 'count-reporter.js'), output: path.join(testProjectPath, 'out', 'summary.txt') }
+      ]);
+
+      expect(written.map(report => report.name)).toEqual(['sarif', 'html', 'count']);
+      expect((await fs.readJson(path.join(testProjectPath, 'out', 'bp.sarif'))).runs[0].results).toHaveLength(2);
+      expect(await fs.readFile(path.join(testProjectPath, 'out', 'report.html'), 'utf8')).toContain('aria-label="Code score 70"');
+      expect(await fs.readFile(path.join(testProjectPath, 'out', 'summary.txt'), 'utf8')).toBe(`2 issue(s) in ${testProjectPath}`);
+      expect(sdk.getReporters().map(reporter => reporter.name)).toContain('count');
+    });
+
+    test('should render an offline HTML dashboard with escaped findings, snippets and a file tree', async () => {
+      await fs.outputFile(path.join(testProjectPath, 'src', 'a.js'), ['// one', 'const key = "</script><b>";', '// three', '// four', '// five', ''].join('\n'));
+      const html = await createDefaultReporters().get('html').render({
+        ...result,
+        issues: [...result.issues, { ...result.issues[0], message: '<img src=x onerror=alert(1)>' }],
+        recommendations: ['Rotate <keys> & secrets']
+      }, { projectPath: testProjectPath });
+
+      expect(html).not.toMatch(/(src|href)="https?:/);
+      expect(html).not.toContain('<img src=x');
+      expect(html).toContain('&lt;img src=x onerror=alert(1)&gt;');
+      expect(html).toContain('<li>Rotate &lt;keys&gt; &amp; secrets</li>');
+      expect(html).toContain('<span class="line current"><span class="number">2</span>const key = &quot;&lt;/script&gt;&lt;b&gt;&quot;;</span>');
+      expect(html).not.toContain('<span class="number">5</span>');
+      expect(html).toContain('<summary>src/ <span class="count">3</span></summary>');
+      expect(html).toContain('data-file="src/b.js">b.js <span class="count">2</span></button>');
+      expect(html).toContain('<option value="no-hardcoded-secrets">');
+      expect(html.indexOf('data-severity="high"')).toBeLessThan(html.indexOf('data-severity="warning"'));
+    });
+
+    test('should print stylish output grouped by file with a problem count', () => {
+      const output = createDefaultReporters().get('stylish').render(result);
+
+      expect(output.split('\n')).toEqual([
+        'src/a.js',
+        '     2  error    Hardcoded secret  no-hardcoded-secrets',
+        '',
+        'src/b.js',
+        '     4  warning  Function \'b\' missing in-line comment  enforce-comments',
+        '',
+        '✖ 2 problems (1 error, 1 warning)',
+        ''
+      ]);
+    });
+  });
+});